@@ -0,0 +1,282 @@
+/**
+ * HeadlessEnvironment - Loads the real game scripts into Node for simulations
+ *
+ * Scripts are read from index.html in page order and evaluated in the global
+ * context, exactly as the browser would. DOM/canvas/audio are replaced by inert
+ * stubs, and timers/clocks run on simulated time so `setTimeout`-based gameplay
+ * (waves, delayed abilities) advances with game time rather than wall time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..', '..');
+
+// Page scripts that only make sense in a real browser
+const SKIPPED_SCRIPTS = new Set([
+    'src/core/bootstrap.js',
+    'src/ui/loadDebugProjectiles.js',
+    'src/ui/scriptErrorHandler.js'
+]);
+
+/**
+ * Object that silently accepts any property access or call.
+ * Used for canvas contexts, DOM nodes and audio graph nodes.
+ */
+function createInertStub(overrides = {}) {
+    const target = function () {};
+    Object.assign(target, overrides);
+    return new Proxy(target, {
+        get(obj, prop) {
+            if (prop in obj) return obj[prop];
+            if (prop === Symbol.toPrimitive) return () => 0;
+            if (prop === 'then') return undefined;
+            const child = createInertStub();
+            obj[prop] = child;
+            return child;
+        },
+        set(obj, prop, value) {
+            obj[prop] = value;
+            return true;
+        },
+        apply() {
+            return createInertStub();
+        },
+        construct() {
+            return createInertStub();
+        }
+    });
+}
+
+function createElementStub(id = null) {
+    const classes = new Set(['hidden']);
+    return createInertStub({
+        id,
+        style: { setProperty: () => {}, removeProperty: () => {} },
+        dataset: {},
+        width: 1280,
+        height: 720,
+        innerHTML: '',
+        textContent: '',
+        value: '',
+        checked: false,
+        childElementCount: 0,
+        children: [],
+        classList: {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            contains: name => classes.has(name),
+            toggle: (name, force) => {
+                const enable = force === undefined ? !classes.has(name) : !!force;
+                enable ? classes.add(name) : classes.delete(name);
+                return enable;
+            }
+        },
+        addEventListener: () => {},
+        removeEventListener: () => {},
+        appendChild: child => child,
+        removeChild: child => child,
+        remove: () => {},
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        setAttribute: () => {},
+        getAttribute: () => null,
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: 1280, height: 720 }),
+        getContext: () => createInertStub({
+            measureText: () => ({ width: 10 }),
+            getImageData: () => ({ data: new Uint8ClampedArray(4) })
+        })
+    });
+}
+
+function createMemoryStorage() {
+    const store = new Map();
+    return {
+        getItem: key => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key),
+        clear: () => store.clear(),
+        key: index => Array.from(store.keys())[index] ?? null,
+        get length() {
+            return store.size;
+        }
+    };
+}
+
+/**
+ * Simulated clock driving setTimeout/setInterval/requestAnimationFrame
+ */
+class SimulatedClock {
+    constructor() {
+        this.nowMs = 0;
+        this._nextId = 1;
+        this._timers = new Map();
+    }
+
+    setTimeout(fn, delay = 0, ...args) {
+        const id = this._nextId++;
+        this._timers.set(id, { fn, args, at: this.nowMs + Math.max(0, Number(delay) || 0), interval: null });
+        return id;
+    }
+
+    setInterval(fn, delay = 0, ...args) {
+        const id = this._nextId++;
+        const interval = Math.max(1, Number(delay) || 0);
+        this._timers.set(id, { fn, args, at: this.nowMs + interval, interval });
+        return id;
+    }
+
+    clear(id) {
+        this._timers.delete(id);
+    }
+
+    /**
+     * Advance the clock and run every timer that came due, in due order
+     */
+    advance(ms) {
+        const target = this.nowMs + ms;
+        for (;;) {
+            let nextId = null;
+            let next = null;
+            for (const [id, timer] of this._timers) {
+                if (timer.at <= target && (!next || timer.at < next.at || (timer.at === next.at && id < nextId))) {
+                    next = timer;
+                    nextId = id;
+                }
+            }
+            if (!next) break;
+
+            this.nowMs = Math.max(this.nowMs, next.at);
+            if (next.interval) {
+                next.at += next.interval;
+            } else {
+                this._timers.delete(nextId);
+            }
+            next.fn(...next.args);
+        }
+        this.nowMs = target;
+    }
+}
+
+/**
+ * Parse script sources from index.html in load order
+ */
+function readPageScripts() {
+    const html = fs.readFileSync(path.join(PROJECT_ROOT, 'index.html'), 'utf8');
+    const scripts = [];
+    const seen = new Set();
+    const pattern = /<script[^>]*\ssrc="([^"]+)"[^>]*><\/script>/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        const src = match[1];
+        if (seen.has(src) || SKIPPED_SCRIPTS.has(src)) continue;
+        seen.add(src);
+        scripts.push(src);
+    }
+    return scripts;
+}
+
+/**
+ * Install browser globals on Node's global object
+ * @param {Object} options - { quiet }
+ * @returns {SimulatedClock}
+ */
+function installBrowserGlobals({ quiet = true } = {}) {
+    const clock = new SimulatedClock();
+    const elements = new Map();
+    const getElement = id => {
+        if (!elements.has(id)) elements.set(id, createElementStub(id));
+        return elements.get(id);
+    };
+
+    const g = globalThis;
+    g.window = g;
+    g.self = g;
+    g.innerWidth = 1280;
+    g.innerHeight = 720;
+    g.devicePixelRatio = 1;
+    g.location = { search: '', href: 'http://localhost/', hostname: 'localhost', reload: () => {} };
+    g.navigator = { userAgent: 'node-headless', hardwareConcurrency: 4, deviceMemory: 8, getGamepads: () => [] };
+    g.localStorage = createMemoryStorage();
+    g.sessionStorage = createMemoryStorage();
+    g.addEventListener = () => {};
+    g.removeEventListener = () => {};
+    g.dispatchEvent = () => true;
+    g.alert = message => { throw new Error(`alert(): ${message}`); };
+    g.matchMedia = () => ({ matches: false, addEventListener: () => {}, removeEventListener: () => {} });
+    g.CustomEvent = class CustomEvent { constructor(type, init = {}) { this.type = type; this.detail = init.detail; } };
+    g.Image = class Image { constructor() { this.complete = true; } };
+    g.AudioContext = undefined;
+    g.webkitAudioContext = undefined;
+
+    g.setTimeout = clock.setTimeout.bind(clock);
+    g.clearTimeout = clock.clear.bind(clock);
+    g.setInterval = clock.setInterval.bind(clock);
+    g.clearInterval = clock.clear.bind(clock);
+    // The simulation drives GameEngine.update() directly; the render loop never runs
+    g.requestAnimationFrame = () => 0;
+    g.cancelAnimationFrame = () => {};
+    g.performance = { now: () => clock.nowMs, memory: undefined };
+    // Cooldowns and AI timers read Date.now(); pin it to the simulated clock as well
+    const epochMs = Date.UTC(2025, 0, 1);
+    Date.now = () => epochMs + clock.nowMs;
+
+    g.document = {
+        readyState: 'complete',
+        hidden: false,
+        visibilityState: 'visible',
+        body: createElementStub('body'),
+        documentElement: createElementStub('html'),
+        head: createElementStub('head'),
+        getElementById: getElement,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        createElement: tag => createElementStub(tag),
+        createElementNS: (_, tag) => createElementStub(tag),
+        addEventListener: () => {},
+        removeEventListener: () => {}
+    };
+
+    if (quiet) {
+        // Logger.js writes through console; keep simulation output clean
+        g.__headlessConsole = { log: console.log, info: console.info, warn: console.warn, debug: console.debug };
+        console.log = () => {};
+        console.info = () => {};
+        console.debug = () => {};
+        console.warn = () => {};
+    }
+
+    return clock;
+}
+
+function restoreConsole() {
+    const saved = globalThis.__headlessConsole;
+    if (saved) {
+        Object.assign(console, saved);
+        delete globalThis.__headlessConsole;
+    }
+}
+
+/**
+ * Load all page scripts into the global context
+ */
+function loadGameScripts() {
+    const scripts = readPageScripts();
+    scripts.forEach(src => {
+        const filename = path.join(PROJECT_ROOT, src);
+        const source = fs.readFileSync(filename, 'utf8');
+        vm.runInThisContext(source, { filename });
+    });
+    return scripts;
+}
+
+module.exports = {
+    PROJECT_ROOT,
+    SimulatedClock,
+    createInertStub,
+    installBrowserGlobals,
+    restoreConsole,
+    loadGameScripts,
+    readPageScripts
+};
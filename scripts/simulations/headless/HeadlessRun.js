@@ -0,0 +1,270 @@
+/**
+ * HeadlessRun - Runs one game session on the real engine without a browser
+ *
+ * Boots the same systems bootstrap.js creates (GameManagerBridge, InputManager,
+ * ReplaySystem, UpgradeSystem with auto-level), starts a run and advances the
+ * fixed-step loop directly. A bot supplies movement/dodge input through the
+ * InputManager, so the recorded replay can be loaded in the browser afterwards.
+ * Given a replay instead, the run plays it back through ReplaySystem.
+ */
+
+const {
+    installBrowserGlobals,
+    loadGameScripts,
+    restoreConsole
+} = require('./HeadlessEnvironment.js');
+const { KitingBot } = require('./KitingBot.js');
+
+class HeadlessRun {
+    /**
+     * @param {Object} options
+     * @param {number} [options.minutes=5] - Simulated minutes to run
+     * @param {string} [options.seed] - Run seed (random if omitted)
+     * @param {string} [options.character] - Character id
+     * @param {string} [options.weapon] - Weapon id (defaults to the character's weapon)
+     * @param {string} [options.mode='normal'] - Game mode ('normal', 'bossRush' or 'daily')
+     * @param {number} [options.interval=5] - Seconds between timeline samples
+     * @param {Object} [options.bot] - Bot with update(game) and getMovement()/wantsDodge()
+     * @param {Object[]} [options.scenario] - Scripted steps ({ at, run(game, manager) }, see scenarios.js)
+     * @param {Object} [options.playback] - Replay to play back instead of running the bot
+     * @param {boolean} [options.trace=false] - Also report player/enemy positions at each sample
+     * @param {boolean} [options.verbose=false] - Keep game logging on the console
+     */
+    constructor(options = {}) {
+        this.minutes = Number.isFinite(options.minutes) ? options.minutes : 5;
+        this.seed = options.seed || null;
+        this.character = options.character || null;
+        this.weapon = options.weapon || null;
+        this.mode = options.mode || 'normal';
+        this.interval = Number.isFinite(options.interval) && options.interval > 0 ? options.interval : 5;
+        this.bot = options.bot || new KitingBot();
+        this.scenario = Array.isArray(options.scenario)
+            ? options.scenario.slice().sort((a, b) => a.at - b.at)
+            : [];
+        this.playback = options.playback || null;
+        this.trace = options.trace ? [] : null;
+        this.verbose = !!options.verbose;
+
+        this.samples = [];
+        this.levels = [];
+        this.bossKills = [];
+        this.splits = [];
+        this.outcome = null;
+    }
+
+    /**
+     * Boot the game scripts and run until time runs out or the run ends
+     * @returns {Object} Run report
+     */
+    run() {
+        const clock = installBrowserGlobals({ quiet: !this.verbose });
+        try {
+            loadGameScripts();
+            const manager = this._bootSystems();
+            return this._simulate(manager, clock);
+        } finally {
+            restoreConsole();
+        }
+    }
+
+    _bootSystems() {
+        const Game = window.Game;
+        window.inputManager = new Game.InputManager();
+        window.replaySystem = new Game.ReplaySystem();
+        window.upgradeSystem = new Game.UpgradeSystem();
+        // Level-ups must resolve without UI
+        window.upgradeSystem.autoLevelEnabled = true;
+        window.audioSystem = { play: () => {}, playBossBeat: () => {}, resumeAudioContext: () => {}, isMuted: true, setEnabled: () => {} };
+        window.achievementSystem = new Game.AchievementSystem();
+
+        const manager = new Game.GameManagerBridge();
+        window.gameManager = manager;
+        window.gameManagerBridge = manager;
+
+        if (!manager.initGameEngine()) {
+            throw new Error('Game engine failed to initialize');
+        }
+
+        if (this.playback) {
+            // startReplay() applies the recorded pilot, weapon, mode and seed
+            this._hookProgressEvents(manager);
+            return manager;
+        }
+
+        const character = this.character || manager.state.getSelectedCharacter();
+        const definition = (window.CHARACTER_DEFINITIONS || []).find(def => def.id === character);
+        if (!definition) {
+            throw new Error(`Unknown character: ${character}`);
+        }
+        manager.state.setSelectedCharacter(character);
+        manager.state.setSelectedWeapon(this.weapon || definition.weaponId);
+        manager.nextRunSeed = this.seed;
+
+        // Route bot input through the same path keyboard input takes
+        const bot = this.bot;
+        window.inputManager.getMovementVector = () => bot.getMovement();
+
+        this._hookProgressEvents(manager);
+        return manager;
+    }
+
+    _hookProgressEvents(manager) {
+        const onPlayerLevelUp = manager.onPlayerLevelUp.bind(manager);
+        manager.onPlayerLevelUp = level => {
+            this.levels.push({ level, time: this._roundedTime(manager) });
+            return onPlayerLevelUp(level);
+        };
+
+        const onBossKilled = manager.onBossKilled.bind(manager);
+        manager.onBossKilled = (...args) => {
+            this.bossKills.push({ time: this._roundedTime(manager), kill: this.bossKills.length + 1 });
+            return onBossKilled(...args);
+        };
+
+        const abilities = window.Game.EnemyAbilities.prototype;
+        const createSplitEffect = abilities.createSplitEffect;
+        const run = this;
+        abilities.createSplitEffect = function (...args) {
+            run.splits.push({ time: run._roundedTime(manager), type: this.splitType || 'fast' });
+            return createSplitEffect.apply(this, args);
+        };
+    }
+
+    _simulate(manager, clock) {
+        if (this.playback) {
+            manager.startReplay(this.playback);
+        } else {
+            manager.startGame(this.mode);
+        }
+        const game = manager.game;
+        if (!game?.player) {
+            throw new Error('Run did not start - no player was created');
+        }
+
+        const stepSeconds = game._fixedDeltaSeconds;
+        const stepMs = game._fixedDeltaMs;
+        const durationSeconds = this.minutes * 60;
+        let nextSample = 0;
+
+        const scenario = this.scenario.slice();
+        while (this._time(manager) < durationSeconds) {
+            while (scenario.length && scenario[0].at <= this._time(manager)) {
+                scenario.shift().run(game, manager);
+            }
+
+            if (nextSample <= this._time(manager)) {
+                this.samples.push(this._sample(manager));
+                nextSample += this.interval;
+            }
+
+            if (!this.playback) {
+                this.bot.update(game);
+                if (this.bot.wantsDodge()) {
+                    window.inputManager.setActionState('dodge', true);
+                }
+            }
+
+            game.update(stepSeconds);
+            clock.advance(stepMs);
+
+            if (manager.gameOver || manager.gameWon) {
+                this.outcome = manager.gameWon ? 'victory' : 'defeat';
+                break;
+            }
+        }
+
+        this.outcome = this.outcome || 'timeout';
+        this.samples.push(this._sample(manager));
+        if (this.outcome === 'timeout') {
+            window.replaySystem.finishRun({ outcome: 'timeout', gameTime: this._time(manager) });
+        }
+
+        return this._report(manager);
+    }
+
+    _time(manager) {
+        return manager.state?.runtime?.gameTime || 0;
+    }
+
+    _roundedTime(manager) {
+        return Math.round(this._time(manager) * 100) / 100;
+    }
+
+    _sample(manager) {
+        const game = manager.game;
+        if (this.trace) {
+            this.trace.push(this._traceState(manager));
+        }
+
+        const progression = manager.state.progression;
+        const player = game.player;
+        return {
+            time: this._roundedTime(manager),
+            level: player?.level ?? 1,
+            kills: progression.killCount,
+            xp: Math.round(progression.xpCollected),
+            damageDealt: Math.round(progression.damageDealt),
+            damageTaken: Math.round(progression.damageTaken),
+            bossesKilled: progression.bossesKilled,
+            elitesKilled: progression.elitesKilled,
+            health: Math.round(player?.health ?? 0),
+            maxHealth: Math.round(player?.maxHealth ?? 0),
+            enemies: game.enemies.length,
+            bossActive: game.enemies.some(enemy => enemy.isBoss && !enemy.isDead) ? 1 : 0,
+            difficulty: Math.round((manager.difficultyManager?.difficultyFactor ?? 1) * 100) / 100
+        };
+    }
+
+    /**
+     * Exact state for comparing a recording with its playback
+     */
+    _traceState(manager) {
+        const { player, enemies } = manager.game;
+        return {
+            step: window.replaySystem.step,
+            player: [player?.x, player?.y, player?.health],
+            kills: manager.state.progression.killCount,
+            enemies: enemies.map(enemy => [enemy.x, enemy.y, enemy.health])
+        };
+    }
+
+    _report(manager) {
+        const final = this.samples[this.samples.length - 1];
+        return {
+            seed: manager.runSeed,
+            character: manager.state.getSelectedCharacter(),
+            weapon: manager.state.getSelectedWeapon(),
+            mode: manager.getGameMode(),
+            minutes: this.minutes,
+            interval: this.interval,
+            outcome: this.outcome,
+            summary: {
+                time: final.time,
+                level: final.level,
+                kills: final.kills,
+                damageDealt: final.damageDealt,
+                damageTaken: final.damageTaken,
+                bossesKilled: final.bossesKilled
+            },
+            levels: this.levels,
+            bossKills: this.bossKills,
+            splits: this.splits,
+            bossRush: manager.isBossRush() ? manager.bossRush.splits : null,
+            samples: this.samples,
+            trace: this.trace,
+            replay: window.replaySystem.lastReplay
+        };
+    }
+}
+
+/**
+ * Convert timeline samples to CSV
+ */
+function samplesToCsv(samples) {
+    if (!samples.length) return '';
+    const columns = Object.keys(samples[0]);
+    const rows = samples.map(sample => columns.map(column => sample[column]).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = { HeadlessRun, samplesToCsv };
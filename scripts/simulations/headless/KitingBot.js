@@ -0,0 +1,110 @@
+/**
+ * KitingBot - Scripted player for headless runs
+ *
+ * Moves away from nearby enemies (weighted by proximity), collects XP orbs
+ * when the way is clear, circles the arena origin otherwise, and dodges when
+ * something gets inside its panic radius.
+ * Uses no randomness, so a seed alone determines the run.
+ */
+class KitingBot {
+    constructor(options = {}) {
+        this.threatRadius = options.threatRadius ?? 220;
+        this.panicRadius = options.panicRadius ?? 110;
+        this.orbitRadius = options.orbitRadius ?? 300;
+        this.orbitWeight = options.orbitWeight ?? 0.35;
+        this.orbRadius = options.orbRadius ?? 1200;
+        this.orbWeight = options.orbWeight ?? 3;
+
+        this._movement = { x: 0, y: 0 };
+        this._dodge = false;
+    }
+
+    /**
+     * Decide input for the next step
+     * @param {GameEngine} game
+     */
+    update(game) {
+        const player = game.player;
+        this._dodge = false;
+        if (!player || player.isDead) {
+            this._movement.x = 0;
+            this._movement.y = 0;
+            return;
+        }
+
+        const threatRadiusSq = this.threatRadius * this.threatRadius;
+        const panicRadiusSq = this.panicRadius * this.panicRadius;
+        let awayX = 0;
+        let awayY = 0;
+        let panic = false;
+
+        for (const enemy of game.enemies) {
+            if (!enemy || enemy.isDead) continue;
+            const dx = player.x - enemy.x;
+            const dy = player.y - enemy.y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq > threatRadiusSq || distSq === 0) continue;
+
+            // Inverse-square weighting: the closest enemies dominate
+            awayX += dx / distSq;
+            awayY += dy / distSq;
+            if (distSq < panicRadiusSq) panic = true;
+        }
+
+        // Circle the origin so the bot doesn't flee forever in one direction
+        const distFromOrigin = Math.hypot(player.x, player.y) || 1;
+        const tangentX = -player.y / distFromOrigin;
+        const tangentY = player.x / distFromOrigin;
+        const pull = Math.max(0, distFromOrigin - this.orbitRadius) / this.orbitRadius;
+        const orbitX = tangentX - (player.x / distFromOrigin) * pull;
+        const orbitY = tangentY - (player.y / distFromOrigin) * pull;
+
+        const awayLength = Math.hypot(awayX, awayY);
+        let moveX = orbitX * this.orbitWeight;
+        let moveY = orbitY * this.orbitWeight;
+        if (awayLength > 0) {
+            moveX += awayX / awayLength;
+            moveY += awayY / awayLength;
+        }
+
+        const orb = panic ? null : this._nearestOrb(game, player);
+        if (orb) {
+            const dx = orb.x - player.x;
+            const dy = orb.y - player.y;
+            const dist = Math.hypot(dx, dy) || 1;
+            moveX += (dx / dist) * this.orbWeight;
+            moveY += (dy / dist) * this.orbWeight;
+        }
+
+        const length = Math.hypot(moveX, moveY);
+        this._movement.x = length > 0 ? moveX / length : 0;
+        this._movement.y = length > 0 ? moveY / length : 0;
+        this._dodge = panic && player.canDodge;
+    }
+
+    _nearestOrb(game, player) {
+        let nearest = null;
+        let nearestDistSq = this.orbRadius * this.orbRadius;
+        for (const orb of game.xpOrbs || []) {
+            if (!orb || orb.isDead) continue;
+            const dx = orb.x - player.x;
+            const dy = orb.y - player.y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq < nearestDistSq) {
+                nearest = orb;
+                nearestDistSq = distSq;
+            }
+        }
+        return nearest;
+    }
+
+    getMovement() {
+        return this._movement;
+    }
+
+    wantsDodge() {
+        return this._dodge;
+    }
+}
+
+module.exports = { KitingBot };
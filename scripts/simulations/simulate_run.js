@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Headless Run Simulation
+ *
+ * Runs the real game (GameEngine, EnemySpawner, DifficultyManager, Player,
+ * UpgradeSystem) in Node with a scripted kiting bot and emits level/kill/
+ * damage/boss-kill timelines. Balance values come straight from the game
+ * sources, so results track gameConstants.js without hand-copied numbers.
+ *
+ * Usage:
+ *   node scripts/simulations/simulate_run.js [options]
+ *
+ * Options:
+ *   --minutes <n>      Simulated minutes to run (default 5)
+ *   --seed <seed>      Run seed (default random; same seed = same run)
+ *   --character <id>   Character id (default aegis_vanguard)
+ *   --weapon <id>      Weapon id (default: the character's weapon)
+ *   --mode <mode>      normal, bossRush or daily (default normal)
+ *   --interval <s>     Seconds between timeline samples (default 5)
+ *   --format <fmt>     json (full report) or csv (samples only), default json
+ *   --out <file>       Write output to a file instead of stdout
+ *   --replay <file>    Also save the run as a replay (load it from the main menu)
+ *   --playback <file>  Play a saved replay back instead of running the bot
+ *                      (pilot, weapon, mode and seed come from the replay)
+ *   --scenario <name>  Scripted spawns from headless/scenarios.js (e.g. splits_and_boss)
+ *   --trace            Add exact player/enemy positions at each sample to the JSON
+ *   --verbose          Show game logging
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HeadlessRun, samplesToCsv } = require('./headless/HeadlessRun.js');
+const { SCENARIOS } = require('./headless/scenarios.js');
+
+function parseArgs(argv) {
+    const options = { format: 'json', verbose: false };
+    const numeric = new Set(['minutes', 'interval']);
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+
+        const key = arg.slice(2);
+        if (key === 'verbose' || key === 'trace') {
+            options[key] = true;
+            continue;
+        }
+        if (key === 'help') {
+            options.help = true;
+            continue;
+        }
+
+        const value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for ${arg}`);
+        }
+        if (!['minutes', 'seed', 'character', 'weapon', 'mode', 'interval', 'format', 'out', 'replay', 'playback', 'scenario'].includes(key)) {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+        options[key] = numeric.has(key) ? Number(value) : value;
+        if (numeric.has(key) && !(options[key] > 0)) {
+            throw new Error(`${arg} must be a positive number`);
+        }
+    }
+
+    if (!['json', 'csv'].includes(options.format)) {
+        throw new Error(`Unsupported format: ${options.format}`);
+    }
+    if (options.mode && !['normal', 'bossRush', 'daily'].includes(options.mode)) {
+        throw new Error(`Unsupported mode: ${options.mode}`);
+    }
+    if (options.scenario) {
+        if (!SCENARIOS[options.scenario]) {
+            throw new Error(`Unknown scenario: ${options.scenario} (available: ${Object.keys(SCENARIOS).join(', ')})`);
+        }
+        options.scenario = SCENARIOS[options.scenario];
+    }
+    if (options.playback) {
+        options.playback = JSON.parse(fs.readFileSync(path.resolve(options.playback), 'utf8'));
+    }
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`! ${error.message} (see --help)`);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        const source = fs.readFileSync(__filename, 'utf8');
+        console.log(source.match(/\/\*\*([\s\S]*?)\*\//)[1].replace(/^ \* ?/gm, '').trim());
+        return;
+    }
+
+    // Date.now() follows the simulated clock once the run starts; time the run with hrtime
+    const startedAt = process.hrtime.bigint();
+    const report = new HeadlessRun(options).run();
+    const elapsed = (Number(process.hrtime.bigint() - startedAt) / 1e9).toFixed(1);
+
+    const { replay, trace, ...result } = report;
+    if (trace) {
+        result.trace = trace;
+    }
+    const output = options.format === 'csv'
+        ? samplesToCsv(result.samples)
+        : JSON.stringify(result, null, 2) + '\n';
+
+    if (options.out) {
+        fs.writeFileSync(path.resolve(options.out), output);
+    } else {
+        process.stdout.write(output);
+    }
+
+    if (options.replay && replay) {
+        fs.writeFileSync(path.resolve(options.replay), JSON.stringify(replay));
+    }
+
+    const { summary } = result;
+    console.error(
+        `[S] seed ${result.seed} | ${result.outcome} at ${summary.time}s | level ${summary.level}, ` +
+        `${summary.kills} kills, ${summary.bossesKilled} bosses | ${elapsed}s wall time`
+    );
+}
+
+main();
@@ -1,3 +1,6 @@
+// DEPRECATED: superseded by simulate_run.js, which runs the real game code.
+// This script hand-copies spawn/XP/boss constants and drifts from gameConstants.js;
+// kept only as a record of past tuning passes.
 
 const fs = require('fs');
 
@@ -0,0 +1,120 @@
+/**
+ * 🪐 BIOME DEFINITIONS
+ * Space environments a run moves through - the first entry is where every run
+ * starts and the next one takes over after each boss is defeated (looping).
+ *
+ * Properties:
+ * - id: Unique identifier
+ * - name: Display name (HUD, minimap, result screen)
+ * - description: Flavor / rules summary
+ * - accentColor: HUD and minimap label color
+ * - palette: CosmicBackground colors
+ *     bg, grid, gridHighlight - Canvas colors
+ *     stars                   - Star colors
+ *     shapes                  - Wireframe colors (rgba with 0.3 alpha)
+ *     shapeTypes              - Wireframes to float: 'cube' | 'pyramid' | 'octahedron'
+ * - enemyWeights: Spawn weight per enemy type (unlisted types weigh 1, 0 removes a type).
+ *   Only types EnemySpawner has already unlocked can spawn.
+ * - effects: Environmental rules, multipliers in the run modifier vocabulary
+ *   (see runModifiers.config.js) combined with any active run modifiers
+ * - hazards: Spawn frequency per HAZARD_DEFINITIONS type (unlisted types weigh 1,
+ *   2 spawns twice as often, 0 keeps the hazard out of the biome)
+ *
+ * Application:
+ * BiomeSystem tracks the current biome; GameManagerBridge rotates it in
+ * onBossDefeated() and folds its effects into getRunModifierMultiplier().
+ * HazardSystem paces each hazard by the current biome's weight.
+ */
+
+const BIOME_DEFINITIONS = [
+    {
+        id: 'neon_grid',
+        name: 'Neon Grid',
+        description: 'The familiar training lattice',
+        accentColor: '#00ff99',
+        palette: {
+            bg: '#000000',
+            grid: 'rgba(0, 255, 50, 0.08)',
+            gridHighlight: 'rgba(255, 0, 85, 0.15)',
+            stars: ['#00ff99', '#ff0055', '#ffcc00', '#00ff33'],
+            shapes: [
+                'rgba(0, 255, 153, 0.3)',
+                'rgba(255, 0, 85, 0.3)',
+                'rgba(255, 204, 0, 0.3)',
+                'rgba(0, 255, 51, 0.3)'
+            ],
+            shapeTypes: ['cube', 'pyramid', 'octahedron']
+        },
+        enemyWeights: {},
+        effects: {},
+        hazards: {}
+    },
+    {
+        id: 'crimson_nebula',
+        name: 'Crimson Nebula',
+        description: 'Charged dust speeds up everything that lives here and flares burn often',
+        accentColor: '#ff4466',
+        palette: {
+            bg: '#0a0003',
+            grid: 'rgba(255, 40, 80, 0.08)',
+            gridHighlight: 'rgba(255, 150, 0, 0.15)',
+            stars: ['#ff3355', '#ff8800', '#ffcc66', '#ff0066'],
+            shapes: [
+                'rgba(255, 51, 85, 0.3)',
+                'rgba(255, 136, 0, 0.3)',
+                'rgba(255, 0, 102, 0.3)'
+            ],
+            shapeTypes: ['pyramid', 'octahedron']
+        },
+        enemyWeights: { fast: 2, dasher: 2, berserker: 2, tank: 0.5 },
+        effects: { enemySpeed: 1.1 },
+        hazards: { solarFlare: 2, blackHole: 0 }
+    },
+    {
+        id: 'glacial_drift',
+        name: 'Glacial Drift',
+        description: 'Frozen debris armors the horde, chills your reactor and fills the field with asteroids',
+        accentColor: '#66ddff',
+        palette: {
+            bg: '#00050a',
+            grid: 'rgba(80, 200, 255, 0.08)',
+            gridHighlight: 'rgba(200, 240, 255, 0.15)',
+            stars: ['#66ddff', '#ffffff', '#99bbff', '#33aaff'],
+            shapes: [
+                'rgba(102, 221, 255, 0.3)',
+                'rgba(255, 255, 255, 0.3)',
+                'rgba(51, 170, 255, 0.3)'
+            ],
+            shapeTypes: ['cube', 'octahedron']
+        },
+        enemyWeights: { tank: 2, shielder: 2, fast: 0.5 },
+        effects: { enemyHealth: 1.15, enemySpeed: 0.9, playerRegeneration: 0.5 },
+        hazards: { asteroid: 2, solarFlare: 0 }
+    },
+    {
+        id: 'void_rift',
+        name: 'Void Rift',
+        description: 'Unstable space where elites, phase-shifters and black holes thrive',
+        accentColor: '#bb66ff',
+        palette: {
+            bg: '#050008',
+            grid: 'rgba(170, 80, 255, 0.08)',
+            gridHighlight: 'rgba(0, 255, 200, 0.15)',
+            stars: ['#bb66ff', '#00ffcc', '#ff66ff', '#6633ff'],
+            shapes: [
+                'rgba(187, 102, 255, 0.3)',
+                'rgba(0, 255, 204, 0.3)',
+                'rgba(255, 102, 255, 0.3)'
+            ],
+            shapeTypes: ['octahedron']
+        },
+        enemyWeights: { phantom: 2, teleporter: 2, summoner: 1.5 },
+        effects: { eliteChance: 1.5 },
+        hazards: { blackHole: 2, asteroid: 0.5, solarFlare: 0 }
+    }
+];
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.BIOME_DEFINITIONS = BIOME_DEFINITIONS;
+}
@@ -0,0 +1,109 @@
+/**
+ * 👑 BOSS ARCHETYPE DEFINITIONS
+ * Distinct bosses built on the single BossEnemy type, each with a scripted
+ * attack timeline per phase.
+ *
+ * Properties:
+ * - id: Unique identifier
+ * - name: Display name (boss warning, health bar)
+ * - firstAppearance: Earliest boss number (1 = first boss of the run) this archetype can be
+ * - color / radius: Visual overrides
+ * - healthMultiplier / damageMultiplier: Applied before DifficultyManager.scaleBoss()
+ * - speed: Movement speed; movementPattern: EnemyMovement pattern
+ * - phaseThresholds: Health fractions that start phases 2, 3, 4...
+ * - abilities: EnemyAbilities fields to set (minionTypes, minionCount, dashSpeed...)
+ * - phases: One entry per phase (phaseThresholds.length + 1)
+ *     attackCooldown - Seconds between steps unless a step sets its own cooldown
+ *     sequence       - Steps run in order, looping. Each step's `name` is an
+ *                      EnemyAbilities primitive:
+ *         basic                       aimed shot
+ *         spread   { projectiles, spreadDegrees }
+ *         circle   { projectiles, spin }   spin rotates the ring (degrees) on every use
+ *         random   { projectiles }
+ *         dash / teleport             mobility (needs canDash / canTeleport in abilities)
+ *         damageZone                  telegraphed hazard pattern
+ *         minions  { count }          summons from abilities.minionTypes
+ *
+ * Selection:
+ * EnemySpawner.spawnBoss() lists the archetypes whose firstAppearance has been reached and
+ * rotates through them by boss count, so the first bosses introduce each archetype in turn.
+ */
+
+const BOSS_DEFINITIONS = [
+    {
+        id: 'hive_carrier',
+        name: 'Hive Carrier',
+        firstAppearance: 1,
+        color: '#c0392b',
+        radius: 38,
+        healthMultiplier: 1.1,
+        damageMultiplier: 0.9,
+        speed: 60,
+        movementPattern: 'orbital',
+        phaseThresholds: [0.7, 0.4, 0.15],
+        abilities: {
+            minionTypes: ['basic', 'fast'],
+            minionCount: 3,
+            maxMinionsAlive: 12
+        },
+        phases: [
+            { attackCooldown: 2.0, sequence: [{ name: 'minions' }, { name: 'basic' }, { name: 'spread', projectiles: 3 }] },
+            { attackCooldown: 1.8, sequence: [{ name: 'minions' }, { name: 'spread', projectiles: 5 }, { name: 'damageZone' }] },
+            { attackCooldown: 1.5, sequence: [{ name: 'minions', count: 4 }, { name: 'circle', projectiles: 10 }, { name: 'damageZone' }] },
+            { attackCooldown: 1.2, sequence: [{ name: 'minions', count: 5 }, { name: 'circle', projectiles: 12 }, { name: 'spread', projectiles: 7 }] }
+        ]
+    },
+    {
+        id: 'bullet_spinner',
+        name: 'Helix Spinner',
+        firstAppearance: 2,
+        color: '#8e44ad',
+        radius: 34,
+        healthMultiplier: 0.9,
+        damageMultiplier: 0.8,
+        speed: 50,
+        movementPattern: 'circular',
+        phaseThresholds: [0.7, 0.4, 0.15],
+        abilities: {
+            projectileSpeed: 170
+        },
+        phases: [
+            { attackCooldown: 1.4, sequence: [{ name: 'circle', projectiles: 10, spin: 12 }, { name: 'spread', projectiles: 5 }] },
+            { attackCooldown: 1.0, sequence: [{ name: 'circle', projectiles: 12, spin: 15 }, { name: 'circle', projectiles: 12, spin: 15 }, { name: 'random', projectiles: 6 }] },
+            { attackCooldown: 0.8, sequence: [{ name: 'circle', projectiles: 14, spin: 18 }, { name: 'spread', projectiles: 7, spreadDegrees: 70 }] },
+            { attackCooldown: 0.6, sequence: [{ name: 'circle', projectiles: 16, spin: 22 }, { name: 'random', projectiles: 8 }, { name: 'circle', projectiles: 16, spin: 22 }] }
+        ]
+    },
+    {
+        id: 'phase_duelist',
+        name: 'Phase Duelist',
+        firstAppearance: 3,
+        color: '#16a085',
+        radius: 30,
+        healthMultiplier: 0.8,
+        damageMultiplier: 1.2,
+        speed: 110,
+        movementPattern: 'direct',
+        phaseThresholds: [0.7, 0.4, 0.15],
+        abilities: {
+            canDash: true,
+            dashCooldown: 2.5,
+            dashSpeed: 520,
+            canTeleport: true,
+            teleportCooldown: 3.0,
+            teleportRange: 160,
+            projectileSpeed: 260
+        },
+        phases: [
+            { attackCooldown: 1.6, sequence: [{ name: 'teleport' }, { name: 'spread', projectiles: 3, spreadDegrees: 30 }, { name: 'dash' }] },
+            { attackCooldown: 1.4, sequence: [{ name: 'teleport' }, { name: 'spread', projectiles: 5, spreadDegrees: 40 }, { name: 'dash' }, { name: 'basic', cooldown: 0.4 }] },
+            { attackCooldown: 1.2, sequence: [{ name: 'teleport', cooldown: 0.5 }, { name: 'circle', projectiles: 8 }, { name: 'dash' }, { name: 'damageZone' }] },
+            { attackCooldown: 0.9, sequence: [{ name: 'teleport', cooldown: 0.4 }, { name: 'spread', projectiles: 7, spreadDegrees: 50 }, { name: 'dash', cooldown: 0.5 }, { name: 'circle', projectiles: 10 }] }
+        ]
+    }
+];
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.BOSS_DEFINITIONS = BOSS_DEFINITIONS;
+}
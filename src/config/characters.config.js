@@ -9,6 +9,14 @@
  *         ids: ['achievement_id'],
  *         hint: 'UI hint text shown when locked'
  *     }
+ *   Lifetime progress types (see CharacterMastery.getRequirementProgress):
+ *     { type: 'stars', count }                   - star tokens earned
+ *     { type: 'bossesKilled', count }            - bosses defeated
+ *     { type: 'mastery', characterId, level }    - another pilot's mastery level
+ * - mastery (optional): { rewards: [...] } unlocked by mastery level (GAME_CONSTANTS.MASTERY)
+ *     { level, type: 'palette', id, name, core, glow }  - selectable colours
+ *     { level, type: 'startingUpgrade', upgradeId }     - selectable upgrade granted at run start
+ *     { level, type: 'perk', name, description, modifiers } - always on; same modifiers schema
  * - stats: {
  *     healthMultiplier,
  *     flatHealth,
@@ -87,6 +95,23 @@ const CHARACTER_DEFINITIONS = [
         },
         // Build path preferences - these paths get +40% weight bonus for this character
         preferredBuildPaths: ['support', 'core'],
+        mastery: {
+            rewards: [
+                { level: 1, type: 'palette', id: 'aegis_gilded', name: 'Gilded Bulwark', core: '#d4a017', glow: '#fff3b0' },
+                { level: 2, type: 'startingUpgrade', upgradeId: 'max_health_1' },
+                { level: 3, type: 'palette', id: 'aegis_obsidian', name: 'Obsidian Ward', core: '#2f4f4f', glow: '#9ad0c2' },
+                { level: 4, type: 'startingUpgrade', upgradeId: 'damage_reduction_1' },
+                {
+                    level: 5,
+                    type: 'perk',
+                    name: 'Bulwark Core',
+                    description: '+5% armor and +1 HP/s regeneration',
+                    modifiers: {
+                        stats: { damageReduction: 0.05, regeneration: 1 }
+                    }
+                }
+            ]
+        },
         flavor: '"They break against my shields. Every. Single. Time."'
     },
     {
@@ -124,6 +149,24 @@ const CHARACTER_DEFINITIONS = [
             ids: ['split_shot_specialist'],
             hint: 'Keep drafting Split Shot until the Corsair answers the call.'
         },
+        mastery: {
+            rewards: [
+                { level: 1, type: 'palette', id: 'corsair_sunset', name: 'Sunset Raider', core: '#ff8c00', glow: '#ffe066' },
+                { level: 2, type: 'startingUpgrade', upgradeId: 'multi_shot_1' },
+                { level: 3, type: 'palette', id: 'corsair_ion', name: 'Ion Wake', core: '#1e90ff', glow: '#aee7ff' },
+                { level: 4, type: 'startingUpgrade', upgradeId: 'explosive_shots_1' },
+                {
+                    level: 5,
+                    type: 'perk',
+                    name: 'Afterburner',
+                    description: '15% faster dodge and +5% damage',
+                    modifiers: {
+                        combat: { attackDamageMultiplier: 1.05 },
+                        movement: { dodgeCooldownMultiplier: 0.85 }
+                    }
+                }
+            ]
+        },
         flavor: '"If you\'re not inside their formation, you\'re doing it wrong."'
     },
     {
@@ -165,6 +208,23 @@ const CHARACTER_DEFINITIONS = [
             ids: ['storm_surge'],
             hint: 'Unleash the Storm Surge achievement to access this adept.'
         },
+        mastery: {
+            rewards: [
+                { level: 1, type: 'palette', id: 'storm_thunderhead', name: 'Thunderhead', core: '#4169e1', glow: '#b0c4ff' },
+                { level: 2, type: 'startingUpgrade', upgradeId: 'static_shock_1' },
+                { level: 3, type: 'palette', id: 'storm_aurora', name: 'Aurora Coil', core: '#20b2aa', glow: '#b4ffe6' },
+                { level: 4, type: 'startingUpgrade', upgradeId: 'attack_speed_1' },
+                {
+                    level: 5,
+                    type: 'perk',
+                    name: 'Overcharged Coils',
+                    description: '+8% attack speed and +3% crit chance',
+                    modifiers: {
+                        combat: { attackSpeedMultiplier: 1.08, critChanceBonus: 0.03 }
+                    }
+                }
+            ]
+        },
         flavor: '"The void hums with resonance—listen, and strike."'
     },
     {
@@ -209,6 +269,24 @@ const CHARACTER_DEFINITIONS = [
             ids: ['orbital_master'],
             hint: 'Command five orbitals at once to unlock the Architect.'
         },
+        mastery: {
+            rewards: [
+                { level: 1, type: 'palette', id: 'nexus_prism', name: 'Prism Lattice', core: '#da70d6', glow: '#ffd1ff' },
+                { level: 2, type: 'startingUpgrade', upgradeId: 'orbit_attack_1' },
+                { level: 3, type: 'palette', id: 'nexus_solar', name: 'Solar Array', core: '#ffa500', glow: '#fff0b3' },
+                { level: 4, type: 'startingUpgrade', upgradeId: 'magnet_1' },
+                {
+                    level: 5,
+                    type: 'perk',
+                    name: 'Stable Lattice',
+                    description: '+10% max hull and +40 pickup range',
+                    modifiers: {
+                        stats: { healthMultiplier: 1.1 },
+                        movement: { magnetRangeBonus: 40 }
+                    }
+                }
+            ]
+        },
         flavor: '"Precision is not perfection. It is the path to it."'
     },
     {
@@ -260,6 +338,23 @@ const CHARACTER_DEFINITIONS = [
             ids: ['grim_harvest'], // Reuse existing ID for now to keep unlock logic simple
             hint: 'Survive the firestorm to unlock the Juggernaut.'
         },
+        mastery: {
+            rewards: [
+                { level: 1, type: 'palette', id: 'inferno_ashen', name: 'Ashen Plate', core: '#696969', glow: '#ffb347' },
+                { level: 2, type: 'startingUpgrade', upgradeId: 'pyromancy_1' },
+                { level: 3, type: 'palette', id: 'inferno_bluefire', name: 'Blue Flame', core: '#1f75fe', glow: '#9fd8ff' },
+                { level: 4, type: 'startingUpgrade', upgradeId: 'explosive_shots_1' },
+                {
+                    level: 5,
+                    type: 'perk',
+                    name: 'Molten Plating',
+                    description: '+25 max hull and +4% armor',
+                    modifiers: {
+                        stats: { flatHealth: 25, damageReduction: 0.04 }
+                    }
+                }
+            ]
+        },
         flavor: '"I don\'t just set the world on fire. I AM the fire."'
     },
     {
@@ -299,6 +394,23 @@ const CHARACTER_DEFINITIONS = [
             ids: ['crimson_pact'],
             hint: 'Embrace the blood pact: heal 1000 HP via lifesteal to awaken the Reaver.'
         },
+        mastery: {
+            rewards: [
+                { level: 1, type: 'palette', id: 'reaver_nightshade', name: 'Nightshade', core: '#4b0082', glow: '#d8a8ff' },
+                { level: 2, type: 'startingUpgrade', upgradeId: 'lifesteal_1' },
+                { level: 3, type: 'palette', id: 'reaver_bone', name: 'Bone White', core: '#f5f5dc', glow: '#ff6b6b' },
+                { level: 4, type: 'startingUpgrade', upgradeId: 'regeneration_1' },
+                {
+                    level: 5,
+                    type: 'perk',
+                    name: 'Blood Bank',
+                    description: '+3% lifesteal and +5% max hull',
+                    modifiers: {
+                        stats: { lifesteal: 0.03, healthMultiplier: 1.05 }
+                    }
+                }
+            ]
+        },
         flavor: '"Every drop spilled is a gift. Every wound dealt, a feast."'
     },
     {
@@ -346,6 +458,24 @@ const CHARACTER_DEFINITIONS = [
             ids: ['event_horizon'],
             hint: 'Cross the Event Horizon achievement to harness the void.'
         },
+        mastery: {
+            rewards: [
+                { level: 1, type: 'palette', id: 'void_quasar', name: 'Quasar Shell', core: '#191970', glow: '#7df9ff' },
+                { level: 2, type: 'startingUpgrade', upgradeId: 'gravity_well_focus' },
+                { level: 3, type: 'palette', id: 'void_eclipse', name: 'Eclipse', core: '#111111', glow: '#ffcc66' },
+                { level: 4, type: 'startingUpgrade', upgradeId: 'damage_reduction_1' },
+                {
+                    level: 5,
+                    type: 'perk',
+                    name: 'Event Anchor',
+                    description: '+8% damage and +5% thruster speed',
+                    modifiers: {
+                        combat: { attackDamageMultiplier: 1.08 },
+                        movement: { speedMultiplier: 1.05 }
+                    }
+                }
+            ]
+        },
         flavor: '"Gravity is not a force. It is a conversation—and I control the dialogue."'
     },
     {
@@ -393,6 +523,24 @@ const CHARACTER_DEFINITIONS = [
             ids: ['ricochet_rampage'],
             hint: 'Master the art of ricochets to summon the Phantom.'
         },
+        mastery: {
+            rewards: [
+                { level: 1, type: 'palette', id: 'phantom_wraith', name: 'Wraith Grey', core: '#708090', glow: '#e0ffff' },
+                { level: 2, type: 'startingUpgrade', upgradeId: 'ricochet_1' },
+                { level: 3, type: 'palette', id: 'phantom_venom', name: 'Venom Green', core: '#228b22', glow: '#adff2f' },
+                { level: 4, type: 'startingUpgrade', upgradeId: 'critical_strike_1' },
+                {
+                    level: 5,
+                    type: 'perk',
+                    name: 'Ghost Step',
+                    description: '15% faster dodge and +4% crit chance',
+                    modifiers: {
+                        combat: { critChanceBonus: 0.04 },
+                        movement: { dodgeCooldownMultiplier: 0.85 }
+                    }
+                }
+            ]
+        },
         flavor: '"They never see the second shot coming—or the third."'
     },
     {
@@ -438,6 +586,24 @@ const CHARACTER_DEFINITIONS = [
             ids: ['edge_walker'],
             hint: 'Live on the edge—survive at 50% health or less to unlock.'
         },
+        mastery: {
+            rewards: [
+                { level: 1, type: 'palette', id: 'berserker_chrome', name: 'Chrome Frame', core: '#c0c0c0', glow: '#ff4040' },
+                { level: 2, type: 'startingUpgrade', upgradeId: 'critical_strike_1' },
+                { level: 3, type: 'palette', id: 'berserker_hazard', name: 'Hazard Stripe', core: '#ffd700', glow: '#ff8c00' },
+                { level: 4, type: 'startingUpgrade', upgradeId: 'attack_speed_1' },
+                {
+                    level: 5,
+                    type: 'perk',
+                    name: 'Redline',
+                    description: '+6% attack speed and +2% lifesteal',
+                    modifiers: {
+                        stats: { lifesteal: 0.02 },
+                        combat: { attackSpeedMultiplier: 1.06 }
+                    }
+                }
+            ]
+        },
         flavor: '"Pain is just data. And the data says I\'m winning."'
     }
 ];
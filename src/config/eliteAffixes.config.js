@@ -0,0 +1,82 @@
+/**
+ * 👑 ELITE AFFIX DEFINITIONS
+ * Named modifiers rolled onto elite enemies (EnemySpawner.makeElite).
+ * Each elite rolls between GAME_CONSTANTS.ENEMIES.ELITE_AFFIX_MIN and
+ * ELITE_AFFIX_MAX distinct affixes; EliteAffixes applies and runs them.
+ *
+ * Shared properties:
+ * - id: Unique identifier
+ * - name: Label shown above the elite's health bar
+ * - color: Label color
+ * - description: Tooltip/debug text
+ * - excludes: Enemy types that never roll this affix (they already have it, or it clashes)
+ * - abilitiesFrom: Enemy type whose configureAbilities() is borrowed (EnemyTypeRegistry key)
+ *
+ * Affix-specific properties:
+ * - lifesteal: Fraction of contact damage dealt to the player healed back (vampiric)
+ * - minDistance: Only blinks toward a player at least this far away (teleporting)
+ * - splitCount / splitType: Children spawned on death (splitting)
+ * - radius / slowAmount: Aura size and player speed reduction while inside it (frost_aura)
+ * - reflectFraction / reflectCooldown: Share of damage taken sent back to the player, and seconds between reflections (reflective)
+ */
+
+const ELITE_AFFIX_DEFINITIONS = [
+    {
+        id: 'vampiric',
+        name: 'Vampiric',
+        color: '#c0392b',
+        description: 'Heals for half the damage it deals on contact',
+        excludes: [],
+        lifesteal: 0.5
+    },
+    {
+        id: 'shielded',
+        name: 'Shielded',
+        color: '#3498db',
+        description: 'Raises a Shielder barrier that reflects incoming hits',
+        excludes: ['shielder'],
+        abilitiesFrom: 'shielder'
+    },
+    {
+        id: 'teleporting',
+        name: 'Teleporting',
+        color: '#9b59b6',
+        description: 'Blinks next to players who keep their distance',
+        excludes: ['teleporter'],
+        abilitiesFrom: 'teleporter',
+        minDistance: 260
+    },
+    {
+        id: 'splitting',
+        name: 'Splitting',
+        color: '#2ecc71',
+        description: 'Bursts into smaller enemies on death',
+        excludes: ['splitter', 'exploder'],
+        abilitiesFrom: 'splitter',
+        splitCount: 2,
+        splitType: 'fast'
+    },
+    {
+        id: 'frost_aura',
+        name: 'Frost Aura',
+        color: '#74d7ff',
+        description: 'Slows the player while they stand close',
+        excludes: [],
+        radius: 140,
+        slowAmount: 0.3
+    },
+    {
+        id: 'reflective',
+        name: 'Reflective',
+        color: '#ecf0f1',
+        description: 'Returns part of the damage it takes to the player',
+        excludes: [],
+        reflectFraction: 0.2,
+        reflectCooldown: 0.25
+    }
+];
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.ELITE_AFFIX_DEFINITIONS = ELITE_AFFIX_DEFINITIONS;
+}
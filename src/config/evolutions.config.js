@@ -0,0 +1,51 @@
+/**
+ * 🧬 WEAPON EVOLUTION DEFINITIONS
+ * A weapon at max level (GAME_CONSTANTS.WEAPONS.MAX_LEVEL) plus a specific passive
+ * upgrade evolves into a stronger weapon.
+ *
+ * Properties:
+ * - id: Unique identifier (used for the evolution card and run stats)
+ * - weaponId: Weapon that evolves (must be equipped at max level)
+ * - requiresUpgrade: Passive from UPGRADE_DEFINITIONS that must have been picked this run
+ * - evolvedWeaponId: Replacement weapon in WEAPON_DEFINITIONS (keeps the same slot)
+ * - name: Display name for the evolution card
+ * - description: What changes
+ * - icon: Emoji icon
+ *
+ * Once both conditions hold, UpgradeSystem always includes the evolution card in the
+ * next level-up offer.
+ */
+
+const WEAPON_EVOLUTION_DEFINITIONS = [
+    {
+        id: 'evolve_tempest_arc',
+        weaponId: 'arc_burst',
+        requiresUpgrade: 'chain_lightning_3',
+        evolvedWeaponId: 'tempest_arc',
+        name: 'Evolution: Tempest Arc',
+        description: 'Arc Burst + Storm Chains: every bolt chains and homes in on the next target',
+        icon: '🌩'
+    },
+    {
+        id: 'evolve_supernova_blaster',
+        weaponId: 'nova_shotgun',
+        requiresUpgrade: 'explosive_shots_3',
+        evolvedWeaponId: 'supernova_blaster',
+        name: 'Evolution: Supernova Blaster',
+        description: 'Nova Shotgun + Devastating Blasts: a wider cone of pellets that all explode',
+        icon: '💥'
+    },
+    {
+        id: 'evolve_pulsar_cannon',
+        weaponId: 'pulse_cannon',
+        requiresUpgrade: 'ricochet_2',
+        evolvedWeaponId: 'pulsar_cannon',
+        name: 'Evolution: Pulsar Cannon',
+        description: 'Pulse Cannon + Multi-Bounce: piercing pulses that always ricochet',
+        icon: '✴'
+    }
+];
+
+if (typeof window !== 'undefined') {
+    window.WEAPON_EVOLUTION_DEFINITIONS = WEAPON_EVOLUTION_DEFINITIONS;
+}
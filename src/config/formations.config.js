@@ -343,7 +343,7 @@
 
             // Weighted random selection
             const totalWeight = available.reduce((sum, config) => sum + config.spawnWeight, 0);
-            let random = Math.random() * totalWeight;
+            let random = (window.Game?.rng?.next() ?? Math.random()) * totalWeight;
 
             for (const config of available) {
                 random -= config.spawnWeight;
@@ -366,8 +366,8 @@
             // Spawn formations further out than individual enemies
             const minDistance = 400;
             const maxDistance = 600;
-            const distance = minDistance + Math.random() * (maxDistance - minDistance);
-            const angle = Math.random() * Math.PI * 2;
+            const distance = minDistance + (window.Game?.rng?.next() ?? Math.random()) * (maxDistance - minDistance);
+            const angle = (window.Game?.rng?.next() ?? Math.random()) * Math.PI * 2;
 
             return {
                 x: player.x + Math.cos(angle) * distance,
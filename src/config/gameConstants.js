@@ -124,7 +124,19 @@
             BOSS_PROGRESSIVE_REDUCTION: 6,
             ELITE_CHANCE_BASE: 0.06,
             ELITE_HEALTH_MULTIPLIER: 2.5,
-            ELITE_DAMAGE_MULTIPLIER: 1.5
+            ELITE_DAMAGE_MULTIPLIER: 1.5,
+            ELITE_AFFIX_MIN: 1,
+            ELITE_AFFIX_MAX: 3,
+            ELITE_AFFIX_BONUS_XP: 0.5 // Bonus XP orb per affix, as a share of the elite's XP value
+        },
+
+        // Item drops beyond XP orbs (kinds and weights in pickups.config.js)
+        PICKUPS: {
+            ELITE_DROP_CHANCE: 0.35,
+            DESTRUCTIBLE_DROP_CHANCE: 0.2,
+            BOSS_STAR_SHARDS: 3,            // Shards scattered around every boss chest
+            POOL_SIZE: 50,
+            VACUUM_SPEED: 900               // Magnet Burst orb speed (px/s)
         },
 
         // Boss System (Enhanced)
@@ -171,6 +183,117 @@
             PERFECT_KILL_XP_BONUS: 1.5      // 50% bonus XP for perfect kills
         },
 
+        // Boss Rush Mode (bosses back-to-back, no regular spawning)
+        BOSS_RUSH: {
+            BOSS_COUNT: 4,                  // Run is won when this many bosses fall (last one is mega)
+            FIRST_BOSS_DELAY: 3,            // Seconds before the first boss arrives
+            STARTING_LEVELS: 3,             // Free level-ups before the first boss
+            INTERMISSION: 8,                // Seconds between a boss kill and the next spawn
+            INTERMISSION_LEVELS: 2,         // Free level-ups granted after each boss
+
+            // Star tokens (replaces the normal +1 per boss)
+            STAR_REWARDS: {
+                PER_BOSS: [2, 3, 4, 6],     // By boss number; last entry repeats
+                FAST_SPLIT_SECONDS: 20,     // Kill within this many seconds of the spawn...
+                FAST_SPLIT_BONUS: 1,        // ...for a bonus star
+                CLEAR_BONUS: 10             // Awarded when every boss is down
+            }
+        },
+
+        // Daily Challenge (seed, character and modifiers derived from the local date)
+        DAILY_CHALLENGE: {
+            MIN_MODIFIERS: 1,
+            MAX_MODIFIERS: 2,
+            HISTORY_DAYS: 60                // Best results kept per date
+        },
+
+        // Heat curses (src/systems/HeatSystem.js) - run modifiers with `heat` points
+        HEAT: {
+            STAR_BONUS_PER_HEAT: 0.1,       // Star tokens earned x (1 + heat * bonus)
+            XP_ORB_DECAY_INTERVAL: 10,      // Seconds for one xpOrbDecay step
+            XP_ORB_MIN_VALUE_RATIO: 0.25    // Decaying orbs vanish below this share of their XP
+        },
+
+        // Character mastery (src/systems/CharacterMastery.js)
+        MASTERY: {
+            // XP per run = minutes * PER_MINUTE + kills * PER_KILL + bosses * PER_BOSS + level * PER_LEVEL (+ VICTORY_BONUS)
+            XP: {
+                PER_MINUTE: 10,
+                PER_KILL: 0.1,
+                PER_BOSS: 40,
+                PER_LEVEL: 2,
+                VICTORY_BONUS: 100
+            },
+            LEVEL_XP: [100, 300, 600, 1000, 1500] // Total XP for mastery levels 1-5
+        },
+
+        // Run timeline graph on the result screen (StatsManager samples)
+        STATS_TIMELINE: {
+            SAMPLE_INTERVAL: 5,             // Seconds between samples
+            MAX_SAMPLES: 360                // Past this, samples are thinned and the interval doubles
+        },
+
+        // Local run history / leaderboard
+        RUN_HISTORY: {
+            MAX_ENTRIES: 100,               // Oldest runs are dropped past this
+            // Score = time * PER_SECOND + kills * PER_KILL + ... (keep stable so old runs stay comparable)
+            SCORE: {
+                PER_SECOND: 10,
+                PER_KILL: 1,
+                PER_BOSS: 500,
+                PER_LEVEL: 25,
+                VICTORY_BONUS: 5000
+            }
+        },
+
+        // Touch controls (virtual joystick sizes scale with the canvas)
+        TOUCH: {
+            JOYSTICK_RADIUS_RATIO: 0.12,    // Of the shorter canvas side
+            JOYSTICK_MIN_RADIUS: 40,        // px
+            JOYSTICK_MAX_RADIUS: 80,        // px
+            JOYSTICK_DEADZONE: 0.15,        // Fraction of the radius
+            TAP_SLOP: 12                    // px a tap may move and still select a card
+        },
+
+        // Weapon slots (extra weapons fire alongside the signature weapon)
+        WEAPONS: {
+            MAX_SLOTS: 4,                   // Including the starting weapon
+            MAX_LEVEL: 5,
+            LEVEL_DAMAGE_BONUS: 0.15,       // Per level above 1
+            LEVEL_FIRE_RATE_BONUS: 0.08,    // Per level above 1
+            SECONDARY_MIN_COOLDOWN: 2       // Seconds; floor for secondary cooldown upgrades
+        },
+
+        // Weapon targeting strategies (WEAPON_DEFINITIONS[].targeting) and manual aim
+        TARGETING: {
+            CLUSTER_RADIUS: 120,            // px; neighbours counted by densest_cluster
+            MAX_CLUSTER_CANDIDATES: 60,     // Nearest enemies densest_cluster compares
+            FORWARD_CONE_DEGREES: 70,       // Full width of the forward_cone
+            AIM_STICK_DEADZONE: 0.3         // Right stick magnitude before it takes over aim
+        },
+
+        // Level-up screen charges (meta upgrades add one per level on top of these)
+        LEVEL_UP: {
+            BASE_REROLLS: 0,
+            BASE_BANISHES: 0,
+            BASE_SKIPS: 0,
+            SKIP_XP_SHARE: 0.25,            // Of the next level's XP requirement
+            SKIP_STAR_TOKENS: 1             // Paid instead of XP with Stellar Salvage
+        },
+
+        // Enemy status effects (freeze / stun / weaken; burn tuning lives on the upgrades)
+        STATUS_EFFECTS: {
+            FREEZE_MAX_STACKS: 3,
+            FREEZE_MAX_SLOW: 0.75,          // Movement/attack speed lost at full stacks
+            WEAKEN_MAX_STACKS: 3,
+            WEAKEN_MAX_BONUS: 0.5,          // Extra damage taken at full stacks
+            STUN_IMMUNITY: 1.0,             // Seconds an enemy can't be re-stunned after a stun ends
+            BOSS_SLOW_SCALE: 0.5,           // Bosses feel half the slow
+            BOSS_DIMINISHING_RETURNS: 0.5,  // Each repeat freeze/stun on a boss lasts this fraction of the last
+            BOSS_DR_MAX_APPLICATIONS: 3,    // Boss is immune after this many until the window resets
+            BOSS_DR_RESET: 8.0              // Seconds without freeze/stun before boss returns reset
+        },
+
         // Difficulty Scaling
         DIFFICULTY: {
             BASE_FACTOR: 1.0,
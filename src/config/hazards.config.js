@@ -0,0 +1,74 @@
+/**
+ * ☄️ ARENA HAZARD DEFINITIONS
+ * Environmental objects HazardSystem drops into the arena around the player.
+ *
+ * Shared properties:
+ * - name: Display name
+ * - startTime: Seconds into the run before this hazard starts appearing
+ * - interval: Seconds between spawn attempts
+ * - maxActive: Spawn attempts are skipped while this many are alive
+ * - spawnDistance: [min, max] distance from the player to spawn at
+ * - despawnDistance: Hazards left this far behind the player are removed
+ *
+ * asteroid - Solid 'obstacle' entity; blocks movement and projectiles, destroyed by player shots
+ *     radius            - [min, max]
+ *     healthPerRadius   - Health = radius * healthPerRadius
+ *     xpValue           - XP orb dropped when destroyed (0 for none)
+ *
+ * blackHole - Drifting GravityWell that pulls enemies and the player toward its core
+ *     radius / duration / pullStrength / slowAmount - GravityWell settings
+ *     driftSpeed        - Pixels per second, aimed roughly at the player's position on spawn
+ *     playerPull        - Fraction of the enemy pull applied to the player
+ *
+ * solarFlare - Volley of telegraphed DamageZones ('solar' type) that burn player and enemies alike
+ *     count             - Flares per volley
+ *     spread            - Flares land within this distance of the player
+ *     radius / duration - DamageZone settings
+ *     warning           - Telegraph seconds before each flare ignites
+ *     damage            - Damage per second
+ */
+
+const HAZARD_DEFINITIONS = {
+    asteroid: {
+        name: 'Asteroid',
+        startTime: 0,
+        interval: 6,
+        maxActive: 8,
+        spawnDistance: [700, 1100],
+        despawnDistance: 2200,
+        radius: [28, 56],
+        healthPerRadius: 4,
+        xpValue: 10
+    },
+    blackHole: {
+        name: 'Black Hole',
+        startTime: 120,
+        interval: 45,
+        maxActive: 1,
+        spawnDistance: [550, 800],
+        despawnDistance: 2200,
+        radius: 180,
+        duration: 18,
+        pullStrength: 0.35,
+        slowAmount: 0.3,
+        driftSpeed: 35,
+        playerPull: 0.6
+    },
+    solarFlare: {
+        name: 'Solar Flare',
+        startTime: 60,
+        interval: 20,
+        maxActive: 3,
+        count: 3,
+        spread: 220,
+        radius: 90,
+        duration: 3,
+        warning: 1.5,
+        damage: 12
+    }
+};
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.HAZARD_DEFINITIONS = HAZARD_DEFINITIONS;
+}
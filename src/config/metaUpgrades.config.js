@@ -13,7 +13,8 @@
  *
  * Application:
  * These upgrades are applied at game start in bootstrap.js
- * through the applyMetaUpgrades() function
+ * through the applyMetaUpgrades() function. Level-up charges (reroll, banish,
+ * skip, salvage) are read by UpgradeSystem when a run starts.
  */
 
 const META_UPGRADE_DEFINITIONS = [
@@ -61,6 +62,42 @@ const META_UPGRADE_DEFINITIONS = [
         maxLevel: 2,
         icon: '*',
         effect: 'Improved chain lightning'
+    },
+    {
+        id: 'upgrade_reroll',
+        name: 'Probability Engine',
+        description: '+1 upgrade reroll per run',
+        cost: 6,
+        maxLevel: 3,
+        icon: '~',
+        effect: 'Level-up reroll charges'
+    },
+    {
+        id: 'upgrade_banish',
+        name: 'Exile Protocol',
+        description: '+1 upgrade banish per run',
+        cost: 7,
+        maxLevel: 3,
+        icon: 'X',
+        effect: 'Level-up banish charges'
+    },
+    {
+        id: 'upgrade_skip',
+        name: 'Jettison Bay',
+        description: '+1 level-up skip per run (skips pay out XP)',
+        cost: 4,
+        maxLevel: 3,
+        icon: '>>',
+        effect: 'Level-up skip charges'
+    },
+    {
+        id: 'skip_salvage',
+        name: 'Stellar Salvage',
+        description: 'Skipped level-ups pay a star token instead of XP',
+        cost: 15,
+        maxLevel: 1,
+        icon: '$',
+        effect: 'Skips convert into star tokens'
     }
 ];
 
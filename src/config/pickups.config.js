@@ -0,0 +1,81 @@
+/**
+ * 🎁 PICKUP DEFINITIONS
+ * Item drops beyond XP orbs. PickupSystem rolls them when elites, bosses and
+ * destructible hazards die; GameEngine.spawnPickup() pools the Pickup entities.
+ *
+ * Shared properties:
+ * - name: Floating text shown on collection
+ * - icon: Glyph drawn on the pickup
+ * - color: Pickup and minimap marker color
+ * - radius: Collision radius
+ * - lifetime: Seconds before an uncollected pickup despawns (0 = never)
+ * - drops: Weight per drop source ('elite', 'destructible'); chances live in GAME_CONSTANTS.PICKUPS
+ *
+ * Kind-specific properties:
+ * - healPercent: Share of max health restored (health)
+ * - duration / damageMultiplier: Timed power-up length and strength (doubleDamage, invulnerability)
+ * - shardsPerToken: Shards needed for one star token (starShard)
+ * - rewards: Upgrades granted at once by the reward screen (bossChest)
+ */
+
+const PICKUP_DEFINITIONS = {
+    health: {
+        name: 'Health Pack',
+        icon: '+',
+        color: '#e74c3c',
+        radius: 11,
+        lifetime: 30,
+        drops: { elite: 4, destructible: 3 },
+        healPercent: 0.25
+    },
+    magnet: {
+        name: 'Magnet Burst',
+        icon: 'U',
+        color: '#3498db',
+        radius: 11,
+        lifetime: 30,
+        drops: { elite: 3, destructible: 2 }
+    },
+    doubleDamage: {
+        name: 'Double Damage',
+        icon: 'x2',
+        color: '#e67e22',
+        radius: 11,
+        lifetime: 20,
+        drops: { elite: 2 },
+        duration: 10,
+        damageMultiplier: 2
+    },
+    invulnerability: {
+        name: 'Invulnerable',
+        icon: '!',
+        color: '#f1c40f',
+        radius: 11,
+        lifetime: 20,
+        drops: { elite: 1 },
+        duration: 5
+    },
+    starShard: {
+        name: 'Star Shard',
+        icon: '*',
+        color: '#b37dff',
+        radius: 9,
+        lifetime: 40,
+        drops: { elite: 2, destructible: 1 },
+        shardsPerToken: 3
+    },
+    bossChest: {
+        name: 'Boss Chest',
+        icon: '$',
+        color: '#f39c12',
+        radius: 18,
+        lifetime: 0,
+        drops: {},
+        rewards: 3
+    }
+};
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.PICKUP_DEFINITIONS = PICKUP_DEFINITIONS;
+}
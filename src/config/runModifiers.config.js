@@ -0,0 +1,113 @@
+/**
+ * ☄ RUN MODIFIER DEFINITIONS
+ * Rule changes applied to a whole run. Daily challenges pick from the
+ * entries without heat; entries with heat are the curses the Heat panel
+ * toggles (kept separate so daily rules and rewards stay unchanged)
+ *
+ * Properties:
+ * - id: Unique identifier (stored in replays and daily results)
+ * - name: Display name
+ * - description: What the modifier does
+ * - icon: Emoji icon
+ * - heat: Heat points added when active (total heat multiplies star tokens);
+ *         marks the entry as a Heat curse
+ * - effects: Multipliers keyed by effect; stacked modifiers multiply together
+ *     eliteChance        - EnemySpawner elite roll
+ *     playerRegeneration - PlayerStats passive regeneration
+ *     enemySpeed         - DifficultyManager.scaleEnemy speed
+ *     enemyHealth        - DifficultyManager.scaleEnemy health
+ *     bossEnrage         - DifficultyManager.scaleBoss phase thresholds (bosses
+ *                          reach their later phases at higher health)
+ *     xpOrbDecay         - XP orb value kept per GAME_CONSTANTS.HEAT.XP_ORB_DECAY_INTERVAL
+ *
+ * Application:
+ * GameManagerBridge combines the active modifiers at run start; systems read
+ * them through gameManager.getRunModifierMultiplier(effect).
+ */
+
+const RUN_MODIFIER_DEFINITIONS = [
+    // Daily challenge modifiers
+    {
+        id: 'elite_surge',
+        name: 'Elite Surge',
+        description: 'Elites appear twice as often',
+        icon: '♛',
+        effects: { eliteChance: 2 }
+    },
+    {
+        id: 'no_regeneration',
+        name: 'Dry Reactor',
+        description: 'Passive health regeneration is disabled',
+        icon: '⊘',
+        effects: { playerRegeneration: 0 }
+    },
+    {
+        id: 'swift_swarm',
+        name: 'Swift Swarm',
+        description: 'Enemies move 25% faster',
+        icon: '»',
+        effects: { enemySpeed: 1.25 }
+    },
+    {
+        id: 'armored_horde',
+        name: 'Armored Horde',
+        description: 'Enemies have 30% more health',
+        icon: '▣',
+        effects: { enemyHealth: 1.3 }
+    },
+
+    // Heat curses
+    {
+        id: 'curse_elite_surge',
+        name: 'Elite Surge',
+        description: 'Elites appear twice as often',
+        icon: '♛',
+        heat: 2,
+        effects: { eliteChance: 2 }
+    },
+    {
+        id: 'curse_no_regeneration',
+        name: 'Dry Reactor',
+        description: 'Passive health regeneration is disabled',
+        icon: '⊘',
+        heat: 2,
+        effects: { playerRegeneration: 0 }
+    },
+    {
+        id: 'curse_swift_swarm',
+        name: 'Swift Swarm',
+        description: 'Enemies move 30% faster',
+        icon: '»',
+        heat: 2,
+        effects: { enemySpeed: 1.3 }
+    },
+    {
+        id: 'curse_armored_horde',
+        name: 'Armored Horde',
+        description: 'Enemies have 30% more health',
+        icon: '▣',
+        heat: 2,
+        effects: { enemyHealth: 1.3 }
+    },
+    {
+        id: 'curse_boss_enrage',
+        name: 'Wrathful Titans',
+        description: 'Bosses enrage faster',
+        icon: '♨',
+        heat: 1,
+        effects: { bossEnrage: 1.3 }
+    },
+    {
+        id: 'curse_xp_decay',
+        name: 'Fading Essence',
+        description: 'XP orbs lose value and vanish if left on the ground',
+        icon: '◌',
+        heat: 1,
+        effects: { xpOrbDecay: 0.7 }
+    }
+];
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.RUN_MODIFIER_DEFINITIONS = RUN_MODIFIER_DEFINITIONS;
+}
@@ -14,6 +14,11 @@
  * - magnet: XP attraction range
  * - regeneration: Health regeneration per second
  * - damageReduction: Percentage damage reduction
+ * - burn / burnDamage: Burning damage over time
+ * - freeze: Chance to slow enemies on hit (stacks up to 3)
+ * - shock: Chance to stun and weaken enemies on hit
+ * - secondaryCooldown / secondaryPower: Weapon secondary cooldown multiplier / strength
+ *   (requiresSecondary: only offered while an equipped weapon has a secondary)
  *
  * Rarity Levels: common, uncommon, rare, epic
  * Build Paths: core, chain, orbit, ricochet, explosive, support
@@ -666,6 +671,58 @@ const UPGRADE_DEFINITIONS = [
         buildPath: 'explosive',
         specialEffect: 'burn_intensify'
     },
+    {
+        id: 'cryo_rounds_1',
+        name: 'Cryo Rounds',
+        description: '25% chance to chill enemies, slowing them by 30% for 2s (stacks)',
+        type: 'freeze',
+        freezeChance: 0.25,
+        freezeSlow: 0.3,
+        freezeDuration: 2.0,
+        icon: "❄",
+        rarity: 'uncommon',
+        buildPath: 'support'
+    },
+    {
+        id: 'cryo_rounds_2',
+        name: 'Deep Freeze',
+        description: 'Chill chance +20%, slow +10% and lasts 1 second longer',
+        type: 'freeze',
+        chanceBonus: 0.2,
+        slowBonus: 0.1,
+        durationBonus: 1.0,
+        icon: "❄❄",
+        rarity: 'rare',
+        requires: ['cryo_rounds_1'],
+        buildPath: 'support'
+    },
+    {
+        id: 'static_shock_1',
+        name: 'Static Shock',
+        description: '15% chance to stun enemies for 0.6s; shocked enemies take 15% more damage for 3s',
+        type: 'shock',
+        shockChance: 0.15,
+        stunDuration: 0.6,
+        weakenAmount: 0.15,
+        weakenDuration: 3.0,
+        icon: "⚡",
+        rarity: 'rare',
+        buildPath: 'chain',
+        synergies: ['chain_lightning_1']
+    },
+    {
+        id: 'static_shock_2',
+        name: 'Overload',
+        description: 'Shock chance +10%, stuns last 1s and weaken +10%',
+        type: 'shock',
+        chanceBonus: 0.1,
+        stunDuration: 1.0,
+        weakenBonus: 0.1,
+        icon: "⚡⚡",
+        rarity: 'epic',
+        requires: ['static_shock_1'],
+        buildPath: 'chain'
+    },
 
     // ========================================
     // CRIMSON REAVER EXCLUSIVE UPGRADES
@@ -760,6 +817,34 @@ const UPGRADE_DEFINITIONS = [
         specialEffect: 'burn_conflagration'
     },
 
+    // ========================================
+    // WEAPON SECONDARIES
+    // ========================================
+    {
+        id: 'secondary_cooldown_1',
+        name: 'Capacitor Bank',
+        description: 'Weapon secondary recharges 20% faster',
+        type: 'secondaryCooldown',
+        multiplier: 0.8,
+        icon: "↻",
+        rarity: 'uncommon',
+        buildPath: 'core',
+        requiresSecondary: true,
+        stackable: true
+    },
+    {
+        id: 'secondary_power_1',
+        name: 'Focused Discharge',
+        description: '+30% weapon secondary damage and strength',
+        type: 'secondaryPower',
+        value: 0.3,
+        icon: "✦",
+        rarity: 'uncommon',
+        buildPath: 'core',
+        requiresSecondary: true,
+        stackable: true
+    },
+
     // ========================================
     // OVERCLOCK BUILD PATH (Cybernetic Berserker)
     // ========================================
@@ -9,9 +9,16 @@
  * - fireRate: Base shots per second (can be modified by upgrades/meta)
  * - startupDelay: Optional warm-up time before the first shot
  * - projectileTemplate: Baseline projectile configuration for this weapon
- * - targeting: Strategy hint for aiming logic (nearest, spread_forward, etc.)
+ * - targeting: WeaponTargeting strategy (nearest, highest_hp, lowest_hp, elite_first,
+ *   densest_cluster, forward_cone); manual aim overrides it when enabled
  * - upgradeTags: Tags that map to weapon-specific upgrades
- * - secondary: Optional secondary ability metadata (cooldown, behavior hints)
+ * - secondary: Optional secondary ability fired with the 'secondary' input (see WeaponSecondaries):
+ *   cooldown (seconds) plus tuning for its effect - radius, damageMultiplier (x attackDamage),
+ *   duration, stunDuration, knockback, attackSpeedMultiplier, etc.
+ *   trigger: Set for secondaries that fire themselves instead of on input, whenever they are
+ *   off cooldown - 'crit' (a critical hit) or 'lowHealth' (health below lowHealthThreshold)
+ * - evolvedFrom: Set on evolved weapons (only reachable through WEAPON_EVOLUTION_DEFINITIONS,
+ *   never offered as a new weapon or picked as a starting weapon)
  */
 
 const WEAPON_DEFINITIONS = {
@@ -42,7 +49,7 @@ const WEAPON_DEFINITIONS = {
         archetype: 'burst',
         fireRate: 0.8,
         startupDelay: 0,
-        targeting: 'nearest_cone',
+        targeting: 'forward_cone',
         projectileTemplate: {
             count: 5,
             spreadDegrees: 50,
@@ -55,8 +62,13 @@ const WEAPON_DEFINITIONS = {
         upgradeTags: ['shotgun', 'burst', 'explosive'],
         secondary: {
             id: 'nova_knockback',
+            name: 'Nova Knockback',
             cooldown: 6.0,
-            description: 'Short-range blast to push enemies away.'
+            description: 'Short-range blast to push enemies away.',
+            radius: 180,
+            damageMultiplier: 1.5,
+            knockback: 520,
+            stunDuration: 0.4
         }
     },
     arc_burst: {
@@ -66,7 +78,7 @@ const WEAPON_DEFINITIONS = {
         archetype: 'control',
         fireRate: 1.6,
         startupDelay: 0,
-        targeting: 'nearest',
+        targeting: 'elite_first',
         projectileTemplate: {
             count: 2,
             spreadDegrees: 12,
@@ -77,8 +89,14 @@ const WEAPON_DEFINITIONS = {
         upgradeTags: ['chain', 'support', 'core'],
         secondary: {
             id: 'storm_surge',
+            name: 'Storm Surge',
             cooldown: 12.0,
-            description: 'Unleash a wide arc pulse that shocks nearby targets.'
+            description: 'Unleash a wide arc pulse that shocks nearby targets.',
+            radius: 280,
+            damageMultiplier: 1.2,
+            stunDuration: 1.0,
+            weakenAmount: 0.15,
+            weakenDuration: 3.0
         }
     },
     constellation_array: {
@@ -88,7 +106,7 @@ const WEAPON_DEFINITIONS = {
         archetype: 'orbit',
         fireRate: 0.95,
         startupDelay: 0,
-        targeting: 'omni',
+        targeting: 'nearest',
         projectileTemplate: {
             count: 3,
             spreadDegrees: 0,
@@ -103,8 +121,12 @@ const WEAPON_DEFINITIONS = {
         upgradeTags: ['orbit', 'support', 'core'],
         secondary: {
             id: 'orbital_flux',
+            name: 'Orbital Flux',
             cooldown: 10.0,
-            description: 'Critical hits briefly overcharge the array, increasing volley size.'
+            description: 'Critical hits briefly overcharge the array, increasing volley size.',
+            trigger: 'crit',
+            duration: 5.0,
+            extraProjectiles: 2
         }
     },
     magma_launcher: {
@@ -115,7 +137,7 @@ const WEAPON_DEFINITIONS = {
         archetype: 'explosive',
         fireRate: 0.9,
         startupDelay: 0,
-        targeting: 'nearest',
+        targeting: 'densest_cluster',
         projectileTemplate: {
             count: 1,
             spreadDegrees: 0,
@@ -128,8 +150,12 @@ const WEAPON_DEFINITIONS = {
         upgradeTags: ['explosive', 'core'],
         secondary: {
             id: 'eruption',
+            name: 'Eruption',
             cooldown: 8.0,
-            description: 'Create a massive pool of lava that burns all enemies inside.'
+            description: 'Create a massive pool of lava that burns all enemies inside.',
+            radius: 160,
+            damageMultiplier: 0.8, // Per second while inside
+            duration: 4.0
         }
     },
     sanguine_lance: {
@@ -139,7 +165,7 @@ const WEAPON_DEFINITIONS = {
         archetype: 'sustain',
         fireRate: 1.4, // Rapid fire for consistent lifesteal
         startupDelay: 0,
-        targeting: 'nearest',
+        targeting: 'lowest_hp',
         projectileTemplate: {
             count: 1,
             spreadDegrees: 0,
@@ -152,8 +178,13 @@ const WEAPON_DEFINITIONS = {
         upgradeTags: ['core', 'explosive', 'ricochet'],
         secondary: {
             id: 'blood_frenzy',
+            name: 'Blood Frenzy',
             cooldown: 8.0,
-            description: 'Brief burst of attack speed when health drops below 40%.'
+            description: 'Brief burst of attack speed when health drops below 40%.',
+            trigger: 'lowHealth',
+            duration: 4.0,
+            attackSpeedMultiplier: 1.8,
+            lowHealthThreshold: 0.4
         }
     },
     singularity_cannon: {
@@ -163,7 +194,7 @@ const WEAPON_DEFINITIONS = {
         archetype: 'gravity',
         fireRate: 0.7,  // Slowest weapon - deliberate, impactful shots
         startupDelay: 0,
-        targeting: 'nearest',
+        targeting: 'densest_cluster',
         projectileTemplate: {
             count: 1,
             spreadDegrees: 0,
@@ -177,8 +208,14 @@ const WEAPON_DEFINITIONS = {
         upgradeTags: ['explosive', 'support', 'core'],
         secondary: {
             id: 'event_horizon',
+            name: 'Event Horizon',
             cooldown: 15.0,
-            description: 'Create a massive singularity that pulls all nearby enemies and deals damage over time.'
+            description: 'Create a massive singularity that pulls all nearby enemies and deals damage over time.',
+            radius: 320,
+            duration: 4.0,
+            slowAmount: 0.6,
+            pullStrength: 0.8,
+            damageMultiplier: 0.25 // Per damage tick (4 per second)
         }
     },
     phantom_repeater: {
@@ -201,8 +238,12 @@ const WEAPON_DEFINITIONS = {
         upgradeTags: ['ricochet', 'explosive', 'homing', 'core'],
         secondary: {
             id: 'phase_burst',
+            name: 'Phase Burst',
             cooldown: 8.0,
-            description: 'Release a burst of phantom energy that ricochets to all nearby enemies.'
+            description: 'Release a burst of phantom energy that ricochets to all nearby enemies.',
+            radius: 350,
+            damageMultiplier: 1.0,
+            maxTargets: 8
         }
     },
     plasma_cutter: {
@@ -213,7 +254,7 @@ const WEAPON_DEFINITIONS = {
         archetype: 'precision',
         fireRate: 1.5, // Fast fire rate
         startupDelay: 0,
-        targeting: 'nearest',
+        targeting: 'highest_hp',
         projectileTemplate: {
             count: 1,
             spreadDegrees: 0,
@@ -226,9 +267,78 @@ const WEAPON_DEFINITIONS = {
         upgradeTags: ['core', 'chain'],
         secondary: {
             id: 'overcharge',
+            name: 'Overcharge',
             cooldown: 10.0,
-            description: 'Temporarily double attack speed at the cost of health.'
+            description: 'Temporarily double attack speed at the cost of health.',
+            duration: 4.0,
+            attackSpeedMultiplier: 2.0,
+            healthCost: 0.1 // Share of current health, never below 1
         }
+    },
+
+    // ========================================
+    // EVOLVED WEAPONS (see evolutions.config.js)
+    // ========================================
+    tempest_arc: {
+        id: 'tempest_arc',
+        name: 'Tempest Arc',
+        icon: '🌩',
+        description: 'Storm bolts that always chain and bend toward the next target.',
+        archetype: 'control',
+        evolvedFrom: 'arc_burst',
+        fireRate: 1.9,
+        startupDelay: 0,
+        targeting: 'elite_first',
+        projectileTemplate: {
+            count: 3,
+            spreadDegrees: 18,
+            damageMultiplier: 1.0,
+            speedMultiplier: 1.15,
+            appliesBehaviors: true
+        },
+        upgradeTags: ['chain', 'support', 'core'],
+        secondary: null
+    },
+    supernova_blaster: {
+        id: 'supernova_blaster',
+        name: 'Supernova Blaster',
+        icon: '💥',
+        description: 'A wall of pellets that detonate on every hit.',
+        archetype: 'burst',
+        evolvedFrom: 'nova_shotgun',
+        fireRate: 0.9,
+        startupDelay: 0,
+        targeting: 'forward_cone',
+        projectileTemplate: {
+            count: 8,
+            spreadDegrees: 70,
+            damageMultiplier: 0.8,
+            speedMultiplier: 0.95,
+            appliesBehaviors: true
+        },
+        upgradeTags: ['shotgun', 'burst', 'explosive'],
+        secondary: null
+    },
+    pulsar_cannon: {
+        id: 'pulsar_cannon',
+        name: 'Pulsar Cannon',
+        icon: '✴',
+        description: 'Piercing pulses that ricochet between targets.',
+        archetype: 'generalist',
+        evolvedFrom: 'pulse_cannon',
+        fireRate: 1.4,
+        startupDelay: 0,
+        targeting: 'nearest',
+        projectileTemplate: {
+            count: 1,
+            spreadDegrees: 0,
+            damageMultiplier: 1.3,
+            speedMultiplier: 1.2,
+            bonusPiercing: 2,
+            appliesBehaviors: true
+        },
+        upgradeTags: ['core', 'chain', 'ricochet', 'explosive'],
+        secondary: null
     }
 };
 
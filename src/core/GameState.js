@@ -17,6 +17,7 @@
 
 const DEFAULT_WEAPON_ID = 'pulse_cannon';
 const DEFAULT_CHARACTER_ID = 'aegis_vanguard';
+const GAME_MODES = ['normal', 'bossRush', 'daily'];
 
 class GameState {
     constructor() {
@@ -39,6 +40,9 @@ class GameState {
             isGameWon: false,         // Player won
             hasShownEndScreen: false,
             difficulty: 'normal',     // 'easy' | 'normal' | 'hard'
+            gameMode: 'normal',       // 'normal' | 'bossRush' | 'daily' (kept across retries)
+            runModifiers: [],         // RUN_MODIFIER_DEFINITIONS ids active for the run
+            runOverrides: null,       // Run-scoped loadout (daily challenge, replay); never persisted
             selectedWeapon: null,
             selectedCharacter: null
         };
@@ -92,15 +96,7 @@ class GameState {
 
         // ===== META STATE =====
         // Persistent meta progression
-        this.meta = {
-            starTokens: 0,
-            totalStarsEarned: 0,
-            achievements: new Set(),
-            gamesPlayed: 0,
-            totalKills: 0,
-            selectedWeapon: null,
-            selectedCharacter: null
-        };
+        this.meta = this._createMetaState();
 
         // ===== PERFORMANCE STATE =====
         // Performance metrics and quality settings
@@ -229,6 +225,61 @@ class GameState {
         }
     }
 
+    /**
+     * Set the game mode for the next run
+     */
+    setGameMode(mode) {
+        if (GAME_MODES.includes(mode) && this.flow.gameMode !== mode) {
+            this.flow.gameMode = mode;
+            this._notifyObservers('gameModeChanged', { mode });
+        }
+    }
+
+    /**
+     * Get the active game mode
+     */
+    getGameMode() {
+        return this.flow.runOverrides?.gameMode || this.flow.gameMode;
+    }
+
+    /**
+     * Set the run modifiers for the next run
+     * @param {string[]} modifierIds - RUN_MODIFIER_DEFINITIONS ids
+     */
+    setRunModifiers(modifierIds) {
+        const ids = Array.isArray(modifierIds)
+            ? modifierIds.filter(id => typeof id === 'string' && id.trim() !== '')
+            : [];
+        this.flow.runModifiers = ids;
+        this._notifyObservers('runModifiersChanged', { modifiers: ids.slice() });
+    }
+
+    /**
+     * Get the active run modifier ids
+     */
+    getRunModifiers() {
+        return (this.flow.runOverrides?.modifiers ?? this.flow.runModifiers).slice();
+    }
+
+    /**
+     * Force parts of the loadout for the current run without touching the
+     * saved selection (kept across retries until cleared)
+     * @param {{characterId?: string, weaponId?: string, gameMode?: string, modifiers?: string[]}|null} overrides
+     */
+    setRunOverrides(overrides) {
+        this.flow.runOverrides = overrides ? { ...overrides } : null;
+        this._notifyObservers('runOverridesChanged', { overrides: this.flow.runOverrides });
+    }
+
+    /**
+     * Drop the run-scoped loadout so the saved selection applies again
+     */
+    clearRunOverrides() {
+        if (this.flow.runOverrides) {
+            this.setRunOverrides(null);
+        }
+    }
+
     /**
      * Set the currently selected weapon archetype for the next run
      */
@@ -250,10 +301,10 @@ class GameState {
     }
 
     /**
-     * Get the active weapon id (falls back to default)
+     * Get the active weapon id (run override, then the saved selection, then default)
      */
     getSelectedWeapon() {
-        return this.flow.selectedWeapon || this.meta.selectedWeapon || DEFAULT_WEAPON_ID;
+        return this.flow.runOverrides?.weaponId || this.flow.selectedWeapon || this.meta.selectedWeapon || DEFAULT_WEAPON_ID;
     }
 
     /**
@@ -277,10 +328,10 @@ class GameState {
     }
 
     /**
-     * Get the selected character id
+     * Get the active character id (run override, then the saved selection, then default)
      */
     getSelectedCharacter() {
-        return this.flow.selectedCharacter || this.meta.selectedCharacter || DEFAULT_CHARACTER_ID;
+        return this.flow.runOverrides?.characterId || this.flow.selectedCharacter || this.meta.selectedCharacter || DEFAULT_CHARACTER_ID;
     }
 
     // ===== PLAYER STATE METHODS =====
@@ -592,6 +643,32 @@ class GameState {
 
     // ===== PERSISTENCE =====
 
+    _createMetaState() {
+        return {
+            starTokens: 0,
+            totalStarsEarned: 0,
+            achievements: new Set(),
+            gamesPlayed: 0,
+            totalKills: 0,
+            selectedWeapon: null,
+            selectedCharacter: null
+        };
+    }
+
+    /**
+     * Reload meta state after the active save profile changed
+     */
+    reloadMetaState() {
+        this.meta = this._createMetaState();
+        this.flow.selectedCharacter = null;
+        this.flow.selectedWeapon = null;
+
+        this._loadMetaState();
+        this._initializeSelectedCharacter();
+        this._initializeSelectedWeapon();
+        this._notifyObservers('metaStateReloaded', { starTokens: this.meta.starTokens });
+    }
+
     /**
      * Load meta state from localStorage
      */
@@ -602,9 +679,16 @@ class GameState {
         }
 
         try {
+            // Older key layouts are upgraded by the SaveData migration chain
+            window.Game?.SaveData?.migrateStorage?.();
+
             const starTokens = window.StorageManager.getInt('starTokens', 0);
             this.meta.starTokens = isNaN(starTokens) ? 0 : starTokens;
 
+            // Saves from before the lifetime counter start from the current balance
+            const totalStarsEarned = window.StorageManager.getInt('totalStarsEarned', this.meta.starTokens);
+            this.meta.totalStarsEarned = Math.max(this.meta.starTokens, isNaN(totalStarsEarned) ? 0 : totalStarsEarned);
+
             const gamesPlayed = window.StorageManager.getInt('gamesPlayed', 0);
             this.meta.gamesPlayed = isNaN(gamesPlayed) ? 0 : gamesPlayed;
 
@@ -637,29 +721,6 @@ class GameState {
                     window.logger.warn('Failed to parse GameState achievements, resetting:', parseError);
                     this.meta.achievements = new Set();
                 }
-            } else {
-                // Try to migrate from old AchievementSystem format (one-time migration)
-                const oldAchievements = window.StorageManager.getItem('achievements');
-                if (oldAchievements) {
-                    try {
-                        const parsed = JSON.parse(oldAchievements);
-                        if (typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed)) {
-                            // Old AchievementSystem format: extract unlocked IDs
-                            const unlockedIds = [];
-                            for (const [key, data] of Object.entries(parsed)) {
-                                if (data && data.unlocked === true) {
-                                    unlockedIds.push(key);
-                                }
-                            }
-                            this.meta.achievements = new Set(unlockedIds);
-                            // Save in new format
-                            this._saveMetaState();
-                            window.logger.log(`+ Migrated ${unlockedIds.length} achievements from AchievementSystem`);
-                        }
-                    } catch (error) {
-                        window.logger.warn('Failed to migrate old achievements:', error);
-                    }
-                }
             }
         } catch (error) {
             window.logger.warn('Failed to load meta state:', error);
@@ -717,6 +778,7 @@ class GameState {
 
         try {
             window.StorageManager.setItem('starTokens', this.meta.starTokens.toString());
+            window.StorageManager.setItem('totalStarsEarned', this.meta.totalStarsEarned.toString());
             window.StorageManager.setItem('gamesPlayed', this.meta.gamesPlayed.toString());
             window.StorageManager.setItem('totalKills', this.meta.totalKills.toString());
             // Use different key to avoid conflict with AchievementSystem
@@ -198,6 +198,8 @@
 
         initSystems() {
             this.initInputManager();
+            this.initTouchControls();
+            this.initReplaySystem();
             this.initUpgradeSystem();
             this.initAudioSystem();
             this.initPerformanceManager();
@@ -296,6 +298,34 @@
             }
         }
 
+        initTouchControls() {
+            const TouchControls = this.resolveNamespace('TouchControls');
+            if (typeof TouchControls !== 'function' || !window.inputManager) {
+                this.warn('! TouchControls not available');
+                return;
+            }
+
+            if (!window.touchControls) {
+                window.touchControls = new TouchControls(window.inputManager);
+                this.log('+ TouchControls initialized');
+            }
+        }
+
+        initReplaySystem() {
+            const ReplaySystem = this.resolveNamespace('ReplaySystem');
+            if (typeof ReplaySystem !== 'function') {
+                this.warn('! ReplaySystem not available - runs will not be recorded');
+                return;
+            }
+
+            if (!window.replaySystem) {
+                window.replaySystem = new ReplaySystem();
+                this.log('+ ReplaySystem initialized');
+            } else {
+                this.log('i ReplaySystem already initialized');
+            }
+        }
+
         initUpgradeSystem() {
             const UpgradeSystem = this.resolveNamespace('UpgradeSystem');
             if (typeof UpgradeSystem !== 'function') {
@@ -443,6 +473,10 @@
             }
 
             // Clean up system managers to prevent memory leaks
+            if (window.touchControls?.destroy) {
+                window.touchControls.destroy();
+            }
+
             if (window.inputManager?.destroy) {
                 window.inputManager.destroy();
             }
@@ -121,6 +121,7 @@ class GameEngine {
         this.xpOrbs = [];
         this.projectiles = [];
         this.enemyProjectiles = [];
+        this.obstacles = []; // Solid arena hazards (asteroids) that block movement and shots
 
         this.isRunning = false;
         this.isPaused = false;
@@ -174,11 +175,13 @@ class GameEngine {
         this._minimapUpdateAccumulator = 0;
         this._minimapHasDrawn = false;
         this._collisionFallbackRules = {
-            player: new Set(['enemy', 'xpOrb', 'enemyProjectile']),
+            player: new Set(['enemy', 'xpOrb', 'enemyProjectile', 'pickup']),
             enemy: new Set(['player', 'projectile']),
             projectile: new Set(['enemy']),
             enemyProjectile: new Set(['player']),
-            xpOrb: new Set(['player'])
+            xpOrb: new Set(['player']),
+            pickup: new Set(['player']),
+            obstacle: new Set(['projectile', 'enemyProjectile'])
         };
         this._updateTimingTargets();
 
@@ -188,8 +191,9 @@ class GameEngine {
 
         // Object pools - partially implemented for projectiles and particles
         // Object pools
-        // Current pools: particlePool, enemyProjectilePool, projectilePool (global)
+        // Current pools: particlePool, enemyProjectilePool, pickupPool, projectilePool (global)
         this.enemyProjectilePool = [];
+        this.pickupPool = [];
         this.particlePool = [];
         this.maxPoolSize = 100; // Pool size works well for most devices
 
@@ -222,6 +226,10 @@ class GameEngine {
         this.entityManager = null;
         this._initializeEntityManager();
 
+        // Game-time timers for delayed gameplay effects (stop while paused, replay-safe)
+        const GameScheduler = (typeof window !== 'undefined') ? window.Game?.GameScheduler : undefined;
+        this.scheduler = typeof GameScheduler === 'function' ? new GameScheduler() : null;
+
         // Initialize Unified UI Manager for proper health bars and floating text
         try {
             const UnifiedUIManager = (typeof window !== 'undefined')
@@ -242,6 +250,8 @@ class GameEngine {
         }
         // Input handling with additional pause key support and error handling
         this.keys = {};
+        this._stepMovement = { x: 0, y: 0 }; // Movement resolved once per fixed step (live or replayed)
+        this._stepAim = null; // Manual aim angle for the step (null = weapons auto-target)
         try {
             // Store bound input handlers so we can remove them during cleanup
             this.boundHandleKeyDown = this.onKeyDown.bind(this);
@@ -391,6 +401,8 @@ class GameEngine {
             if (!removedEntity) return;
             if (removedEntity.type === 'enemyProjectile') {
                 this._releaseEnemyProjectile(removedEntity);
+            } else if (removedEntity.type === 'pickup') {
+                this._releasePickup(removedEntity);
             }
             if (removedEntity.type === 'player' && this.player === removedEntity) {
                 this.player = null;
@@ -434,6 +446,8 @@ class GameEngine {
             removed = removeFromArray(this.xpOrbs) || removed;
         } else if (entity.type === 'enemyProjectile') {
             removed = removeFromArray(this.enemyProjectiles) || removed;
+        } else if (entity.type === 'obstacle') {
+            removed = removeFromArray(this.obstacles) || removed;
         }
 
         if (removed) {
@@ -464,7 +478,8 @@ class GameEngine {
                     enemy: this.enemies,
                     xpOrb: this.xpOrbs,
                     projectile: this.projectiles,
-                    enemyProjectile: this.enemyProjectiles
+                    enemyProjectile: this.enemyProjectiles,
+                    obstacle: this.obstacles
                 }
             });
         } catch (error) {
@@ -500,6 +515,8 @@ class GameEngine {
                     this.enemyProjectiles = [];
                 }
                 return this.enemyProjectiles;
+            case 'obstacle':
+                return this.obstacles;
             case 'player':
                 return this.player ? [this.player] : [];
             default:
@@ -741,6 +758,7 @@ class GameEngine {
             if (this.enemyProjectiles && Array.isArray(this.enemyProjectiles)) {
                 this.enemyProjectiles.length = 0;
             }
+            this.obstacles.length = 0;
         }
         this.player = null;
 
@@ -748,6 +766,9 @@ class GameEngine {
         if (Array.isArray(this.enemyProjectilePool)) {
             this.enemyProjectilePool.length = 0;
         }
+        if (Array.isArray(this.pickupPool)) {
+            this.pickupPool.length = 0;
+        }
         if (Array.isArray(this.particlePool)) {
             this.particlePool.length = 0;
         }
@@ -761,6 +782,7 @@ class GameEngine {
         }
 
         // Reset auxiliary managers
+        this.scheduler?.clear();
         this.unifiedUI?.clearAllFloatingText?.();
         if (window.optimizedParticles?.clear) {
             window.optimizedParticles.clear();
@@ -794,6 +816,12 @@ class GameEngine {
             const player = new Player(spawnX, spawnY);
             this.addEntity(player);
 
+            // Mastery starting upgrade picked on the character screen
+            const startingUpgradeId = window.Game?.CharacterMastery?.getStartingUpgradeId?.(player.characterId);
+            if (startingUpgradeId) {
+                window.upgradeSystem?.grantStartingUpgrade?.(startingUpgradeId);
+            }
+
             // Notify UI layer that player was created (loose coupling via events)
             try {
                 player?.stats?.updateXPBar?.();
@@ -830,8 +858,12 @@ class GameEngine {
             }
         }
 
-        // Pause/resume with P or Escape
-        if (e.key === 'p' || e.key === 'P' || e.key === 'Escape') {
+        // Pause/resume with the bound pause keys (P or Escape by default)
+        const input = window.inputManager;
+        const isPauseKey = typeof input?.isActionKey === 'function'
+            ? input.isActionKey('pause', e.key)
+            : (e.key === 'p' || e.key === 'P' || e.key === 'Escape');
+        if (isPauseKey) {
             this.togglePause();
         }
     }
@@ -841,6 +873,98 @@ class GameEngine {
         if (e.code) this.keys[e.code] = false;
     }
 
+    _readLiveMovementInput() {
+        if (window.inputManager && typeof window.inputManager.getMovementVector === 'function') {
+            return window.inputManager.getMovementVector();
+        }
+
+        // Fallback to the engine's own key map when InputManager is unavailable
+        const keys = this.keys;
+        const movement = { x: 0, y: 0 };
+        if (keys['w'] || keys['W'] || keys['ArrowUp']) movement.y -= 1;
+        if (keys['s'] || keys['S'] || keys['ArrowDown']) movement.y += 1;
+        if (keys['a'] || keys['A'] || keys['ArrowLeft']) movement.x -= 1;
+        if (keys['d'] || keys['D'] || keys['ArrowRight']) movement.x += 1;
+        return movement;
+    }
+
+    /**
+     * Movement input for the current fixed step (already replay-aware)
+     * @returns {{x: number, y: number}}
+     */
+    getMovementInput() {
+        return this._stepMovement;
+    }
+
+    /**
+     * Manual aim angle for the current fixed step (already replay-aware)
+     * @returns {number|null} Radians, or null when weapons should auto-target
+     */
+    getAimInput() {
+        return this._stepAim;
+    }
+
+    /**
+     * Whether a dodge is requested this step (bound key/button or replay)
+     */
+    isDodgeRequested() {
+        const replay = window.replaySystem;
+        if (replay?.isPlaying?.()) {
+            return replay.isDodgeQueued();
+        }
+        const input = window.inputManager;
+        if (typeof input?.isActionPressed === 'function') {
+            return input.isActionPressed('dodge');
+        }
+        return !!this.keys[' '];
+    }
+
+    /**
+     * Consume the pending dodge request once the dodge actually fires
+     */
+    consumeDodgeInput() {
+        const replay = window.replaySystem;
+        if (replay?.isPlaying?.()) {
+            replay.consumeDodge();
+            return;
+        }
+
+        // Prevent holding the dodge input
+        const input = window.inputManager;
+        if (typeof input?.consumeAction === 'function') {
+            input.consumeAction('dodge');
+        } else {
+            this.keys[' '] = false;
+        }
+        replay?.recordDodge?.();
+    }
+
+    /**
+     * Whether the weapon secondary is requested this step (bound key/button or replay)
+     */
+    isSecondaryRequested() {
+        const replay = window.replaySystem;
+        if (replay?.isPlaying?.()) {
+            return replay.isSecondaryQueued();
+        }
+        const input = window.inputManager;
+        return typeof input?.isActionPressed === 'function' && input.isActionPressed('secondary');
+    }
+
+    /**
+     * Consume the pending secondary request once the secondary actually fires
+     */
+    consumeSecondaryInput() {
+        const replay = window.replaySystem;
+        if (replay?.isPlaying?.()) {
+            replay.consumeSecondary();
+            return;
+        }
+
+        window.inputManager?.consumeAction?.('secondary');
+        replay?.recordSecondary?.();
+    }
+
     resizeCanvas() {
         try {
             this.canvas.width = window.innerWidth;
@@ -858,6 +982,11 @@ class GameEngine {
             if (this.cosmicBackground && typeof this.cosmicBackground.resize === 'function') {
                 this.cosmicBackground.resize();
             }
+
+            // Touch joystick scales with the canvas
+            if (window.touchControls && typeof window.touchControls.onCanvasResize === 'function') {
+                window.touchControls.onCanvasResize(this.canvas.width, this.canvas.height);
+            }
         } catch (error) {
             window.logger.error('Error resizing canvas:', error);
         }
@@ -921,13 +1050,20 @@ class GameEngine {
         this.updatePerformanceMetrics(frameDeltaMs);
         this.adjustPerformanceMode();
 
+        // Poll the gamepad every frame, even while paused, so its pause and
+        // upgrade choice buttons work
+        if (window.inputManager && typeof window.inputManager.updateGamepad === 'function') {
+            window.inputManager.updateGamepad();
+        }
+
         if (!this.isPaused) {
             this._accumulatorMs += frameDeltaMs;
             const stepMs = this._fixedDeltaMs;
             const stepSeconds = this._fixedDeltaSeconds;
 
             let steps = 0;
-            while (this._accumulatorMs >= stepMs && steps < this._maxFixedSteps) {
+            // Stop stepping as soon as a step pauses (level-up) so replays stay step-exact
+            while (!this.isPaused && this._accumulatorMs >= stepMs && steps < this._maxFixedSteps) {
                 this.update(stepSeconds);
                 this._accumulatorMs -= stepMs;
                 steps++;
@@ -1000,6 +1136,16 @@ class GameEngine {
             this.deltaTimeHistory[2] * 0.6);
         deltaTime = Math.max(1 / 120, Math.min(1 / 30, smoothedDelta)); // Clamp between 30-120fps
 
+        // Resolve movement for this step; the replay system records or substitutes it
+        const liveMovement = this._readLiveMovementInput();
+        this._stepMovement = window.replaySystem?.beginStep
+            ? window.replaySystem.beginStep(liveMovement)
+            : liveMovement;
+        const liveAim = window.inputManager?.getAimAngle?.() ?? null;
+        this._stepAim = window.replaySystem?.stepAim
+            ? window.replaySystem.stepAim(liveAim)
+            : liveAim;
+
         // 🌊 UPDATE GAME STATE
         if (this.state && this.state.updateTime) {
             this.state.updateTime(deltaTime);
@@ -1023,11 +1169,6 @@ class GameEngine {
             );
         }
 
-        // Update gamepad state if available
-        if (window.inputManager && typeof window.inputManager.updateGamepad === 'function') {
-            window.inputManager.updateGamepad();
-        }
-
         // Update performance manager if available
         if (window.performanceManager && typeof window.performanceManager.update === 'function') {
             window.performanceManager.update(deltaTime);
@@ -1061,6 +1202,11 @@ class GameEngine {
             this._initializeEntityManager();
         }
 
+        // Fire delayed effects that came due this step (before entities so spawns update this frame)
+        if (this.scheduler) {
+            this.scheduler.update(deltaTime);
+        }
+
         // Update all entities with proper error handling
         if (this.entities && Array.isArray(this.entities)) {
             for (let i = this.entities.length - 1; i >= 0; i--) {
@@ -1494,6 +1640,12 @@ class GameEngine {
                     type1 === 'enemyProjectile' ? entity1 : entity2,
                     type1 === 'player' ? entity1 : entity2
                 );
+            } else if ((type1 === 'player' && type2 === 'pickup') || (type1 === 'pickup' && type2 === 'player')) {
+                const pickup = type1 === 'pickup' ? entity1 : entity2;
+                pickup.collect?.(pickup === entity1 ? entity2 : entity1);
+            } else if (type1 === 'obstacle' || type2 === 'obstacle') {
+                const obstacle = type1 === 'obstacle' ? entity1 : entity2;
+                obstacle.blockProjectile?.(obstacle === entity1 ? entity2 : entity1);
             }
         } catch (error) {
             window.logger.error('Error handling collision:', error, 'Entity1:', entity1?.type, 'Entity2:', entity2?.type);
@@ -1513,7 +1665,9 @@ class GameEngine {
 
     _handlePlayerEnemyCollision(player, enemy) {
         if (!player.isInvulnerable && typeof player.takeDamage === 'function' && typeof enemy.damage === 'number') {
+            const healthBefore = player.health;
             player.takeDamage(enemy.damage);
+            enemy.onDealDamage?.(healthBefore - player.health);
             if (window.gameManager) {
                 window.gameManager.createHitEffect(player.x, player.y, enemy.damage);
             }
@@ -1965,6 +2119,8 @@ class GameEngine {
 
             if (entity.type === 'enemyProjectile') {
                 this._releaseEnemyProjectile(entity);
+            } else if (entity.type === 'pickup') {
+                this._releasePickup(entity);
             }
 
             // NEVER remove the player entity reference here
@@ -2028,6 +2184,8 @@ class GameEngine {
                         this.entities[entityIndex] = entity;
                     }
                     entityIndex++;
+                } else if (entity && entity.type === 'pickup') {
+                    this._releasePickup(entity);
                 }
                 // Dead projectiles are just garbage collected - no pooling needed
             }
@@ -2237,6 +2395,44 @@ class GameEngine {
         return ep;
     }
 
+    /**
+     * Drop a pooled Pickup (see PICKUP_DEFINITIONS) into the world
+     * @param {string} kind - Pickup kind
+     * @returns {Pickup|null}
+     */
+    spawnPickup(kind, x, y) {
+        if (!Array.isArray(this.pickupPool)) {
+            this.pickupPool = [];
+        }
+
+        let pickup = this.pickupPool.pop() || null;
+        if (pickup) {
+            pickup.reset(kind, x, y);
+        } else {
+            const Pickup = window.Game?.Pickup;
+            if (typeof Pickup !== 'function') {
+                window.logger.error('Pickup class not available');
+                return null;
+            }
+            pickup = new Pickup(kind, x, y);
+        }
+
+        return this.addEntity(pickup);
+    }
+
+    _releasePickup(pickup) {
+        if (!pickup) return;
+        pickup.isDead = true;
+
+        if (!Array.isArray(this.pickupPool)) {
+            this.pickupPool = [];
+        }
+        const poolSize = window.GAME_CONSTANTS?.PICKUPS?.POOL_SIZE ?? 50;
+        if (this.pickupPool.length < poolSize && !this.pickupPool.includes(pickup)) {
+            this.pickupPool.push(pickup);
+        }
+    }
+
     _releaseEnemyProjectile(ep) {
         // Properly sanitize enemy projectile before pooling to prevent state corruption
         if (ep) {
@@ -2303,6 +2499,8 @@ class GameEngine {
                         this.enemyProjectiles = [];
                     }
                     this.enemyProjectiles.push(entity);
+                } else if (entity.type === 'obstacle') {
+                    this.obstacles.push(entity);
                 }
             }
 
@@ -2350,6 +2548,7 @@ class GameEngine {
 
         if (!this.isPaused) {
             this.isPaused = true;
+            window.replaySystem?.recordPause?.(reason);
         }
 
         const resultScreen = this._getDomRef('result-screen');
@@ -2397,6 +2596,7 @@ class GameEngine {
         }
 
         this.isPaused = false;
+        window.replaySystem?.recordResume?.(reason);
 
         if (reason === 'manual') {
             // Hide pause menu
@@ -42,6 +42,32 @@ class GameManagerBridge {
         // Boss countdown tracking
         this._lastBossDebugSecond = -1;
 
+        // Seeded run RNG (window.Game.rng) - chosen per run in seedRunRandom()
+        this.runSeed = null;
+        this.nextRunSeed = null;
+
+        // Daily challenge for the current run (set when the 'daily' mode starts)
+        this.dailyChallenge = null;
+        this.dailyResult = null;
+        // Leaderboard entry for the finished run (RunHistory.record() result)
+        this.runHistoryResult = null;
+        // Mastery XP for the finished run (CharacterMastery.awardRun() result)
+        this.masteryResult = null;
+        // Total heat of the run's modifiers and the victory record (HeatSystem.recordClear() result)
+        this.runHeat = 0;
+        this.heatResult = null;
+        this._runModifierEffects = {};
+        this._runResultRecorded = false;
+        // True while the current run plays back a replay (outlives ReplaySystem.finishRun so
+        // end-of-run rewards are skipped too)
+        this.replayPlayback = false;
+
+        // Saved progress is per profile - reload it when the player switches
+        this._profileChangedHandler = () => this.onProfileChanged();
+        if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+            window.addEventListener('profileChanged', this._profileChangedHandler);
+        }
+
         window.logger.log('🌊 GameManager Bridge ready');
 
         this._uiRefs = new Map();
@@ -290,6 +316,30 @@ class GameManagerBridge {
                 window.logger.warn('! EmergentFormationDetector class not found');
             }
 
+            // Boss Rush drives spawning itself when that mode is selected
+            const BossRushModeClass = this.resolveNamespace('BossRushMode');
+            if (typeof BossRushModeClass === 'function') {
+                this.bossRush = new BossRushModeClass(this);
+            }
+
+            // Biomes rotate after each boss defeat (background, enemy mix, rules)
+            const BiomeSystemClass = this.resolveNamespace('BiomeSystem');
+            if (typeof BiomeSystemClass === 'function') {
+                this.biomeSystem = new BiomeSystemClass();
+            }
+
+            // Asteroids, black holes and solar flares dropped into the arena
+            const HazardSystemClass = this.resolveNamespace('HazardSystem');
+            if (typeof HazardSystemClass === 'function') {
+                this.hazardSystem = new HazardSystemClass();
+            }
+
+            // Health packs, power-ups, star shards and boss chests
+            const PickupSystemClass = this.resolveNamespace('PickupSystem');
+            if (typeof PickupSystemClass === 'function') {
+                this.pickupSystem = new PickupSystemClass();
+            }
+
             // Initialize HUD event handlers now that the engine/state exist
             this._ensureHUDEventHandlers();
 
@@ -356,8 +406,9 @@ class GameManagerBridge {
 
     /**
      * Start the game
+     * @param {string} [gameMode] - 'normal' or 'bossRush'; omitted keeps the last mode (retry)
      */
-    startGame() {
+    startGame(gameMode) {
         window.logger.log('> Starting game...');
 
         // Defensive cleanup: Clear menu listeners/animations when transitioning to game
@@ -380,6 +431,11 @@ class GameManagerBridge {
             }
         }
 
+        if (gameMode) {
+            this.state?.setGameMode?.(gameMode);
+            this.prepareGameMode(gameMode);
+        }
+
         // Reset game state
         this.resetGameState();
 
@@ -409,6 +465,33 @@ class GameManagerBridge {
      * Reset game state for new game
      */
     resetGameState() {
+        // Seed the run RNG before any system draws from it
+        this.seedRunRandom();
+
+        // Record this run (or play back a queued replay) from the first step
+        window.replaySystem?.beginRun?.({
+            seed: this.runSeed,
+            characterId: this.state?.getSelectedCharacter?.() ?? null,
+            weaponId: this.state?.getSelectedWeapon?.() ?? null,
+            gameMode: this.getGameMode(),
+            modifiers: this.state?.getRunModifiers?.() ?? [],
+            meta: this.getMetaUpgradeSnapshot(),
+            mastery: this.getMasterySnapshot()
+        });
+        this._endReplayPlayback();
+        this.replayPlayback = window.replaySystem?.isPlaying?.() ?? false;
+
+        this._runModifierEffects = this._combineRunModifiers();
+        this.runHeat = window.Game?.HeatSystem?.getHeat?.(this.state?.getRunModifiers?.() ?? []) ?? 0;
+        this.heatResult = null;
+        this.biomeSystem?.reset?.();
+        this.hazardSystem?.reset?.();
+        this.pickupSystem?.reset?.();
+        this.dailyResult = null;
+        this.runHistoryResult = null;
+        this.masteryResult = null;
+        this._runResultRecorded = false;
+
         // 🌊 RESET GAME STATE - Single Source of Truth
         if (this.state) {
             this.state.resetSession();
@@ -429,6 +512,7 @@ class GameManagerBridge {
         // Clear effects
 
         this.minimapSystem?.reset?.();
+        this.applyCurrentBiome();
 
         if (window.resultScreen && typeof window.resultScreen.hide === 'function') {
             window.resultScreen.hide();
@@ -438,6 +522,12 @@ class GameManagerBridge {
             this.enemySpawner.reset();
         }
 
+        if (this.isBossRush()) {
+            this.bossRush.start();
+        } else {
+            this.bossRush?.reset?.();
+        }
+
         // Reset formation manager (Polybius feature)
         if (this.formationManager && typeof this.formationManager.reset === 'function') {
             this.formationManager.reset();
@@ -456,6 +546,264 @@ class GameManagerBridge {
         window.logger.log('@ Game state reset');
     }
 
+    /**
+     * Pick the seed for the next run and reseed shared random tables.
+     * Priority: explicit nextRunSeed, then `?seed=` URL param, then a fresh random seed.
+     * @returns {string|null} Seed used for this run
+     */
+    seedRunRandom() {
+        const rng = window.Game?.rng;
+        if (!rng || typeof rng.setSeed !== 'function') {
+            this.runSeed = null;
+            return null;
+        }
+
+        const dailySeed = this.getGameMode() === 'daily' ? this.dailyChallenge?.seed : null;
+        const requestedSeed = this.nextRunSeed ?? dailySeed ?? window.urlParams?.get?.('seed') ?? null;
+        this.nextRunSeed = null;
+        this.runSeed = rng.setSeed(requestedSeed);
+
+        window.Game?.EnemyMovement?.reseedRandomTable?.(rng);
+
+        window.logger.log(`[S] Run seed: ${this.runSeed}`);
+        return this.runSeed;
+    }
+
+    /**
+     * Apply the loadout and modifiers a mode dictates (called when a mode is chosen)
+     * @param {string} gameMode
+     */
+    prepareGameMode(gameMode) {
+        if (gameMode !== 'daily') {
+            // Curses picked in the Heat panel
+            this.dailyChallenge = null;
+            this.state?.clearRunOverrides?.();
+            this.state?.setRunModifiers?.(window.Game?.HeatSystem?.getSelection?.() ?? []);
+            return;
+        }
+
+        const challenge = window.Game?.DailyChallenge?.today?.();
+        if (!challenge) {
+            window.logger.warn('! DailyChallenge not available');
+            return;
+        }
+
+        this.dailyChallenge = challenge;
+        // Forced for the daily run only; the player's saved pilot and weapon stay as chosen
+        this.state?.setRunOverrides?.({ characterId: challenge.characterId, weaponId: challenge.weaponId });
+        this.state?.setRunModifiers?.(challenge.modifiers);
+        window.logger.log(`[D] Daily challenge ${challenge.date}: ${challenge.characterId} + ${challenge.modifiers.join(', ')}`);
+    }
+
+    /**
+     * Definitions of the active run modifiers
+     */
+    getRunModifierDefinitions() {
+        const definitions = Array.isArray(window.RUN_MODIFIER_DEFINITIONS) ? window.RUN_MODIFIER_DEFINITIONS : [];
+        const ids = this.state?.getRunModifiers?.() ?? [];
+        return ids.map(id => definitions.find(def => def.id === id)).filter(Boolean);
+    }
+
+    /**
+     * Multiply the effects of the active run modifiers together
+     * @returns {Object<string, number>} effect -> multiplier
+     */
+    _combineRunModifiers() {
+        const effects = {};
+        this.getRunModifierDefinitions().forEach(definition => {
+            Object.entries(definition.effects || {}).forEach(([effect, value]) => {
+                effects[effect] = (effects[effect] ?? 1) * value;
+            });
+        });
+        return effects;
+    }
+
+    /**
+     * Combined multiplier for a run modifier effect (1 when no modifier sets it),
+     * including the current biome's environmental rules
+     * @param {string} effect - e.g. 'eliteChance', 'enemySpeed'
+     */
+    getRunModifierMultiplier(effect) {
+        const biomeMultiplier = this.biomeSystem?.getEffectMultiplier?.(effect) ?? 1;
+        return (this._runModifierEffects[effect] ?? 1) * biomeMultiplier;
+    }
+
+    /**
+     * Star tokens earned during the run are multiplied by its heat
+     */
+    getStarTokenMultiplier() {
+        return window.Game?.HeatSystem?.getStarMultiplier?.(this.runHeat) ?? 1;
+    }
+
+    /**
+     * Push the current biome to the background, minimap and HUD label
+     */
+    applyCurrentBiome() {
+        const biome = this.biomeSystem?.getCurrentBiome?.() ?? null;
+        this.biomeSystem?.applyToBackground?.(this.game?.cosmicBackground);
+        this.minimapSystem?.setBiome?.(biome);
+
+        const biomeElement = this._getUiRef('biomeDisplay', 'biome-display');
+        if (biomeElement) {
+            biomeElement.textContent = biome ? biome.name : '';
+            biomeElement.style.color = biome?.accentColor || '';
+        }
+    }
+
+    /**
+     * Move to the next biome once a boss falls
+     */
+    advanceBiome() {
+        const biome = this.biomeSystem?.advance?.();
+        if (!biome) return;
+
+        this.applyCurrentBiome();
+        window.logger.log(`[B] Entering biome: ${biome.name}`);
+
+        if (this.game?.player) {
+            this.showFloatingText(`ENTERING ${biome.name.toUpperCase()}`,
+                this.game.player.x, this.game.player.y - 80, biome.accentColor || '#ffffff', 24);
+        }
+    }
+
+    /**
+     * Keep the result of a finished run (run history, daily bests); playback runs are not recorded
+     * @param {string} outcome - 'victory' | 'defeat'
+     */
+    _recordRunResult(outcome) {
+        if (this._runResultRecorded || window.replaySystem?.isPlaying?.()) {
+            return;
+        }
+        this._runResultRecorded = true;
+
+        const run = {
+            outcome,
+            time: this.gameTime,
+            kills: this.killCount,
+            level: this.game?.player?.level ?? 1,
+            bosses: this.state?.progression?.bossesKilled ?? 0
+        };
+
+        const characterId = this.game?.player?.characterId ?? this.state?.getSelectedCharacter?.() ?? null;
+        this.masteryResult = window.Game?.CharacterMastery?.awardRun?.(characterId, run) ?? null;
+        if (outcome === 'victory' && this.runHeat > 0) {
+            this.heatResult = window.Game?.HeatSystem?.recordClear?.(characterId, this.runHeat) ?? null;
+        }
+
+        this.runHistoryResult = window.Game?.RunHistory?.record?.({
+            ...run,
+            mode: this.getGameMode(),
+            characterId,
+            weaponId: this.state?.getSelectedWeapon?.() ?? null,
+            damageDealt: this.state?.progression?.damageDealt ?? 0,
+            upgrades: (window.upgradeSystem?.selectedUpgrades || []).map(upgrade => upgrade.id),
+            seed: this.runSeed,
+            modifiers: this.state?.getRunModifiers?.() ?? []
+        }) ?? null;
+
+        if (this.isDailyChallenge()) {
+            this.dailyResult = window.Game?.DailyChallenge?.recordResult?.(this.dailyChallenge, run) ?? null;
+        }
+    }
+
+    /**
+     * Meta upgrade levels affect player stats, so replays carry a snapshot of them
+     * @returns {Object} Map of meta upgrade id -> level (only non-zero levels)
+     */
+    getMetaUpgradeSnapshot() {
+        const snapshot = {};
+        const definitions = Array.isArray(window.META_UPGRADE_DEFINITIONS) ? window.META_UPGRADE_DEFINITIONS : [];
+        definitions.forEach(def => {
+            const level = window.StorageManager.getInt(`meta_${def.id}`, 0);
+            if (level > 0) {
+                snapshot[def.id] = level;
+            }
+        });
+        return snapshot;
+    }
+
+    /**
+     * Mastery palette, perk and starting upgrade change the run too, so replays carry them
+     * @param {string} [characterId] - Pilot to snapshot (defaults to the selected one)
+     * @returns {Object|null} CharacterMastery.getLoadout() for the pilot
+     */
+    getMasterySnapshot(characterId = this.state?.getSelectedCharacter?.()) {
+        return characterId ? (window.Game?.CharacterMastery?.getLoadout?.(characterId) ?? null) : null;
+    }
+
+    /**
+     * Start a new run that plays back a recorded replay
+     * @param {Object} replay - Replay parsed by ReplaySystem.parse()
+     * @returns {boolean} False if playback could not start (see getReplayMismatch)
+     */
+    startReplay(replay) {
+        if (!window.replaySystem || !replay) {
+            window.logger.error('! Replay system not available');
+            return false;
+        }
+
+        if (!this.game && !this.initGameEngine()) {
+            window.logger.error('! Cannot start replay - engine initialization failed');
+            return false;
+        }
+
+        const mismatch = this.getReplayMismatch(replay);
+        if (mismatch) {
+            window.logger.error(`! Cannot play replay - ${mismatch}`);
+            return false;
+        }
+
+        // The recorded loadout applies to this run only; the saved selection is left alone
+        this.state?.setRunOverrides?.({
+            characterId: replay.character || null,
+            weaponId: replay.weapon || null,
+            gameMode: replay.gameMode || 'normal',
+            modifiers: replay.modifiers || []
+        });
+        this.dailyChallenge = replay.gameMode === 'daily'
+            ? window.Game?.DailyChallenge?.fromSeed?.(replay.seed) ?? null
+            : null;
+
+        this.nextRunSeed = replay.seed;
+        window.replaySystem.queuePlayback(replay);
+        this.startGame();
+        return true;
+    }
+
+    /**
+     * Whether the current run is a replay playback. Playback never pays out star
+     * tokens or saves lifetime stats and achievements, so a replay can't be farmed
+     */
+    isReplayPlayback() {
+        return this.replayPlayback;
+    }
+
+    /**
+     * Leave playback: drop the lifetime totals counted while watching (never saved)
+     */
+    _endReplayPlayback() {
+        if (!this.replayPlayback) {
+            return;
+        }
+        this.replayPlayback = false;
+        this.statsManager?.reloadPersistentStats?.();
+    }
+
+    /**
+     * Why a replay cannot be played back faithfully on this save
+     * @returns {string|null} Reason, or null if the run will reproduce
+     */
+    getReplayMismatch(replay) {
+        if (replay?.meta && JSON.stringify(replay.meta) !== JSON.stringify(this.getMetaUpgradeSnapshot())) {
+            return 'it was recorded with different shop upgrades, so playback would desync';
+        }
+        const characterId = replay?.character || this.state?.getSelectedCharacter?.();
+        if (replay?.mastery && JSON.stringify(replay.mastery) !== JSON.stringify(this.getMasterySnapshot(characterId))) {
+            return 'it was recorded with a different character mastery loadout, so playback would desync';
+        }
+        return null;
+    }
+
     setupMinimap() {
         const MinimapSystemClass = this.resolveNamespace('MinimapSystem');
 
@@ -501,6 +849,7 @@ class GameManagerBridge {
                 containerId: 'minimap-container',
                 canvasId: 'minimap'
             });
+            this.minimapSystem.setBiome?.(this.biomeSystem?.getCurrentBiome?.() ?? null);
 
             if (initialize(this.minimapSystem)) {
                 return;
@@ -588,6 +937,17 @@ class GameManagerBridge {
 
         window.logger.log('👑 Boss defeated:', { isMegaBoss: enemy.isMegaBoss });
 
+        // The mega boss ends the run, so there is no next stage to enter
+        if (!enemy.isMegaBoss) {
+            this.advanceBiome();
+        }
+
+        // Boss Rush decides when the run is won
+        if (this.bossRush?.isActive()) {
+            this.bossRush.onBossDefeated(enemy);
+            return;
+        }
+
         // Check if this was a mega boss - show victory screen
         if (enemy.isMegaBoss) {
             window.logger.log('🏆 Mega Boss defeated! Showing victory screen...');
@@ -645,9 +1005,13 @@ class GameManagerBridge {
             }
         }
 
-        // Update enemy spawner
-        if (this.enemySpawner) {
+        // Update enemy spawner (Boss Rush replaces regular spawning)
+        if (this.bossRush?.isActive()) {
+            this.bossRush.update(deltaTime);
+        } else if (this.enemySpawner) {
             this.enemySpawner.update(deltaTime);
+            // Boss Rush arenas stay clear of environmental hazards
+            this.hazardSystem?.update?.(deltaTime, this.game);
             // Update formation manager (Polybius feature)
             if (this.formationManager) {
                 this.formationManager.update(deltaTime);
@@ -728,6 +1092,9 @@ class GameManagerBridge {
         this.gameOver = true;
         this.running = false;
 
+        this._recordRunResult('defeat');
+        window.replaySystem?.finishRun?.({ outcome: 'defeat', gameTime: this.gameTime });
+
         // Save persistent stats for lifetime achievements
         if (this.statsManager?.savePersistentStats) {
             this.statsManager.savePersistentStats();
@@ -779,6 +1146,9 @@ class GameManagerBridge {
         this.gameOver = true; // Also set gameOver to stop the game loop
         this.running = false;
 
+        this._recordRunResult('victory');
+        window.replaySystem?.finishRun?.({ outcome: 'victory', gameTime: this.gameTime });
+
         // Save persistent stats for lifetime achievements
         if (this.statsManager?.savePersistentStats) {
             this.statsManager.savePersistentStats();
@@ -789,13 +1159,30 @@ class GameManagerBridge {
             window.achievementSystem.saveAchievementsImmediate();
         }
 
-        // Award bonus stars for mega boss
-        this.earnStarTokens(20); // 20 stars for mega boss (was 10)
+        // Boss Rush pays out through its own rate table (StatsManager.awardBossRushTokens)
+        const bossRush = this.isBossRush();
+        if (!bossRush) {
+            // Award bonus stars for mega boss
+            this.earnStarTokens(20); // 20 stars for mega boss (was 10)
+        }
 
         // Create victory effect
         if (this.game?.player) {
             this.createLevelUpEffect(this.game.player.x, this.game.player.y);
-            this.showFloatingText('MEGA BOSS DEFEATED!', this.game.player.x, this.game.player.y - 50, '#f1c40f', 36);
+            this.showFloatingText(bossRush ? 'BOSS RUSH CLEARED!' : 'MEGA BOSS DEFEATED!', this.game.player.x, this.game.player.y - 50, '#f1c40f', 36);
+        }
+
+        if (bossRush) {
+            this.showRunSummary({
+                title: 'Boss Rush Cleared!',
+                subtitle: `All bosses defeated in ${this.formatTime(this.gameTime)}.`,
+                outcome: 'victory',
+                buttons: [
+                    { label: 'Retry Boss Rush', action: () => this.startGame() },
+                    { label: 'Main Menu', action: () => this.returnToMenu() }
+                ]
+            });
+            return;
         }
 
         this.showRunSummary({
@@ -821,12 +1208,87 @@ class GameManagerBridge {
     }
 
     getRunSummaryStats() {
-        return [
+        const stats = [
             { label: 'Enemies Defeated', value: this.killCount },
             { label: 'Highest Combo', value: `${this.highestCombo || 0}x` },
             { label: 'Survival Time', value: this.formatTime(this.gameTime) },
-            { label: 'Star Tokens', value: this.metaStars }
+            { label: 'Star Tokens', value: this.metaStars },
+            { label: 'Seed', value: this.runSeed || '-' }
         ];
+
+        const evolutionIds = this.statsManager?.sessionStats?.weaponEvolutions || [];
+        if (evolutionIds.length > 0) {
+            const evolutions = window.WEAPON_EVOLUTION_DEFINITIONS || [];
+            const names = evolutionIds.map(id => {
+                const evolution = evolutions.find(def => def.id === id);
+                return window.WEAPON_DEFINITIONS?.[evolution?.evolvedWeaponId]?.name || id;
+            });
+            stats.push({ label: 'Evolutions', value: names.join(', ') });
+        }
+
+        const biomes = this.biomeSystem?.getReachedBiomes?.() || [];
+        if (biomes.length > 0) {
+            stats.push({ label: 'Biomes Reached', value: biomes.map(biome => biome.name).join(', ') });
+        }
+
+        const modifiers = this.getRunModifierDefinitions();
+        if (modifiers.length > 0) {
+            stats.push({ label: 'Modifiers', value: modifiers.map(def => def.name).join(', ') });
+        }
+
+        if (this.runHeat > 0) {
+            const multiplier = this.getStarTokenMultiplier();
+            let heatText = `${this.runHeat} (x${Math.round(multiplier * 100) / 100} stars)`;
+            if (this.heatResult?.isNewBest) {
+                heatText += ' - new best clear!';
+            }
+            stats.push({ label: 'Heat', value: heatText });
+        }
+
+        if (this.masteryResult) {
+            const { xpGained, level, unlocked } = this.masteryResult;
+            stats.push({ label: 'Mastery', value: `Level ${level} (+${xpGained} XP)` });
+            if (unlocked.length > 0) {
+                const upgrades = window.UPGRADE_DEFINITIONS || [];
+                const names = unlocked.map(reward => reward.name ||
+                    `Start with ${upgrades.find(def => def.id === reward.upgradeId)?.name || reward.upgradeId}`);
+                stats.push({ label: 'Mastery Unlocks', value: names.join(', ') });
+            }
+        }
+
+        if (this.runHistoryResult) {
+            const { entry, rank, total } = this.runHistoryResult;
+            stats.push({ label: 'Score', value: `${entry.score} (#${rank} of ${total})` });
+        }
+
+        if (this.isDailyChallenge()) {
+            stats.push({ label: 'Daily Challenge', value: this.dailyChallenge.date });
+            if (this.dailyResult) {
+                const { result, isNewBest, best } = this.dailyResult;
+                stats.push({ label: 'Daily Score', value: isNewBest ? `${result.score} (new best!)` : `${result.score} (best ${best.score})` });
+            }
+        }
+
+        // Time-per-boss splits
+        if (this.isBossRush()) {
+            stats.push(...this.bossRush.getSummaryStats());
+        }
+        return stats;
+    }
+
+    /**
+     * Game mode of the current/next run ('normal' | 'bossRush' | 'daily')
+     */
+    getGameMode() {
+        return this.state?.getGameMode?.() || 'normal';
+    }
+
+    isBossRush() {
+        return this.getGameMode() === 'bossRush' && !!this.bossRush;
+    }
+
+    isDailyChallenge() {
+        return this.getGameMode() === 'daily' && !!this.dailyChallenge;
     }
 
     showRunSummary({ title, subtitle = '', outcome = 'summary', buttons = [] }) {
@@ -837,6 +1299,14 @@ class GameManagerBridge {
 
         const stats = this.getRunSummaryStats();
 
+        // Offer the recorded replay for download without closing the summary
+        if (window.replaySystem?.hasReplay?.()) {
+            buttons = [
+                ...buttons,
+                { label: 'Export Replay', action: () => window.replaySystem.exportReplay(), keepOpen: true }
+            ];
+        }
+
         if (window.resultScreen && typeof window.resultScreen.show === 'function') {
             try {
                 window.resultScreen.show({
@@ -844,7 +1314,8 @@ class GameManagerBridge {
                     subtitle,
                     stats,
                     outcome,
-                    buttons
+                    buttons,
+                    timeline: this.statsManager?.finishTimeline?.() ?? null
                 });
             } catch (error) {
                 window.logger.error('Error showing result screen:', error);
@@ -886,6 +1357,11 @@ class GameManagerBridge {
     }
 
     returnToMenu() {
+        // Abandoned runs stop recording/playback too
+        if (window.replaySystem?.isActive?.()) {
+            window.replaySystem.finishRun({ outcome: 'abandoned', gameTime: this.gameTime });
+        }
+
         const gameContainer = this._getUiRef('gameContainer', 'game-container', true);
         const mainMenu = this._getUiRef('mainMenu', 'main-menu', true);
         if (gameContainer) gameContainer.classList.add('hidden');
@@ -902,6 +1378,11 @@ class GameManagerBridge {
         this.gameOver = true;
         this.gameWon = false;
         this.endScreenShown = false;
+        // Daily/replay loadouts end with the run
+        this.state?.clearRunOverrides?.();
+        this._endReplayPlayback();
+        // Stars earned from the menu (achievements) are not heated
+        this.runHeat = 0;
 
         if (this.game) {
             if (typeof this.game.resumeGame === 'function') {
@@ -1304,6 +1785,9 @@ class GameManagerBridge {
      * Star token management
      */
     earnStarTokens(amount) {
+        if (this.isReplayPlayback()) {
+            return;
+        }
         if (this.statsManager?.earnStarTokens) {
             this.statsManager.earnStarTokens(amount);
             this.metaStars = this.statsManager.starTokens;
@@ -1315,6 +1799,21 @@ class GameManagerBridge {
         this.updateStarDisplay();
     }
 
+    /**
+     * Reload everything read from storage after the active save profile changed
+     */
+    onProfileChanged() {
+        const profile = window.StorageManager.getActiveProfile();
+        window.logger.log(`[P] Switched to profile "${profile.name}"`);
+
+        this.state?.reloadMetaState?.();
+        this.cachedStarTokens = window.StorageManager.getInt('starTokens', 0);
+        this.statsManager?.reloadPersistentStats?.();
+        // After GameState so unlocked achievements sync into the reloaded meta state
+        window.achievementSystem?.reloadAchievements?.();
+        this.updateStarDisplay();
+    }
+
     saveStarTokens() {
         const stars = this.getStarTokenBalance();
         try {
@@ -23,15 +23,20 @@
                 ENEMY: 2,
                 PROJECTILE: 4,
                 XP_ORB: 8,
-                ENEMY_PROJECTILE: 16
+                ENEMY_PROJECTILE: 16,
+                OBSTACLE: 32,
+                PICKUP: 64
             };
 
             this.collisionRules = {
-                player: new Set(['enemy', 'xpOrb', 'enemyProjectile']),
+                player: new Set(['enemy', 'xpOrb', 'enemyProjectile', 'pickup']),
                 projectile: new Set(['enemy']),
                 enemyProjectile: new Set(['player']),
                 enemy: new Set(['player', 'projectile']),
-                xpOrb: new Set(['player'])
+                xpOrb: new Set(['player']),
+                pickup: new Set(['player']),
+                // Asteroids soak shots from both sides; movement blocking lives in Player/EnemyMovement
+                obstacle: new Set(['projectile', 'enemyProjectile'])
             };
 
             this._adjacentOffsets = [
@@ -403,14 +408,25 @@
                     }
                 }
 
+                // Player <-> pickups (effects applied by PickupSystem)
+                if (entity1.type === 'player' && entity2.type === 'pickup' && typeof entity2.collect === 'function') {
+                    entity2.collect(entity1);
+                } else if (entity2.type === 'player' && entity1.type === 'pickup' && typeof entity1.collect === 'function') {
+                    entity1.collect(entity2);
+                }
+
                 // Player <-> enemy
                 if (entity1.type === 'player' && entity2.type === 'enemy' && !entity1.isInvulnerable) {
                     if (typeof entity1.takeDamage === 'function' && typeof entity2.damage === 'number') {
+                        const healthBefore = entity1.health;
                         entity1.takeDamage(entity2.damage);
+                        entity2.onDealDamage?.(healthBefore - entity1.health);
                     }
                 } else if (entity2.type === 'player' && entity1.type === 'enemy' && !entity2.isInvulnerable) {
                     if (typeof entity2.takeDamage === 'function' && typeof entity1.damage === 'number') {
+                        const healthBefore = entity2.health;
                         entity2.takeDamage(entity1.damage);
+                        entity1.onDealDamage?.(healthBefore - entity2.health);
                         if (window.gameManager) window.gameManager.createHitEffect(entity2.x, entity2.y, entity1.damage);
                         if (window.audioSystem && window.audioSystem.play) window.audioSystem.play('hit', 0.2);
                     }
@@ -631,6 +647,13 @@
                         entity2.isDead = true;
                     }
                 }
+
+                // Projectiles <-> obstacles
+                if (entity1.type === 'obstacle' && typeof entity1.blockProjectile === 'function') {
+                    entity1.blockProjectile(entity2);
+                } else if (entity2.type === 'obstacle' && typeof entity2.blockProjectile === 'function') {
+                    entity2.blockProjectile(entity1);
+                }
             } catch (err) {
                 window.logger.error('Error handling collision:', err, 'Entity1:', entity1?.type, 'Entity2:', entity2?.type);
             }
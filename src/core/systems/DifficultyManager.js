@@ -247,10 +247,11 @@ class DifficultyManager {
             };
         }
         
-        // Apply scaling
-        const healthScale = this.enemyHealthMultiplier;
+        // Apply scaling (run modifiers stack on top of the difficulty curve)
+        const runModifier = effect => this.gameManager?.getRunModifierMultiplier?.(effect) ?? 1;
+        const healthScale = this.enemyHealthMultiplier * runModifier('enemyHealth');
         const damageScale = this.enemyDamageMultiplier;
-        const speedScale = this.enemySpeedMultiplier;
+        const speedScale = this.enemySpeedMultiplier * runModifier('enemySpeed');
         
         enemy.maxHealth = Math.ceil(enemy.originalStats.maxHealth * healthScale);
         enemy.health = enemy.maxHealth;
@@ -368,11 +369,28 @@ class DifficultyManager {
 
         return baseThresholds.map(threshold => {
             // Add ±variance random variation
-            const randomOffset = (Math.random() - 0.5) * variance * 2;
+            const randomOffset = ((window.Game?.rng?.next() ?? Math.random()) - 0.5) * variance * 2;
             return Math.max(0.10, Math.min(0.90, threshold + randomOffset));
         });
     }
 
+    /**
+     * Scale boss phase thresholds by the bossEnrage run modifier
+     * @private
+     */
+    _applyBossEnrage(boss) {
+        const enrage = this.gameManager?.getRunModifierMultiplier?.('bossEnrage') ?? 1;
+        if (enrage === 1) return;
+
+        const scale = thresholds => thresholds.map(threshold => Math.min(0.95, threshold * enrage));
+        if (Array.isArray(boss.phaseThresholds)) {
+            boss.phaseThresholds = scale(boss.phaseThresholds);
+        }
+        if (Array.isArray(boss.ai?.phaseChangeThresholds)) {
+            boss.ai.phaseChangeThresholds = scale(boss.ai.phaseChangeThresholds);
+        }
+    }
+
     /**
      * Add golden tint to boss color for visual distinction
      * @private
@@ -472,6 +490,9 @@ class DifficultyManager {
             boss.phaseThresholds = this._generatePhaseThresholds();
         }
 
+        // Enrage curse: later phases start at higher health
+        this._applyBossEnrage(boss);
+
         // Set mega boss properties
         if (isMegaBoss) {
             boss.isMegaBoss = true;
@@ -0,0 +1,166 @@
+/**
+ * GameScheduler - engine-owned timers that run on simulation time.
+ * Replaces setTimeout for gameplay effects so delayed attacks stop while the
+ * game is paused, follow the fixed-step deltaTime and replay deterministically.
+ * GameEngine.update() advances it; prepareNewRun() clears it.
+ */
+class GameScheduler {
+    // Tolerance so summed frame deltas (0.1 * 10 !== 1) don't push a task a frame late
+    static EPSILON = 1e-9;
+
+    constructor() {
+        this.tasks = [];
+        this.nextId = 1;
+        this.time = 0;
+    }
+
+    /**
+     * Run a callback once after a delay
+     * @param {Function} callback - Receives the scheduler time when fired
+     * @param {number} delay - Seconds of game time
+     * @param {object} [options]
+     * @param {object} [options.owner] - Entity the task belongs to; dropped once it dies
+     * @returns {number} Task id for cancel()
+     */
+    schedule(callback, delay, options = {}) {
+        return this._add(callback, delay, 0, options.owner || null);
+    }
+
+    /**
+     * Run a callback every interval seconds until cancelled
+     * @param {Function} callback - Return false to stop repeating
+     * @param {number} interval - Seconds of game time between runs
+     * @param {object} [options]
+     * @param {object} [options.owner] - Entity the task belongs to; dropped once it dies
+     * @param {number} [options.delay] - First run delay (defaults to interval)
+     * @returns {number} Task id for cancel()
+     */
+    repeat(callback, interval, options = {}) {
+        const safeInterval = Math.max(0.001, Number(interval) || 0);
+        const delay = options.delay !== undefined ? options.delay : safeInterval;
+        return this._add(callback, delay, safeInterval, options.owner || null);
+    }
+
+    _add(callback, delay, interval, owner) {
+        if (typeof callback !== 'function') {
+            return 0;
+        }
+
+        const id = this.nextId++;
+        this.tasks.push({
+            id,
+            callback,
+            dueAt: this.time + Math.max(0, Number(delay) || 0),
+            interval,
+            owner,
+            cancelled: false
+        });
+        return id;
+    }
+
+    cancel(id) {
+        const task = this.tasks.find(entry => entry.id === id);
+        if (task) {
+            task.cancelled = true;
+        }
+        return !!task;
+    }
+
+    /**
+     * Cancel every task belonging to an entity (e.g. on enemy death)
+     */
+    cancelOwner(owner) {
+        if (!owner) return 0;
+        let count = 0;
+        for (const task of this.tasks) {
+            if (task.owner === owner && !task.cancelled) {
+                task.cancelled = true;
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Schedule on the running engine's scheduler; outside a run (menus, unit
+     * tests) fall back to a wall-clock timeout that still honors owner death
+     * @param {number} delay - Seconds
+     */
+    static runLater(callback, delay, options = {}) {
+        const scheduler = options.scheduler
+            || (typeof window !== 'undefined' ? window.gameEngine?.scheduler : null);
+        if (scheduler) {
+            return scheduler.schedule(callback, delay, options);
+        }
+
+        const owner = options.owner || null;
+        return setTimeout(() => {
+            if (owner && owner.isDead) return;
+            callback();
+        }, Math.max(0, delay) * 1000);
+    }
+
+    clear() {
+        this.tasks.length = 0;
+        this.time = 0;
+    }
+
+    getPendingCount() {
+        return this.tasks.filter(task => !task.cancelled).length;
+    }
+
+    update(deltaTime) {
+        if (!Number.isFinite(deltaTime) || deltaTime <= 0) return;
+        this.time += deltaTime;
+
+        // Snapshot the due tasks first so callbacks can schedule new ones safely
+        const due = [];
+        for (const task of this.tasks) {
+            if (!task.cancelled && task.dueAt <= this.time + GameScheduler.EPSILON) {
+                due.push(task);
+            }
+        }
+        // Fire in due order, ties broken by scheduling order, for replay stability
+        due.sort((a, b) => (a.dueAt - b.dueAt) || (a.id - b.id));
+
+        for (const task of due) {
+            if (task.cancelled) continue;
+            if (task.owner && task.owner.isDead) {
+                task.cancelled = true;
+                continue;
+            }
+
+            let keepGoing = true;
+            try {
+                keepGoing = task.callback(this.time) !== false;
+            } catch (error) {
+                window.logger?.error?.('Scheduled task failed:', error);
+                keepGoing = false;
+            }
+
+            if (task.interval > 0 && keepGoing && !task.cancelled) {
+                task.dueAt += task.interval;
+                // Don't spiral after a long hitch; skip missed repeats
+                if (task.dueAt <= this.time) {
+                    task.dueAt = this.time + task.interval;
+                }
+            } else {
+                task.cancelled = true;
+            }
+        }
+
+        if (this.tasks.some(task => task.cancelled || (task.owner && task.owner.isDead))) {
+            this.tasks = this.tasks.filter(task => !task.cancelled && !(task.owner && task.owner.isDead));
+        }
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.GameScheduler = GameScheduler;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameScheduler;
+}
@@ -21,12 +21,24 @@ class MinimapSystem {
         this._xpMarkerCount = 0;
 
         this._bossIndicatorCache = { x: 0, y: 0, dxWorld: 0, dyWorld: 0, distSq: Infinity, inBounds: false };
+
+        // Current biome label drawn along the top edge
+        this.biomeName = '';
+        this.biomeColor = '#aaaaaa';
     }
 
     setGame(game) {
         this.game = game;
     }
 
+    /**
+     * @param {Object|null} biome - BIOME_DEFINITIONS entry
+     */
+    setBiome(biome) {
+        this.biomeName = biome?.name || '';
+        this.biomeColor = biome?.accentColor || '#aaaaaa';
+    }
+
     initialize() {
         try {
             const container = document.getElementById(this.containerId);
@@ -172,18 +184,77 @@ class MinimapSystem {
             this._xpMarkerCount = xpCount;
         }
 
+        this._drawHazardMarkers(ctx, player, centerX, centerY);
         this._drawEnemyMarkers(ctx);
         this._drawXpMarkers(ctx);
+        this._drawPickupMarkers(ctx, player, centerX, centerY);
 
         if (bossCache.distSq !== Infinity) {
             this._drawBossIndicator(ctx, bossCache, width, height, centerX, centerY);
         }
+
+        if (this.biomeName) {
+            this._drawBiomeLabel(ctx, centerX);
+        }
+    }
+
+    _drawBiomeLabel(ctx, centerX) {
+        ctx.save();
+        ctx.font = 'bold 10px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = this.biomeColor;
+        ctx.fillText(this.biomeName.toUpperCase(), centerX, 12);
+        ctx.restore();
     }
 
     destroy() {
         this.ctx = null;
     }
 
+    /**
+     * Arena hazards drawn to scale underneath the enemy markers
+     */
+    _drawHazardMarkers(ctx, player, centerX, centerY) {
+        const game = this.game;
+        if (typeof game.getEntitiesByType !== 'function') return;
+
+        const { width, height, scale } = this;
+        const styles = {
+            asteroid: { fill: '#8d8a80' },
+            blackHole: { stroke: '#a483ff' },
+            solarFlare: { fill: 'rgba(255, 179, 0, 0.5)' }
+        };
+
+        ctx.save();
+        ctx.lineWidth = 1;
+        for (const type of ['obstacle', 'gravityWell', 'damageZoneTelegraph', 'damageZone']) {
+            const entities = game.getEntitiesByType(type) || [];
+            for (const hazard of entities) {
+                if (!hazard || hazard.isDead || !hazard.isHazard) continue;
+                const style = styles[hazard.hazardType];
+                if (!style) continue;
+
+                const x = centerX + (hazard.x - player.x) * scale;
+                const y = centerY + (hazard.y - player.y) * scale;
+                const r = Math.max(1.5, (hazard.radius || 0) * scale);
+                if (x + r < 0 || x - r > width || y + r < 0 || y - r > height) continue;
+
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                if (style.fill) {
+                    ctx.fillStyle = style.fill;
+                    ctx.fill();
+                }
+                if (style.stroke) {
+                    ctx.strokeStyle = style.stroke;
+                    ctx.stroke();
+                }
+            }
+        }
+        ctx.restore();
+    }
+
     _drawEnemyMarkers(ctx) {
         const count = this._enemyMarkerCount;
         if (!count) return;
@@ -240,6 +311,37 @@ class MinimapSystem {
         }
     }
 
+    /**
+     * Item drops as diamonds in their pickup color (chests drawn larger)
+     */
+    _drawPickupMarkers(ctx, player, centerX, centerY) {
+        const game = this.game;
+        if (typeof game.getEntitiesByType !== 'function') return;
+
+        const pickups = game.getEntitiesByType('pickup') || [];
+        if (pickups.length === 0) return;
+
+        const { width, height, scale } = this;
+        ctx.save();
+        for (const pickup of pickups) {
+            if (!pickup || pickup.isDead) continue;
+            const x = Math.round(centerX + (pickup.x - player.x) * scale);
+            const y = Math.round(centerY + (pickup.y - player.y) * scale);
+            if (x < 0 || x > width || y < 0 || y > height) continue;
+
+            const size = pickup.kind === 'bossChest' ? 4 : 2.5;
+            ctx.fillStyle = pickup.color || '#ffffff';
+            ctx.beginPath();
+            ctx.moveTo(x, y - size);
+            ctx.lineTo(x + size, y);
+            ctx.lineTo(x, y + size);
+            ctx.lineTo(x - size, y);
+            ctx.closePath();
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
     _drawBossIndicator(ctx, bossData, width, height, centerX, centerY) {
         const { x, y, dxWorld, dyWorld } = bossData;
         const inBounds = bossData.inBounds;
@@ -63,9 +63,13 @@ class StatsManager {
             ricochetKills: 0,
             explosionKills: 0,
             projectilesFired: 0, // Track session projectiles for accuracy achievements
-            projectileHits: 0 // Track successful projectile hits for accuracy calculation
+            projectileHits: 0, // Track successful projectile hits for accuracy calculation
+            weaponEvolutions: [] // Evolution ids in the order they happened
         };
 
+        // Run timeline for the result screen graph (see sampleTimeline)
+        this.resetTimeline();
+
         // Achievement tracking
         this.achievementProgress = new Map();
         this.unlockedAchievements = new Set();
@@ -168,6 +172,8 @@ class StatsManager {
         // Update session time
         this.sessionStats.gameTime = this.gameManager.gameTime;
 
+        this.updateTimeline(deltaTime);
+
         // Track player travel distance for lifetime achievements
         const player = this.gameManager?.game?.player;
         if (player && typeof player.x === 'number' && typeof player.y === 'number') {
@@ -427,15 +433,39 @@ class StatsManager {
         }
     }
 
+    /**
+     * Award star tokens for a Boss Rush kill
+     * @param {number} bossNumber - 1-based position of the boss in the rush
+     * @param {number} splitSeconds - Time from spawn to kill
+     * @param {boolean} cleared - True if this kill finished the rush
+     * @returns {number} Tokens awarded (before Stellar Fortune)
+     */
+    awardBossRushTokens(bossNumber, splitSeconds, cleared) {
+        const rates = window.GAME_CONSTANTS?.BOSS_RUSH?.STAR_REWARDS || {};
+        const perBoss = Array.isArray(rates.PER_BOSS) && rates.PER_BOSS.length > 0 ? rates.PER_BOSS : [1];
+
+        let tokensToAward = perBoss[Math.min(Math.max(1, bossNumber), perBoss.length) - 1];
+        if (Number.isFinite(splitSeconds) && splitSeconds <= (rates.FAST_SPLIT_SECONDS ?? 0)) {
+            tokensToAward += rates.FAST_SPLIT_BONUS || 0;
+        }
+        if (cleared) {
+            tokensToAward += rates.CLEAR_BONUS || 0;
+        }
+
+        this.earnStarTokens(tokensToAward);
+        return tokensToAward;
+    }
+
     /**
      * Increment kill count and handle combo
+     * @param {Object} [enemy] - Killed enemy, used to count elite/boss kills for the run
      */
-    incrementKills() {
+    incrementKills(enemy = null) {
         this.bindAchievementSystem();
 
         // 🌊 USE GAME STATE
         if (this.state && this.state.addKill) {
-            this.state.addKill();
+            this.state.addKill(!!enemy?.isElite, !!enemy?.isBoss);
         }
 
         // Update session stats
@@ -452,7 +482,7 @@ class StatsManager {
     registerEnemyKill(enemy) {
         this.bindAchievementSystem();
 
-        const killCount = this.incrementKills();
+        const killCount = this.incrementKills(enemy);
 
         if (enemy?.isElite) {
             this.trackSpecialEvent('elite_kill');
@@ -487,6 +517,7 @@ class StatsManager {
     onPlayerLevelUp(level) {
         this.bindAchievementSystem();
         this.sessionStats.highestLevel = Math.max(this.sessionStats.highestLevel, level);
+        this.addTimelineEvent('levelUp', { level });
         this.achievementSystem?.updateAchievement?.('level_up', level);
         // Track Speed Runner achievement (reach level 15)
         this.achievementSystem?.onLevelReached?.(level);
@@ -518,9 +549,12 @@ class StatsManager {
         this.bindAchievementSystem();
         this.sessionStats.bossesKilled++;
         this.gameStats.bossesSpawned++;
+        this.addTimelineEvent('bossKill');
 
-        // Award star tokens for boss kills
-        this.earnStarTokens(1);
+        // Award star tokens for boss kills (Boss Rush uses awardBossRushTokens instead)
+        if (!this.gameManager?.isBossRush?.()) {
+            this.earnStarTokens(1);
+        }
 
         // Check for Jupiter star drop upgrade
         try {
@@ -565,6 +599,7 @@ class StatsManager {
      */
     trackDamageDealt(amount) {
         this.totalDamageDealt += amount;
+        this.timelineDamage += amount;
 
         // Update GameState progression (per-run tracking)
         if (this.state?.addDamageDealt) {
@@ -583,6 +618,9 @@ class StatsManager {
      */
     trackDamageTaken(amount) {
         this.totalDamageTaken += amount;
+
+        // Mirror into GameState so per-run damage taken is tracked like damage dealt
+        this.state?.addDamageTaken?.(amount);
     }
 
     /**
@@ -637,6 +675,11 @@ class StatsManager {
             case 'upgrade_chosen':
                 this.gameStats.upgradesChosen++;
                 break;
+            case 'weapon_evolved':
+                if (data.evolutionId) {
+                    this.sessionStats.weaponEvolutions.push(data.evolutionId);
+                }
+                break;
         }
     }
 
@@ -667,11 +710,16 @@ class StatsManager {
      * Earn star tokens
      */
     earnStarTokens(amount) {
-        if (!Number.isFinite(amount) || amount <= 0) {
+        // Watching a replay pays nothing
+        if (!Number.isFinite(amount) || amount <= 0 || this.gameManager?.isReplayPlayback?.()) {
             return;
         }
 
         this.bindAchievementSystem();
+        // Heat curses multiply every star earned during the run
+        const heatMultiplier = this.gameManager?.getStarTokenMultiplier?.() ?? 1;
+        amount = Math.max(1, Math.round(amount * heatMultiplier));
+
         // Apply Stellar Fortune bonus from Star Vendor
         let stellarFortuneLevel = 0;
         try {
@@ -685,7 +733,7 @@ class StatsManager {
             // Each level gives a chance for bonus stars
             const bonusChance = stellarFortuneLevel * 0.33; // 33% chance per level
             for (let i = 0; i < amount; i++) {
-                if (Math.random() < bonusChance) {
+                if ((window.Game?.rng?.next() ?? Math.random()) < bonusChance) {
                     finalAmount++;
                 }
             }
@@ -801,6 +849,17 @@ class StatsManager {
         }
     }
 
+    /**
+     * Reload persistent statistics after the active save profile changed
+     */
+    reloadPersistentStats() {
+        this.totalDamageDealt = 0;
+        this.totalDamageTaken = 0;
+        this.projectilesFired = 0;
+        this.distanceTraveled = 0;
+        this.loadPersistentStats();
+    }
+
     /**
      * Validate and sanitize numeric statistics
      */
@@ -815,6 +874,10 @@ class StatsManager {
      * Save persistent statistics
      */
     savePersistentStats() {
+        // Totals counted during replay playback are not real progress
+        if (this.gameManager?.isReplayPlayback?.()) {
+            return;
+        }
         try {
             const statsToSave = {
                 totalDamageDealt: this.totalDamageDealt,
@@ -830,6 +893,83 @@ class StatsManager {
         }
     }
 
+    /**
+     * Clear the run timeline
+     */
+    resetTimeline() {
+        const config = window.GAME_CONSTANTS?.STATS_TIMELINE || {};
+        this.timeline = {
+            interval: config.SAMPLE_INTERVAL ?? 5,
+            samples: [],
+            events: []
+        };
+        this.timelineTimer = 0;
+        this.timelineDamage = 0;
+        this.timelineDamageTime = 0;
+    }
+
+    /**
+     * Take a timeline sample every interval of game time
+     */
+    updateTimeline(deltaTime) {
+        this.timelineTimer += deltaTime;
+        this.timelineDamageTime += deltaTime;
+        if (this.timelineTimer >= this.timeline.interval) {
+            this.timelineTimer = 0;
+            this.sampleTimeline();
+        }
+    }
+
+    /**
+     * Record the run's current state: DPS since the last sample, enemies alive,
+     * player HP %, level and DifficultyManager's difficulty factor
+     */
+    sampleTimeline() {
+        const game = this.gameManager?.game;
+        const player = game?.player;
+        const metrics = this.gameManager?.difficultyManager?.getDifficultyMetrics?.();
+        const elapsed = this.timelineDamageTime;
+
+        this.timeline.samples.push({
+            time: this.gameManager?.gameTime ?? 0,
+            dps: elapsed > 0 ? Math.round(this.timelineDamage / elapsed) : 0,
+            enemies: game?.enemies?.length ?? 0,
+            hp: player?.maxHealth > 0 ? Math.round(Math.max(0, player.health) / player.maxHealth * 100) : 0,
+            level: player?.level ?? 1,
+            difficulty: Math.round((metrics?.difficultyFactor ?? 1) * 100) / 100
+        });
+        this.timelineDamage = 0;
+        this.timelineDamageTime = 0;
+
+        // Long endless runs: keep every other sample and sample half as often
+        const maxSamples = window.GAME_CONSTANTS?.STATS_TIMELINE?.MAX_SAMPLES ?? 360;
+        if (this.timeline.samples.length > maxSamples) {
+            this.timeline.samples = this.timeline.samples.filter((_, index) => index % 2 === 1);
+            this.timeline.interval *= 2;
+        }
+    }
+
+    /**
+     * Mark a moment on the timeline
+     * @param {string} type - 'bossKill' | 'levelUp'
+     */
+    addTimelineEvent(type, data = {}) {
+        this.timeline.events.push({ time: this.gameManager?.gameTime ?? 0, type, ...data });
+    }
+
+    /**
+     * Close the timeline at the current moment (run end) and return it
+     * @returns {{interval: number, samples: Object[], events: Object[]}}
+     */
+    finishTimeline() {
+        const lastTime = this.timeline.samples[this.timeline.samples.length - 1]?.time ?? -1;
+        if ((this.gameManager?.gameTime ?? 0) > lastTime) {
+            this.sampleTimeline();
+        }
+        this.timelineTimer = 0;
+        return this.timeline;
+    }
+
     /**
      * Get comprehensive statistics summary
      */
@@ -903,7 +1043,8 @@ class StatsManager {
             ricochetKills: 0,
             explosionKills: 0,
             projectilesFired: 0,
-            projectileHits: 0
+            projectileHits: 0,
+            weaponEvolutions: []
         };
 
         this.gameStats = {
@@ -917,6 +1058,7 @@ class StatsManager {
 
         this.achievedMilestones.clear();
         this.performanceMetrics.efficiencyScore = 0;
+        this.resetTimeline();
 
         // Reset achievement update throttling
         this.lastLifetimeAchievementUpdate = 0;
@@ -208,7 +208,8 @@ class UnifiedUIManager {
         if (this.gameEngine.enemies) {
             for (const enemy of this.gameEngine.enemies) {
                 if (enemy.isDead) continue;
-                if (!enemy.maxHealth || enemy.health >= enemy.maxHealth) continue;
+                // Affixed elites always show their bar so the labels are readable
+                if (!enemy.maxHealth || (enemy.health >= enemy.maxHealth && !enemy.affixes?.length)) continue;
                 if (!this.isEntityVisible(enemy)) continue;
                 this.renderEntityHealthBar(enemy);
             }
@@ -268,6 +269,39 @@ class UnifiedUIManager {
             ctx.fillStyle = healthColor;
             ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
         }
+
+        if (entity.affixes?.length) {
+            this.renderAffixLabels(entity, barY - 3);
+        }
+    }
+
+    /**
+     * Elite affix names in their colors, centered above the health bar
+     */
+    renderAffixLabels(entity, bottomY) {
+        const labels = window.Game?.EliteAffixes?.getLabels(entity) || [];
+        if (!labels.length) return;
+
+        const ctx = this.ctx;
+        const gap = 6;
+        ctx.save();
+        ctx.font = this._getFont(10);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#000000';
+
+        const widths = labels.map(label => ctx.measureText(label.name).width);
+        const totalWidth = widths.reduce((sum, width) => sum + width, 0) + gap * (labels.length - 1);
+        let x = entity.x - totalWidth / 2;
+
+        labels.forEach((label, i) => {
+            ctx.strokeText(label.name, x, bottomY);
+            ctx.fillStyle = label.color;
+            ctx.fillText(label.name, x, bottomY);
+            x += widths[i] + gap;
+        });
+        ctx.restore();
     }
     
     /**
@@ -0,0 +1,191 @@
+/**
+ * Arena hazards spawned by HazardSystem (see hazards.config.js).
+ * Solar flares are plain 'solar' DamageZones, so only the solid and drifting
+ * hazards need their own entities.
+ */
+
+function hazardRandom() {
+    return window.Game?.rng?.next() ?? Math.random();
+}
+
+/**
+ * Asteroid - destructible 'obstacle' entity.
+ * Registered in GameEngine.obstacles; PlayerMovement and EnemyMovement push
+ * out of it and CollisionSystem lets it soak projectiles.
+ */
+class Asteroid {
+    constructor({
+        x = 0,
+        y = 0,
+        radius = 40,
+        health = null,
+        xpValue = 0
+    } = {}) {
+        this.type = 'obstacle';
+        this.hazardType = 'asteroid';
+        this.isHazard = true;
+        this.x = x;
+        this.y = y;
+        this.radius = Math.max(10, radius);
+        this.maxHealth = Math.max(1, health ?? this.radius * 4);
+        this.health = this.maxHealth;
+        this.xpValue = Math.max(0, xpValue);
+        this.isDead = false;
+
+        this.rotation = hazardRandom() * Math.PI * 2;
+        this.rotationSpeed = (hazardRandom() - 0.5) * 0.6;
+        this.hitFlashTimer = 0;
+
+        // Jagged outline, stored as radius multipliers around the circle
+        const points = 9 + Math.floor(hazardRandom() * 4);
+        this.outline = [];
+        for (let i = 0; i < points; i++) {
+            this.outline.push(0.8 + hazardRandom() * 0.25);
+        }
+    }
+
+    update(deltaTime) {
+        this.rotation += this.rotationSpeed * deltaTime;
+        if (this.hitFlashTimer > 0) {
+            this.hitFlashTimer = Math.max(0, this.hitFlashTimer - deltaTime);
+        }
+    }
+
+    /**
+     * Stop a projectile that flew into the rock. Player shots chip away at it.
+     */
+    blockProjectile(projectile) {
+        if (!projectile || projectile.isDead || this.isDead) return;
+
+        if (projectile.type === 'projectile') {
+            if (typeof projectile.damage === 'number') {
+                this.takeDamage(projectile.damage);
+            }
+            projectile.isDead = true;
+        } else if (projectile.type === 'enemyProjectile') {
+            projectile.isDead = true;
+        }
+    }
+
+    takeDamage(amount) {
+        if (this.isDead || !(amount > 0)) return;
+
+        this.health -= amount;
+        this.hitFlashTimer = 0.08;
+        if (this.health <= 0) {
+            this.shatter();
+        }
+    }
+
+    shatter() {
+        if (this.isDead) return;
+        this.isDead = true;
+        this.health = 0;
+
+        const gm = window.gameManager;
+        gm?.createExplosion?.(this.x, this.y, this.radius * 1.4, '#a89f91');
+
+        const XPOrbClass = window.Game?.XPOrb;
+        if (this.xpValue > 0 && XPOrbClass) {
+            gm?.game?.addEntity?.(new XPOrbClass(this.x, this.y, this.xpValue));
+        }
+        gm?.pickupSystem?.onDestructibleDestroyed?.(this, gm.game);
+    }
+
+    render(ctx) {
+        const points = this.outline.length;
+
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(this.rotation);
+
+        ctx.beginPath();
+        for (let i = 0; i < points; i++) {
+            const angle = (i / points) * Math.PI * 2;
+            const r = this.radius * this.outline[i];
+            if (i === 0) {
+                ctx.moveTo(Math.cos(angle) * r, Math.sin(angle) * r);
+            } else {
+                ctx.lineTo(Math.cos(angle) * r, Math.sin(angle) * r);
+            }
+        }
+        ctx.closePath();
+        ctx.fillStyle = this.hitFlashTimer > 0 ? '#d9d4c7' : '#4a4540';
+        ctx.fill();
+        ctx.strokeStyle = '#8d8a80';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Cracks once it has taken a beating
+        if (this.health < this.maxHealth * 0.5) {
+            ctx.beginPath();
+            ctx.moveTo(-this.radius * 0.4, -this.radius * 0.2);
+            ctx.lineTo(0, 0);
+            ctx.lineTo(this.radius * 0.3, this.radius * 0.35);
+            ctx.moveTo(0, 0);
+            ctx.lineTo(this.radius * 0.2, -this.radius * 0.4);
+            ctx.strokeStyle = '#1f1c1a';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+}
+
+/**
+ * BlackHole - a drifting, long-lived GravityWell.
+ * Keeps the 'gravityWell' type so EnemyMovement.applyEnvironmentalForces pulls
+ * enemies in unchanged; playerPull makes PlayerMovement feel it too.
+ */
+class BlackHole extends window.Game.GravityWell {
+    constructor({
+        x = 0,
+        y = 0,
+        radius = 180,
+        duration = 18,
+        pullStrength = 0.35,
+        slowAmount = 0.3,
+        vx = 0,
+        vy = 0,
+        playerPull = 0.6
+    } = {}) {
+        super({ x, y, radius, duration, slowAmount, pullStrength, damageMultiplier: 0, baseDamage: 0 });
+        this.hazardType = 'blackHole';
+        this.isHazard = true;
+        this.vx = vx;
+        this.vy = vy;
+        this.playerPull = Math.max(0, playerPull);
+    }
+
+    update(deltaTime, game) {
+        if (!this.isDead) {
+            this.x += this.vx * deltaTime;
+            this.y += this.vy * deltaTime;
+        }
+        super.update(deltaTime, game);
+    }
+
+    render(ctx) {
+        super.render(ctx);
+
+        // Event horizon on top of the well's glow
+        const visibility = this._getVisibilityFactor();
+        ctx.save();
+        ctx.globalAlpha = visibility;
+        ctx.fillStyle = '#05010a';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * 0.14, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#e0d4ff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.Asteroid = Asteroid;
+    window.Game.BlackHole = BlackHole;
+}
@@ -0,0 +1,116 @@
+/**
+ * Pickup - Collectible item drops (health, power-ups, star shards, boss chests)
+ * Kinds come from PICKUP_DEFINITIONS. Instances are pooled by
+ * GameEngine.spawnPickup(), so all per-drop state is set in reset().
+ * Effects are applied by PickupSystem when the player touches one.
+ */
+class Pickup {
+    constructor(kind = 'health', x = 0, y = 0) {
+        this.type = 'pickup';
+        this.reset(kind, x, y);
+    }
+
+    static getDefinition(kind) {
+        return window.PICKUP_DEFINITIONS?.[kind] || null;
+    }
+
+    /**
+     * (Re)initialize for a new drop
+     */
+    reset(kind, x, y) {
+        const def = Pickup.getDefinition(kind) || {};
+
+        this.id = null; // GameEngine.addEntity assigns a fresh id
+        this.kind = kind;
+        this.x = x;
+        this.y = y;
+        this.radius = def.radius || 10;
+        this.color = def.color || '#ffffff';
+        this.icon = def.icon || '?';
+        this.lifetime = def.lifetime ?? 30;
+        this.age = 0;
+        this.isDead = false;
+        this.collected = false;
+        this.bobOffset = (window.Game?.rng?.next() ?? Math.random()) * Math.PI * 2;
+        return this;
+    }
+
+    update(deltaTime, game) {
+        if (this.isDead) return;
+
+        this.age += deltaTime;
+        this.bobOffset += deltaTime * 3;
+        if (this.lifetime > 0 && this.age >= this.lifetime) {
+            this.isDead = true;
+            return;
+        }
+
+        // Drift toward the player inside half their magnet range
+        const player = game?.player;
+        if (!player || player.isDead) return;
+
+        const dx = player.x - this.x;
+        const dy = player.y - this.y;
+        const range = (player.magnetRange || 100) * 0.5;
+        const distSq = dx * dx + dy * dy;
+        if (distSq > 0 && distSq < range * range) {
+            const distance = Math.sqrt(distSq);
+            const step = Math.min(distance, 200 * deltaTime);
+            this.x += (dx / distance) * step;
+            this.y += (dy / distance) * step;
+        }
+    }
+
+    /**
+     * Called by the collision systems on player contact
+     * @returns {boolean} True if this call collected it
+     */
+    collect(player) {
+        if (this.collected || this.isDead) return false;
+
+        this.collected = true;
+        this.isDead = true;
+
+        const gm = window.gameManager || window.gameManagerBridge;
+        gm?.pickupSystem?.applyPickup(this, player, gm.game);
+        gm?.createExplosion?.(this.x, this.y, this.radius * 2, this.color);
+        window.audioSystem?.play?.('pickup', 0.4);
+        return true;
+    }
+
+    render(ctx) {
+        if (this.isDead) return;
+
+        // Blink during the last few seconds
+        const remaining = this.lifetime > 0 ? this.lifetime - this.age : Infinity;
+        if (remaining < 3 && Math.floor(remaining * 6) % 2 === 0) return;
+
+        const y = this.y + Math.sin(this.bobOffset) * 3;
+        const r = this.radius;
+
+        ctx.save();
+        ctx.fillStyle = '#000000';
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        if (this.kind === 'bossChest') {
+            ctx.rect(this.x - r, y - r * 0.75, r * 2, r * 1.5);
+        } else {
+            ctx.arc(this.x, y, r, 0, Math.PI * 2);
+        }
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = this.color;
+        ctx.font = `bold ${Math.round(r * 1.1)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.icon, this.x, y + 1);
+        ctx.restore();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.Pickup = Pickup;
+}
@@ -25,8 +25,8 @@ class XPOrb {
         this.glowColor = this.calculateGlowColor(this.value);
         
         // Add random scatter when dropped
-        this.x += (Math.random() - 0.5) * 40;
-        this.y += (Math.random() - 0.5) * 40;
+        this.x += ((window.Game?.rng?.next() ?? Math.random()) - 0.5) * 40;
+        this.y += ((window.Game?.rng?.next() ?? Math.random()) - 0.5) * 40;
         
         // Animation properties
         this.bobAmplitude = 3;
@@ -39,6 +39,11 @@ class XPOrb {
         // Physics properties
         this.isBeingMagnetized = false;
         this.magnetSpeed = 300;
+        this.isVacuumed = false; // Magnet Burst pickup: fly to the player from any range
+
+        // Share of the XP still left (Fading Essence curse)
+        this.initialValue = this.value;
+        this.decayFactor = 1;
     }
     
     /**
@@ -112,6 +117,9 @@ class XPOrb {
         
         // Update magnetism behavior
         this.updateMagnetism(deltaTime, game);
+
+        this.updateDecay(deltaTime);
+        if (this.isDead) return;
         
         // Update animations
         this.updateAnimations(deltaTime);
@@ -128,6 +136,16 @@ class XPOrb {
         const dx = game.player.x - this.x;
         const dy = game.player.y - this.y;
         const distSq = dx * dx + dy * dy;
+
+        if (this.isVacuumed && distSq > 0) {
+            this.isBeingMagnetized = true;
+            const distance = Math.sqrt(distSq);
+            const speed = window.GAME_CONSTANTS?.PICKUPS?.VACUUM_SPEED || 900;
+            const step = Math.min(distance, speed * deltaTime);
+            this.x += (dx / distance) * step;
+            this.y += (dy / distance) * step;
+            return;
+        }
         
         // Check if within magnet range (using squared distance - 8x faster)
         const magnetRange = game.player.magnetRange || 100;
@@ -158,6 +176,33 @@ class XPOrb {
         }
     }
     
+    /**
+     * Lose value while lying on the ground under the xpOrbDecay run modifier;
+     * the orb vanishes below XP_ORB_MIN_VALUE_RATIO of its XP
+     * @param {number} deltaTime - Time since last update
+     */
+    updateDecay(deltaTime) {
+        const retention = window.gameManager?.getRunModifierMultiplier?.('xpOrbDecay') ?? 1;
+        if (retention >= 1 || this.isBeingMagnetized || this.isVacuumed) return;
+
+        const HEAT = window.GAME_CONSTANTS?.HEAT || {};
+        this.decayFactor *= Math.pow(retention, deltaTime / (HEAT.XP_ORB_DECAY_INTERVAL ?? 10));
+        if (this.decayFactor < (HEAT.XP_ORB_MIN_VALUE_RATIO ?? 0.25)) {
+            this.isDead = true;
+            return;
+        }
+        this.value = Math.max(1, Math.floor(this.initialValue * this.decayFactor));
+    }
+
+    /**
+     * Pull this orb to the player regardless of magnet range
+     */
+    vacuum() {
+        if (!this.collected && !this.isDead) {
+            this.isVacuumed = true;
+        }
+    }
+    
     /**
      * Update animations (bobbing, rotation, pulsing)
      * @param {number} deltaTime - Time since last update
@@ -55,13 +55,13 @@ class EnemyAI {
 
         // Targeting system (randomized to desync enemies)
         this.target = null;
-        this.targetUpdateTimer = Math.random() * C.TARGET_UPDATE_TIMER_RANDOM;
-        this.targetUpdateInterval = C.TARGET_UPDATE_INTERVAL_BASE + Math.random() * C.TARGET_UPDATE_INTERVAL_RANDOM;
+        this.targetUpdateTimer = this._random() * C.TARGET_UPDATE_TIMER_RANDOM;
+        this.targetUpdateInterval = C.TARGET_UPDATE_INTERVAL_BASE + this._random() * C.TARGET_UPDATE_INTERVAL_RANDOM;
         this.maxTargetDistance = C.MAX_TARGET_DISTANCE;
 
         // Attack AI (randomized timing)
-        this.attackTimer = Math.random() * C.ATTACK_TIMER_RANDOM;
-        this.attackCooldown = C.ATTACK_COOLDOWN_BASE + Math.random() * C.ATTACK_COOLDOWN_RANDOM;
+        this.attackTimer = this._random() * C.ATTACK_TIMER_RANDOM;
+        this.attackCooldown = C.ATTACK_COOLDOWN_BASE + this._random() * C.ATTACK_COOLDOWN_RANDOM;
         this.lastAttackTime = 0;
 
         // Boss-specific AI
@@ -69,12 +69,15 @@ class EnemyAI {
         this.currentAttackPattern = 0;
         this.phaseChangeThresholds = [0.7, 0.4, 0.15]; // Health % thresholds
         this.currentPhase = 1;
+        // Scripted timeline for archetype bosses (see bosses.config.js)
+        this.bossPhase = null;
+        this.scriptStep = 0;
 
         // Collision avoidance (randomized to desync)
         this.avoidanceVector = { x: 0, y: 0 };
         this.separationRadius = C.SEPARATION_RADIUS;
-        this.avoidanceUpdateTimer = Math.random() * C.AVOIDANCE_TIMER_RANDOM;
-        this.avoidanceUpdateInterval = C.AVOIDANCE_UPDATE_INTERVAL_BASE + Math.random() * C.AVOIDANCE_UPDATE_INTERVAL_RANDOM;
+        this.avoidanceUpdateTimer = this._random() * C.AVOIDANCE_TIMER_RANDOM;
+        this.avoidanceUpdateInterval = C.AVOIDANCE_UPDATE_INTERVAL_BASE + this._random() * C.AVOIDANCE_UPDATE_INTERVAL_RANDOM;
         this._avoidanceFrameGroup = EnemyAI._nextAvoidanceAssignment;
         EnemyAI._nextAvoidanceAssignment = (EnemyAI._nextAvoidanceAssignment + 1) % EnemyAI._avoidanceBuckets;
 
@@ -89,6 +92,14 @@ class EnemyAI {
         this.canAvoidOthers = true;
         this.canUseSpecialAbilities = true;
     }
+
+    /**
+     * Seeded run RNG so AI timing jitter is reproducible for a given seed
+     */
+    _random() {
+        const rng = window.Game?.rng;
+        return rng ? rng.next() : Math.random();
+    }
     
     /**
      * Main AI update loop
@@ -104,7 +115,7 @@ class EnemyAI {
         this.updateStateMachine(deltaTime, game);
         
         // Handle boss-specific AI
-        if (this.enemy.isBoss) {
+        if (this.enemy.isBoss && !this.enemy.statusEffects?.isStunned?.()) {
             this.updateBossAI(deltaTime, game);
         }
         
@@ -123,7 +134,7 @@ class EnemyAI {
                 if (neighbors === 0) {
                     this.avoidanceUpdateInterval = Math.min(0.4, this.avoidanceUpdateInterval + 0.05);
                 } else {
-                    this.avoidanceUpdateInterval = 0.10 + Math.random() * 0.05;
+                    this.avoidanceUpdateInterval = 0.10 + this._random() * 0.05;
                 }
             }
         }
@@ -164,6 +175,16 @@ class EnemyAI {
      * Main AI state machine
      */
     updateStateMachine(deltaTime, game) {
+        const statusMultiplier = this.enemy.statusEffects?.getSpeedMultiplier?.() ?? 1;
+        if (statusMultiplier < 1) {
+            // Freeze slows the attack clock; stun stops it and holds the enemy in place
+            this.attackTimer -= deltaTime * (1 - statusMultiplier);
+            if (statusMultiplier === 0) {
+                this.enemy.targetDirection = { x: 0, y: 0 };
+                return;
+            }
+        }
+
         switch (this.currentState) {
             case 'idle':
                 this.handleIdleState(deltaTime, game);
@@ -193,7 +214,7 @@ class EnemyAI {
         
         // Random movement when idle
         if (this.stateTimer > 2.0) {
-            const angle = Math.random() * Math.PI * 2;
+            const angle = this._random() * Math.PI * 2;
             this.enemy.targetDirection = {
                 x: Math.cos(angle),
                 y: Math.sin(angle)
@@ -370,7 +391,7 @@ class EnemyAI {
                 const delay = ring * 80;
                 const segments = 24 + (ring * 8);
 
-                setTimeout(() => {
+                window.Game.GameScheduler.runLater(() => {
                     for (let i = 0; i < segments; i++) {
                         const angle = (i / segments) * Math.PI * 2;
                         const startRadius = baseRadius + (ring * 10);
@@ -388,7 +409,7 @@ class EnemyAI {
                             friction: 0.95
                         });
                     }
-                }, delay);
+                }, delay / 1000, { scheduler: game?.scheduler, owner: this.enemy });
             }
 
             // Add energy burst at center
@@ -414,6 +435,12 @@ class EnemyAI {
             window.audioSystem.play('bossPhase', 0.6);
         }
         
+        // Archetype bosses swap to the next scripted timeline
+        if (this.enemy.bossPhases) {
+            this.loadBossPhase(newPhase);
+            return;
+        }
+
         // Adjust AI behavior based on phase
         switch (newPhase) {
             case 2:
@@ -432,11 +459,49 @@ class EnemyAI {
         }
     }
     
+    /**
+     * Load a scripted phase from enemy.bossPhases (phases past the list reuse the last one)
+     */
+    loadBossPhase(phase) {
+        const phases = this.enemy.bossPhases;
+        if (!Array.isArray(phases) || phases.length === 0) return;
+
+        const index = Math.max(0, Math.min(phase - 1, phases.length - 1));
+        this.bossPhase = phases[index];
+        this.scriptStep = 0;
+        this.enemy.attackPatterns = this.bossPhase.sequence || [];
+        if (this.bossPhase.attackCooldown) {
+            this.attackCooldown = this.bossPhase.attackCooldown;
+        }
+        if (phase >= 2) {
+            this.isAggressive = true;
+            this.canUseSpecialAbilities = true;
+        }
+    }
+
+    /**
+     * Move the scripted timeline to its next step and use that step's cooldown
+     */
+    advanceBossScript() {
+        const sequence = this.enemy.attackPatterns;
+        if (!this.bossPhase || !sequence || sequence.length === 0) return;
+
+        const step = sequence[this.scriptStep % sequence.length];
+        this.scriptStep = (this.scriptStep + 1) % sequence.length;
+        this.attackCooldown = step?.cooldown || this.bossPhase.attackCooldown || this.attackCooldown;
+    }
+
     /**
      * Update boss attack patterns
      */
     updateAttackPattern() {
         if (!this.enemy.attackPatterns || this.enemy.attackPatterns.length === 0) return;
+
+        // Scripted bosses follow their timeline in order
+        if (this.bossPhase) {
+            this.currentAttackPattern = this.scriptStep % this.enemy.attackPatterns.length;
+            return;
+        }
         
         // Change attack pattern based on phase
         const patternsPerPhase = Math.ceil(this.enemy.attackPatterns.length / 4);
@@ -444,7 +509,7 @@ class EnemyAI {
         
         // Add some randomness to pattern selection
         const patternRange = Math.min(patternsPerPhase, this.enemy.attackPatterns.length - basePattern);
-        this.currentAttackPattern = basePattern + Math.floor(Math.random() * patternRange);
+        this.currentAttackPattern = basePattern + Math.floor(this._random() * patternRange);
         
         // Ensure pattern index is valid
         this.currentAttackPattern = Math.min(this.currentAttackPattern, this.enemy.attackPatterns.length - 1);
@@ -471,7 +536,7 @@ class EnemyAI {
             case 3:
                 // Erratic movement patterns
                 if (this.stateTimer > 1.0) {
-                    const angle = Math.random() * Math.PI * 2;
+                    const angle = this._random() * Math.PI * 2;
                     this.enemy.targetDirection = {
                         x: Math.cos(angle) * 0.5,
                         y: Math.sin(angle) * 0.5
@@ -672,6 +737,10 @@ class EnemyAI {
             // Fallback basic attack
             this.performBasicAttack(game);
         }
+
+        if (this.bossPhase) {
+            this.advanceBossScript();
+        }
         
         this.lastAttackTime = Date.now();
     }
@@ -704,7 +773,7 @@ class EnemyAI {
         return distanceToTarget > 100 && 
                distanceToTarget < 300 && 
                timeSinceLastAttack > 3000 &&
-               Math.random() < 0.3;
+               this._random() < 0.3;
     }
     
     /**
@@ -817,9 +886,9 @@ class EnemyAI {
                 this.separationRadius = 30;
                 break;
             case 'fast':
-                this.attackCooldown = 1.3 + Math.random() * 0.4; // Random 1.3-1.7s instead of fixed 1.5s
+                this.attackCooldown = 1.3 + this._random() * 0.4; // Random 1.3-1.7s instead of fixed 1.5s
                 this.separationRadius = 25;
-                this.targetUpdateInterval = 0.5 + Math.random() * 0.3; // Random 0.5-0.8s to desync
+                this.targetUpdateInterval = 0.5 + this._random() * 0.3; // Random 0.5-0.8s to desync
                 break;
             case 'tank':
                 this.attackCooldown = 3.0;
@@ -64,6 +64,10 @@ class EnemyAbilities {
         this.canCreateDamageZones = false;
         this.damageZoneTimer = 0;
         this.damageZoneCooldown = 6.0;
+
+        // Archetype bosses trigger minions/zones from their attack timeline instead of timers
+        this.scriptedAttacks = false;
+        this.circleAttackAngle = 0;
         
         // Death effects
         this.deathEffect = 'normal';
@@ -77,17 +81,28 @@ class EnemyAbilities {
         this.healAmount = 20;
         this.healRange = 150;
 
-        // [FIX] Track pending timers for cleanup on death (prevents memory leaks)
+        // [FIX] Track fallback timers for cleanup on death (prevents memory leaks);
+        // engine scheduler tasks are owned by the enemy and cancelled with it
         this._pendingTimers = [];
     }
 
+    _getScheduler() {
+        return (typeof window !== 'undefined' && window.gameEngine?.scheduler) || null;
+    }
+
     /**
-     * Schedule a delayed action with automatic cleanup tracking
+     * Schedule a delayed action with automatic cleanup tracking.
+     * Runs on the engine's game-time scheduler when a run is active.
      * @param {Function} callback - Function to execute after delay
      * @param {number} delayMs - Delay in milliseconds
      * @returns {number} Timer ID
      */
     _scheduleDelayed(callback, delayMs) {
+        const scheduler = this._getScheduler();
+        if (scheduler) {
+            return scheduler.schedule(callback, delayMs / 1000, { owner: this.enemy });
+        }
+
         const timerId = setTimeout(() => {
             // Remove from tracking array
             const idx = this._pendingTimers.indexOf(timerId);
@@ -103,6 +118,14 @@ class EnemyAbilities {
         return timerId;
     }
 
+    /**
+     * Ability rolls (patterns, teleports, minions) come from the seeded run RNG
+     */
+    _random() {
+        const rng = window.Game?.rng;
+        return rng ? rng.next() : Math.random();
+    }
+
     /**
      * Clear all pending timers (call on enemy death)
      */
@@ -111,6 +134,7 @@ class EnemyAbilities {
             clearTimeout(timerId);
         }
         this._pendingTimers.length = 0;
+        this._getScheduler()?.cancelOwner(this.enemy);
     }
     
     /**
@@ -181,13 +205,13 @@ class EnemyAbilities {
      */
     handleAutomaticAbilities(deltaTime, game) {
         // Boss minion spawning
-        if (this.canSpawnMinions && this.spawnMinionTimer <= 0) {
+        if (this.canSpawnMinions && !this.scriptedAttacks && this.spawnMinionTimer <= 0) {
             this.spawnMinions(game);
             this.spawnMinionTimer = this.spawnMinionCooldown;
         }
         
         // Boss damage zones
-        if (this.canCreateDamageZones && this.damageZoneTimer <= 0) {
+        if (this.canCreateDamageZones && !this.scriptedAttacks && this.damageZoneTimer <= 0) {
             this.createDamageZone(game);
             this.damageZoneTimer = this.damageZoneCooldown;
         }
@@ -210,15 +234,43 @@ class EnemyAbilities {
             const pattern = this.enemy.attackPatterns[attackPattern] || this.enemy.attackPatterns[0];
             
             switch (pattern.name) {
-                case 'spread':
-                    this.performSpreadAttack(game, target, pattern.projectiles || 3);
+                case 'spread': {
+                    const spread = pattern.spreadDegrees ? pattern.spreadDegrees * Math.PI / 180 : undefined;
+                    this.performSpreadAttack(game, target, pattern.projectiles || 3, spread);
                     break;
+                }
                 case 'circle':
-                    this.performCircleAttack(game, target, pattern.projectiles || 8);
+                    this.performCircleAttack(game, target, pattern.projectiles || 8, this.circleAttackAngle);
+                    if (pattern.spin) {
+                        this.circleAttackAngle += pattern.spin * Math.PI / 180;
+                    }
                     break;
                 case 'random':
                     this.performRandomAttack(game, target, pattern.projectiles || 5);
                     break;
+                case 'dash':
+                    // Mobility steps still threaten the player while on cooldown
+                    if (!this.startDash(target)) {
+                        this.performBasicRangeAttack(game, target);
+                    }
+                    break;
+                case 'teleport':
+                    if (!this.performTeleport(target)) {
+                        this.performBasicRangeAttack(game, target);
+                    }
+                    break;
+                case 'damageZone':
+                    this.createDamageZone(game);
+                    this.damageZoneTimer = this.damageZoneCooldown;
+                    break;
+                case 'minions': {
+                    const defaultCount = this.minionCount;
+                    this.minionCount = pattern.count || defaultCount;
+                    this.spawnMinions(game);
+                    this.minionCount = defaultCount;
+                    this.spawnMinionTimer = this.spawnMinionCooldown;
+                    break;
+                }
                 default:
                     this.performBasicRangeAttack(game, target);
                     break;
@@ -255,16 +307,16 @@ class EnemyAbilities {
     /**
      * Spread attack pattern (boss ability)
      */
-    performSpreadAttack(game, target, projectileCount) {
+    performSpreadAttack(game, target, projectileCount, spreadAngle = Math.PI / 4) {
         if (!game.spawnEnemyProjectile) return;
         
         const dx = target.x - this.enemy.x;
         const dy = target.y - this.enemy.y;
         const baseAngle = Math.atan2(dy, dx);
-        const spreadAngle = Math.PI / 4; // 45 degree spread
+        const angleStep = projectileCount > 1 ? spreadAngle / (projectileCount - 1) : 0;
         
         for (let i = 0; i < projectileCount; i++) {
-            const angle = baseAngle - spreadAngle / 2 + (spreadAngle / (projectileCount - 1)) * i;
+            const angle = projectileCount > 1 ? baseAngle - spreadAngle / 2 + angleStep * i : baseAngle;
             
             game.spawnEnemyProjectile(
                 this.enemy.x,
@@ -282,13 +334,13 @@ class EnemyAbilities {
     /**
      * Circle attack pattern (boss ability)
      */
-    performCircleAttack(game, target, projectileCount) {
+    performCircleAttack(game, target, projectileCount, angleOffset = 0) {
         if (!game.spawnEnemyProjectile) return;
         
         const angleStep = (Math.PI * 2) / projectileCount;
         
         for (let i = 0; i < projectileCount; i++) {
-            const angle = angleStep * i;
+            const angle = angleOffset + angleStep * i;
             
             game.spawnEnemyProjectile(
                 this.enemy.x,
@@ -310,8 +362,8 @@ class EnemyAbilities {
         if (!game.spawnEnemyProjectile) return;
         
         for (let i = 0; i < projectileCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = this.projectileSpeed * (0.8 + Math.random() * 0.4); // Vary speed
+            const angle = this._random() * Math.PI * 2;
+            const speed = this.projectileSpeed * (0.8 + this._random() * 0.4); // Vary speed
             
             game.spawnEnemyProjectile(
                 this.enemy.x,
@@ -375,8 +427,8 @@ class EnemyAbilities {
         if (!this.canTeleport || this.teleportTimer > 0) return false;
         
         // Teleport to a position near the target
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 100 + Math.random() * this.teleportRange;
+        const angle = this._random() * Math.PI * 2;
+        const distance = 100 + this._random() * this.teleportRange;
         
         const newX = target.x + Math.cos(angle) * distance;
         const newY = target.y + Math.sin(angle) * distance;
@@ -504,13 +556,13 @@ class EnemyAbilities {
      */
     spawnSingleMinion(game, index, totalCount) {
         const angle = (index / totalCount) * Math.PI * 2;
-        const distance = 80 + Math.random() * 40;
+        const distance = 80 + this._random() * 40;
         
         const x = this.enemy.x + Math.cos(angle) * distance;
         const y = this.enemy.y + Math.sin(angle) * distance;
         
         // Pick random minion type
-        const minionType = this.minionTypes[Math.floor(Math.random() * this.minionTypes.length)];
+        const minionType = this.minionTypes[Math.floor(this._random() * this.minionTypes.length)];
         
         const minion = new Enemy(x, y, minionType);
         
@@ -552,14 +604,14 @@ class EnemyAbilities {
 
         if (healthPercent > 0.7) {
             // Phase 1: Easy patterns, standard zones
-            pattern = Math.random() < 0.5 ? 'predictive' : 'scatter';
+            pattern = this._random() < 0.5 ? 'predictive' : 'scatter';
             zoneCount = 1;
             zoneType = 'standard';
         } else if (healthPercent > 0.4) {
             // Phase 2: More aggressive, introduce burst zones
             pattern = this._selectRandomPattern(['predictive', 'scatter', 'chase', 'cluster']);
             zoneCount = isMegaBoss ? 2 : 1;
-            zoneType = Math.random() < 0.3 ? 'burst' : 'standard';
+            zoneType = this._random() < 0.3 ? 'burst' : 'standard';
         } else if (healthPercent > 0.15) {
             // Phase 3: Complex patterns, more zones, persistent types
             pattern = this._selectRandomPattern(['spiral', 'barrier', 'scatter', 'ring']);
@@ -636,7 +688,7 @@ class EnemyAbilities {
      * @returns {string} A randomly selected pattern name.
      */
     _selectRandomPattern(patterns) {
-        return patterns[Math.floor(Math.random() * patterns.length)];
+        return patterns[Math.floor(this._random() * patterns.length)];
     }
 
     /**
@@ -849,7 +901,7 @@ class EnemyAbilities {
         // Spawn smaller enemies in a circle around the death position
         for (let i = 0; i < splitCount; i++) {
             const angle = (i / splitCount) * Math.PI * 2;
-            const distance = 40 + Math.random() * 20;
+            const distance = 40 + this._random() * 20;
 
             const x = this.enemy.x + Math.cos(angle) * distance;
             const y = this.enemy.y + Math.sin(angle) * distance;
@@ -905,7 +957,8 @@ class EnemyAbilities {
                 const particlesInRing = BOSS_DEATH_PARTICLES_PER_RING;
                 const delay = ring * BOSS_DEATH_RING_DELAY_MS;  // Delayed rings for wave effect
 
-                setTimeout(() => {
+                // Not owned by the boss: it is already dead when these fire
+                window.Game.GameScheduler.runLater(() => {
                     for (let i = 0; i < particlesInRing; i++) {
                         const angle = (i / particlesInRing) * Math.PI * 2;
                         const speed = 150 + ring * 50 + Math.random() * 80;
@@ -920,7 +973,7 @@ class EnemyAbilities {
                             life: 1.5 + Math.random() * 0.8
                         });
                     }
-                }, delay);
+                }, delay / 1000);
             }
 
             // Central explosion burst
@@ -960,11 +1013,11 @@ class EnemyAbilities {
         if (window.audioSystem) {
             window.audioSystem.play('explosion', 0.9);
             // Add a second delayed explosion sound for extra impact
-            setTimeout(() => {
+            window.Game.GameScheduler.runLater(() => {
                 if (window.audioSystem) {
                     window.audioSystem.play('explosion', 0.7);
                 }
-            }, BOSS_DEATH_SOUND_DELAY_MS);
+            }, BOSS_DEATH_SOUND_DELAY_MS / 1000);
         }
     }
 
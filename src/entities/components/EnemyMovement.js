@@ -100,7 +100,8 @@ class EnemyMovement {
         this.enemy = enemy;
 
         // [FIX] Per-enemy random seed to prevent synchronized movement patterns
-        this._randomSeed = Math.floor(Math.random() * 4096);
+        const rng = typeof window !== 'undefined' ? window.Game?.rng : null;
+        this._randomSeed = Math.floor((rng ? rng.next() : Math.random()) * 4096);
 
         // Movement properties - optimized for smooth movement
         this.speed = 100;
@@ -164,6 +165,17 @@ class EnemyMovement {
         return this._getNextRandom() * (Math.PI * 2);
     }
 
+    /**
+     * Refill the shared random table from a seeded RNG (called on run start)
+     * @param {SeededRandom} rng - Run RNG from window.Game.rng
+     */
+    static reseedRandomTable(rng) {
+        if (!rng || typeof rng.fill !== 'function' || !EnemyMovement._randomTableCache) {
+            return;
+        }
+        rng.fill(EnemyMovement._randomTableCache);
+    }
+
     /**
      * Update movement system
      */
@@ -550,6 +562,10 @@ class EnemyMovement {
             return;
         }
 
+        // Freeze slows steering and stun halts it (knockback is handled separately)
+        const statusMultiplier = this.enemy.statusEffects?.getSpeedMultiplier?.() ?? 1;
+        const speed = this.speed * statusMultiplier;
+
         // Calculate desired velocity
         const currentDir = this.currentDirection || { x: 0, y: 0 };
 
@@ -562,8 +578,8 @@ class EnemyMovement {
         }
 
         const desiredVelocity = {
-            x: currentDir.x * this.speed,
-            y: currentDir.y * this.speed
+            x: currentDir.x * speed,
+            y: currentDir.y * speed
         };
 
         // Enhanced acceleration with adaptive damping based on collision state
@@ -604,7 +620,7 @@ class EnemyMovement {
         };
 
         // Velocity clamping with improved calculation using smoothed values
-        const maxVelocity = this.speed * 1.3; // Reduced overshoot for stability
+        const maxVelocity = speed * 1.3; // Reduced overshoot for stability
         const currentSpeedSquared = smoothedVelocity.x * smoothedVelocity.x + smoothedVelocity.y * smoothedVelocity.y;
         const maxVelocitySquared = maxVelocity * maxVelocity;
 
@@ -684,6 +700,11 @@ class EnemyMovement {
      * Handle collision detection with other entities - improved stability
      */
     handleCollisions(deltaTime, game) {
+        // Obstacles are solid - resolve them even during cooldowns and for formation members
+        if (game?.obstacles && game.obstacles.length > 0) {
+            this.handleObstacleCollisions(game.obstacles);
+        }
+
         // Gradual cooldown reduction for smoother behavior
         if (this.collisionCooldown > 0) {
             this.collisionCooldown -= deltaTime;
@@ -706,11 +727,6 @@ class EnemyMovement {
         if (enemies.length < 200 && this.enemy.canAvoidOthers !== false) {
             this.handleEnemyCollisions(enemies);
         }
-
-        // Check collisions with obstacles (if any)
-        if (game.obstacles && game.obstacles.length > 0) {
-            this.handleObstacleCollisions(game.obstacles);
-        }
     }
     
     /**
@@ -776,11 +792,9 @@ class EnemyMovement {
     }
     
     /**
-     * Handle collisions with obstacles
+     * Handle collisions with obstacles (asteroids in GameEngine.obstacles)
      */
     handleObstacleCollisions(obstacles) {
-        // Implementation for obstacle collision detection
-        // This would be used if the game has environmental obstacles
         for (const obstacle of obstacles) {
             if (this.isCollidingWithObstacle(obstacle)) {
                 this.handleObstacleCollision(obstacle);
@@ -788,6 +802,35 @@ class EnemyMovement {
             }
         }
     }
+
+    isCollidingWithObstacle(obstacle) {
+        if (!obstacle || obstacle.isDead) return false;
+        const dx = this.enemy.x - obstacle.x;
+        const dy = this.enemy.y - obstacle.y;
+        const minDistance = (this.enemy.radius || this.collisionRadius || 15) + (obstacle.radius || 0);
+        return dx * dx + dy * dy < minDistance * minDistance;
+    }
+
+    /**
+     * Push out of a solid obstacle and slide along it instead of grinding into it
+     */
+    handleObstacleCollision(obstacle) {
+        const dx = this.enemy.x - obstacle.x;
+        const dy = this.enemy.y - obstacle.y;
+        const minDistance = (this.enemy.radius || this.collisionRadius || 15) + (obstacle.radius || 0);
+        const distance = MovementPatternCache.fastSqrt(dx * dx + dy * dy);
+        const dirX = distance > 0.001 ? dx / distance : 1;
+        const dirY = distance > 0.001 ? dy / distance : 0;
+
+        this.enemy.x = obstacle.x + dirX * minDistance;
+        this.enemy.y = obstacle.y + dirY * minDistance;
+
+        const velDot = this.velocity.x * dirX + this.velocity.y * dirY;
+        if (velDot < 0) {
+            this.velocity.x -= dirX * velDot;
+            this.velocity.y -= dirY * velDot;
+        }
+    }
     
     /**
      * Apply knockback effect
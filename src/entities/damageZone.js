@@ -4,7 +4,9 @@ const DAMAGE_ZONE_TYPE_COLORS = {
     burst: '#ff6b35',
     persistent: '#c0392b',
     expanding: '#e67e22',
-    corrupted: '#8e44ad'
+    corrupted: '#8e44ad',
+    solar: '#ffb300',
+    eruption: '#ff4500'
 };
 
 /**
@@ -100,10 +102,13 @@ class DamageZone {
      *   - 'persistent': Persistent damage zone with slower pulse.
      *   - 'expanding': Expanding damage zone with increasing radius.
      *   - 'corrupted': Corrupted zone that can damage enemies at reduced rate.
+     *   - 'solar': Solar flare arena hazard that burns enemies as hard as the player.
+     *   - 'eruption': Magma Launcher's Eruption secondary; burns only enemies.
      *
      * This method initializes or overrides the following properties on the instance:
      *   - color: Visual color of the zone.
      *   - damageEnemies: Whether the zone damages enemies.
+     *   - damagePlayer: Whether the zone damages the player.
      *   - enemyDamageMultiplier: Damage multiplier applied to enemies.
      *   - pulseRate: How quickly the zone pulses (if applicable).
      *   - expandRate: How quickly the zone expands (if applicable).
@@ -138,6 +143,19 @@ class DamageZone {
                 damageEnemies: true,
                 enemyDamageMultiplier: 0.5, // Enemies take 50% damage
                 pulseRate: 2.0
+            },
+            solar: {
+                color: DAMAGE_ZONE_TYPE_COLORS.solar,
+                damageEnemies: true,
+                enemyDamageMultiplier: 1,
+                pulseRate: 3.0
+            },
+            eruption: {
+                color: DAMAGE_ZONE_TYPE_COLORS.eruption,
+                damageEnemies: true,
+                damagePlayer: false,
+                enemyDamageMultiplier: 1,
+                pulseRate: 2.0
             }
         };
 
@@ -145,6 +163,7 @@ class DamageZone {
         this.color = config.color;
         this.damageEnemies = config.damageEnemies;
         this.enemyDamageMultiplier = config.enemyDamageMultiplier;
+        this.damagePlayer = config.damagePlayer !== false;
         this.pulseRate = config.pulseRate || 1.5;
         this.expandRate = config.expandRate || 0;
     }
@@ -191,7 +210,7 @@ class DamageZone {
             this.tickTimer = 0;
 
             // Damage player
-            if (game.player && !game.player.isDead) {
+            if (this.damagePlayer && game.player && !game.player.isDead) {
                 if (this._isEntityWithinRadius(game.player)) {
                     const tickDamage = this.damagePerSecond * this.tickInterval;
                     game.player.takeDamage(tickDamage);
@@ -427,8 +446,8 @@ class DamageZonePatterns {
         const positions = [];
 
         for (let i = 0; i < count; i++) {
-            const angle = (Math.random() * Math.PI * 2);
-            const distance = this.SCATTER_MIN_DIST + Math.random() * (this.SCATTER_MAX_DIST - this.SCATTER_MIN_DIST);
+            const angle = ((window.Game?.rng?.next() ?? Math.random()) * Math.PI * 2);
+            const distance = this.SCATTER_MIN_DIST + (window.Game?.rng?.next() ?? Math.random()) * (this.SCATTER_MAX_DIST - this.SCATTER_MIN_DIST);
 
             positions.push({
                 x: player.x + Math.cos(angle) * distance,
@@ -0,0 +1,169 @@
+/**
+ * EliteAffixes - Named modifiers stacked on elite enemies
+ * EnemySpawner.makeElite rolls them from ELITE_AFFIX_DEFINITIONS; Enemy,
+ * EnemyStats and CollisionSystem call the hooks below so each affix only
+ * touches the moment it cares about (contact hits, damage taken, death).
+ */
+class EliteAffixes {
+    static getDefinitions() {
+        const definitions = window.ELITE_AFFIX_DEFINITIONS;
+        return Array.isArray(definitions) ? definitions : [];
+    }
+
+    static getDefinition(id) {
+        return this.getDefinitions().find(def => def.id === id) || null;
+    }
+
+    /**
+     * Pick distinct affixes an enemy type is allowed to carry
+     * @param {string} enemyType - Enemy type being promoted
+     * @param {number} count - Affixes wanted (fewer if the pool runs out)
+     * @param {Function} random - Returns a number in [0, 1)
+     * @returns {string[]} Affix ids
+     */
+    static roll(enemyType, count, random = Math.random) {
+        const pool = this.getDefinitions().filter(def => !(def.excludes || []).includes(enemyType));
+        const picked = [];
+
+        while (picked.length < count && pool.length > 0) {
+            const index = Math.min(pool.length - 1, Math.floor(random() * pool.length));
+            picked.push(pool.splice(index, 1)[0].id);
+        }
+        return picked;
+    }
+
+    /**
+     * Attach affixes to an enemy and set up the abilities they borrow
+     */
+    static apply(enemy, affixIds) {
+        if (!Array.isArray(enemy.affixes)) {
+            enemy.affixes = [];
+        }
+
+        for (const id of affixIds) {
+            const def = this.getDefinition(id);
+            if (!def || enemy.affixes.includes(id)) continue;
+            enemy.affixes.push(id);
+
+            // Reuse the matching enemy type's ability setup (shield, blink, split)
+            if (def.abilitiesFrom && enemy.abilities && typeof EnemyTypeRegistry !== 'undefined') {
+                EnemyTypeRegistry.getType(def.abilitiesFrom).configureAbilities(enemy);
+            }
+
+            switch (id) {
+                case 'shielded': {
+                    const shielderConfig = EnemyTypeRegistry.getType('shielder').getConfig();
+                    enemy.deflectChance = Math.max(enemy.deflectChance || 0, shielderConfig.deflectChance || 0);
+                    break;
+                }
+                case 'teleporting':
+                    // Don't blink the moment it spawns off-screen
+                    enemy.abilities.teleportTimer = enemy.abilities.teleportCooldown;
+                    break;
+                case 'splitting':
+                    enemy.abilities.splitCount = def.splitCount;
+                    enemy.abilities.splitType = def.splitType;
+                    break;
+                case 'reflective':
+                    enemy.reflectTimer = 0;
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Per-frame affixes (called from Enemy.update)
+     */
+    static update(enemy, deltaTime, game) {
+        if (enemy.reflectTimer > 0) {
+            enemy.reflectTimer -= deltaTime;
+        }
+
+        const player = game?.player;
+        if (!player || player.isDead) return;
+
+        const dx = player.x - enemy.x;
+        const dy = player.y - enemy.y;
+        const distanceSq = dx * dx + dy * dy;
+
+        for (const id of enemy.affixes) {
+            const def = this.getDefinition(id);
+            if (!def) continue;
+
+            switch (id) {
+                case 'teleporting':
+                    if (distanceSq >= def.minDistance * def.minDistance) {
+                        enemy.abilities.performTeleport(player);
+                    }
+                    break;
+                case 'frost_aura': {
+                    const reach = def.radius + (player.radius || 0);
+                    if (distanceSq <= reach * reach) {
+                        player.movement?.applySlow?.(def.slowAmount, 0.2);
+                    }
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Vampiric: heal from contact damage dealt to the player
+     */
+    static onDealDamage(enemy, amount) {
+        const def = enemy.affixes.includes('vampiric') ? this.getDefinition('vampiric') : null;
+        if (!def || !(amount > 0) || enemy.isDead) return;
+
+        enemy.health = Math.min(enemy.maxHealth, enemy.health + amount * def.lifesteal);
+    }
+
+    /**
+     * Reflective: send part of the damage taken back to the player
+     */
+    static onDamageTaken(enemy, amount) {
+        const def = enemy.affixes.includes('reflective') ? this.getDefinition('reflective') : null;
+        if (!def || !(amount > 0) || enemy.reflectTimer > 0) return;
+
+        const player = (window.gameManager || window.gameManagerBridge)?.game?.player;
+        if (!player || player.isDead || player.isInvulnerable || typeof player.takeDamage !== 'function') return;
+
+        player.takeDamage(Math.max(1, Math.round(amount * def.reflectFraction)));
+        enemy.reflectTimer = def.reflectCooldown;
+    }
+
+    /**
+     * Bonus XP orbs on death, one per affix
+     */
+    static dropBonusRewards(enemy) {
+        const count = enemy.affixes?.length || 0;
+        const game = window.gameManager?.game;
+        if (count === 0 || typeof game?.addEntity !== 'function' || typeof XPOrb === 'undefined') return;
+
+        const share = window.GAME_CONSTANTS?.ENEMIES?.ELITE_AFFIX_BONUS_XP ?? 0.5;
+        const value = Math.max(1, Math.ceil(enemy.xpValue * share));
+
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            const orb = new XPOrb(enemy.x + Math.cos(angle) * 25, enemy.y + Math.sin(angle) * 25, value);
+            game.addEntity(orb);
+        }
+    }
+
+    /**
+     * Label/color pairs for the health bar
+     */
+    static getLabels(enemy) {
+        const labels = [];
+        for (const id of enemy?.affixes || []) {
+            const def = this.getDefinition(id);
+            if (def) labels.push({ name: def.name, color: def.color });
+        }
+        return labels;
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.EliteAffixes = EliteAffixes;
+}
@@ -39,6 +39,7 @@ class Enemy {
         this.isMegaBoss = false;
         this.isElite = false;
         this.glowColor = null;
+        this.affixes = []; // Elite affix ids (see EliteAffixes)
 
         // Combat properties
         this.damageReduction = 0;
@@ -137,6 +138,11 @@ class Enemy {
             this.statusEffects.update(deltaTime, game);
         }
 
+        // Update elite affixes
+        if (this.affixes.length > 0) {
+            window.Game?.EliteAffixes?.update(this, deltaTime, game);
+        }
+
         // Update boss-specific mechanics
         if (this.isBoss) {
             this.updateBossSpecifics(deltaTime, game);
@@ -210,6 +216,15 @@ class Enemy {
         EnemyStats.die(this);
     }
 
+    /**
+     * Callback after this enemy's contact damage lands on the player
+     */
+    onDealDamage(amount) {
+        if (this.affixes.length > 0) {
+            window.Game?.EliteAffixes?.onDealDamage(this, amount);
+        }
+    }
+
     /**
      * Callback when taking damage (can be overridden by enemy types)
      */
@@ -355,6 +370,7 @@ class Enemy {
             isDead: this.isDead,
             isBoss: this.isBoss,
             isElite: this.isElite,
+            affixes: this.affixes.slice(),
             currentPhase: this.currentPhase,
 
             // Component states
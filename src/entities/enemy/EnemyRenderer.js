@@ -40,6 +40,11 @@ class EnemyRenderer {
             this.renderBossAura(enemy, ctx);
         }
 
+        // Draw frost aura under the body
+        if (enemy.affixes?.includes('frost_aura')) {
+            this.renderFrostAura(enemy, ctx);
+        }
+
         // Draw elite glow if elite
         if (enemy.isElite && enemy.glowColor) {
             this.renderEliteGlow(enemy, ctx);
@@ -149,17 +154,21 @@ class EnemyRenderer {
         const shieldBatch = this._shieldBatch || (this._shieldBatch = []);
         const eliteGlowBatches = this._eliteGlowBatches || (this._eliteGlowBatches = new Map());
         const bossAuraBatch = this._bossAuraBatch || (this._bossAuraBatch = []);
+        const frostAuraBatch = this._frostAuraBatch || (this._frostAuraBatch = []);
         const bossCrownBatch = this._bossCrownBatch || (this._bossCrownBatch = []);
         const phaseIndicatorBatch = this._phaseIndicatorBatch || (this._phaseIndicatorBatch = []);
         const burnOverlayBatch = this._burnOverlayBatch || (this._burnOverlayBatch = []);
+        const controlOverlayBatch = this._controlOverlayBatch || (this._controlOverlayBatch = []);
 
         bodyBatches.clear();
         shieldBatch.length = 0;
         eliteGlowBatches.clear();
         bossAuraBatch.length = 0;
+        frostAuraBatch.length = 0;
         bossCrownBatch.length = 0;
         phaseIndicatorBatch.length = 0;
         burnOverlayBatch.length = 0;
+        controlOverlayBatch.length = 0;
 
         // [PERF] Cache time once per batch instead of per-enemy (saves ~3000 Date.now() calls/sec at 60fps with 50 enemies)
         const batchTime = Date.now() * 0.001;
@@ -212,6 +221,10 @@ class EnemyRenderer {
                 bossCrownBatch.push(enemy);
             }
 
+            if (enemy.affixes?.includes('frost_aura')) {
+                frostAuraBatch.push(enemy);
+            }
+
             if (enemy.hasPhases && enemy.currentPhase > 1) {
                 phaseIndicatorBatch.push(enemy);
             }
@@ -220,6 +233,10 @@ class EnemyRenderer {
             if (burnEffect) {
                 burnOverlayBatch.push({ enemy, effect: burnEffect });
             }
+
+            if (enemy.statusEffects?.hasEffect?.('freeze') || enemy.statusEffects?.hasEffect?.('stun')) {
+                controlOverlayBatch.push(enemy);
+            }
         }
 
         // Render boss auras first (underneath everything)
@@ -231,6 +248,14 @@ class EnemyRenderer {
             bossAuraBatch.length = 0;
         }
 
+        if (frostAuraBatch.length) {
+            ctx.globalAlpha = originalAlpha;
+            for (let i = 0; i < frostAuraBatch.length; i++) {
+                this.renderFrostAura(frostAuraBatch[i], ctx);
+            }
+            frostAuraBatch.length = 0;
+        }
+
         for (const [key, batch] of bodyBatches) {
             const [fillColor, alphaStr] = key.split('|');
             const batchAlpha = parseFloat(alphaStr);
@@ -386,6 +411,14 @@ class EnemyRenderer {
             burnOverlayBatch.length = 0;
         }
 
+        if (controlOverlayBatch.length) {
+            ctx.globalAlpha = originalAlpha;
+            for (let i = 0; i < controlOverlayBatch.length; i++) {
+                this.renderControlOverlay(controlOverlayBatch[i], controlOverlayBatch[i].statusEffects, batchTime, ctx);
+            }
+            controlOverlayBatch.length = 0;
+        }
+
         ctx.globalAlpha = originalAlpha;
         ctx.fillStyle = originalFill;
         ctx.strokeStyle = originalStroke;
@@ -414,6 +447,20 @@ class EnemyRenderer {
         ctx.globalAlpha = previousAlpha;
     }
 
+    /**
+     * Render the Frost Aura elite affix radius
+     */
+    static renderFrostAura(enemy, ctx) {
+        const radius = window.Game?.EliteAffixes?.getDefinition('frost_aura')?.radius ?? 140;
+        ctx.fillStyle = EnemyRenderer._colorWithAlpha('#74d7ff', 0.08);
+        ctx.strokeStyle = EnemyRenderer._colorWithAlpha('#74d7ff', 0.35);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(enemy.x, enemy.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+
     /**
      * Render elite enemy glow
      */
@@ -547,6 +594,46 @@ class EnemyRenderer {
         if (burnEffect) {
             this.renderBurnOverlay(enemy, burnEffect, ctx);
         }
+
+        if (effects.hasEffect('freeze') || effects.hasEffect('stun')) {
+            this.renderControlOverlay(enemy, effects, Date.now() * 0.001, ctx);
+        }
+    }
+
+    /**
+     * Frost ring for freeze (thicker per stack) and orbiting sparks for stun
+     */
+    static renderControlOverlay(enemy, effects, time, ctx) {
+        const freezeEffect = effects.getEffect('freeze');
+        const stunned = effects.hasEffect('stun');
+
+        ctx.save();
+        const prevAlpha = ctx.globalAlpha;
+
+        if (freezeEffect) {
+            const stacks = Math.max(1, freezeEffect.stacks || 1);
+            ctx.globalAlpha = prevAlpha * Math.min(0.9, 0.35 + stacks * 0.15);
+            ctx.strokeStyle = '#9be7ff';
+            ctx.lineWidth = 1 + stacks;
+            ctx.beginPath();
+            ctx.arc(enemy.x, enemy.y, enemy.radius * 1.1, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        if (stunned) {
+            ctx.globalAlpha = prevAlpha;
+            ctx.fillStyle = '#f9e94e';
+            const orbit = enemy.radius + 6;
+            const y = enemy.y - enemy.radius - 4;
+            for (let i = 0; i < 3; i++) {
+                const angle = time * 4 + (i * Math.PI * 2) / 3;
+                ctx.beginPath();
+                ctx.arc(enemy.x + Math.cos(angle) * orbit * 0.6, y + Math.sin(angle) * 3, 2.5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        ctx.restore();
     }
 
     static renderBurnOverlay(enemy, burnEffect, ctx) {
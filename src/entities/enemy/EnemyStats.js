@@ -27,8 +27,14 @@ class EnemyStats {
             amount *= (1 - enemy.damageResistance);
         }
 
+        // Weaken status amplifies everything the enemy takes, including burn ticks
+        const weakenMultiplier = enemy.statusEffects?.getDamageTakenMultiplier?.() ?? 1;
+        if (weakenMultiplier !== 1) {
+            amount *= weakenMultiplier;
+        }
+
         // Check for projectile deflection (shielder enemies)
-        if (enemy.deflectChance > 0 && Math.random() < enemy.deflectChance) {
+        if (enemy.deflectChance > 0 && (window.Game?.rng?.next() ?? Math.random()) < enemy.deflectChance) {
             if (typeof enemy.deflectProjectile === 'function') {
                 enemy.deflectProjectile();
             }
@@ -37,7 +43,7 @@ class EnemyStats {
 
         // Check for shield reflection (shielder enemies with active shield)
         if (enemy.abilities.shieldActive && enemy.abilities.shieldReflection > 0) {
-            if (Math.random() < enemy.abilities.shieldReflection) {
+            if ((window.Game?.rng?.next() ?? Math.random()) < enemy.abilities.shieldReflection) {
                 if (typeof enemy.reflectAttack === 'function') {
                     enemy.reflectAttack(amount);
                 }
@@ -68,6 +74,10 @@ class EnemyStats {
             this.showDamageText(enemy, actualDamage, { isCritical, label });
         }
 
+        if (enemy.affixes?.length > 0) {
+            window.Game?.EliteAffixes?.onDamageTaken(enemy, actualDamage);
+        }
+
         // Check for death
         if (enemy.health <= 0) {
             this.die(enemy);
@@ -141,6 +151,9 @@ class EnemyStats {
 
         // Drop XP orb
         this.dropXP(enemy);
+        if (enemy.affixes?.length > 0) {
+            window.Game?.EliteAffixes?.dropBonusRewards(enemy);
+        }
 
         // Create death effect
         if (typeof enemy.createDeathEffect === 'function') {
@@ -178,6 +191,9 @@ class EnemyStats {
             try {
                 gm.enemySpawner?.onEnemyKilled?.(enemy);
             } catch (_) {}
+
+            // Elite and boss item drops
+            gm.pickupSystem?.onEnemyKilled?.(enemy, gm.game);
         }
     }
 
@@ -296,8 +312,8 @@ class EnemyStats {
             const xpOrb = new XPOrb(enemy.x, enemy.y, Math.ceil(xpValue));
 
             // Add some randomness to XP orb position
-            xpOrb.x += (Math.random() - 0.5) * 20;
-            xpOrb.y += (Math.random() - 0.5) * 20;
+            xpOrb.x += ((window.Game?.rng?.next() ?? Math.random()) - 0.5) * 20;
+            xpOrb.y += ((window.Game?.rng?.next() ?? Math.random()) - 0.5) * 20;
 
             // Use optional chaining for defensive programming even though protected by if above
             window.gameManager?.game?.addEntity?.(xpOrb);
@@ -2,15 +2,37 @@
  * StatusEffectManager - Handles temporary status effects on enemies
  * 
  * Supported Effects:
- * - burn: Deals damage over time
- * - freeze: Slows movement (future)
- * - stun: Prevents action (future)
- * - weaken: Increases damage taken (future)
+ * - burn: Deals damage over time (damage keeps the highest source, stacks count for visuals)
+ * - freeze: Slows movement and attacks ({ slow } per stack, capped by FREEZE_MAX_SLOW)
+ * - stun: Prevents action (no stacking; grants STUN_IMMUNITY seconds once it ends)
+ * - weaken: Increases damage taken ({ amount } per stack, capped by WEAKEN_MAX_BONUS)
+ *
+ * Bosses get diminishing returns on freeze/stun: each repeat application lasts
+ * BOSS_DIMINISHING_RETURNS of the previous one and they become immune after
+ * BOSS_DR_MAX_APPLICATIONS until BOSS_DR_RESET seconds pass without one.
  */
 class StatusEffectManager {
+    static CROWD_CONTROL = new Set(['freeze', 'stun']);
+
+    static getConfig() {
+        return (typeof window !== 'undefined' && window.GAME_CONSTANTS?.STATUS_EFFECTS) || {
+            FREEZE_MAX_STACKS: 3,
+            FREEZE_MAX_SLOW: 0.75,
+            WEAKEN_MAX_STACKS: 3,
+            WEAKEN_MAX_BONUS: 0.5,
+            STUN_IMMUNITY: 1.0,
+            BOSS_SLOW_SCALE: 0.5,
+            BOSS_DIMINISHING_RETURNS: 0.5,
+            BOSS_DR_MAX_APPLICATIONS: 3,
+            BOSS_DR_RESET: 8.0
+        };
+    }
+
     constructor(enemy) {
         this.enemy = enemy;
         this.effects = null; // Lazy initialization
+        this.immunities = null; // type -> seconds remaining
+        this.diminishing = null; // type -> { count, timer } (bosses only)
         this.visualTimer = 0;
         this._burnParticleTimer = 0;
         this._burnGlowPhase = Math.random() * Math.PI * 2;
@@ -21,12 +43,22 @@ class StatusEffectManager {
      * @param {string} type - Effect type ('burn', 'freeze', etc.)
      * @param {object} data - Effect configuration
      * @param {number} duration - Duration in seconds
+     * @returns {boolean} False when the enemy is immune
      */
     applyEffect(type, data, duration) {
+        if (this.isImmune(type)) {
+            return false;
+        }
+
+        if (this.enemy?.isBoss && StatusEffectManager.CROWD_CONTROL.has(type)) {
+            duration = this._applyDiminishingReturns(type, duration);
+        }
+
         if (!this.effects) {
             this.effects = new Map();
         }
 
+        const config = StatusEffectManager.getConfig();
         const existing = this.effects.get(type);
 
         // Create new effect state
@@ -45,20 +77,94 @@ class StatusEffectManager {
             effectState.duration = Math.max(existing.duration - existing.elapsed, duration);
 
             // Stack if applicable (e.g. burn intensity)
-            if (type === 'burn') {
-                // Keep highest damage, maybe add stack count for visuals
-                effectState.data.damage = Math.max(existing.data.damage, data.damage);
-                effectState.stacks = (existing.stacks || 1) + 1;
+            switch (type) {
+                case 'burn':
+                    // Keep highest damage, maybe add stack count for visuals
+                    effectState.data.damage = Math.max(existing.data.damage, data.damage);
+                    effectState.stacks = (existing.stacks || 1) + 1;
+                    break;
+                case 'freeze':
+                    effectState.data.slow = Math.max(existing.data.slow || 0, effectState.data.slow || 0);
+                    effectState.stacks = Math.min(config.FREEZE_MAX_STACKS, (existing.stacks || 1) + 1);
+                    break;
+                case 'weaken':
+                    effectState.data.amount = Math.max(existing.data.amount || 0, effectState.data.amount || 0);
+                    effectState.stacks = Math.min(config.WEAKEN_MAX_STACKS, (existing.stacks || 1) + 1);
+                    break;
             }
         }
 
         this.effects.set(type, effectState);
+        return true;
+    }
+
+    /**
+     * Boss diminishing returns: shorten repeat freeze/stun and count towards immunity
+     */
+    _applyDiminishingReturns(type, duration) {
+        const config = StatusEffectManager.getConfig();
+        if (!this.diminishing) {
+            this.diminishing = new Map();
+        }
+
+        const entry = this.diminishing.get(type) || { count: 0, timer: 0 };
+        const scaled = duration * Math.pow(config.BOSS_DIMINISHING_RETURNS, entry.count);
+        entry.count++;
+        entry.timer = config.BOSS_DR_RESET;
+        this.diminishing.set(type, entry);
+        return scaled;
+    }
+
+    isImmune(type) {
+        if (this.immunities?.get(type) > 0) {
+            return true;
+        }
+
+        const entry = this.diminishing?.get(type);
+        return !!entry && entry.count >= StatusEffectManager.getConfig().BOSS_DR_MAX_APPLICATIONS;
+    }
+
+    isStunned() {
+        return this.hasEffect('stun');
+    }
+
+    /**
+     * Movement/attack speed scale from freeze and stun (0 while stunned)
+     */
+    getSpeedMultiplier() {
+        if (!this.effects || this.effects.size === 0) return 1;
+        if (this.effects.has('stun')) return 0;
+
+        const freeze = this.effects.get('freeze');
+        if (!freeze) return 1;
+
+        const config = StatusEffectManager.getConfig();
+        let slow = Math.min(config.FREEZE_MAX_SLOW, (freeze.data.slow || 0) * (freeze.stacks || 1));
+        if (this.enemy?.isBoss) {
+            slow *= config.BOSS_SLOW_SCALE;
+        }
+        return Math.max(0, 1 - slow);
+    }
+
+    /**
+     * Incoming damage scale from weaken
+     */
+    getDamageTakenMultiplier() {
+        const weaken = this.effects?.get('weaken');
+        if (!weaken) return 1;
+
+        const config = StatusEffectManager.getConfig();
+        return 1 + Math.min(config.WEAKEN_MAX_BONUS, (weaken.data.amount || 0) * (weaken.stacks || 1));
     }
 
     /**
      * Update all active effects
      */
     update(deltaTime, game) {
+        if (this.immunities || this.diminishing) {
+            this._updateImmunities(deltaTime);
+        }
+
         if (!this.effects || this.effects.size === 0) return;
 
         let toRemove = null;
@@ -88,6 +194,31 @@ class StatusEffectManager {
         this._updateVisuals(deltaTime);
     }
 
+    _updateImmunities(deltaTime) {
+        if (this.immunities) {
+            for (const [type, remaining] of this.immunities) {
+                if (remaining - deltaTime <= 0) {
+                    this.immunities.delete(type);
+                } else {
+                    this.immunities.set(type, remaining - deltaTime);
+                }
+            }
+            if (this.immunities.size === 0) this.immunities = null;
+        }
+
+        if (this.diminishing) {
+            for (const [type, entry] of this.diminishing) {
+                // Window only counts down once the effect has worn off
+                if (this.effects?.has(type)) continue;
+                entry.timer -= deltaTime;
+                if (entry.timer <= 0) {
+                    this.diminishing.delete(type);
+                }
+            }
+            if (this.diminishing.size === 0) this.diminishing = null;
+        }
+    }
+
     _updateEffect(effect, deltaTime, game) {
         switch (effect.type) {
             case 'burn':
@@ -164,7 +295,14 @@ class StatusEffectManager {
     }
 
     _onEffectEnd(type) {
-        // Cleanup logic if needed (e.g. reset speed after freeze)
+        // Movement/AI read freeze and stun each frame, so only stun needs follow-up
+        if (type === 'stun') {
+            const immunity = StatusEffectManager.getConfig().STUN_IMMUNITY;
+            if (immunity > 0) {
+                if (!this.immunities) this.immunities = new Map();
+                this.immunities.set('stun', immunity);
+            }
+        }
     }
 
     _updateVisuals(deltaTime) {
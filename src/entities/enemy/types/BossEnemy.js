@@ -25,4 +25,67 @@ class BossEnemy extends EnemyTypeBase {
         enemy.phaseThresholds = [0.7, 0.4, 0.15];
         enemy.setupBossAttackPatterns();
     }
+
+    /**
+     * Pick the archetype for the Nth boss of a run (1-based) from BOSS_DEFINITIONS.
+     * Archetypes unlock at their firstAppearance and are rotated through by boss count.
+     */
+    static selectArchetype(bossNumber, definitions = window.BOSS_DEFINITIONS) {
+        if (!Array.isArray(definitions) || definitions.length === 0) return null;
+
+        const number = Math.max(1, Math.floor(bossNumber) || 1);
+        const eligible = definitions.filter(def => (def.firstAppearance || 1) <= number);
+        if (eligible.length === 0) return definitions[0];
+
+        return eligible[(number - 1) % eligible.length];
+    }
+
+    /**
+     * Apply an archetype definition to a freshly constructed boss.
+     * Call before DifficultyManager.scaleBoss() so the multipliers compound with scaling.
+     */
+    static applyArchetype(enemy, definition) {
+        if (!enemy || !definition) return enemy;
+
+        enemy.bossArchetype = definition.id;
+        enemy.bossName = definition.name || 'Boss';
+        if (definition.color) enemy.color = definition.color;
+        if (definition.radius) enemy.radius = definition.radius;
+
+        const healthMultiplier = definition.healthMultiplier || 1;
+        enemy.maxHealth = Math.round(enemy.maxHealth * healthMultiplier);
+        enemy.health = enemy.maxHealth;
+        enemy.damage = Math.round(enemy.damage * (definition.damageMultiplier || 1));
+
+        if (enemy.movement) {
+            if (definition.speed) enemy.movement.speed = definition.speed;
+            if (definition.movementPattern) enemy.movement.movementPattern = definition.movementPattern;
+            enemy.baseSpeed = enemy.movement.speed;
+        }
+
+        if (Array.isArray(definition.phaseThresholds)) {
+            enemy.phaseThresholds = [...definition.phaseThresholds];
+            if (enemy.ai) enemy.ai.phaseChangeThresholds = [...definition.phaseThresholds];
+        }
+
+        if (enemy.abilities) {
+            Object.assign(enemy.abilities, definition.abilities || {});
+            enemy.abilities.projectileDamage = Math.round(
+                enemy.abilities.projectileDamage * (definition.damageMultiplier || 1)
+            );
+            // The timeline decides when minions and damage zones happen
+            enemy.abilities.scriptedAttacks = true;
+        }
+
+        if (Array.isArray(definition.phases) && definition.phases.length > 0) {
+            enemy.bossPhases = definition.phases;
+            if (enemy.ai && typeof enemy.ai.loadBossPhase === 'function') {
+                enemy.ai.loadBossPhase(1);
+            } else {
+                enemy.attackPatterns = definition.phases[0].sequence;
+            }
+        }
+
+        return enemy;
+    }
 }
\ No newline at end of file
@@ -72,6 +72,11 @@ class Player {
             this.applyCharacterDefinition(this.characterDefinition);
         }
 
+        // Character mastery: selected palette and the perk once earned
+        this.masteryPalette = null;
+        this.masteryPerk = null;
+        this.applyMasteryRewards();
+
         // Apply meta upgrades from Star Vendor
         this.applyMetaUpgrades();
     }
@@ -143,9 +148,53 @@ class Player {
         return cloneDefinition(fallback);
     }
 
+    /**
+     * Apply the character's mastery palette and perk (see CharacterMastery)
+     */
+    applyMasteryRewards() {
+        const Mastery = window.Game?.CharacterMastery;
+        if (!Mastery || !this.characterDefinition) return;
+
+        const palette = Mastery.getPalette(this.characterId);
+        if (palette) {
+            this.masteryPalette = palette;
+            this.color = palette.core;
+            this.glowColor = palette.glow;
+            this.trailColor = palette.glow;
+        }
+
+        const perk = Mastery.getPerk(this.characterId);
+        if (perk?.modifiers) {
+            this.masteryPerk = perk;
+            this.applyModifiers(perk.modifiers);
+            this._refreshStatUI();
+        }
+    }
+
     applyCharacterDefinition(definition) {
         if (!definition) return;
-        const mods = definition.modifiers || {};
+        this.applyModifiers(definition.modifiers || {});
+
+        this.characterHighlights = Array.isArray(definition.highlights)
+            ? [...definition.highlights]
+            : [];
+
+        this._refreshStatUI();
+    }
+
+    _refreshStatUI() {
+        if (typeof this.stats._updateHealthBarUI === 'function') {
+            this.stats._updateHealthBarUI();
+        }
+        this.stats.updateXPBar();
+        this.combat.updateAttackCooldown?.();
+        this.combat.weaponManager?.notifyCombatStatChange();
+    }
+
+    /**
+     * Apply a modifiers block (CHARACTER_DEFINITIONS schema; also used by mastery perks)
+     */
+    applyModifiers(mods) {
 
         const statsMods = mods.stats || {};
         if (this.stats) {
@@ -414,17 +463,6 @@ class Player {
                 }
             }
         }
-
-        this.characterHighlights = Array.isArray(definition.highlights)
-            ? [...definition.highlights]
-            : [];
-
-        if (typeof this.stats._updateHealthBarUI === 'function') {
-            this.stats._updateHealthBarUI();
-        }
-        this.stats.updateXPBar();
-        this.combat.updateAttackCooldown?.();
-        this.combat.weaponManager?.notifyCombatStatChange();
     }
 
     // Main update method coordinates all systems
@@ -458,6 +496,11 @@ class Player {
         if (!definition?.unlockRequirement) {
             return true;
         }
+        // The daily challenge lends its pilot even while it is still locked
+        if (window.gameManager?.isDailyChallenge?.() &&
+            window.gameManager.dailyChallenge?.characterId === definition.id) {
+            return true;
+        }
         return this.isRequirementSatisfied(definition.unlockRequirement);
     }
 
@@ -466,6 +509,12 @@ class Player {
             return true;
         }
 
+        // Lifetime stars, bosses and mastery levels
+        if (requirement.type && requirement.type !== 'achievement') {
+            const progress = window.Game?.CharacterMastery?.getRequirementProgress?.(requirement);
+            return !!progress && progress.current >= progress.target;
+        }
+
         const ids = this.normalizeRequirementIds(requirement);
         if (!ids.length) {
             return true;
@@ -715,6 +764,8 @@ class Player {
             case 'projectileSpeed':
             case 'critChance':
             case 'critDamage':
+            case 'secondaryCooldown':
+            case 'secondaryPower':
                 this.combat.applyCombatUpgrade(upgradeInstance);
                 break;
 
@@ -737,6 +788,8 @@ class Player {
             case 'gravityWell':
             case 'burn':  // NEW: Route burn upgrades to abilities
             case 'burnDamage':  // NEW: Route burn damage upgrades to abilities
+            case 'freeze':
+            case 'shock':
                 this.abilities.applyAbilityUpgrade(upgradeInstance);
                 break;
         }
@@ -36,6 +36,19 @@ class PlayerAbilities {
         this.burnDuration = 0;
         this.burnExplosionDamage = 0;
         this.burnExplosionRadius = 0;
+
+        // Freeze properties (slow on hit)
+        this.hasFreeze = false;
+        this.freezeChance = 0;
+        this.freezeSlow = 0;
+        this.freezeDuration = 0;
+
+        // Shock properties (stun + weaken on hit)
+        this.hasShock = false;
+        this.shockChance = 0;
+        this.stunDuration = 0;
+        this.weakenAmount = 0;
+        this.weakenDuration = 0;
         this.bloodLashDamage = 0;
         this.bloodLashRange = 0;
         this.bloodLashChance = 0;
@@ -203,7 +216,7 @@ class PlayerAbilities {
         }
 
         // Check for energy reflection
-        if (this.shieldReflectChance > 0 && Math.random() < this.shieldReflectChance) {
+        if (this.shieldReflectChance > 0 && (window.Game?.rng?.next() ?? Math.random()) < this.shieldReflectChance) {
             window.logger.log(`[Shield] Energy reflection triggered!`);
             const reflectedDamage = this.reflectDamage(damageBlocked);
 
@@ -400,7 +413,7 @@ class PlayerAbilities {
         const ringCount = 3;
         const radius = this.shieldExplosionRadius;
 
-        // Capture player position (player moves during setTimeout delays)
+        // Capture player position (player moves during the ring delays)
         const playerX = this.player.x;
         const playerY = this.player.y;
 
@@ -408,7 +421,7 @@ class PlayerAbilities {
             const delay = ring * 50; // Stagger rings
             const segments = 36;
 
-            setTimeout(() => {
+            window.Game.GameScheduler.runLater(() => {
                 for (let i = 0; i < segments; i++) {
                     const angle = (i / segments) * Math.PI * 2;
                     const x = playerX + Math.cos(angle) * (radius * 0.3);
@@ -424,7 +437,7 @@ class PlayerAbilities {
                         type: 'explosion'
                     });
                 }
-            }, delay);
+            }, delay / 1000);
         }
 
         // Central explosion burst
@@ -586,7 +599,7 @@ class PlayerAbilities {
                 if (distanceSquared < collisionRadius * collisionRadius) {
                     // Calculate damage
                     let damage = this.player.combat.attackDamage * this.orbitDamage;
-                    const isCrit = Math.random() < this.player.combat.critChance;
+                    const isCrit = (window.Game?.rng?.next() ?? Math.random()) < this.player.combat.critChance;
                     if (isCrit) {
                         damage *= this.player.combat.critMultiplier;
                     }
@@ -685,7 +698,7 @@ class PlayerAbilities {
         if (closestEnemy && !hitEnemies.has(closestEnemy.id)) {
             // Calculate damage for chain hit
             const chainDamage = baseDamage * this.chainDamage;
-            const isCrit = Math.random() < this.player.combat.critChance;
+            const isCrit = (window.Game?.rng?.next() ?? Math.random()) < this.player.combat.critChance;
             const finalDamage = isCrit ? chainDamage * this.player.combat.critMultiplier : chainDamage;
 
             // Create lightning visual effect
@@ -779,7 +792,7 @@ class PlayerAbilities {
             const critMultiplier = this.player.combat.critMultiplier || 1;
             const ricochetDamageMultiplier = this.ricochetDamage || 0.5;
 
-            const isCrit = Math.random() < critChance;
+            const isCrit = (window.Game?.rng?.next() ?? Math.random()) < critChance;
             const ricochetDamage = damage * ricochetDamageMultiplier *
                 (isCrit ? critMultiplier : 1);
 
@@ -859,7 +872,7 @@ class PlayerAbilities {
         if (
             this.ricochetEchoChance > 0 &&
             this.ricochetEchoBounces > 0 &&
-            Math.random() < this.ricochetEchoChance
+            (window.Game?.rng?.next() ?? Math.random()) < this.ricochetEchoChance
         ) {
             const echoSet = new Set();
             if (targetEnemy?.id) {
@@ -993,7 +1006,7 @@ class PlayerAbilities {
             return;
         }
         const chance = this.bloodLashChance || 1;
-        if (Math.random() > chance) {
+        if ((window.Game?.rng?.next() ?? Math.random()) > chance) {
             return;
         }
 
@@ -1273,6 +1286,50 @@ class PlayerAbilities {
                 }
                 break;
 
+            case 'freeze':
+                this.hasFreeze = true;
+                if (typeof upgrade.freezeChance === 'number') {
+                    this.freezeChance = Math.max(this.freezeChance, Math.min(0.99, upgrade.freezeChance));
+                }
+                if (typeof upgrade.chanceBonus === 'number') {
+                    this.freezeChance = Math.min(0.99, (this.freezeChance || 0.25) + upgrade.chanceBonus);
+                }
+                if (typeof upgrade.freezeSlow === 'number') {
+                    this.freezeSlow = Math.max(this.freezeSlow, upgrade.freezeSlow);
+                }
+                if (typeof upgrade.slowBonus === 'number') {
+                    this.freezeSlow = Math.min(0.9, (this.freezeSlow || 0.3) + upgrade.slowBonus);
+                }
+                if (typeof upgrade.freezeDuration === 'number') {
+                    this.freezeDuration = Math.max(this.freezeDuration, upgrade.freezeDuration);
+                }
+                if (typeof upgrade.durationBonus === 'number') {
+                    this.freezeDuration = (this.freezeDuration || 2.0) + upgrade.durationBonus;
+                }
+                break;
+
+            case 'shock':
+                this.hasShock = true;
+                if (typeof upgrade.shockChance === 'number') {
+                    this.shockChance = Math.max(this.shockChance, Math.min(0.99, upgrade.shockChance));
+                }
+                if (typeof upgrade.chanceBonus === 'number') {
+                    this.shockChance = Math.min(0.99, (this.shockChance || 0.15) + upgrade.chanceBonus);
+                }
+                if (typeof upgrade.stunDuration === 'number') {
+                    this.stunDuration = Math.max(this.stunDuration, upgrade.stunDuration);
+                }
+                if (typeof upgrade.weakenAmount === 'number') {
+                    this.weakenAmount = Math.max(this.weakenAmount, upgrade.weakenAmount);
+                }
+                if (typeof upgrade.weakenBonus === 'number') {
+                    this.weakenAmount = (this.weakenAmount || 0.15) + upgrade.weakenBonus;
+                }
+                if (typeof upgrade.weakenDuration === 'number') {
+                    this.weakenDuration = Math.max(this.weakenDuration, upgrade.weakenDuration);
+                }
+                break;
+
             case 'gravityWell': {
                 this.hasGravityWells = true;
                 if (typeof upgrade.radiusMultiplier === 'number') {
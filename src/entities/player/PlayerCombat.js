@@ -11,6 +11,7 @@ class PlayerCombat {
         this.attackTimer = 0;
         this.attackCooldown = this.attackSpeed > 0 ? 1 / this.attackSpeed : 1;
         this.baseAttackSpeed = this.attackSpeed;
+        this.weaponDamageMultiplier = 1; // Level bonus of the weapon currently firing (set by WeaponManager)
 
         // Attack type flags
         this.hasBasicAttack = true;
@@ -31,6 +32,10 @@ class PlayerCombat {
         this.aoeAttackRange = PLAYER_CONSTANTS.AOE_ATTACK_RANGE || 150;
         this.aoeDamageMultiplier = PLAYER_CONSTANTS.AOE_DAMAGE_MULTIPLIER || 0.6;
 
+        // Weapon secondary ability modifiers (read by WeaponBase)
+        this.secondaryCooldownMultiplier = 1;
+        this.secondaryPower = 1;
+
         // Mathematical balance constants for upgrade scaling
         this.BALANCE = {
             // Diminishing returns scaling factors
@@ -51,9 +56,18 @@ class PlayerCombat {
         }
     }
 
+    /**
+     * Crit rolls use the seeded run RNG; Math.random only when it is unavailable
+     */
+    _random() {
+        const rng = window.Game?.rng;
+        return rng ? rng.next() : Math.random();
+    }
+
     update(deltaTime, game) {
         if (this.weaponManager) {
             this.weaponManager.update(deltaTime, game);
+            this._handleSecondaryInput(game);
         } else {
             this.updateAttackCooldown();
             this._legacyHandlePrimaryAttack(deltaTime, game);
@@ -62,6 +76,27 @@ class PlayerCombat {
         this._updateAOEAttack(deltaTime, game);
     }
 
+    /**
+     * Fire the weapon secondary on the 'secondary' input. Like the dodge, the
+     * press is only consumed (and recorded for replays) once it actually fires.
+     */
+    _handleSecondaryInput(game) {
+        if (typeof game?.isSecondaryRequested !== 'function' || !game.isSecondaryRequested()) {
+            return;
+        }
+
+        const isMenuActive = window.upgradeSystem?.isLevelUpActive?.() ||
+                           window.gameManager?.isMenuActive?.() ||
+                           game.isPaused;
+        const weapon = this.weaponManager.getSecondaryWeapon();
+        if (isMenuActive || !weapon?.isSecondaryManual() || !weapon.isSecondaryReady()) {
+            return;
+        }
+
+        game.consumeSecondaryInput?.();
+        this.weaponManager.useSecondary(game);
+    }
+
     updateAttackCooldown() {
         // Prevent division by zero and ensure minimum cooldown
         // Apply kill streak attack speed bonus
@@ -161,7 +196,7 @@ class PlayerCombat {
         // Create AOE damage around player (optimized for loop)
         for (let i = 0; i < enemies.length; i++) {
             const enemy = enemies[i];
-            const isCrit = Math.random() < this.critChance;
+            const isCrit = this._random() < this.critChance;
             const baseDamage = this.attackDamage * this.aoeDamageMultiplier;
             const damage = isCrit ? baseDamage * this.critMultiplier : baseDamage;
 
@@ -169,6 +204,7 @@ class PlayerCombat {
 
             if (isCrit) {
                 window.gameManager?.statsManager?.trackSpecialEvent?.('critical_hit');
+                this.weaponManager?.onCriticalHit?.(game);
                 const gm = window.gameManager || window.gameManagerBridge;
                 if (gm?.showFloatingText) {
                     const critSymbol = window.GAME_CONSTANTS?.VISUAL_SYMBOLS?.CRITICAL || '*';
@@ -247,6 +283,10 @@ class PlayerCombat {
             // Default: Use player's projectile count
             projectileCount = Math.max(1, Math.floor(this.projectileCount || 1));
         }
+        // Orbital Flux secondary widens volleys while it runs
+        if (overrides.projectileCount === undefined) {
+            projectileCount += Math.floor(this.player.stats?.getPowerUpValue?.('projectiles', 0) ?? 0);
+        }
 
         const speedMultiplier = overrides.speedMultiplier !== undefined ? overrides.speedMultiplier : 1;
         const baseSpeedStat = this.projectileSpeed || 450;
@@ -288,7 +328,7 @@ class PlayerCombat {
             const vy = Math.sin(projectileAngle) * baseSpeed;
 
             // Calculate damage and crit for this projectile (each projectile can crit independently)
-            const isCrit = Math.random() < (this.critChance || 0);
+            const isCrit = this._random() < (this.critChance || 0);
 
             // Apply kill streak bonuses
             const streakBonuses = this.player.stats?.getKillStreakBonuses?.() || { damage: 1.0 };
@@ -302,7 +342,11 @@ class PlayerCombat {
                 berserkerDamageMultiplier = 1.0 + (missingHealth * (this.player.abilities.berserkerScaling || 0.5));
             }
 
-            const baseDamage = this.attackDamage * damageMultiplier * streakBonuses.damage * berserkerDamageMultiplier;
+            // Double Damage pickup
+            const powerUpMultiplier = this.player.stats?.getPowerUpValue?.('damage', 1) ?? 1;
+
+            const baseDamage = this.attackDamage * damageMultiplier * (this.weaponDamageMultiplier || 1) *
+                streakBonuses.damage * berserkerDamageMultiplier * powerUpMultiplier;
             const damage = isCrit ? baseDamage * (this.critMultiplier || 2) : baseDamage;
 
             // Debug logging for piercing value tracing
@@ -356,6 +400,8 @@ class PlayerCombat {
 
                 if (isCrit) {
                     window.gameManager?.statsManager?.trackSpecialEvent?.('critical_hit');
+                    // Orbital Flux overcharges on crits
+                    this.weaponManager?.onCriticalHit?.(game);
                 }
                 if (window.logger?.isDebugEnabled?.('projectiles')) {
                     window.logger.log(`[PlayerCombat] Projectile ${projectile.id} spawned with piercing = ${projectile.piercing}`);
@@ -558,6 +604,15 @@ class PlayerCombat {
                 this.applyScaledCritDamage(baseCritDamageIncrease);
                 break;
 
+            case 'secondaryCooldown':
+                // Multiplicative so stacks never reach zero (WeaponBase also floors the cooldown)
+                this.secondaryCooldownMultiplier *= upgrade.multiplier || 1;
+                break;
+
+            case 'secondaryPower':
+                this.secondaryPower += upgrade.value || 0;
+                break;
+
             case 'attackRange':
                 // Attack range scaling - improves enemy detection for auto-targeting
                 // Synergizes with ricochet (320), chain (240), explosive (70) by increasing search area
@@ -39,6 +39,10 @@ class PlayerMovement {
         this.speed = PLAYER_CONSTANTS.BASE_SPEED || 220;
         this.velocity = { x: 0, y: 0 };
 
+        // Temporary slows (e.g. elite Frost Aura); the strongest active one wins
+        this.slowAmount = 0;
+        this.slowTimer = 0;
+
         // Dodge system
         this.canDodge = true;
         this.dodgeCooldown = PLAYER_CONSTANTS.DODGE_COOLDOWN || 2;
@@ -63,10 +67,78 @@ class PlayerMovement {
     }
 
     update(deltaTime, game) {
+        if (this.slowTimer > 0) {
+            this.slowTimer = Math.max(0, this.slowTimer - deltaTime);
+            if (this.slowTimer === 0) this.slowAmount = 0;
+        }
         this.handleMovement(deltaTime, game);
+        this.applyEnvironmentalForces(deltaTime, game);
+        this.resolveObstacleCollisions(game);
         this.handleDodge(deltaTime, game);
     }
 
+    /**
+     * Reduce max speed by amount (0-1) for duration seconds
+     */
+    applySlow(amount, duration) {
+        this.slowAmount = Math.max(this.slowTimer > 0 ? this.slowAmount : 0, Math.min(0.9, amount));
+        this.slowTimer = Math.max(this.slowTimer, duration);
+    }
+
+    /**
+     * Black holes drag the player toward their core (the player's own gravity wells don't)
+     */
+    applyEnvironmentalForces(deltaTime, game) {
+        const wells = game?.getEntitiesByType?.('gravityWell');
+        if (!Array.isArray(wells) || wells.length === 0) return;
+
+        for (const well of wells) {
+            if (!well || well.isDead || !(well.playerPull > 0)) continue;
+
+            const dx = well.x - this.player.x;
+            const dy = well.y - this.player.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 0.001;
+            if (distance > well.radius) continue;
+
+            // Same falloff and force scale as EnemyMovement.applyEnvironmentalForces
+            const intensity = 1 - (distance / well.radius);
+            const pull = (well.pullStrength ?? 0.3) * 420 * well.playerPull * intensity;
+            this.player.x += (dx / distance) * pull * deltaTime;
+            this.player.y += (dy / distance) * pull * deltaTime;
+        }
+    }
+
+    /**
+     * Push the player out of solid obstacles and drop the velocity heading into them
+     */
+    resolveObstacleCollisions(game) {
+        const obstacles = game?.obstacles;
+        if (!Array.isArray(obstacles) || obstacles.length === 0) return;
+
+        const playerRadius = this.player.radius || 0;
+        for (const obstacle of obstacles) {
+            if (!obstacle || obstacle.isDead) continue;
+
+            const dx = this.player.x - obstacle.x;
+            const dy = this.player.y - obstacle.y;
+            const minDistance = playerRadius + obstacle.radius;
+            const distanceSq = dx * dx + dy * dy;
+            if (distanceSq >= minDistance * minDistance) continue;
+
+            const distance = Math.sqrt(distanceSq);
+            const nx = distance > 0.001 ? dx / distance : 1;
+            const ny = distance > 0.001 ? dy / distance : 0;
+            this.player.x = obstacle.x + nx * minDistance;
+            this.player.y = obstacle.y + ny * minDistance;
+
+            const inward = this.velocity.x * nx + this.velocity.y * ny;
+            if (inward < 0) {
+                this.velocity.x -= nx * inward;
+                this.velocity.y -= ny * inward;
+            }
+        }
+    }
+
     handleMovement(deltaTime, game) {
         if (this.isDodging) {
             // Apply dodge movement
@@ -78,13 +150,20 @@ class PlayerMovement {
         let inputX = 0;
         let inputY = 0;
 
-        // Get keys from the game engine
-        const keys = game.keys || {};
+        if (typeof game.getMovementInput === 'function') {
+            // Engine resolves input once per fixed step (keyboard, gamepad or replay)
+            const input = game.getMovementInput() || { x: 0, y: 0 };
+            inputX = input.x || 0;
+            inputY = input.y || 0;
+        } else {
+            // Get keys from the game engine
+            const keys = game.keys || {};
 
-        if (keys['w'] || keys['W'] || keys['ArrowUp']) inputY -= 1;
-        if (keys['s'] || keys['S'] || keys['ArrowDown']) inputY += 1;
-        if (keys['a'] || keys['A'] || keys['ArrowLeft']) inputX -= 1;
-        if (keys['d'] || keys['D'] || keys['ArrowRight']) inputX += 1;
+            if (keys['w'] || keys['W'] || keys['ArrowUp']) inputY -= 1;
+            if (keys['s'] || keys['S'] || keys['ArrowDown']) inputY += 1;
+            if (keys['a'] || keys['A'] || keys['ArrowLeft']) inputX -= 1;
+            if (keys['d'] || keys['D'] || keys['ArrowRight']) inputX += 1;
+        }
 
         // Enhanced movement physics with acceleration and momentum
         const C = PlayerMovement.MOVEMENT_CONSTANTS; // Shorthand for constants
@@ -93,18 +172,19 @@ class PlayerMovement {
 
         // Apply kill streak speed bonus
         const streakBonuses = this.player.stats?.getKillStreakBonuses?.() || { speed: 1.0 };
-        const maxSpeed = this.speed * streakBonuses.speed;
+        const maxSpeed = this.speed * streakBonuses.speed * (1 - this.slowAmount);
 
         // Apply input acceleration
         if (inputX !== 0 || inputY !== 0) {
-            // OPTIMIZED: Normalize diagonal input using FastMath (avoids sqrt)
-            // For keyboard input, values are always -1, 0, or 1
-            if (inputX !== 0 && inputY !== 0) {
-                // Diagonal movement: multiply by 1/√2 (cached instance property)
-                inputX *= this._sqrt2Inv;
-                inputY *= this._sqrt2Inv;
+            // OPTIMIZED: Normalize only over-length input (raw keyboard diagonals)
+            // InputManager vectors arrive pre-normalized, so they pass through untouched
+            const inputLengthSq = inputX * inputX + inputY * inputY;
+            if (inputLengthSq > 1.0001) {
+                // Raw diagonal: multiply by 1/√2 (cached instance property)
+                const scale = inputLengthSq === 2 ? this._sqrt2Inv : 1 / Math.sqrt(inputLengthSq);
+                inputX *= scale;
+                inputY *= scale;
             }
-            // Cardinal directions (N/S/E/W) are already normalized
 
             // Accelerate towards input direction
             this.velocity.x += inputX * acceleration * deltaTime;
@@ -226,14 +306,21 @@ class PlayerMovement {
 
         // Get keys from the game engine
         const keys = game.keys || {};
+        const dodgeRequested = typeof game.isDodgeRequested === 'function'
+            ? game.isDodgeRequested()
+            : !!keys[' '];
 
         // Only activate dodge if game is active (not paused or in level-up menu)
         const isMenuActive = window.upgradeSystem?.isLevelUpActive?.() ||
                            window.gameManager?.isMenuActive?.() ||
                            game.isPaused;
 
-        if (keys[' '] && this.canDodge && !this.isDodging && !isMenuActive) {
-            keys[' '] = false; // Prevent holding space
+        if (dodgeRequested && this.canDodge && !this.isDodging && !isMenuActive) {
+            if (typeof game.consumeDodgeInput === 'function') {
+                game.consumeDodgeInput();
+            } else {
+                keys[' '] = false; // Prevent holding space
+            }
             this.doDodge();
         }
     }
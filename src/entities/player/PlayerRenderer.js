@@ -53,7 +53,9 @@ class PlayerRenderer {
         ctx.strokeStyle = color;   // Neon outline
         ctx.lineWidth = 2;
         
-        if (this.player.stats.isInvulnerable) {
+        if (this.player.stats.powerUps?.invulnerable) {
+            ctx.strokeStyle = '#f1c40f'; // Gold while the Invulnerable pickup lasts
+        } else if (this.player.stats.isInvulnerable) {
             ctx.strokeStyle = '#ffffff'; // White flash when invuln
             ctx.setLineDash([2, 2]);
         }
@@ -472,7 +474,8 @@ class PlayerRenderer {
 
         const radius = this.player.radius;
         const classKey = this.player.characterId || 'default';
-        const key = `${classKey}_${radius.toFixed(2)}`;
+        const paletteKey = this.player.masteryPalette?.id || 'base';
+        const key = `${classKey}_${paletteKey}_${radius.toFixed(2)}`;
 
         if (this._spriteCache && this._spriteCache.key === key) {
             return this._spriteCache;
@@ -532,6 +535,11 @@ class PlayerRenderer {
     }
 
     _resolveClassColors(classKey) {
+        // A mastery palette replaces the class colours
+        const palette = this.player.masteryPalette;
+        if (palette?.core && palette?.glow) {
+            return { core: palette.core, glow: palette.glow };
+        }
         const defaults = { core: '#0088ff', glow: '#00ffff' };
         const table = window.GAME_CONSTANTS?.PLAYER?.CLASS_COLORS;
         if (!table) {
@@ -26,6 +26,9 @@ class PlayerStats {
         this.invulnerabilityTime = PLAYER_CONSTANTS.INVULNERABILITY_TIME || 0.5;
         this.invulnerabilityTimer = 0;
 
+        // Timed power-ups from pickups: effect -> { remaining, value }
+        this.powerUps = {};
+
         // Kill streak tracking for gameplay bonuses only
         // (Visual feedback handled by GameState combo system)
         this.killStreak = 0;
@@ -49,15 +52,48 @@ class PlayerStats {
     update(deltaTime) {
         this.handleRegeneration(deltaTime);
         this.handleInvulnerability(deltaTime);
+        this.updatePowerUps(deltaTime);
         this.updateKillStreak(deltaTime);
     }
 
+    updatePowerUps(deltaTime) {
+        for (const effect of Object.keys(this.powerUps)) {
+            this.powerUps[effect].remaining -= deltaTime;
+            if (this.powerUps[effect].remaining <= 0) {
+                delete this.powerUps[effect];
+            }
+        }
+    }
+
+    /**
+     * Start (or extend) a timed power-up; re-collecting keeps the stronger value
+     * @param {string} effect - 'damage' (value = multiplier) or 'invulnerable'
+     * @param {number} duration - Seconds
+     */
+    activatePowerUp(effect, duration, value = 1) {
+        const current = this.powerUps[effect];
+        this.powerUps[effect] = {
+            remaining: Math.max(current?.remaining || 0, duration),
+            value: Math.max(current?.value ?? value, value)
+        };
+    }
+
+    /**
+     * Value of an active power-up, or fallback when it isn't running
+     */
+    getPowerUpValue(effect, fallback = 0) {
+        return this.powerUps[effect]?.value ?? fallback;
+    }
+
     handleRegeneration(deltaTime) {
         if (this.regeneration > 0) {
             this.regenTimer += deltaTime;
             if (this.regenTimer >= 1) { // Regenerate every second
                 this.regenTimer = 0;
-                this.heal(this.regeneration);
+                const regenMultiplier = window.gameManager?.getRunModifierMultiplier?.('playerRegeneration') ?? 1;
+                if (regenMultiplier > 0) {
+                    this.heal(this.regeneration * regenMultiplier);
+                }
             }
         }
     }
@@ -263,11 +299,17 @@ class PlayerStats {
         }
 
         // Show upgrade options
-        setTimeout(() => {
+        const showUpgradeOptions = () => {
             if (window.upgradeSystem && typeof window.upgradeSystem.showUpgradeOptions === 'function') {
                 window.upgradeSystem.showUpgradeOptions();
             }
-        }, 0);
+        };
+        if (window.replaySystem?.isActive?.()) {
+            // Replays need the choice applied on the exact step the level-up happened
+            showUpgradeOptions();
+        } else {
+            setTimeout(showUpgradeOptions, 0);
+        }
 
         // Play level up sound
         if (window.audioSystem && typeof window.audioSystem.play === 'function') {
@@ -276,7 +318,7 @@ class PlayerStats {
     }
 
     takeDamage(amount) {
-        if (this.isInvulnerable || typeof amount !== 'number' || amount <= 0) return;
+        if (this.isInvulnerable || this.powerUps.invulnerable || typeof amount !== 'number' || amount <= 0) return;
 
         const damageMultiplier = window.GAME_CONSTANTS?.PLAYER?.DAMAGE_INTAKE_MULTIPLIER || 1;
         if (damageMultiplier !== 1) {
@@ -289,7 +331,7 @@ class PlayerStats {
         }
 
         // Apply dodge chance
-        if (this.dodgeChance && Math.random() < this.dodgeChance) {
+        if (this.dodgeChance && (window.Game?.rng?.next() ?? Math.random()) < this.dodgeChance) {
             if (window.gameManager && window.gameManager.showFloatingText) {
                 const dodgeSymbol = window.GAME_CONSTANTS?.VISUAL_SYMBOLS?.DODGE || '>';
                 window.gameManager.showFloatingText(dodgeSymbol, this.player.x, this.player.y - 20, '#3498db', 20);
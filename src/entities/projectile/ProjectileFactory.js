@@ -73,7 +73,7 @@ class ProjectileFactory {
         }
 
         const chainChance = typeof abilities.chainChance === 'number' ? abilities.chainChance : 0.4;
-        const chainCondition = abilities.hasChainLightning && Math.random() < chainChance;
+        const chainCondition = abilities.hasChainLightning && (window.Game?.rng?.next() ?? Math.random()) < chainChance;
         if (shouldApply('chain', chainCondition)) {
             const chainConfig = {
                 maxChains: Math.max(abilities.maxChains || 0, 2),
@@ -93,7 +93,7 @@ class ProjectileFactory {
         }
 
         const explosiveChance = typeof abilities.explosiveChance === 'number' ? abilities.explosiveChance : 0.3;
-        const explosiveCondition = abilities.hasExplosiveShots && Math.random() < explosiveChance;
+        const explosiveCondition = abilities.hasExplosiveShots && (window.Game?.rng?.next() ?? Math.random()) < explosiveChance;
         if (shouldApply('explosive', explosiveCondition)) {
             const explosiveConfig = {
                 radius: abilities.explosionRadius || 100,
@@ -110,7 +110,7 @@ class ProjectileFactory {
         const ricochetHasGuarantee = abilities.hasGuaranteedRicochet === true;
         const ricochetCondition = ricochetHasGuarantee
             ? (abilities.hasRicochet || ricochetHasGuarantee)
-            : (abilities.hasRicochet && Math.random() < ricochetChance);
+            : (abilities.hasRicochet && (window.Game?.rng?.next() ?? Math.random()) < ricochetChance);
         if (shouldApply('ricochet', ricochetCondition)) {
             const ricochetConfig = {
                 bounces: Math.max(abilities.ricochetBounces || 0, 2),
@@ -128,7 +128,7 @@ class ProjectileFactory {
         }
 
         const homingChance = typeof abilities.homingChance === 'number' ? abilities.homingChance : 0.2;
-        const homingCondition = abilities.hasHomingShots && Math.random() < homingChance;
+        const homingCondition = abilities.hasHomingShots && (window.Game?.rng?.next() ?? Math.random()) < homingChance;
         if (shouldApply('homing', homingCondition)) {
             const homingConfig = {
                 turnSpeed: Math.max(abilities.homingTurnSpeed || 0, 3),
@@ -154,6 +154,25 @@ class ProjectileFactory {
             });
             projectile.behaviorManager.addBehavior(burnBehavior);
         }
+
+        if (shouldApply('freeze', abilities.hasFreeze)) {
+            const freezeBehavior = new FreezeBehavior(projectile, {
+                slow: abilities.freezeSlow || 0.3,
+                duration: abilities.freezeDuration || 2.0,
+                chance: abilities.freezeChance || 0.25
+            });
+            projectile.behaviorManager.addBehavior(freezeBehavior);
+        }
+
+        if (shouldApply('shock', abilities.hasShock)) {
+            const shockBehavior = new ShockBehavior(projectile, {
+                chance: abilities.shockChance || 0.15,
+                stunDuration: abilities.stunDuration || 0.6,
+                weakenAmount: abilities.weakenAmount || 0.15,
+                weakenDuration: abilities.weakenDuration || 3.0
+            });
+            projectile.behaviorManager.addBehavior(shockBehavior);
+        }
     }
 
     static _applyCritModifiers(projectile, config) {
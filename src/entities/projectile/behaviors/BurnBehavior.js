@@ -16,7 +16,7 @@ class BurnBehavior extends ProjectileBehaviorBase {
      */
     onHit(target, engine) {
         // Check chance
-        if (Math.random() > this.chance) {
+        if ((window.Game?.rng?.next() ?? Math.random()) > this.chance) {
             return false;
         }
 
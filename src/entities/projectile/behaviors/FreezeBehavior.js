@@ -0,0 +1,72 @@
+/**
+ * FreezeBehavior - Applies freeze (slow) status to enemies on hit
+ */
+class FreezeBehavior extends ProjectileBehaviorBase {
+    constructor(projectile, config = {}) {
+        super(projectile, config);
+        this.slow = config.slow || 0.3;
+        this.duration = config.duration || 2.0;
+        this.chance = config.chance || 1.0;
+    }
+
+    /**
+     * Called when projectile hits an enemy (implements BehaviorBase.onHit interface)
+     */
+    onHit(target, engine) {
+        if ((window.Game?.rng?.next() ?? Math.random()) > this.chance) {
+            return false;
+        }
+
+        if (!target || !target.statusEffects) {
+            window.logger.warn('[FreezeBehavior] Target missing statusEffects!', target);
+            return true;
+        }
+
+        const wasFrozen = target.statusEffects.hasEffect?.('freeze');
+        const applied = target.statusEffects.applyEffect('freeze', { slow: this.slow }, this.duration);
+
+        // Only announce fresh freezes so rapid fire doesn't spam text
+        if (applied && !wasFrozen) {
+            if (window.gameManager?.showFloatingText) {
+                window.gameManager.showFloatingText(
+                    'CHILLED',
+                    target.x,
+                    target.y - 40,
+                    '#74d7ff',
+                    12
+                );
+            }
+            this._createFrostParticles(target);
+        }
+
+        return true;
+    }
+
+    _createFrostParticles(target) {
+        const pool = window.optimizedParticles;
+        if (!pool || !target) return;
+
+        // Skip under heavy particle load
+        if (pool.activeParticles.length / pool.maxParticles > 0.6) return;
+
+        const count = 6;
+        for (let i = 0; i < count; i++) {
+            const angle = (Math.PI * 2 * i) / count;
+            pool.spawnParticle({
+                x: target.x,
+                y: target.y,
+                vx: Math.cos(angle) * 45,
+                vy: Math.sin(angle) * 45,
+                size: 2 + Math.random() * 1.5,
+                color: i % 2 === 0 ? '#bdf3ff' : '#74d7ff',
+                life: 0.35 + Math.random() * 0.2,
+                type: 'spark'
+            });
+        }
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.FreezeBehavior = FreezeBehavior;
+}
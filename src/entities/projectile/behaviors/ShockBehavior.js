@@ -0,0 +1,48 @@
+/**
+ * ShockBehavior - Chance to stun enemies on hit and leave them weakened
+ * (taking extra damage) for a few seconds afterwards
+ */
+class ShockBehavior extends ProjectileBehaviorBase {
+    constructor(projectile, config = {}) {
+        super(projectile, config);
+        this.chance = config.chance || 0.15;
+        this.stunDuration = config.stunDuration || 0.6;
+        this.weakenAmount = config.weakenAmount || 0.15;
+        this.weakenDuration = config.weakenDuration || 3.0;
+    }
+
+    /**
+     * Called when projectile hits an enemy (implements BehaviorBase.onHit interface)
+     */
+    onHit(target, engine) {
+        if ((window.Game?.rng?.next() ?? Math.random()) > this.chance) {
+            return false;
+        }
+
+        if (!target || !target.statusEffects) {
+            window.logger.warn('[ShockBehavior] Target missing statusEffects!', target);
+            return true;
+        }
+
+        // Weaken lands even if the stun is resisted (immunity window / boss returns)
+        target.statusEffects.applyEffect('weaken', { amount: this.weakenAmount }, this.weakenDuration);
+        const stunned = target.statusEffects.applyEffect('stun', {}, this.stunDuration);
+
+        if (stunned && window.gameManager?.showFloatingText) {
+            window.gameManager.showFloatingText(
+                'STUNNED',
+                target.x,
+                target.y - 40,
+                '#f9e94e',
+                12
+            );
+        }
+
+        return true;
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.ShockBehavior = ShockBehavior;
+}
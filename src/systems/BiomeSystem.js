@@ -0,0 +1,122 @@
+/**
+ * Biome System - The space environment the current stage takes place in
+ *
+ * Runs start in the first BIOME_DEFINITIONS entry and move to the next one
+ * each time a boss is defeated, looping once the list runs out. The current
+ * biome recolors the CosmicBackground, weights EnemySpawner's enemy picks,
+ * paces HazardSystem's hazards and contributes its environmental effects to
+ * the run modifier multipliers.
+ * Every biome entered is remembered for the result screen.
+ */
+class BiomeSystem {
+    constructor(definitions = null) {
+        this.definitions = definitions;
+        this.reset();
+    }
+
+    /**
+     * Back to the first biome (new run)
+     */
+    reset() {
+        this.index = 0;
+        const first = this.getCurrentBiome();
+        this.reached = first ? [first.id] : [];
+    }
+
+    getDefinitions() {
+        const definitions = this.definitions || window.BIOME_DEFINITIONS;
+        return Array.isArray(definitions) ? definitions : [];
+    }
+
+    getCurrentBiome() {
+        const definitions = this.getDefinitions();
+        return definitions.length > 0 ? definitions[this.index % definitions.length] : null;
+    }
+
+    /**
+     * Move to the next biome (called after a boss is defeated)
+     * @returns {Object|null} The biome entered
+     */
+    advance() {
+        const definitions = this.getDefinitions();
+        if (definitions.length === 0) return null;
+
+        this.index = (this.index + 1) % definitions.length;
+        const biome = this.getCurrentBiome();
+        if (!this.reached.includes(biome.id)) {
+            this.reached.push(biome.id);
+        }
+        return biome;
+    }
+
+    /**
+     * Biomes entered this run, in the order they were first reached
+     */
+    getReachedBiomes() {
+        const definitions = this.getDefinitions();
+        return this.reached.map(id => definitions.find(def => def.id === id)).filter(Boolean);
+    }
+
+    /**
+     * Environmental multiplier for a run modifier effect (1 when the biome leaves it alone)
+     * @param {string} effect - e.g. 'enemySpeed', 'eliteChance'
+     */
+    getEffectMultiplier(effect) {
+        return this.getCurrentBiome()?.effects?.[effect] ?? 1;
+    }
+
+    /**
+     * How often a hazard appears here (1 = its normal interval, 0 = never)
+     * @param {string} type - HAZARD_DEFINITIONS key
+     */
+    getHazardWeight(type) {
+        return Math.max(0, this.getCurrentBiome()?.hazards?.[type] ?? 1);
+    }
+
+    /**
+     * Weighted pick among the unlocked enemy types
+     * @param {string[]} types - Types EnemySpawner currently allows
+     * @param {number} roll - Random value in [0, 1)
+     * @returns {string}
+     */
+    pickEnemyType(types, roll) {
+        if (!Array.isArray(types) || types.length === 0) return 'basic';
+
+        const weights = this.getCurrentBiome()?.enemyWeights || {};
+        const weighted = types.map(type => Math.max(0, weights[type] ?? 1));
+        const total = weighted.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) {
+            // Every unlocked type is excluded here; fall back to an even pick
+            return types[Math.min(types.length - 1, Math.floor(roll * types.length))];
+        }
+
+        let threshold = roll * total;
+        for (let i = 0; i < types.length; i++) {
+            threshold -= weighted[i];
+            if (threshold < 0) {
+                return types[i];
+            }
+        }
+        return types[types.length - 1];
+    }
+
+    /**
+     * Recolor a CosmicBackground to the current biome palette
+     */
+    applyToBackground(background) {
+        const palette = this.getCurrentBiome()?.palette;
+        if (palette && typeof background?.applyPalette === 'function') {
+            background.applyPalette(palette);
+        }
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.BiomeSystem = BiomeSystem;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BiomeSystem;
+}
@@ -0,0 +1,232 @@
+/**
+ * Boss Rush Mode - Bosses back-to-back with short upgrade intermissions
+ *
+ * Replaces EnemySpawner.update() while active: no regular, wave or formation
+ * spawning. Each boss is spawned through EnemySpawner.spawnBoss(), so
+ * DifficultyManager.scaleBoss() still scales health per kill and the final
+ * boss arrives as a mega boss. Between bosses the player is granted free
+ * level-ups, and the time from each spawn to its kill is kept as a split for
+ * the result screen.
+ */
+class BossRushMode {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+
+        const BR = window.GAME_CONSTANTS?.BOSS_RUSH || {};
+        this.bossCount = BR.BOSS_COUNT || 4;
+        this.firstBossDelay = BR.FIRST_BOSS_DELAY ?? 3;
+        this.startingLevels = BR.STARTING_LEVELS ?? 0;
+        this.intermission = BR.INTERMISSION ?? 8;
+        this.intermissionLevels = BR.INTERMISSION_LEVELS ?? 2;
+
+        this.reset();
+    }
+
+    /**
+     * Deactivate (normal runs)
+     */
+    reset() {
+        if (this._victoryTimer) {
+            clearTimeout(this._victoryTimer);
+        }
+        this._victoryTimer = null;
+        this.active = false;
+        this.phase = 'idle'; // idle, intermission, fight, complete
+        this.phaseTimer = 0;
+        this.phaseDuration = 0;
+        this.bossesSpawned = 0;
+        this.fightStartTime = 0;
+        this.pendingLevels = 0;
+        this.splits = [];
+    }
+
+    /**
+     * Begin a rush (called after EnemySpawner.reset() for a new run)
+     */
+    start() {
+        this.reset();
+        this.active = true;
+        this._beginIntermission(this.firstBossDelay, this.startingLevels);
+        window.logger.log(`[BR] Boss Rush started (${this.bossCount} bosses)`);
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    isComplete() {
+        return this.phase === 'complete';
+    }
+
+    /**
+     * Advance intermissions and spawn the next boss when one ends
+     * @param {number} deltaTime - Seconds since last update
+     */
+    update(deltaTime) {
+        if (!this.active || this.phase !== 'intermission') {
+            return;
+        }
+
+        // One level-up at a time: the next is granted once the previous choice closes
+        if (this.pendingLevels > 0 && !window.upgradeSystem?.isLevelUpActive?.()) {
+            this.pendingLevels--;
+            this._grantLevel();
+        }
+
+        this.phaseTimer += deltaTime;
+        this._syncCountdown();
+
+        if (this.phaseTimer >= this.phaseDuration) {
+            this._spawnNextBoss();
+        }
+    }
+
+    /**
+     * Record the split and move to the next intermission (or finish the rush)
+     * @param {Enemy} enemy - Defeated boss
+     */
+    onBossDefeated(enemy) {
+        if (!this.active || this.phase !== 'fight') {
+            return;
+        }
+
+        const bossNumber = this.splits.length + 1;
+        const split = Math.max(0, this._gameTime() - this.fightStartTime);
+        const cleared = bossNumber >= this.bossCount;
+        this.splits.push({ boss: bossNumber, time: split, mega: !!enemy?.isMegaBoss });
+
+        this.gameManager.statsManager?.awardBossRushTokens?.(bossNumber, split, cleared);
+
+        if (cleared) {
+            this.phase = 'complete';
+            this._syncCountdown();
+            window.logger.log('[BR] Boss Rush cleared', this.splits);
+            // Let the kill effects play before the result screen
+            this._scheduleVictory(1.5);
+            return;
+        }
+
+        this._beginIntermission(this.intermission, this.intermissionLevels);
+        this.gameManager.showFloatingText?.(
+            `BOSS ${bossNumber}/${this.bossCount} DOWN - ${this.formatSplit(split)}`,
+            this.gameManager.game?.player?.x ?? 0,
+            (this.gameManager.game?.player?.y ?? 0) - 80,
+            '#f1c40f',
+            24
+        );
+    }
+
+    /**
+     * Win the run after a delay of game time; the engine scheduler drops the
+     * task when a new run starts, and the phase check covers the timer fallback
+     * @param {number} delay - Seconds
+     */
+    _scheduleVictory(delay) {
+        const win = () => {
+            this._victoryTimer = null;
+            if (this.active && this.phase === 'complete') {
+                this.gameManager.onGameWon();
+            }
+        };
+
+        const scheduler = this.gameManager.game?.scheduler;
+        if (scheduler) {
+            scheduler.schedule(win, delay);
+        } else {
+            this._victoryTimer = setTimeout(win, delay * 1000);
+        }
+    }
+
+    /**
+     * Result screen rows, one per boss fought
+     */
+    getSummaryStats() {
+        const rows = this.splits.map(split => ({
+            label: `Boss ${split.boss}${split.mega ? ' (Mega)' : ''}`,
+            value: this.formatSplit(split.time)
+        }));
+
+        // Boss still alive when the run ended
+        if (this.phase === 'fight') {
+            rows.push({
+                label: `Boss ${this.splits.length + 1}`,
+                value: `${this.formatSplit(this._gameTime() - this.fightStartTime)} (unfinished)`
+            });
+        }
+
+        return [
+            { label: 'Bosses Cleared', value: `${this.splits.length}/${this.bossCount}` },
+            ...rows
+        ];
+    }
+
+    formatSplit(seconds) {
+        return `${Math.max(0, seconds || 0).toFixed(1)}s`;
+    }
+
+    _beginIntermission(duration, levels) {
+        this.phase = 'intermission';
+        this.phaseTimer = 0;
+        this.phaseDuration = duration;
+        this.pendingLevels = levels;
+        this._syncCountdown();
+    }
+
+    _spawnNextBoss() {
+        const spawner = this.gameManager.enemySpawner;
+        if (!spawner || !this.gameManager.game?.player) {
+            return;
+        }
+
+        spawner.spawnBoss();
+        if (!spawner.isBossAlive()) {
+            return; // Retry next step
+        }
+
+        this.bossesSpawned++;
+        this.phase = 'fight';
+        this.fightStartTime = this._gameTime();
+        this.pendingLevels = 0;
+    }
+
+    _grantLevel() {
+        const stats = this.gameManager.game?.player?.stats;
+        if (!stats || typeof stats.levelUp !== 'function') {
+            return;
+        }
+        // levelUp() spends xpToNextLevel, so top it up first to keep current XP
+        stats.xp += stats.xpToNextLevel;
+        stats.levelUp();
+        stats.updateXPBar?.();
+    }
+
+    /**
+     * Drive the HUD boss countdown through the spawner's timer fields
+     */
+    _syncCountdown() {
+        const spawner = this.gameManager.enemySpawner;
+        if (!spawner) return;
+
+        if (this.phase === 'intermission') {
+            spawner.bossInterval = this.phaseDuration;
+            spawner.bossTimer = this.phaseTimer;
+        } else if (this.phase === 'complete') {
+            spawner.bossInterval = 0;
+            spawner.bossTimer = 0;
+        }
+    }
+
+    _gameTime() {
+        return this.gameManager.state?.runtime?.gameTime ?? this.gameManager.gameTime ?? 0;
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.BossRushMode = BossRushMode;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BossRushMode;
+}
@@ -0,0 +1,255 @@
+/**
+ * Character Mastery - Per-pilot XP tracks earned from finished runs
+ *
+ * GameManagerBridge awards mastery XP for each finished run (not replays) to
+ * the pilot that flew it. Mastery levels unlock the rewards listed in
+ * CHARACTER_DEFINITIONS[].mastery.rewards: cosmetic palettes and alternate
+ * starting upgrades the player picks on the character screen, and a
+ * character-specific perk that is always on once earned. Records are kept
+ * per profile in StorageManager.
+ *
+ * Also answers the lifetime unlock requirements that are not achievements
+ * (`stars`, `bossesKilled`, `mastery`) for CharacterSelector and Player.
+ */
+class CharacterMastery {
+    static STORAGE_KEY = 'characterMastery';
+
+    static getConfig() {
+        return window.GAME_CONSTANTS?.MASTERY || {
+            XP: { PER_MINUTE: 10, PER_KILL: 0.1, PER_BOSS: 40, PER_LEVEL: 2, VICTORY_BONUS: 100 },
+            LEVEL_XP: [100, 300, 600, 1000, 1500]
+        };
+    }
+
+    /**
+     * Stored records keyed by character id
+     * @returns {Object<string, {xp: number, runs: number, bossesKilled: number, palette: string|null, startingUpgrade: string|null}>}
+     */
+    static load() {
+        const data = window.StorageManager.getJSON(CharacterMastery.STORAGE_KEY, {});
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    }
+
+    static getRecord(characterId) {
+        const stored = CharacterMastery.load()[characterId] || {};
+        return {
+            xp: Number.isFinite(stored.xp) ? Math.max(0, stored.xp) : 0,
+            runs: stored.runs || 0,
+            bossesKilled: stored.bossesKilled || 0,
+            palette: stored.palette || null,
+            startingUpgrade: stored.startingUpgrade || null
+        };
+    }
+
+    static _saveRecord(characterId, record) {
+        const data = CharacterMastery.load();
+        data[characterId] = record;
+        return window.StorageManager.setJSON(CharacterMastery.STORAGE_KEY, data);
+    }
+
+    static getMaxLevel() {
+        return CharacterMastery.getConfig().LEVEL_XP.length;
+    }
+
+    /**
+     * @param {number} xp - Total mastery XP
+     * @returns {number} Level 0..getMaxLevel()
+     */
+    static getLevelForXp(xp) {
+        return CharacterMastery.getConfig().LEVEL_XP.filter(threshold => xp >= threshold).length;
+    }
+
+    /**
+     * @returns {{level: number, xp: number, maxLevel: number, levelXp: number, nextLevelXp: number|null}}
+     *          levelXp/nextLevelXp are the thresholds around the current level (next is null at max)
+     */
+    static getProgress(characterId) {
+        const { xp } = CharacterMastery.getRecord(characterId);
+        const thresholds = CharacterMastery.getConfig().LEVEL_XP;
+        const level = CharacterMastery.getLevelForXp(xp);
+        return {
+            level,
+            xp,
+            maxLevel: thresholds.length,
+            levelXp: level > 0 ? thresholds[level - 1] : 0,
+            nextLevelXp: level < thresholds.length ? thresholds[level] : null
+        };
+    }
+
+    /**
+     * Mastery XP for a finished run
+     * @param {Object} run - { outcome, time, kills, bosses, level }
+     */
+    static scoreRun(run) {
+        const XP = CharacterMastery.getConfig().XP || {};
+        const victoryBonus = run.outcome === 'victory' ? (XP.VICTORY_BONUS ?? 100) : 0;
+        return Math.round(
+            ((run.time || 0) / 60) * (XP.PER_MINUTE ?? 10) +
+            (run.kills || 0) * (XP.PER_KILL ?? 0.1) +
+            (run.bosses || 0) * (XP.PER_BOSS ?? 40) +
+            (run.level || 0) * (XP.PER_LEVEL ?? 2) +
+            victoryBonus
+        );
+    }
+
+    /**
+     * Credit a finished run to its pilot
+     * @param {string} characterId
+     * @param {Object} run - { outcome, time, kills, bosses, level }
+     * @returns {{xpGained: number, level: number, previousLevel: number, unlocked: Object[]}|null}
+     *          unlocked lists the rewards this run reached
+     */
+    static awardRun(characterId, run) {
+        if (!CharacterMastery.getDefinition(characterId)) {
+            return null;
+        }
+
+        const record = CharacterMastery.getRecord(characterId);
+        const previousLevel = CharacterMastery.getLevelForXp(record.xp);
+        const xpGained = CharacterMastery.scoreRun(run);
+
+        record.xp += xpGained;
+        record.runs++;
+        record.bossesKilled += run.bosses || 0;
+        CharacterMastery._saveRecord(characterId, record);
+
+        const level = CharacterMastery.getLevelForXp(record.xp);
+        const unlocked = CharacterMastery.getRewards(characterId)
+            .filter(reward => reward.level > previousLevel && reward.level <= level);
+        return { xpGained, level, previousLevel, unlocked };
+    }
+
+    static getDefinition(characterId) {
+        const definitions = Array.isArray(window.CHARACTER_DEFINITIONS) ? window.CHARACTER_DEFINITIONS : [];
+        return definitions.find(def => def.id === characterId) || null;
+    }
+
+    /**
+     * Mastery rewards declared for a character, lowest level first
+     */
+    static getRewards(characterId) {
+        const rewards = CharacterMastery.getDefinition(characterId)?.mastery?.rewards;
+        return Array.isArray(rewards) ? rewards.slice().sort((a, b) => a.level - b.level) : [];
+    }
+
+    static isRewardUnlocked(characterId, reward) {
+        return !!reward && CharacterMastery.getProgress(characterId).level >= reward.level;
+    }
+
+    static _findReward(characterId, type, key, value) {
+        return CharacterMastery.getRewards(characterId)
+            .find(reward => reward.type === type && reward[key] === value) || null;
+    }
+
+    /**
+     * Pick an unlocked palette (null restores the default colours)
+     * @returns {boolean} False if the palette is unknown or still locked
+     */
+    static selectPalette(characterId, paletteId) {
+        return CharacterMastery._select(characterId, 'palette', paletteId,
+            CharacterMastery._findReward(characterId, 'palette', 'id', paletteId));
+    }
+
+    /**
+     * Pick an unlocked starting upgrade (null starts the run without one)
+     * @returns {boolean} False if the upgrade is not a reward or still locked
+     */
+    static selectStartingUpgrade(characterId, upgradeId) {
+        return CharacterMastery._select(characterId, 'startingUpgrade', upgradeId,
+            CharacterMastery._findReward(characterId, 'startingUpgrade', 'upgradeId', upgradeId));
+    }
+
+    static _select(characterId, field, value, reward) {
+        if (value !== null && !CharacterMastery.isRewardUnlocked(characterId, reward)) {
+            return false;
+        }
+        const record = CharacterMastery.getRecord(characterId);
+        record[field] = value;
+        return CharacterMastery._saveRecord(characterId, record) !== false;
+    }
+
+    /**
+     * Selected palette reward, if it is still unlocked
+     * @returns {{id: string, name: string, core: string, glow: string}|null}
+     */
+    static getPalette(characterId) {
+        const { palette } = CharacterMastery.getRecord(characterId);
+        const reward = palette ? CharacterMastery._findReward(characterId, 'palette', 'id', palette) : null;
+        return CharacterMastery.isRewardUnlocked(characterId, reward) ? reward : null;
+    }
+
+    /**
+     * Selected starting upgrade id, if it is still unlocked
+     */
+    static getStartingUpgradeId(characterId) {
+        const { startingUpgrade } = CharacterMastery.getRecord(characterId);
+        const reward = startingUpgrade
+            ? CharacterMastery._findReward(characterId, 'startingUpgrade', 'upgradeId', startingUpgrade)
+            : null;
+        return CharacterMastery.isRewardUnlocked(characterId, reward) ? reward.upgradeId : null;
+    }
+
+    /**
+     * Character perk, once its mastery level is reached
+     * @returns {{name: string, description: string, modifiers: Object}|null}
+     */
+    static getPerk(characterId) {
+        const perk = CharacterMastery.getRewards(characterId).find(reward => reward.type === 'perk');
+        return CharacterMastery.isRewardUnlocked(characterId, perk) ? perk : null;
+    }
+
+    /**
+     * Mastery choices that change a run (kept in replay headers)
+     */
+    static getLoadout(characterId) {
+        return {
+            level: CharacterMastery.getProgress(characterId).level,
+            palette: CharacterMastery.getPalette(characterId)?.id ?? null,
+            startingUpgrade: CharacterMastery.getStartingUpgradeId(characterId)
+        };
+    }
+
+    static getTotalBossesKilled() {
+        return Object.values(CharacterMastery.load())
+            .reduce((total, record) => total + (record?.bossesKilled || 0), 0);
+    }
+
+    /**
+     * Lifetime star tokens earned (saves from before the counter use the current balance)
+     */
+    static getTotalStarsEarned() {
+        const balance = window.StorageManager.getInt('starTokens', 0);
+        return Math.max(balance, window.StorageManager.getInt('totalStarsEarned', balance));
+    }
+
+    /**
+     * Progress toward a `stars`, `bossesKilled` or `mastery` unlock requirement
+     * @param {Object} requirement - { type, count } or { type: 'mastery', characterId, level }
+     * @returns {{current: number, target: number}|null} null for other requirement types
+     */
+    static getRequirementProgress(requirement) {
+        switch (requirement?.type) {
+            case 'stars':
+                return { current: CharacterMastery.getTotalStarsEarned(), target: requirement.count || 0 };
+            case 'bossesKilled':
+                return { current: CharacterMastery.getTotalBossesKilled(), target: requirement.count || 0 };
+            case 'mastery':
+                return {
+                    current: CharacterMastery.getProgress(requirement.characterId).level,
+                    target: requirement.level || 1
+                };
+            default:
+                return null;
+        }
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.CharacterMastery = CharacterMastery;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CharacterMastery;
+}
@@ -27,6 +27,7 @@ class CosmicBackground {
                 'rgba(0, 255, 51, 0.3)'   // Lime
             ]
         };
+        this.shapeTypes = ['cube', 'pyramid', 'octahedron'];
 
         this.time = 0;
         this.lastTime = performance.now();
@@ -113,7 +114,7 @@ class CosmicBackground {
     }
 
     createShape() {
-        const types = ['cube', 'pyramid', 'octahedron'];
+        const types = this.shapeTypes;
         const type = types[Math.floor(Math.random() * types.length)];
         const size = 15 + Math.random() * 35;
 
@@ -561,6 +562,37 @@ class CosmicBackground {
         this.initialize();
     }
 
+    /**
+     * Recolor the scene in place (biome changes) - stars and shapes keep their positions
+     * @param {Object} palette - { bg, grid, gridHighlight, stars[], shapes[], shapeTypes[] }
+     */
+    applyPalette(palette = {}) {
+        const { shapeTypes, ...colors } = palette;
+        this.colors = { ...this.colors, ...colors };
+        if (Array.isArray(shapeTypes) && shapeTypes.length > 0) {
+            this.shapeTypes = [...shapeTypes];
+        }
+
+        this.stars.forEach((star, i) => {
+            star.color = this.colors.stars[i % this.colors.stars.length];
+        });
+        this.shapes.forEach((shape, i) => {
+            shape.color = this.colors.shapes[i % this.colors.shapes.length];
+            if (!this.shapeTypes.includes(shape.type)) {
+                shape.type = this.shapeTypes[i % this.shapeTypes.length];
+            }
+        });
+
+        // Cached sprites and layers have the old colors baked in
+        this.shapeSpriteCache.clear();
+        if (this.enableGridCache) {
+            this.initializeGridCanvas();
+        }
+        if (this.enableStarLayers) {
+            this.renderStarsToLayers();
+        }
+    }
+
     setLowQuality(enabled) {
         this.lowQuality = enabled;
         // Unified background: Do not re-initialize or change counts.
@@ -0,0 +1,149 @@
+/**
+ * Daily Challenge - One shared run per local calendar day
+ *
+ * The date alone determines the challenge: the seed is `DAILY-YYYY-MM-DD`, and
+ * a private SeededRandom built from that seed picks the forced character and
+ * 1-2 run modifiers, so every player gets the same challenge on the same day
+ * without touching the run RNG. The best result per date is kept in
+ * StorageManager for the Daily Challenge panel.
+ */
+class DailyChallenge {
+    static STORAGE_KEY = 'dailyChallengeResults';
+    static SEED_PREFIX = 'DAILY-';
+
+    /**
+     * Local date as YYYY-MM-DD
+     * @param {Date} [date]
+     */
+    static getDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Build the challenge for a date
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {{date: string, seed: string, characterId: string, weaponId: string, modifiers: string[]}}
+     */
+    static forDate(dateKey) {
+        const DC = window.GAME_CONSTANTS?.DAILY_CHALLENGE || {};
+        const seed = `${DailyChallenge.SEED_PREFIX}${dateKey}`;
+        const rng = new window.Game.SeededRandom(`${seed}:challenge`);
+
+        const characters = Array.isArray(window.CHARACTER_DEFINITIONS) ? window.CHARACTER_DEFINITIONS : [];
+        const character = rng.pick(characters) || null;
+
+        const minModifiers = DC.MIN_MODIFIERS ?? 1;
+        const maxModifiers = DC.MAX_MODIFIERS ?? 2;
+        const modifierCount = rng.int(minModifiers, maxModifiers + 1);
+        // Heat curses are opt-in only; dailies draw from the plain modifiers
+        const modifierIds = (window.RUN_MODIFIER_DEFINITIONS || [])
+            .filter(def => !(def.heat > 0))
+            .map(def => def.id);
+        const modifiers = rng.shuffle(modifierIds).slice(0, modifierCount);
+
+        return {
+            date: dateKey,
+            seed,
+            characterId: character?.id ?? null,
+            weaponId: character?.weaponId ?? null,
+            modifiers
+        };
+    }
+
+    /**
+     * Challenge for today's local date
+     */
+    static today() {
+        return DailyChallenge.forDate(DailyChallenge.getDateKey());
+    }
+
+    /**
+     * Recover the challenge from a daily seed (replays)
+     * @returns {Object|null}
+     */
+    static fromSeed(seed) {
+        const match = /^DAILY-(\d{4}-\d{2}-\d{2})$/.exec(String(seed || ''));
+        return match ? DailyChallenge.forDate(match[1]) : null;
+    }
+
+    /**
+     * Same score as the run history so daily and regular runs compare directly
+     */
+    static scoreResult(result) {
+        return window.Game.RunHistory.scoreRun(result);
+    }
+
+    /**
+     * Best results keyed by date
+     * @returns {Object<string, Object>}
+     */
+    static loadResults() {
+        const results = window.StorageManager.getJSON(DailyChallenge.STORAGE_KEY, {});
+        return results && typeof results === 'object' && !Array.isArray(results) ? results : {};
+    }
+
+    /**
+     * Store a finished daily run if it beats the best for its date
+     * @param {Object} challenge - From forDate()
+     * @param {Object} run - { outcome, time, kills, level, bosses }
+     * @returns {{result: Object, isNewBest: boolean, best: Object}}
+     */
+    static recordResult(challenge, run) {
+        const result = {
+            date: challenge.date,
+            characterId: challenge.characterId,
+            modifiers: challenge.modifiers,
+            outcome: run.outcome,
+            time: Math.round((run.time || 0) * 10) / 10,
+            kills: run.kills || 0,
+            level: run.level || 1,
+            bosses: run.bosses || 0,
+            attempts: 1
+        };
+        result.score = DailyChallenge.scoreResult(result);
+
+        const results = DailyChallenge.loadResults();
+        const previous = results[challenge.date];
+        const isNewBest = !previous || result.score > previous.score;
+        const attempts = (previous?.attempts || 0) + 1;
+        const best = isNewBest ? { ...result, attempts } : { ...previous, attempts };
+        results[challenge.date] = best;
+
+        // Keep the most recent days only
+        const historyDays = window.GAME_CONSTANTS?.DAILY_CHALLENGE?.HISTORY_DAYS ?? 60;
+        Object.keys(results).sort().reverse().slice(historyDays).forEach(date => {
+            delete results[date];
+        });
+
+        window.StorageManager.setJSON(DailyChallenge.STORAGE_KEY, results);
+        return { result, isNewBest, best };
+    }
+
+    /**
+     * Stored bests, newest date first
+     */
+    static getHistory() {
+        const results = DailyChallenge.loadResults();
+        return Object.keys(results).sort().reverse().map(date => results[date]);
+    }
+
+    /**
+     * Modifier definitions for a list of ids (unknown ids are skipped)
+     */
+    static getModifierDefinitions(ids = []) {
+        const definitions = window.RUN_MODIFIER_DEFINITIONS || [];
+        return ids.map(id => definitions.find(def => def.id === id)).filter(Boolean);
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.DailyChallenge = DailyChallenge;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DailyChallenge;
+}
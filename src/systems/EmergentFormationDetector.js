@@ -430,7 +430,7 @@ class EmergentFormationDetector {
             );
         } else {
             // Default: random rotation for symmetric patterns
-            initialRotation = Math.random() * Math.PI * 2;
+            initialRotation = (window.Game?.rng?.next() ?? Math.random()) * Math.PI * 2;
         }
 
         // 6. Sort selected enemies by angle around the new center
@@ -452,7 +452,7 @@ class EmergentFormationDetector {
             age: 0,
             rotation: initialRotation,
             // [FIX] Slower initial rotation, will decay further as constellation matures
-            rotationSpeed: (Math.random() - 0.5) * 0.6 // (-0.3 to 0.3 rad/s, was -0.5 to 0.5)
+            rotationSpeed: ((window.Game?.rng?.next() ?? Math.random()) - 0.5) * 0.6 // (-0.3 to 0.3 rad/s, was -0.5 to 0.5)
         };
 
         // Mark enemies as part of this constellation
@@ -17,6 +17,14 @@ const SpawnRingCache = (() => {
     }
 
     let generalCursor = 0;
+
+    // Refill noise from the run RNG so spawn positions/types follow the run seed
+    const reseed = (rng) => {
+        if (!rng || typeof rng.fill !== 'function') return;
+        rng.fill(radiusNoise);
+        rng.fill(generalNoise);
+        generalCursor = 0;
+    };
     const nextNoiseValue = () => {
         generalCursor = (generalCursor + 1) & TABLE_MASK;
         return generalNoise[generalCursor];
@@ -39,7 +47,8 @@ const SpawnRingCache = (() => {
         },
         nextNoise() {
             return nextNoiseValue();
-        }
+        },
+        reseed
     };
 })();
 
@@ -143,6 +152,7 @@ class EnemySpawner {
             : (this.bossSpawnTimes[this.bossSpawnIndex] || this.dynamicBossBaseInterval || 60);
         this.bossScaleFactor = 1.0;
         this.bossesKilled = 0;
+        this.bossesSpawned = 0; // Picks the boss archetype (bosses.config.js)
 
         this.baseBossInterval = this.dynamicBossBaseInterval || this.bossInterval;
         this.activeBossId = null;
@@ -578,7 +588,8 @@ class EnemySpawner {
     createEnemy(type, x, y) {
         const enemy = new Enemy(x, y, type);
         this.applyDifficultyScaling(enemy);
-        if (SpawnRingCache.nextNoise() < this.eliteChance) {
+        const eliteChance = this.eliteChance * (window.gameManager?.getRunModifierMultiplier?.('eliteChance') ?? 1);
+        if (SpawnRingCache.nextNoise() < eliteChance) {
             this.makeElite(enemy);
         }
         return enemy;
@@ -642,10 +653,15 @@ class EnemySpawner {
     }
     
     /**
-     * Get random enemy type from available types
+     * Get random enemy type from available types, weighted by the current biome
      * @returns {string} Enemy type
      */
     getRandomEnemyType() {
+        const biomeSystem = window.gameManager?.biomeSystem;
+        if (biomeSystem && typeof biomeSystem.pickEnemyType === 'function') {
+            return biomeSystem.pickEnemyType(this.enemyTypes, SpawnRingCache.nextNoise());
+        }
+
         const idx = SpawnRingCache.nextEnemyIndex(this.enemyTypes.length);
         return this.enemyTypes[idx] || this.enemyTypes[0];
     }
@@ -696,8 +712,24 @@ class EnemySpawner {
         
         // Type-specific elite bonuses
         this.applyEliteBonuses(enemy);
-        
-        // Elite enemy created
+
+        this.rollEliteAffixes(enemy);
+    }
+
+    /**
+     * Stack 1-3 named affixes (ELITE_AFFIX_DEFINITIONS) on an elite
+     * @param {Enemy} enemy - Elite enemy
+     */
+    rollEliteAffixes(enemy) {
+        const EliteAffixes = window.Game?.EliteAffixes;
+        if (!EliteAffixes) return;
+
+        const enemyConstants = window.GAME_CONSTANTS?.ENEMIES || {};
+        const min = enemyConstants.ELITE_AFFIX_MIN ?? 1;
+        const max = enemyConstants.ELITE_AFFIX_MAX ?? 3;
+        const count = min + Math.floor(SpawnRingCache.nextNoise() * (max - min + 1));
+
+        EliteAffixes.apply(enemy, EliteAffixes.roll(enemy.enemyType, count, () => SpawnRingCache.nextNoise()));
     }
     
     /**
@@ -762,6 +794,15 @@ class EnemySpawner {
         const spawnPos = this.getSpawnPosition();
         const boss = new Enemy(spawnPos.x, spawnPos.y, 'boss');
 
+        // Archetype first so its stat multipliers compound with difficulty scaling
+        const archetype = typeof BossEnemy !== 'undefined'
+            ? BossEnemy.selectArchetype(this.bossesSpawned + 1)
+            : null;
+        if (archetype) {
+            BossEnemy.applyArchetype(boss, archetype);
+        }
+        this.bossesSpawned++;
+
         // Delegate boss scaling to DifficultyManager
         const gameManager = window.gameManager;
         if (gameManager?.difficultyManager) {
@@ -790,7 +831,8 @@ class EnemySpawner {
             window.gameManager._lastBossId = boss.id;
         }
         
-        this.showNewEnemyMessage("! BOSS INCOMING! !");
+        const bossLabel = archetype?.name ? archetype.name.toUpperCase() : 'BOSS';
+        this.showNewEnemyMessage(`! ${bossLabel} INCOMING! !`);
         // Boss spawned successfully
     }
 
@@ -839,7 +881,18 @@ class EnemySpawner {
         // > OPTIMIZATION: Longer delays on Pi5 to prevent GC spikes
         const spawnDelay = window.isRaspberryPi ? 250 : 100; // 250ms on Pi5, 100ms on desktop
 
+        // Game-time scheduling keeps waves paused with the game and replayable
+        const scheduler = this.game?.scheduler;
         for (let i = 0; i < waveSize; i++) {
+            if (scheduler) {
+                scheduler.schedule(() => {
+                    if (this.game && !this.game.isShuttingDown) {
+                        this.spawnEnemy();
+                    }
+                }, (i * spawnDelay) / 1000, { owner: this });
+                continue;
+            }
+
             // Delay spawning to spread out the wave and reduce instantiation spikes
             const timeoutId = setTimeout(() => {
                 // Clear this timeout from the list
@@ -938,6 +991,7 @@ class EnemySpawner {
             this.waveTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
             this.waveTimeouts = [];
         }
+        this.game?.scheduler?.cancelOwner(this);
 
         this._fallbackKillCount = 0;
 
@@ -962,6 +1016,7 @@ class EnemySpawner {
         this.bossScaleFactor = 1.0;
         this.totalEnemiesSpawned = 0;
         this.bossesKilled = 0;
+        this.bossesSpawned = 0;
         this.enemyHealthMultiplier = 1.0;
         this.enemiesKilledThisWave = 0;
         this.performanceMonitor.frameTimeHistory.fill(0);
@@ -971,6 +1026,9 @@ class EnemySpawner {
         this.performanceMonitor.adaptiveMaxEnemies = this.maxEnemies;
         this.performanceMonitor.lastFrameTime = 0;
 
+        // Spawn noise follows the run seed (GameManagerBridge reseeds before reset)
+        SpawnRingCache.reseed(window.Game?.rng);
+
         // Enemy spawner reset for new game
         if (window.gameManager) {
             window.gameManager.bossActive = false;
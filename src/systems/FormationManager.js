@@ -317,7 +317,7 @@ class FormationManager {
                     this.game.spawner?.availableEnemyTypes?.includes(type)
                 );
                 enemyType = availableFast.length > 0
-                    ? availableFast[Math.floor(Math.random() * availableFast.length)]
+                    ? availableFast[Math.floor((window.Game?.rng?.next() ?? Math.random()) * availableFast.length)]
                     : this.game.spawner?.getRandomEnemyType();
             } else {
                 enemyType = this.game.spawner?.getRandomEnemyType();
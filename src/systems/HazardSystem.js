@@ -0,0 +1,218 @@
+/**
+ * Hazard System - Environmental objects that reshape the arena during a run
+ *
+ * Each HAZARD_DEFINITIONS entry starts appearing after its startTime and is
+ * retried every interval while fewer than maxActive are alive; the current
+ * biome's hazard weight divides that interval (0 keeps the hazard away until
+ * the run reaches a biome that allows it). Asteroids and black holes spawn
+ * just off-screen and are removed once the player leaves them far behind;
+ * solar flares land around the player after a telegraph.
+ * Everything goes through game.addEntity(), so hazards share the engine's
+ * spatial grid, collision rules and getVisibleEntities() culling.
+ */
+class HazardSystem {
+    constructor(definitions = null) {
+        this.definitions = definitions;
+        this.reset();
+    }
+
+    /**
+     * Clear timers (new run)
+     */
+    reset() {
+        this.elapsed = 0;
+        this.timers = {};
+    }
+
+    getDefinitions() {
+        const definitions = this.definitions || window.HAZARD_DEFINITIONS;
+        return definitions && typeof definitions === 'object' ? definitions : {};
+    }
+
+    update(deltaTime, game) {
+        if (!game?.player || game.player.isDead || typeof game.addEntity !== 'function') return;
+
+        this.elapsed += deltaTime;
+        const biomes = window.gameManager?.biomeSystem;
+
+        for (const [type, def] of Object.entries(this.getDefinitions())) {
+            if (this.elapsed < (def.startTime || 0)) continue;
+
+            const weight = biomes?.getHazardWeight?.(type) ?? 1;
+            if (weight <= 0) continue;
+
+            this.timers[type] = (this.timers[type] ?? 0) - deltaTime;
+            if (this.timers[type] > 0) continue;
+            this.timers[type] = (def.interval || 10) / weight;
+
+            if (this.getActiveHazards(game, type).length >= (def.maxActive ?? Infinity)) continue;
+            this.spawn(type, game);
+        }
+
+        this.despawnDistant(game);
+    }
+
+    /**
+     * Living hazards of one kind (telegraphed flares count as alive)
+     */
+    getActiveHazards(game, type) {
+        const entities = Array.isArray(game?.entities) ? game.entities : [];
+        return entities.filter(entity => entity && !entity.isDead && entity.isHazard && entity.hazardType === type);
+    }
+
+    /**
+     * @param {string} type - HAZARD_DEFINITIONS key
+     * @returns {Object[]} Entities added to the game
+     */
+    spawn(type, game) {
+        const def = this.getDefinitions()[type];
+        if (!def) return [];
+
+        switch (type) {
+            case 'asteroid':
+                return this.spawnAsteroid(game, def);
+            case 'blackHole':
+                return this.spawnBlackHole(game, def);
+            case 'solarFlare':
+                return this.spawnSolarFlare(game, def);
+            default:
+                window.logger.warn(`HazardSystem: unknown hazard type "${type}"`);
+                return [];
+        }
+    }
+
+    spawnAsteroid(game, def) {
+        const Asteroid = window.Game?.Asteroid;
+        if (!Asteroid) return [];
+
+        const { x, y } = this._pickSpawnPoint(game.player, def.spawnDistance);
+        const [minRadius, maxRadius] = Array.isArray(def.radius) ? def.radius : [def.radius, def.radius];
+        const radius = minRadius + this._random() * (maxRadius - minRadius);
+
+        const asteroid = new Asteroid({
+            x,
+            y,
+            radius,
+            health: radius * (def.healthPerRadius ?? 4),
+            xpValue: def.xpValue || 0
+        });
+        game.addEntity(asteroid);
+        return [asteroid];
+    }
+
+    spawnBlackHole(game, def) {
+        const BlackHole = window.Game?.BlackHole;
+        if (!BlackHole) return [];
+
+        const player = game.player;
+        const { x, y } = this._pickSpawnPoint(player, def.spawnDistance);
+
+        // Drift across the area the player is in, not straight at them
+        const angle = Math.atan2(player.y - y, player.x - x) + (this._random() - 0.5) * 0.6;
+        const speed = def.driftSpeed || 0;
+
+        const blackHole = new BlackHole({
+            x,
+            y,
+            radius: def.radius,
+            duration: def.duration,
+            pullStrength: def.pullStrength,
+            slowAmount: def.slowAmount,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            playerPull: def.playerPull
+        });
+        game.addEntity(blackHole);
+        return [blackHole];
+    }
+
+    spawnSolarFlare(game, def) {
+        const DamageZone = window.Game?.DamageZone;
+        const DamageZoneTelegraph = window.Game?.DamageZoneTelegraph;
+        if (!DamageZone || !DamageZoneTelegraph) return [];
+
+        const player = game.player;
+        const warning = def.warning ?? 1.5;
+        const spawned = [];
+
+        for (let i = 0; i < (def.count || 1); i++) {
+            const angle = this._random() * Math.PI * 2;
+            const distance = this._random() * (def.spread || 0);
+            const x = player.x + Math.cos(angle) * distance;
+            const y = player.y + Math.sin(angle) * distance;
+
+            const telegraph = new DamageZoneTelegraph(x, y, def.radius, warning, 'solar');
+            this._markHazard(telegraph, 'solarFlare');
+            game.addEntity(telegraph);
+            spawned.push(telegraph);
+
+            const ignite = () => {
+                const zone = new DamageZone(x, y, def.radius, def.damage, def.duration, 'solar');
+                this._markHazard(zone, 'solarFlare');
+                game.addEntity(zone);
+            };
+            if (game.scheduler) {
+                game.scheduler.schedule(ignite, warning);
+            } else {
+                ignite();
+            }
+        }
+
+        window.gameManager?.showFloatingText?.('SOLAR FLARE!', player.x, player.y - 60, '#ffb300', 20);
+        return spawned;
+    }
+
+    /**
+     * Remove drifting/solid hazards the player has left far behind
+     */
+    despawnDistant(game) {
+        const player = game.player;
+        const definitions = this.getDefinitions();
+        const candidates = [
+            ...(game.getEntitiesByType?.('obstacle') || []),
+            ...(game.getEntitiesByType?.('gravityWell') || [])
+        ];
+
+        for (const hazard of candidates) {
+            if (!hazard || hazard.isDead || !hazard.isHazard) continue;
+            const limit = definitions[hazard.hazardType]?.despawnDistance;
+            if (!limit) continue;
+
+            const dx = hazard.x - player.x;
+            const dy = hazard.y - player.y;
+            if (dx * dx + dy * dy > limit * limit) {
+                hazard.isDead = true;
+                hazard._releaseActiveSlot?.();
+            }
+        }
+    }
+
+    _markHazard(entity, hazardType) {
+        entity.isHazard = true;
+        entity.hazardType = hazardType;
+    }
+
+    _pickSpawnPoint(origin, range) {
+        const [minDistance, maxDistance] = Array.isArray(range) ? range : [600, 900];
+        const angle = this._random() * Math.PI * 2;
+        const distance = minDistance + this._random() * (maxDistance - minDistance);
+        return {
+            x: origin.x + Math.cos(angle) * distance,
+            y: origin.y + Math.sin(angle) * distance
+        };
+    }
+
+    _random() {
+        return window.Game?.rng?.next() ?? Math.random();
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.HazardSystem = HazardSystem;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HazardSystem;
+}
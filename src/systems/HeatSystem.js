@@ -0,0 +1,111 @@
+/**
+ * Heat System - Opt-in curses that raise difficulty for more star tokens
+ *
+ * Curses are the RUN_MODIFIER_DEFINITIONS entries with `heat` points. The
+ * player toggles them in the Heat panel; GameManagerBridge applies the stored
+ * selection to normal and Boss Rush runs (daily challenges keep their own
+ * modifiers). Total heat multiplies star tokens earned during the run, and a
+ * victory records the highest heat cleared with that pilot. Selection and
+ * records are kept per profile in StorageManager.
+ */
+class HeatSystem {
+    static STORAGE_KEY = 'heatCurses';
+    static RECORDS_KEY = 'heatRecords';
+
+    /**
+     * Modifiers that can be toggled as curses
+     */
+    static getCurses() {
+        const definitions = Array.isArray(window.RUN_MODIFIER_DEFINITIONS) ? window.RUN_MODIFIER_DEFINITIONS : [];
+        return definitions.filter(def => (def.heat || 0) > 0);
+    }
+
+    /**
+     * Stored curse ids (unknown ids are dropped)
+     * @returns {string[]}
+     */
+    static getSelection() {
+        const stored = window.StorageManager.getJSON(HeatSystem.STORAGE_KEY, []);
+        if (!Array.isArray(stored)) {
+            return [];
+        }
+        const curseIds = HeatSystem.getCurses().map(def => def.id);
+        return curseIds.filter(id => stored.includes(id));
+    }
+
+    /**
+     * @param {string[]} curseIds
+     * @returns {string[]} Saved selection
+     */
+    static setSelection(curseIds) {
+        const wanted = Array.isArray(curseIds) ? curseIds : [];
+        const selection = HeatSystem.getCurses().map(def => def.id).filter(id => wanted.includes(id));
+        window.StorageManager.setJSON(HeatSystem.STORAGE_KEY, selection);
+        return selection;
+    }
+
+    /**
+     * Turn a curse on or off
+     * @returns {string[]} Saved selection
+     */
+    static toggleCurse(curseId) {
+        const selection = HeatSystem.getSelection();
+        return HeatSystem.setSelection(selection.includes(curseId)
+            ? selection.filter(id => id !== curseId)
+            : [...selection, curseId]);
+    }
+
+    /**
+     * Total heat of a list of modifier ids
+     */
+    static getHeat(modifierIds = []) {
+        const definitions = Array.isArray(window.RUN_MODIFIER_DEFINITIONS) ? window.RUN_MODIFIER_DEFINITIONS : [];
+        return modifierIds.reduce((total, id) => total + (definitions.find(def => def.id === id)?.heat || 0), 0);
+    }
+
+    /**
+     * Star token multiplier for a heat total
+     */
+    static getStarMultiplier(heat) {
+        const perHeat = window.GAME_CONSTANTS?.HEAT?.STAR_BONUS_PER_HEAT ?? 0.1;
+        return 1 + Math.max(0, heat || 0) * perHeat;
+    }
+
+    /**
+     * Highest heat cleared per character id
+     * @returns {Object<string, number>}
+     */
+    static loadRecords() {
+        const records = window.StorageManager.getJSON(HeatSystem.RECORDS_KEY, {});
+        return records && typeof records === 'object' && !Array.isArray(records) ? records : {};
+    }
+
+    static getHighestHeat(characterId) {
+        return HeatSystem.loadRecords()[characterId] || 0;
+    }
+
+    /**
+     * Remember a victory at the given heat
+     * @returns {{heat: number, best: number, isNewBest: boolean}}
+     */
+    static recordClear(characterId, heat) {
+        const records = HeatSystem.loadRecords();
+        const previous = records[characterId] || 0;
+        const isNewBest = Boolean(characterId) && heat > previous;
+        if (isNewBest) {
+            records[characterId] = heat;
+            window.StorageManager.setJSON(HeatSystem.RECORDS_KEY, records);
+        }
+        return { heat, best: Math.max(heat, previous), isNewBest };
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.HeatSystem = HeatSystem;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeatSystem;
+}
@@ -1,14 +1,150 @@
 /**
  * Input Manager - Handles all input events and key bindings
  * Extracted from GameManager for better organization
+ *
+ * Keyboard keys and gamepad buttons both map to named actions. Bindings are
+ * rebindable from the Settings panel and persisted per save profile. When no
+ * digital movement input is held, the touch joystick (TouchControls) and then
+ * the left stick drive movement.
+ *
+ * Manual aim (twin-stick) is a per-profile setting: while on, weapons fire
+ * toward the mouse or the right stick, whichever moved last. Until either
+ * is used, getAimAngle() returns null and weapons keep auto-targeting.
  */
 class InputManager {
+    static KEY_BINDINGS_STORAGE_KEY = 'keyBindings';
+    static MANUAL_AIM_STORAGE_KEY = 'manualAim';
+    static GAMEPAD_BINDINGS_STORAGE_KEY = 'gamepadBindings';
+    static MAX_BINDINGS_PER_ACTION = 2;
+    static GAMEPAD_DEADZONE = 0.2;
+
+    /** Keys are stored normalized (single characters lowercase, see normalizeKey) */
+    static DEFAULT_KEY_BINDINGS = {
+        // Movement
+        moveUp: ['w', 'ArrowUp'],
+        moveDown: ['s', 'ArrowDown'],
+        moveLeft: ['a', 'ArrowLeft'],
+        moveRight: ['d', 'ArrowRight'],
+
+        // Actions
+        dodge: [' '],
+        secondary: ['e'],
+        pause: ['p', 'Escape'],
+        mute: ['m'],
+        lowQuality: ['l'],
+        autoLevel: ['g'],
+
+        // Upgrade selection
+        upgrade1: ['1'],
+        upgrade2: ['2'],
+        upgrade3: ['3'],
+        rerollUpgrades: ['r'],
+        banishUpgrade: ['b'],
+        skipUpgrade: ['x'],
+
+        // Debug
+        debug: ['F3'],
+        performance: ['o']
+    };
+
+    /** Standard gamepad mapping button indices */
+    static DEFAULT_GAMEPAD_BINDINGS = {
+        moveUp: [12],
+        moveDown: [13],
+        moveLeft: [14],
+        moveRight: [15],
+        dodge: [0],
+        secondary: [7],
+        pause: [9],
+        upgrade1: [2],
+        upgrade2: [3],
+        upgrade3: [1],
+        rerollUpgrades: [4],
+        banishUpgrade: [5],
+        skipUpgrade: [8]
+    };
+
+    /** Actions shown in the Controls settings (debug keys stay fixed) */
+    static REBINDABLE_ACTIONS = {
+        keyboard: ['moveUp', 'moveDown', 'moveLeft', 'moveRight', 'dodge', 'secondary', 'pause',
+            'upgrade1', 'upgrade2', 'upgrade3', 'rerollUpgrades', 'banishUpgrade', 'skipUpgrade',
+            'mute', 'lowQuality', 'autoLevel'],
+        gamepad: ['moveUp', 'moveDown', 'moveLeft', 'moveRight', 'dodge', 'secondary', 'pause',
+            'upgrade1', 'upgrade2', 'upgrade3', 'rerollUpgrades', 'banishUpgrade', 'skipUpgrade']
+    };
+
+    static ACTION_LABELS = {
+        moveUp: 'Move Up',
+        moveDown: 'Move Down',
+        moveLeft: 'Move Left',
+        moveRight: 'Move Right',
+        dodge: 'Dodge',
+        secondary: 'Weapon Secondary',
+        pause: 'Pause',
+        mute: 'Mute',
+        lowQuality: 'Low Quality',
+        autoLevel: 'Auto-Level',
+        upgrade1: 'Upgrade Choice 1',
+        upgrade2: 'Upgrade Choice 2',
+        upgrade3: 'Upgrade Choice 3',
+        rerollUpgrades: 'Reroll Upgrades',
+        banishUpgrade: 'Banish Upgrade',
+        skipUpgrade: 'Skip Level-Up',
+        debug: 'Debug Overlay',
+        performance: 'Performance Mode'
+    };
+
+    static GAMEPAD_BUTTON_LABELS = [
+        'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+        'L-Stick', 'R-Stick', 'D-Pad Up', 'D-Pad Down', 'D-Pad Left', 'D-Pad Right', 'Home'
+    ];
+
+    /**
+     * Key as stored in keyStates and bindings (letters are case-insensitive)
+     * @param {string} key - KeyboardEvent.key
+     * @returns {string}
+     */
+    static normalizeKey(key) {
+        if (key === 'Spacebar') return ' ';
+        return typeof key === 'string' && key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    /**
+     * Display label for a binding
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {string|number} input - Key or button index
+     */
+    static formatBinding(device, input) {
+        if (device === 'gamepad') {
+            return InputManager.GAMEPAD_BUTTON_LABELS[input] || `Button ${input}`;
+        }
+        const named = { ' ': 'Space', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+        if (named[input]) return named[input];
+        return input.length === 1 ? input.toUpperCase() : input;
+    }
+
     constructor() {
         this.keyStates = {};
         this.mouseState = { x: 0, y: 0, buttons: 0 };
         this.gamepadState = null;
         this._listeners = [];
 
+        // Gamepad polling state (edge detection, stick vector)
+        this._previousButtons = [];
+        this._consumedButtons = new Set();
+        this._stickVector = { x: 0, y: 0 };
+
+        // Manual aim: last device used to aim ('mouse' or 'stick') and the right stick angle
+        this.manualAimEnabled = false;
+        this._aimDevice = null;
+        this._stickAimAngle = null;
+
+        // Actions held by code rather than a device (bots, on-screen controls)
+        this._virtualActions = {};
+
+        // Virtual joystick vector reported by TouchControls
+        this._touchVector = { x: 0, y: 0 };
+
         // DOM element cache for performance
         this._domCache = {};
 
@@ -22,31 +158,12 @@ class InputManager {
             gamepadInput: []
         };
         
-        // Key bindings configuration
-        this.keyBindings = {
-            // Movement
-            moveUp: ['w', 'W', 'ArrowUp'],
-            moveDown: ['s', 'S', 'ArrowDown'],
-            moveLeft: ['a', 'A', 'ArrowLeft'],
-            moveRight: ['d', 'D', 'ArrowRight'],
-
-            // Actions
-            dodge: [' ', 'Space'],
-            pause: ['p', 'P', 'Escape'],
-            mute: ['m', 'M'],
-            lowQuality: ['l', 'L'],
-            autoLevel: ['g', 'G'],
-
-            // Upgrade selection
-            upgrade1: ['1'],
-            upgrade2: ['2'],
-            upgrade3: ['3'],
-
-            // Debug
-            debug: ['F3'],
-            performance: ['o', 'O']
-        };
-        
+        // Action -> keys / gamepad button indices (defaults merged with saved bindings)
+        this.keyBindings = {};
+        this.gamepadBindings = {};
+        this.loadBindings();
+        this.loadAimSetting();
+
         this.initialize();
     }
     
@@ -67,6 +184,10 @@ class InputManager {
         this._attachListener(window, 'gamepadconnected', this.handleGamepadConnected.bind(this));
         this._attachListener(window, 'gamepaddisconnected', this.handleGamepadDisconnected.bind(this));
 
+        // Bindings and the manual aim toggle are saved per profile
+        this._attachListener(window, 'profileChanged', this.loadBindings.bind(this));
+        this._attachListener(window, 'profileChanged', this.loadAimSetting.bind(this));
+
         // [BUG FIX] Window focus/blur to prevent stuck keys
         this._attachListener(window, 'blur', this.handleWindowBlur.bind(this));
         this._attachListener(window, 'focus', this.handleWindowFocus.bind(this));
@@ -75,6 +196,145 @@ class InputManager {
         // Input manager initialized successfully
     }
 
+    /**
+     * Load saved bindings over the defaults
+     */
+    loadBindings() {
+        const isKey = key => typeof key === 'string' && key.length > 0;
+        const isButton = index => Number.isInteger(index) && index >= 0;
+        this.keyBindings = this._mergeBindings(
+            InputManager.DEFAULT_KEY_BINDINGS,
+            window.StorageManager?.getJSON?.(InputManager.KEY_BINDINGS_STORAGE_KEY),
+            isKey
+        );
+        this.gamepadBindings = this._mergeBindings(
+            InputManager.DEFAULT_GAMEPAD_BINDINGS,
+            window.StorageManager?.getJSON?.(InputManager.GAMEPAD_BINDINGS_STORAGE_KEY),
+            isButton
+        );
+    }
+
+    _mergeBindings(defaults, stored, isValidInput) {
+        const merged = {};
+        Object.keys(defaults).forEach(action => {
+            const saved = stored && typeof stored === 'object' ? stored[action] : undefined;
+            merged[action] = Array.isArray(saved) && saved.every(isValidInput)
+                ? saved.slice(0, InputManager.MAX_BINDINGS_PER_ACTION)
+                : [...defaults[action]];
+        });
+        return merged;
+    }
+
+    /**
+     * Load the saved manual aim toggle (off by default)
+     */
+    loadAimSetting() {
+        this.manualAimEnabled = window.StorageManager?.getItem?.(InputManager.MANUAL_AIM_STORAGE_KEY) === 'true';
+        this._aimDevice = null;
+    }
+
+    isManualAimEnabled() {
+        return this.manualAimEnabled;
+    }
+
+    /**
+     * Toggle twin-stick aiming and persist it for the active profile
+     * @param {boolean} enabled
+     */
+    setManualAim(enabled) {
+        this.manualAimEnabled = !!enabled;
+        this._aimDevice = null;
+        window.StorageManager?.setItem?.(InputManager.MANUAL_AIM_STORAGE_KEY, this.manualAimEnabled ? 'true' : 'false');
+    }
+
+    _bindingsFor(device) {
+        return device === 'gamepad' ? this.gamepadBindings : this.keyBindings;
+    }
+
+    _saveBindings(device) {
+        const key = device === 'gamepad'
+            ? InputManager.GAMEPAD_BINDINGS_STORAGE_KEY
+            : InputManager.KEY_BINDINGS_STORAGE_KEY;
+        return window.StorageManager.setJSON(key, this._bindingsFor(device));
+    }
+
+    /**
+     * Action already using an input on a device
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {string|number} input - Key or button index
+     * @param {{action: string, slot: number}} [except] - Binding slot to ignore
+     * @returns {string|null} Conflicting action
+     */
+    findConflict(device, input, except = null) {
+        const bindings = this._bindingsFor(device);
+        const normalized = device === 'gamepad' ? input : InputManager.normalizeKey(input);
+        for (const [action, inputs] of Object.entries(bindings)) {
+            const slot = inputs.indexOf(normalized);
+            if (slot !== -1 && !(except && except.action === action && except.slot === slot)) {
+                return action;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Bind an input to an action slot, refusing inputs another action uses
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {string} action - Action name
+     * @param {number} slot - Binding slot (0 = primary)
+     * @param {string|number|null} input - Key, button index, or null to clear the slot
+     * @returns {{ok: boolean, conflict: string|null}}
+     */
+    setBinding(device, action, slot, input) {
+        const bindings = this._bindingsFor(device);
+        const inputs = bindings[action];
+        if (!inputs || slot < 0 || slot >= InputManager.MAX_BINDINGS_PER_ACTION) {
+            return { ok: false, conflict: null };
+        }
+
+        if (input === null) {
+            inputs.splice(slot, 1);
+        } else {
+            const normalized = device === 'gamepad' ? input : InputManager.normalizeKey(input);
+            const conflict = this.findConflict(device, normalized, { action, slot });
+            if (conflict) {
+                return { ok: false, conflict };
+            }
+            if (slot < inputs.length) {
+                inputs[slot] = normalized;
+            } else {
+                inputs.push(normalized);
+            }
+        }
+
+        this._saveBindings(device);
+        this.clearAllKeys();
+        return { ok: true, conflict: null };
+    }
+
+    /**
+     * Restore default bindings for one device
+     * @param {string} device - 'keyboard' or 'gamepad'
+     */
+    resetBindings(device) {
+        if (device === 'gamepad') {
+            this.gamepadBindings = this._mergeBindings(InputManager.DEFAULT_GAMEPAD_BINDINGS, null, () => false);
+            window.StorageManager.removeItem(InputManager.GAMEPAD_BINDINGS_STORAGE_KEY);
+        } else {
+            this.keyBindings = this._mergeBindings(InputManager.DEFAULT_KEY_BINDINGS, null, () => false);
+            window.StorageManager.removeItem(InputManager.KEY_BINDINGS_STORAGE_KEY);
+        }
+    }
+
+    /**
+     * Label of an action's primary binding (e.g. for on-screen hints)
+     * @returns {string|null}
+     */
+    getBindingLabel(action, device = 'keyboard') {
+        const input = this._bindingsFor(device)[action]?.[0];
+        return input === undefined ? null : InputManager.formatBinding(device, input);
+    }
+
     _attachListener(target, type, handler) {
         target.addEventListener(type, handler);
         this._listeners.push({ target, type, handler });
@@ -123,8 +383,11 @@ class InputManager {
         // Clear all key states
         this.keyStates = {};
         
-        // Also clear mouse buttons
+        // Also clear mouse buttons and code-held actions
         this.mouseState.buttons = 0;
+        this._virtualActions = {};
+        this._touchVector.x = 0;
+        this._touchVector.y = 0;
         
         // Log for debugging if needed
         if (window.logger?.debug) {
@@ -158,7 +421,7 @@ class InputManager {
      */
     handleKeyDown(e) {
         const key = e.key;
-        this.keyStates[key] = true;
+        this.keyStates[InputManager.normalizeKey(key)] = true;
 
         // Check for special key handling
         this.handleSpecialKeys(e);
@@ -183,7 +446,7 @@ class InputManager {
      */
     handleKeyUp(e) {
         const key = e.key;
-        this.keyStates[key] = false;
+        this.keyStates[InputManager.normalizeKey(key)] = false;
 
         // Optimized: early exit if no callbacks, use for loop instead of forEach
         const callbacks = this.callbacks.keyUp;
@@ -205,9 +468,10 @@ class InputManager {
      */
     handleSpecialKeys(e) {
         const key = e.key;
+        const action = this.getActionForKey(key);
         
         // Prevent spacebar from scrolling page or triggering when menus active
-        if (key === ' ') {
+        if (key === ' ' || action === 'dodge') {
             e.preventDefault();
             
             // Check if any UI menus are active
@@ -216,8 +480,8 @@ class InputManager {
             }
         }
         
-        // Toggle sound with M key
-        if (key === 'm' || key === 'M') {
+        // Toggle sound (M by default)
+        if (action === 'mute') {
             if (window.audioSystem) {
                 const isMuted = window.audioSystem.toggleMute();
                 // Update UI checkbox if settings panel is open
@@ -228,8 +492,8 @@ class InputManager {
             }
         }
         
-        // Toggle low quality with L key
-        if (key === 'l' || key === 'L') {
+        // Toggle low quality (L by default)
+        if (action === 'lowQuality') {
             if (window.gameManager) {
                 window.gameManager.lowQuality = !window.gameManager.lowQuality;
                 window.StorageManager.setItem('lowQuality', window.gameManager.lowQuality.toString());
@@ -237,8 +501,8 @@ class InputManager {
             }
         }
 
-        // Toggle auto-level with G key
-        if (key === 'g' || key === 'G') {
+        // Toggle auto-level (G by default)
+        if (action === 'autoLevel') {
             if (window.upgradeSystem) {
                 // Use setter method for clean encapsulation
                 const newState = !window.upgradeSystem.isAutoLevelEnabled();
@@ -261,7 +525,7 @@ class InputManager {
         }
 
         // Debug mode toggle
-        if (key === 'F3') {
+        if (action === 'debug') {
             e.preventDefault();
             if (window.debugManager) {
                 window.debugManager.toggle();
@@ -269,7 +533,7 @@ class InputManager {
         }
         
         // Performance mode toggle
-        if (key === 'o' || key === 'O') {
+        if (action === 'performance') {
             if (window.gameManager?.game && typeof window.gameManager.game.togglePerformanceMode === 'function') {
                 window.gameManager.game.togglePerformanceMode();
             }
@@ -283,6 +547,7 @@ class InputManager {
     handleMouseMove(e) {
         this.mouseState.x = e.clientX;
         this.mouseState.y = e.clientY;
+        this._aimDevice = 'mouse';
 
         // Optimized: early exit if no callbacks, use for loop instead of forEach
         const callbacks = this.callbacks.mouseMove;
@@ -356,59 +621,229 @@ class InputManager {
     handleGamepadDisconnected(e) {
         // Gamepad disconnected
         this.gamepadState = null;
+        this._previousButtons = [];
+        this._consumedButtons.clear();
+        this._stickVector.x = 0;
+        this._stickVector.y = 0;
+        if (this._aimDevice === 'stick') {
+            this._aimDevice = null;
+        }
     }
     
     /**
-     * Update gamepad input (call each frame)
+     * Fresh state of the tracked gamepad (or the first connected one)
+     * @returns {Gamepad|null}
      */
-    updateGamepad() {
-        if (!this.gamepadState) return;
+    getGamepad() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+            return null;
+        }
+        const gamepads = navigator.getGamepads() || [];
+        if (this.gamepadState && gamepads[this.gamepadState.index]) {
+            return gamepads[this.gamepadState.index];
+        }
+        // Pads connected before the page loaded only announce themselves on first input
+        return Array.from(gamepads).find(pad => pad && pad.connected) || null;
+    }
 
-        // Get fresh gamepad state
-        const gamepads = navigator.getGamepads();
-        const gamepad = gamepads[this.gamepadState.index];
+    /**
+     * Update gamepad input (call each frame, also while paused so pause and
+     * upgrade choice buttons keep working)
+     */
+    updateGamepad() {
+        const gamepad = this.getGamepad();
+        if (!gamepad) {
+            this.gamepadState = null;
+            this._stickVector.x = 0;
+            this._stickVector.y = 0;
+            return;
+        }
 
-        if (gamepad) {
-            this.gamepadState = gamepad;
+        this.gamepadState = gamepad;
+        this._updateStick(gamepad);
+        this._updateAimStick(gamepad);
+        this._updateGamepadButtons(gamepad);
 
-            // Optimized: early exit if no callbacks, use for loop instead of forEach
-            const callbacks = this.callbacks.gamepadInput;
-            const length = callbacks.length;
-            if (length === 0) return;
+        // Optimized: early exit if no callbacks, use for loop instead of forEach
+        const callbacks = this.callbacks.gamepadInput;
+        const length = callbacks.length;
+        if (length === 0) return;
 
-            for (let i = 0; i < length; i++) {
-                try {
-                    callbacks[i](gamepad);
-                } catch (error) {
-                    window.logger.error('Gamepad callback error:', error);
-                }
+        for (let i = 0; i < length; i++) {
+            try {
+                callbacks[i](gamepad);
+            } catch (error) {
+                window.logger.error('Gamepad callback error:', error);
             }
         }
     }
     
+    /**
+     * Left stick with a radial deadzone, rescaled so movement starts at zero
+     */
+    _updateStick(gamepad) {
+        const x = gamepad.axes?.[0] || 0;
+        const y = gamepad.axes?.[1] || 0;
+        const magnitude = Math.sqrt(x * x + y * y);
+        const deadzone = InputManager.GAMEPAD_DEADZONE;
+
+        if (magnitude <= deadzone) {
+            this._stickVector.x = 0;
+            this._stickVector.y = 0;
+            return;
+        }
+
+        const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+        this._stickVector.x = (x / magnitude) * scaled;
+        this._stickVector.y = (y / magnitude) * scaled;
+    }
+
+    /**
+     * Right stick aim; the last pushed direction is kept after the stick is released
+     */
+    _updateAimStick(gamepad) {
+        const x = gamepad.axes?.[2] || 0;
+        const y = gamepad.axes?.[3] || 0;
+        const deadzone = window.GAME_CONSTANTS?.TARGETING?.AIM_STICK_DEADZONE ?? 0.3;
+
+        if (Math.sqrt(x * x + y * y) > deadzone) {
+            this._stickAimAngle = Math.atan2(y, x);
+            this._aimDevice = 'stick';
+        }
+    }
+
+    /**
+     * Fire one-shot actions on button press edges (pause, upgrade choice)
+     */
+    _updateGamepadButtons(gamepad) {
+        const buttons = gamepad.buttons || [];
+        for (let i = 0; i < buttons.length; i++) {
+            const pressed = !!buttons[i]?.pressed;
+            const wasPressed = !!this._previousButtons[i];
+            this._previousButtons[i] = pressed;
+
+            if (!pressed) {
+                this._consumedButtons.delete(i);
+            } else if (!wasPressed) {
+                this._handleGamepadButtonPress(i);
+            }
+        }
+    }
+
+    _handleGamepadButtonPress(buttonIndex) {
+        const action = this.getActionForButton(buttonIndex);
+        if (action === 'pause') {
+            window.gameManager?.game?.togglePause?.();
+            return;
+        }
+
+        if (!action || !window.upgradeSystem?.isLevelUpActive?.()) {
+            return;
+        }
+        const upgradeMatch = /^upgrade(\d)$/.exec(action);
+        if (upgradeMatch) {
+            window.upgradeSystem.selectUpgradeAt?.(parseInt(upgradeMatch[1], 10) - 1);
+        } else {
+            window.upgradeSystem.handleLevelUpAction?.(action);
+        }
+    }
+
     /**
      * Check if a key is currently pressed
      * @param {string} key - Key to check
      * @returns {boolean} True if key is pressed
      */
     isKeyPressed(key) {
-        return !!this.keyStates[key];
+        return !!this.keyStates[InputManager.normalizeKey(key)];
+    }
+
+    /**
+     * Check if a gamepad button is held (and not consumed since it was pressed)
+     * @param {number} buttonIndex - Standard mapping button index
+     */
+    isGamepadButtonPressed(buttonIndex) {
+        return !!this.gamepadState?.buttons?.[buttonIndex]?.pressed && !this._consumedButtons.has(buttonIndex);
+    }
+
+    /**
+     * Action bound to a key
+     * @param {string} key - KeyboardEvent.key
+     * @returns {string|null} Action name
+     */
+    getActionForKey(key) {
+        const normalized = InputManager.normalizeKey(key);
+        for (const [action, keys] of Object.entries(this.keyBindings)) {
+            if (keys.includes(normalized)) return action;
+        }
+        return null;
+    }
+
+    /**
+     * Action bound to a gamepad button
+     * @param {number} buttonIndex - Standard mapping button index
+     * @returns {string|null} Action name
+     */
+    getActionForButton(buttonIndex) {
+        for (const [action, buttons] of Object.entries(this.gamepadBindings)) {
+            if (buttons.includes(buttonIndex)) return action;
+        }
+        return null;
+    }
+
+    /**
+     * Whether a key triggers an action
+     */
+    isActionKey(action, key) {
+        return (this.keyBindings[action] || []).includes(InputManager.normalizeKey(key));
     }
     
     /**
-     * Check if any key in an action is pressed
-     * @param {string} action - Action name from keyBindings
-     * @returns {boolean} True if any key for this action is pressed
+     * Check if any key or gamepad button in an action is pressed
+     * @param {string} action - Action name from keyBindings/gamepadBindings
+     * @returns {boolean} True if any input for this action is pressed
      */
     isActionPressed(action) {
+        if (this._virtualActions[action]) return true;
+
         const keys = this.keyBindings[action];
-        if (!keys) return false;
-        
-        return keys.some(key => this.isKeyPressed(key));
+        if (keys && keys.some(key => this.isKeyPressed(key))) return true;
+
+        const buttons = this.gamepadBindings[action];
+        return !!(buttons && this.gamepadState && buttons.some(index => this.isGamepadButtonPressed(index)));
+    }
+
+    /**
+     * Hold or release an action from code (bots, on-screen controls)
+     */
+    setActionState(action, pressed) {
+        this._virtualActions[action] = !!pressed;
+    }
+
+    /**
+     * Movement from the on-screen joystick (length 0-1)
+     */
+    setTouchMovement(x, y) {
+        this._touchVector.x = Number.isFinite(x) ? x : 0;
+        this._touchVector.y = Number.isFinite(y) ? y : 0;
+    }
+
+    /**
+     * Release an action until its inputs are pressed again (one dodge per press)
+     */
+    consumeAction(action) {
+        this._virtualActions[action] = false;
+        (this.keyBindings[action] || []).forEach(key => {
+            this.keyStates[key] = false;
+        });
+        (this.gamepadBindings[action] || []).forEach(index => {
+            if (this.gamepadState?.buttons?.[index]?.pressed) {
+                this._consumedButtons.add(index);
+            }
+        });
     }
     
     /**
-     * Get movement input as vector
+     * Get movement input as vector (digital input wins over touch, touch over the stick)
      * @returns {Object} Movement vector {x, y}
      */
     getMovementVector() {
@@ -418,6 +853,16 @@ class InputManager {
         if (this.isActionPressed('moveRight')) movement.x += 1;
         if (this.isActionPressed('moveUp')) movement.y -= 1;
         if (this.isActionPressed('moveDown')) movement.y += 1;
+
+        if (movement.x === 0 && movement.y === 0) {
+            // Both are already deadzoned and clamped to length 1
+            const analog = (this._touchVector.x !== 0 || this._touchVector.y !== 0)
+                ? this._touchVector
+                : this._stickVector;
+            movement.x = analog.x;
+            movement.y = analog.y;
+            return movement;
+        }
         
         // Normalize diagonal movement using pre-computed constant (10x faster than sqrt)
         if (movement.x !== 0 && movement.y !== 0) {
@@ -431,6 +876,27 @@ class InputManager {
         return movement;
     }
 
+    /**
+     * Manual aim direction. The camera keeps the player at the canvas centre,
+     * so the mouse aims from there.
+     * @returns {number|null} Angle in radians, or null when manual aim is off or unused
+     */
+    getAimAngle() {
+        if (!this.manualAimEnabled) return null;
+
+        if (this._aimDevice === 'stick') {
+            return this._stickAimAngle;
+        }
+        if (this._aimDevice === 'mouse') {
+            const rect = this._getCachedElement('game-canvas')?.getBoundingClientRect?.();
+            if (!rect || !rect.width || !rect.height) return null;
+            const dx = this.mouseState.x - (rect.left + rect.width / 2);
+            const dy = this.mouseState.y - (rect.top + rect.height / 2);
+            return (dx === 0 && dy === 0) ? null : Math.atan2(dy, dx);
+        }
+        return null;
+    }
+
     /**
      * Backwards-compatible alias used by some components
      * @returns {Object} Movement vector {x, y}
@@ -520,3 +986,7 @@ if (typeof window !== 'undefined') {
     if (!window.Game) window.Game = {};
     window.Game.InputManager = InputManager;
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputManager;
+}
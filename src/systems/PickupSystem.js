@@ -0,0 +1,164 @@
+/**
+ * Pickup System - Rolls item drops and applies them when collected
+ *
+ * Elites and destructible hazards roll against GAME_CONSTANTS.PICKUPS drop
+ * chances, then pick a kind by its PICKUP_DEFINITIONS drops weight for that
+ * source. Bosses always leave a chest plus a handful of star shards. Timed
+ * power-ups live on PlayerStats (activatePowerUp); shard progress toward the
+ * next star token is kept here for the run.
+ */
+class PickupSystem {
+    constructor(definitions = null) {
+        this.definitions = definitions;
+        this.reset();
+    }
+
+    /**
+     * Clear run progress (new run)
+     */
+    reset() {
+        this.shards = 0;
+    }
+
+    getDefinitions() {
+        const definitions = this.definitions || window.PICKUP_DEFINITIONS;
+        return definitions && typeof definitions === 'object' ? definitions : {};
+    }
+
+    /**
+     * Drop rewards for a dead enemy (called from EnemyStats.die)
+     */
+    onEnemyKilled(enemy, game) {
+        if (!enemy || !game) return [];
+
+        if (enemy.isBoss) {
+            const constants = this._getConstants();
+            const dropped = [this.spawn('bossChest', enemy.x, enemy.y, game)];
+            const shards = constants.BOSS_STAR_SHARDS ?? 3;
+            for (let i = 0; i < shards; i++) {
+                const angle = (i / shards) * Math.PI * 2;
+                dropped.push(this.spawn('starShard', enemy.x + Math.cos(angle) * 50, enemy.y + Math.sin(angle) * 50, game));
+            }
+            return dropped.filter(Boolean);
+        }
+
+        if (enemy.isElite) {
+            return this.rollDrop('elite', enemy.x, enemy.y, game);
+        }
+        return [];
+    }
+
+    /**
+     * Drop rewards for a destroyed hazard such as an asteroid
+     */
+    onDestructibleDestroyed(entity, game) {
+        if (!entity || !game) return [];
+        return this.rollDrop('destructible', entity.x, entity.y, game);
+    }
+
+    /**
+     * @param {string} source - Drop table key ('elite', 'destructible')
+     * @returns {Object[]} Pickups spawned (empty when the roll misses)
+     */
+    rollDrop(source, x, y, game) {
+        const constants = this._getConstants();
+        const chances = {
+            elite: constants.ELITE_DROP_CHANCE ?? 0.35,
+            destructible: constants.DESTRUCTIBLE_DROP_CHANCE ?? 0.2
+        };
+        if (this._random() >= (chances[source] ?? 0)) return [];
+
+        const kind = this.pickKind(source, this._random());
+        const pickup = kind ? this.spawn(kind, x, y, game) : null;
+        return pickup ? [pickup] : [];
+    }
+
+    /**
+     * Weighted pick of a kind for a drop source
+     * @param {number} roll - Number in [0, 1)
+     */
+    pickKind(source, roll) {
+        const weighted = Object.entries(this.getDefinitions())
+            .map(([kind, def]) => [kind, def.drops?.[source] || 0])
+            .filter(([, weight]) => weight > 0);
+        const total = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total <= 0) return null;
+
+        let threshold = roll * total;
+        for (const [kind, weight] of weighted) {
+            threshold -= weight;
+            if (threshold < 0) return kind;
+        }
+        return weighted[weighted.length - 1][0];
+    }
+
+    spawn(kind, x, y, game) {
+        if (!this.getDefinitions()[kind]) {
+            window.logger.warn(`PickupSystem: unknown pickup kind "${kind}"`);
+            return null;
+        }
+
+        if (typeof game.spawnPickup === 'function') {
+            return game.spawnPickup(kind, x, y);
+        }
+
+        const Pickup = window.Game?.Pickup;
+        return Pickup && typeof game.addEntity === 'function' ? game.addEntity(new Pickup(kind, x, y)) : null;
+    }
+
+    /**
+     * Apply a collected pickup's effect (called from Pickup.collect)
+     */
+    applyPickup(pickup, player, game) {
+        const def = this.getDefinitions()[pickup?.kind];
+        if (!def || !player) return;
+
+        switch (pickup.kind) {
+            case 'health':
+                player.stats?.heal?.((player.maxHealth || 100) * def.healPercent);
+                break;
+            case 'magnet': {
+                const orbs = game?.getXPOrbs?.() || [];
+                orbs.forEach(orb => orb?.vacuum?.());
+                break;
+            }
+            case 'doubleDamage':
+                player.stats?.activatePowerUp?.('damage', def.duration, def.damageMultiplier);
+                break;
+            case 'invulnerability':
+                player.stats?.activatePowerUp?.('invulnerable', def.duration);
+                break;
+            case 'starShard':
+                this.shards++;
+                if (this.shards >= (def.shardsPerToken || 1)) {
+                    this.shards -= def.shardsPerToken || 1;
+                    const gm = window.gameManager || window.gameManagerBridge;
+                    gm?.statsManager?.earnStarTokens?.(1);
+                }
+                break;
+            case 'bossChest':
+                window.upgradeSystem?.showChestRewards?.(def.rewards);
+                break;
+        }
+
+        window.gameManager?.showFloatingText?.(def.name, player.x, player.y - 40, def.color, 18);
+    }
+
+    _getConstants() {
+        return window.GAME_CONSTANTS?.PICKUPS || {};
+    }
+
+    _random() {
+        return window.Game?.rng?.next() ?? Math.random();
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.PickupSystem = PickupSystem;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PickupSystem;
+}
@@ -0,0 +1,402 @@
+/**
+ * Replay System - Records and plays back runs on the fixed-timestep loop
+ *
+ * GameEngine.update() runs on a fixed step, so a run is fully described by its
+ * seed plus the inputs consumed on each step. The recorder captures:
+ * - Movement vector per step (run-length encoded)
+ * - Dodge and weapon secondary presses, pauses/resumes and level-up choices
+ *   (including rerolls, banishes and skips) as step-stamped events
+ * - Manual aim angle as an 'aim' event whenever it changes (null = auto-target)
+ *
+ * During playback the engine reads movement/dodge/secondary/aim input from here instead of
+ * the devices, and UpgradeSystem applies the recorded choice at the same step.
+ */
+class ReplaySystem {
+    static FORMAT_VERSION = 1;
+    static FORMAT_ID = 'galactic-ring-cannon-replay';
+
+    constructor() {
+        this.mode = 'idle'; // idle, recording, playback
+        this.step = 0;
+        this.recording = null;
+        this.lastReplay = null;
+
+        this._pendingPlayback = null;
+        this._playback = null;
+        this._playbackMovement = { x: 0, y: 0 };
+        this._aim = null; // Last recorded or replayed manual aim angle
+    }
+
+    isRecording() {
+        return this.mode === 'recording';
+    }
+
+    isPlaying() {
+        return this.mode === 'playback';
+    }
+
+    isActive() {
+        return this.mode !== 'idle';
+    }
+
+    hasReplay() {
+        return !!this.lastReplay;
+    }
+
+    /**
+     * Queue a replay so the next beginRun() plays it back instead of recording
+     * @param {Object} replay - Parsed replay (see ReplaySystem.parse)
+     */
+    queuePlayback(replay) {
+        this._pendingPlayback = replay || null;
+    }
+
+    /**
+     * Start recording or playback for a new run (called after the run seed is chosen)
+     * @param {Object} header - { seed, characterId, weaponId, gameMode, modifiers, meta, mastery }
+     */
+    beginRun(header = {}) {
+        this.step = 0;
+        this._aim = null;
+
+        if (this._pendingPlayback) {
+            const replay = this._pendingPlayback;
+            this._pendingPlayback = null;
+            this.mode = 'playback';
+            this.recording = null;
+            this._playback = {
+                replay,
+                moveIndex: 0,
+                moveRemaining: replay.move.length > 0 ? replay.move[0][0] : 0,
+                // Per-type queues with cursors so playback never mutates the replay
+                queues: {
+                    dodge: replay.events.filter(event => event[1] === 'dodge'),
+                    secondary: replay.events.filter(event => event[1] === 'secondary'),
+                    upgrade: replay.events.filter(event => event[1] === 'upgrade'),
+                    aim: replay.events.filter(event => event[1] === 'aim')
+                },
+                cursors: { dodge: 0, secondary: 0, upgrade: 0, aim: 0 }
+            };
+            this._playbackMovement = { x: 0, y: 0 };
+            window.logger.log(`[R] Replay playback started (seed ${replay.seed}, ${replay.steps} steps)`);
+            return;
+        }
+
+        this.mode = 'recording';
+        this._playback = null;
+        this.recording = {
+            seed: header.seed ?? null,
+            character: header.characterId ?? null,
+            weapon: header.weaponId ?? null,
+            gameMode: header.gameMode || 'normal',
+            modifiers: Array.isArray(header.modifiers) ? header.modifiers.slice() : [],
+            meta: header.meta || {},
+            mastery: header.mastery || null,
+            move: [],
+            events: []
+        };
+    }
+
+    /**
+     * Finish the current run and keep its replay for export
+     * @param {Object} [summary] - Optional { outcome, gameTime }
+     */
+    finishRun(summary = {}) {
+        if (this.mode === 'recording' && this.recording) {
+            this.lastReplay = {
+                format: ReplaySystem.FORMAT_ID,
+                version: ReplaySystem.FORMAT_VERSION,
+                seed: this.recording.seed,
+                character: this.recording.character,
+                weapon: this.recording.weapon,
+                gameMode: this.recording.gameMode,
+                modifiers: this.recording.modifiers,
+                meta: this.recording.meta,
+                mastery: this.recording.mastery,
+                steps: this.step,
+                outcome: summary.outcome || null,
+                gameTime: Number.isFinite(summary.gameTime) ? Math.round(summary.gameTime * 100) / 100 : null,
+                recordedAt: new Date().toISOString(),
+                move: this.recording.move,
+                events: this.recording.events
+            };
+        } else if (this.mode === 'playback' && this._playback) {
+            this.lastReplay = this._playback.replay;
+        }
+
+        this.mode = 'idle';
+        this.recording = null;
+        this._playback = null;
+    }
+
+    /**
+     * Called by GameEngine at the start of every fixed update step
+     * @param {{x: number, y: number}} liveMovement - Movement from the input devices
+     * @returns {{x: number, y: number}} Movement the player should use this step
+     */
+    beginStep(liveMovement) {
+        const live = liveMovement || { x: 0, y: 0 };
+        if (this.mode === 'idle') {
+            return live;
+        }
+
+        this.step++;
+
+        if (this.mode === 'recording') {
+            // The live run steers with the recorded (rounded) vector so playback matches it
+            return this._recordMovement(live.x, live.y);
+        }
+
+        this._advancePlaybackMovement();
+        return this._playbackMovement;
+    }
+
+    /**
+     * Called by GameEngine after beginStep() with the manual aim for the step
+     * @param {number|null} liveAim - Aim angle from the input devices (null = auto-target)
+     * @returns {number|null} Aim the weapons should use this step
+     */
+    stepAim(liveAim) {
+        if (this.mode === 'idle') {
+            return liveAim;
+        }
+
+        if (this.mode === 'recording') {
+            // Quantized so the live run aims exactly like its playback
+            const aim = Number.isFinite(liveAim) ? Math.round(liveAim * 100) / 100 : null;
+            if (aim !== this._aim) {
+                this._aim = aim;
+                this._recordEvent('aim', aim);
+            }
+            return aim;
+        }
+
+        let event;
+        while ((event = this._takeEvent('aim'))) {
+            this._aim = event[2] ?? null;
+        }
+        return this._aim;
+    }
+
+    recordDodge() {
+        this._recordEvent('dodge');
+    }
+
+    recordSecondary() {
+        this._recordEvent('secondary');
+    }
+
+    recordPause(reason) {
+        this._recordEvent('pause', reason || 'manual');
+    }
+
+    recordResume(reason) {
+        this._recordEvent('resume', reason || 'manual');
+    }
+
+    /**
+     * @param {Object} upgrade - Upgrade chosen at level-up
+     * @param {boolean} auto - Whether auto-level picked it (consumes one RNG draw)
+     */
+    recordUpgradeChoice(upgrade, auto = false) {
+        if (!upgrade?.id) return;
+        this._recordEvent('upgrade', upgrade.id, auto ? 1 : 0);
+    }
+
+    /**
+     * Rerolls, banishes and skips share the upgrade queue so they replay in order
+     * @param {string} action - 'reroll', 'banish' or 'skip'
+     * @param {string|null} upgradeId - Banished upgrade
+     */
+    recordUpgradeAction(action, upgradeId = null) {
+        if (!action) return;
+        this._recordEvent('upgrade', upgradeId, 0, action);
+    }
+
+    /**
+     * True if playback has a dodge queued at or before the current step
+     */
+    isDodgeQueued() {
+        return this._peekEvent('dodge') !== null;
+    }
+
+    consumeDodge() {
+        return this._takeEvent('dodge') !== null;
+    }
+
+    /**
+     * True if playback has a weapon secondary queued at or before the current step
+     */
+    isSecondaryQueued() {
+        return this._peekEvent('secondary') !== null;
+    }
+
+    consumeSecondary() {
+        return this._takeEvent('secondary') !== null;
+    }
+
+    /**
+     * Take the recorded level-up choice for this step
+     * @param {Array} options - Upgrade options offered this level-up
+     * @returns {{upgrade: Object, auto: boolean}|{action: string, upgradeId: string|null}|null}
+     */
+    takeUpgradeChoice(options) {
+        const event = this._takeEvent('upgrade');
+        if (!event) {
+            return null;
+        }
+
+        const [, , upgradeId, auto, action] = event;
+        if (action) {
+            return { action, upgradeId: upgradeId ?? null };
+        }
+
+        const offered = Array.isArray(options) ? options.find(option => option?.id === upgradeId) : null;
+        const upgrade = offered || (window.UPGRADE_DEFINITIONS || []).find(def => def.id === upgradeId) || null;
+        if (!offered) {
+            window.logger.warn(`[R] Replay desync: upgrade "${upgradeId}" was not offered at step ${this.step}`);
+        }
+        return upgrade ? { upgrade, auto: auto === 1 } : null;
+    }
+
+    /**
+     * Serialize a replay to compact JSON
+     */
+    serialize(replay = this.lastReplay) {
+        return replay ? JSON.stringify(replay) : null;
+    }
+
+    /**
+     * Parse and validate replay JSON
+     * @param {string|Object} source - JSON text or object
+     * @returns {Object} Replay data
+     * @throws {Error} If the replay is malformed
+     */
+    static parse(source) {
+        const data = typeof source === 'string' ? JSON.parse(source) : source;
+
+        if (!data || data.format !== ReplaySystem.FORMAT_ID) {
+            throw new Error('Not a Galactic Ring Cannon replay file');
+        }
+        if (data.version !== ReplaySystem.FORMAT_VERSION) {
+            throw new Error(`Unsupported replay version: ${data.version}`);
+        }
+        if (typeof data.seed !== 'string' || data.seed.length === 0) {
+            throw new Error('Replay is missing its seed');
+        }
+        if (!Array.isArray(data.move) || !Array.isArray(data.events)) {
+            throw new Error('Replay input data is missing');
+        }
+
+        const validMove = data.move.every(entry =>
+            Array.isArray(entry) && entry.length === 3 && entry.every(Number.isFinite) && entry[0] > 0
+        );
+        const validEvents = data.events.every(entry =>
+            Array.isArray(entry) && Number.isFinite(entry[0]) && typeof entry[1] === 'string'
+        );
+        if (!validMove || !validEvents) {
+            throw new Error('Replay input data is corrupted');
+        }
+
+        return data;
+    }
+
+    /**
+     * Download the last replay as a JSON file
+     * @returns {boolean} True if a download was started
+     */
+    exportReplay() {
+        const json = this.serialize();
+        if (!json || typeof document === 'undefined' || typeof Blob === 'undefined') {
+            return false;
+        }
+
+        try {
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `galactic-replay-${this.lastReplay.seed || 'run'}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+            return true;
+        } catch (error) {
+            window.logger.error('Failed to export replay:', error);
+            return false;
+        }
+    }
+
+    /**
+     * @returns {{x: number, y: number}} The movement as stored in the replay
+     */
+    _recordMovement(x, y) {
+        // Round to keep files small; keyboard input is already exact at this precision
+        const rx = Math.round((x || 0) * 1000) / 1000;
+        const ry = Math.round((y || 0) * 1000) / 1000;
+        const move = this.recording.move;
+        const last = move[move.length - 1];
+        if (last && last[1] === rx && last[2] === ry) {
+            last[0]++;
+        } else {
+            move.push([1, rx, ry]);
+        }
+        return { x: rx, y: ry };
+    }
+
+    _advancePlaybackMovement() {
+        const playback = this._playback;
+        const move = playback.replay.move;
+
+        while (playback.moveIndex < move.length && playback.moveRemaining <= 0) {
+            playback.moveIndex++;
+            playback.moveRemaining = playback.moveIndex < move.length ? move[playback.moveIndex][0] : 0;
+        }
+
+        if (playback.moveIndex >= move.length) {
+            this._playbackMovement.x = 0;
+            this._playbackMovement.y = 0;
+            return;
+        }
+
+        const entry = move[playback.moveIndex];
+        this._playbackMovement.x = entry[1];
+        this._playbackMovement.y = entry[2];
+        playback.moveRemaining--;
+    }
+
+    _recordEvent(type, ...args) {
+        if (this.mode !== 'recording' || !this.recording) {
+            return;
+        }
+        this.recording.events.push([this.step, type, ...args]);
+    }
+
+    _peekEvent(type) {
+        if (this.mode !== 'playback' || !this._playback) {
+            return null;
+        }
+        const queue = this._playback.queues[type];
+        const event = queue ? queue[this._playback.cursors[type]] : null;
+        return event && event[0] <= this.step ? event : null;
+    }
+
+    _takeEvent(type) {
+        const event = this._peekEvent(type);
+        if (event) {
+            this._playback.cursors[type]++;
+        }
+        return event;
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.ReplaySystem = ReplaySystem;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplaySystem;
+}
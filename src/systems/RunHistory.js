@@ -0,0 +1,116 @@
+/**
+ * Run History - Every finished run, kept locally as a leaderboard
+ *
+ * GameManagerBridge records each finished run (not replays) when the result
+ * screen is built. Entries are stored newest first in StorageManager and capped
+ * at GAME_CONSTANTS.RUN_HISTORY.MAX_ENTRIES. Each entry stores the score it was
+ * given when recorded, so runs stay comparable as long as the SCORE weights are
+ * left alone.
+ */
+class RunHistory {
+    static STORAGE_KEY = 'runHistory';
+
+    /** Sort keys offered by the history panel */
+    static SORT_KEYS = ['score', 'time', 'kills', 'bosses', 'date'];
+
+    /**
+     * Stable run score: survival time dominates, kills, bosses and level break ties
+     * @param {Object} run - { outcome, time, kills, bosses, level }
+     */
+    static scoreRun(run) {
+        const SCORE = window.GAME_CONSTANTS?.RUN_HISTORY?.SCORE || {};
+        const victoryBonus = run.outcome === 'victory' ? (SCORE.VICTORY_BONUS ?? 5000) : 0;
+        return Math.round(
+            (run.time || 0) * (SCORE.PER_SECOND ?? 10) +
+            (run.kills || 0) * (SCORE.PER_KILL ?? 1) +
+            (run.bosses || 0) * (SCORE.PER_BOSS ?? 500) +
+            (run.level || 0) * (SCORE.PER_LEVEL ?? 25) +
+            victoryBonus
+        );
+    }
+
+    /**
+     * Stored runs, newest first
+     * @returns {Object[]}
+     */
+    static load() {
+        const entries = window.StorageManager.getJSON(RunHistory.STORAGE_KEY, []);
+        return Array.isArray(entries) ? entries.filter(entry => entry && typeof entry === 'object') : [];
+    }
+
+    /**
+     * Store a finished run
+     * @param {Object} run - { outcome, mode, characterId, weaponId, time, kills, bosses, level,
+     *                         damageDealt, upgrades, seed, modifiers }
+     * @returns {{entry: Object, rank: number, total: number}} rank is 1-based by score
+     */
+    static record(run) {
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+            date: new Date().toISOString(),
+            mode: run.mode || 'normal',
+            outcome: run.outcome,
+            characterId: run.characterId || null,
+            weaponId: run.weaponId || null,
+            time: Math.round((run.time || 0) * 10) / 10,
+            kills: run.kills || 0,
+            bosses: run.bosses || 0,
+            level: run.level || 1,
+            damageDealt: Math.round(run.damageDealt || 0),
+            upgrades: Array.isArray(run.upgrades) ? run.upgrades.slice() : [],
+            seed: run.seed ?? null,
+            modifiers: Array.isArray(run.modifiers) ? run.modifiers.slice() : []
+        };
+        entry.score = RunHistory.scoreRun(entry);
+
+        const maxEntries = window.GAME_CONSTANTS?.RUN_HISTORY?.MAX_ENTRIES ?? 100;
+        const entries = [entry, ...RunHistory.load()].slice(0, maxEntries);
+        window.StorageManager.setJSON(RunHistory.STORAGE_KEY, entries);
+
+        const rank = 1 + entries.filter(other => other.score > entry.score).length;
+        return { entry, rank, total: entries.length };
+    }
+
+    /**
+     * Filtered and sorted view of the history
+     * @param {Object} [options]
+     * @param {string} [options.sortBy='score'] - One of SORT_KEYS
+     * @param {string|null} [options.characterId] - Only runs with this pilot
+     * @returns {Object[]}
+     */
+    static query({ sortBy = 'score', characterId = null } = {}) {
+        let entries = RunHistory.load();
+        if (characterId) {
+            entries = entries.filter(entry => entry.characterId === characterId);
+        }
+
+        const key = RunHistory.SORT_KEYS.includes(sortBy) ? sortBy : 'score';
+        if (key === 'date') {
+            return entries.sort((a, b) => String(b.date).localeCompare(String(a.date)));
+        }
+        // Ties fall back to score, then to the most recent run
+        return entries.sort((a, b) =>
+            (b[key] || 0) - (a[key] || 0) ||
+            (b.score || 0) - (a.score || 0) ||
+            String(b.date).localeCompare(String(a.date))
+        );
+    }
+
+    /**
+     * Pilots that appear in the history (for the filter)
+     * @returns {string[]}
+     */
+    static getCharacterIds() {
+        return [...new Set(RunHistory.load().map(entry => entry.characterId).filter(Boolean))];
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.RunHistory = RunHistory;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunHistory;
+}
@@ -0,0 +1,269 @@
+/**
+ * Touch Controls - Virtual joystick, dodge button and tap-to-select for touch screens
+ *
+ * A finger put down on the game canvas becomes a floating joystick centred where
+ * it landed; its offset feeds InputManager.setTouchMovement(). The dodge skill
+ * indicator doubles as a dodge button and level-up cards select on tap. Each
+ * role tracks its own touch identifier, so moving and dodging work at the same
+ * time. The joystick size follows the canvas (GameEngine.resizeCanvas calls
+ * onCanvasResize).
+ */
+class TouchControls {
+    constructor(inputManager, options = {}) {
+        this.inputManager = inputManager;
+        this.canvas = options.canvas || document.getElementById('game-canvas');
+        this.joystickElement = options.joystick || document.getElementById('touch-joystick');
+        this.knobElement = this.joystickElement?.querySelector?.('.touch-joystick-knob') || null;
+        this.dodgeButton = options.dodgeButton || document.getElementById('dodge-skill');
+        this.upgradeOptions = options.upgradeOptions || document.getElementById('upgrade-options');
+
+        this.joystick = { touchId: null, originX: 0, originY: 0 };
+        this.dodgeTouchId = null;
+        this.cardTap = null; // { touchId, card, x, y } while a tap on a level-up card may still select it
+        this.radius = TouchControls.getConfig().JOYSTICK_MIN_RADIUS;
+        this.active = false; // Set by the first touch; switches the HUD to touch layout
+        this._listeners = [];
+
+        this.initialize();
+        this.onCanvasResize(this.canvas?.width || window.innerWidth, this.canvas?.height || window.innerHeight);
+    }
+
+    static getConfig() {
+        return window.GAME_CONSTANTS?.TOUCH || {
+            JOYSTICK_RADIUS_RATIO: 0.12,
+            JOYSTICK_MIN_RADIUS: 40,
+            JOYSTICK_MAX_RADIUS: 80,
+            JOYSTICK_DEADZONE: 0.15,
+            TAP_SLOP: 12
+        };
+    }
+
+    initialize() {
+        // passive: false so preventDefault can stop scrolling, zooming and emulated mouse clicks
+        const options = { passive: false };
+        this._attachListener(this.canvas, 'touchstart', this.handleCanvasTouchStart.bind(this), options);
+        this._attachListener(this.canvas, 'touchmove', this.handleCanvasTouchMove.bind(this), options);
+        this._attachListener(this.canvas, 'touchend', this.handleCanvasTouchEnd.bind(this), options);
+        this._attachListener(this.canvas, 'touchcancel', this.handleCanvasTouchEnd.bind(this), options);
+
+        this._attachListener(this.dodgeButton, 'touchstart', this.handleDodgeTouchStart.bind(this), options);
+        this._attachListener(this.dodgeButton, 'touchend', this.handleDodgeTouchEnd.bind(this), options);
+        this._attachListener(this.dodgeButton, 'touchcancel', this.handleDodgeTouchEnd.bind(this), options);
+
+        this._attachListener(this.upgradeOptions, 'touchstart', this.handleCardTouchStart.bind(this), options);
+        this._attachListener(this.upgradeOptions, 'touchmove', this.handleCardTouchMove.bind(this), options);
+        this._attachListener(this.upgradeOptions, 'touchend', this.handleCardTouchEnd.bind(this), options);
+        this._attachListener(this.upgradeOptions, 'touchcancel', () => { this.cardTap = null; }, options);
+    }
+
+    _attachListener(target, type, handler, options) {
+        if (!target || typeof target.addEventListener !== 'function') {
+            return;
+        }
+        target.addEventListener(type, handler, options);
+        this._listeners.push({ target, type, handler, options });
+    }
+
+    _findTouch(touchList, touchId) {
+        for (let i = 0; i < (touchList?.length || 0); i++) {
+            if (touchList[i].identifier === touchId) {
+                return touchList[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * First touch seen: switch the HUD to the touch layout
+     */
+    markActive() {
+        if (this.active) return;
+        this.active = true;
+        document.body?.classList?.add('touch-controls');
+    }
+
+    /**
+     * Scale the joystick with the canvas
+     * @param {number} width - Canvas width in px
+     * @param {number} height - Canvas height in px
+     */
+    onCanvasResize(width, height) {
+        const config = TouchControls.getConfig();
+        const shortSide = Math.min(width || 0, height || 0);
+        this.radius = Math.max(
+            config.JOYSTICK_MIN_RADIUS,
+            Math.min(config.JOYSTICK_MAX_RADIUS, shortSide * config.JOYSTICK_RADIUS_RATIO)
+        );
+
+        if (this.joystickElement?.style) {
+            this.joystickElement.style.width = `${this.radius * 2}px`;
+            this.joystickElement.style.height = `${this.radius * 2}px`;
+        }
+
+        // Orientation changes move everything - drop the current stick
+        this.releaseJoystick();
+    }
+
+    // ===== JOYSTICK =====
+
+    handleCanvasTouchStart(e) {
+        e.preventDefault();
+        this.markActive();
+
+        // Extra fingers on the canvas are ignored while one is steering
+        if (this.joystick.touchId !== null) return;
+
+        const touch = e.changedTouches?.[0];
+        if (!touch) return;
+
+        this.joystick.touchId = touch.identifier;
+        this.joystick.originX = touch.clientX;
+        this.joystick.originY = touch.clientY;
+        this.inputManager?.setTouchMovement(0, 0);
+
+        if (this.joystickElement) {
+            this.joystickElement.style.left = `${touch.clientX}px`;
+            this.joystickElement.style.top = `${touch.clientY}px`;
+            this.joystickElement.classList.remove('hidden');
+        }
+        this._moveKnob(0, 0);
+    }
+
+    handleCanvasTouchMove(e) {
+        e.preventDefault();
+        const touch = this._findTouch(e.changedTouches, this.joystick.touchId);
+        if (!touch) return;
+
+        const vector = this.getJoystickVector(touch.clientX - this.joystick.originX, touch.clientY - this.joystick.originY);
+        this.inputManager?.setTouchMovement(vector.x, vector.y);
+        this._moveKnob(vector.knobX, vector.knobY);
+    }
+
+    handleCanvasTouchEnd(e) {
+        e.preventDefault();
+        if (this._findTouch(e.changedTouches, this.joystick.touchId)) {
+            this.releaseJoystick();
+        }
+    }
+
+    /**
+     * Movement vector for a finger offset from the joystick origin
+     * @returns {{x: number, y: number, knobX: number, knobY: number}} Vector (length 0-1) and clamped knob offset in px
+     */
+    getJoystickVector(dx, dy) {
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance === 0) {
+            return { x: 0, y: 0, knobX: 0, knobY: 0 };
+        }
+
+        const clamped = Math.min(distance, this.radius);
+        const knobX = (dx / distance) * clamped;
+        const knobY = (dy / distance) * clamped;
+
+        // Rescale past the deadzone so movement starts from zero speed
+        const deadzone = TouchControls.getConfig().JOYSTICK_DEADZONE;
+        const magnitude = clamped / this.radius;
+        if (magnitude <= deadzone) {
+            return { x: 0, y: 0, knobX, knobY };
+        }
+        const scaled = (magnitude - deadzone) / (1 - deadzone);
+        return { x: (dx / distance) * scaled, y: (dy / distance) * scaled, knobX, knobY };
+    }
+
+    _moveKnob(x, y) {
+        if (this.knobElement?.style) {
+            this.knobElement.style.transform = `translate(calc(-50% + ${x}px), calc(-50% + ${y}px))`;
+        }
+    }
+
+    releaseJoystick() {
+        this.joystick.touchId = null;
+        this.inputManager?.setTouchMovement(0, 0);
+        this.joystickElement?.classList?.add('hidden');
+    }
+
+    // ===== DODGE BUTTON =====
+
+    handleDodgeTouchStart(e) {
+        e.preventDefault();
+        this.markActive();
+        if (this.dodgeTouchId !== null) return;
+
+        const touch = e.changedTouches?.[0];
+        if (!touch) return;
+
+        this.dodgeTouchId = touch.identifier;
+        this.inputManager?.setActionState('dodge', true);
+        this.dodgeButton?.classList?.add('pressed');
+    }
+
+    handleDodgeTouchEnd(e) {
+        e.preventDefault();
+        if (this._findTouch(e.changedTouches, this.dodgeTouchId)) {
+            this.releaseDodge();
+        }
+    }
+
+    releaseDodge() {
+        this.dodgeTouchId = null;
+        this.inputManager?.setActionState('dodge', false);
+        this.dodgeButton?.classList?.remove('pressed');
+    }
+
+    // ===== LEVEL-UP CARDS =====
+
+    handleCardTouchStart(e) {
+        this.markActive();
+        const touch = e.changedTouches?.[0];
+        const card = e.target?.closest?.('.upgrade-option');
+        this.cardTap = touch && card
+            ? { touchId: touch.identifier, card, x: touch.clientX, y: touch.clientY }
+            : null;
+    }
+
+    handleCardTouchMove(e) {
+        const tap = this.cardTap;
+        const touch = tap ? this._findTouch(e.changedTouches, tap.touchId) : null;
+        if (!touch) return;
+
+        // Dragging (e.g. scrolling the cards) cancels the tap
+        const slop = TouchControls.getConfig().TAP_SLOP;
+        if (Math.abs(touch.clientX - tap.x) > slop || Math.abs(touch.clientY - tap.y) > slop) {
+            this.cardTap = null;
+        }
+    }
+
+    handleCardTouchEnd(e) {
+        const tap = this.cardTap;
+        if (!tap || !this._findTouch(e.changedTouches, tap.touchId)) return;
+        this.cardTap = null;
+
+        // Select now and suppress the emulated click so the card is not picked twice
+        e.preventDefault();
+        const index = parseInt(tap.card.dataset.index, 10) - 1;
+        if (Number.isInteger(index)) {
+            window.upgradeSystem?.selectUpgradeAt?.(index);
+        }
+    }
+
+    destroy() {
+        this.releaseJoystick();
+        this.releaseDodge();
+        this.cardTap = null;
+
+        for (const listener of this._listeners) {
+            listener.target.removeEventListener(listener.type, listener.handler, listener.options);
+        }
+        this._listeners = [];
+    }
+}
+
+// Export to window.Game namespace
+if (typeof window !== 'undefined') {
+    if (!window.Game) window.Game = {};
+    window.Game.TouchControls = TouchControls;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TouchControls;
+}
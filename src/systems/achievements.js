@@ -170,7 +170,30 @@ class AchievementSystem {
         }
     }
 
+    /**
+     * Reload progress after the active save profile changed
+     */
+    reloadAchievements() {
+        // A pending throttled save belongs to the previous profile
+        if (this.saveTimeoutId) {
+            clearTimeout(this.saveTimeoutId);
+            this.saveTimeoutId = null;
+        }
+        this.pendingSave = false;
+
+        Object.values(this.achievements).forEach(achievement => {
+            achievement.progress = 0;
+            achievement.unlocked = false;
+        });
+        this.resetRunTracking();
+        this.loadAchievements();
+        this.syncUnlockedAchievementsWithGameState();
+    }
+
     saveAchievements() {
+        if (window.gameManager?.isReplayPlayback?.()) {
+            return;
+        }
         try {
             // Only save progress and unlocked status to prevent corruption
             const saveData = {};
@@ -238,6 +261,11 @@ class AchievementSystem {
     }
 
     updateAchievement(key, value) {
+        // Replays don't earn progress (and unlock bonuses would pay stars again)
+        if (window.gameManager?.isReplayPlayback?.()) {
+            return;
+        }
+
         if (!this.achievements[key]) {
             // Use logger instead of console.warn for better error handling
             window.logger.warn(`Achievement '${key}' not found`);
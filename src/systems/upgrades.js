@@ -14,12 +14,29 @@ class UpgradeSystem {
         this.upgradeOptionsContainer = document.getElementById('upgrade-options');
         this.levelUpActive = false;
         this.levelUpKeyListener = null; // Store reference to listener for cleanup
+        this.levelUpChoices = null; // Upgrades currently offered in the level-up menu
+        this.chestRewardsActive = false; // Boss chest reward screen is showing
+        this.chestDismissListener = null;
         this.comboEffects = new Set();
 
+        // Level-up agency: per-run charges and upgrades banished from this run's pool
+        this.upgradeActionsContainer = document.getElementById('upgrade-actions');
+        this.banishedUpgrades = new Set();
+        this.levelUpCharges = this._getStartingCharges();
+        this.banishMode = false;
+
         // Auto-level feature: load from StorageManager
         this.autoLevelEnabled = window.StorageManager.getBoolean('autoLevelEnabled', false);
     }
 
+    /**
+     * Upgrade offers draw from the seeded run RNG so shared seeds see the same choices
+     */
+    _random() {
+        const rng = window.Game?.rng;
+        return rng ? rng.next() : Math.random();
+    }
+
     resetForNewRun() {
         // Clear any persistent upgrade state between runs
         if (Array.isArray(this.selectedUpgrades)) {
@@ -34,12 +51,20 @@ class UpgradeSystem {
             this.comboEffects = new Set();
         }
 
+        if (this.chestRewardsActive) {
+            this.closeChestRewards();
+        }
         this.levelUpActive = false;
         this.removeKeyboardShortcuts();
 
+        this.banishedUpgrades.clear();
+        this.levelUpCharges = this._getStartingCharges();
+        this.banishMode = false;
+
         // Refresh DOM references in case the UI was re-rendered
         this.levelUpContainer = document.getElementById('level-up-container');
         this.upgradeOptionsContainer = document.getElementById('upgrade-options');
+        this.upgradeActionsContainer = document.getElementById('upgrade-actions');
 
         if (this.levelUpContainer) {
             this.levelUpContainer.classList.add('hidden');
@@ -50,6 +75,11 @@ class UpgradeSystem {
     }
     
     showUpgradeOptions() {
+        // A level-up landing on an open chest screen takes it over
+        if (this.chestRewardsActive) {
+            this.closeChestRewards();
+        }
+
         const options = this.getRandomUpgrades(3);
 
         if (!Array.isArray(options) || options.length === 0) {
@@ -57,13 +87,38 @@ class UpgradeSystem {
             return;
         }
 
+        // Replay playback: apply the recorded choice without showing the UI
+        const replay = window.replaySystem;
+        if (replay?.isPlaying?.()) {
+            let offered = options;
+            let choice = replay.takeUpgradeChoice(offered);
+            while (choice?.action) {
+                // Rerolls and banishes redraw the offer; a skip ends this level-up
+                offered = this._applyLevelUpAction(choice.action, offered, choice.upgradeId);
+                if (!offered) return;
+                if (offered.length === 0) {
+                    this.handleMissingUpgradeOptions();
+                    return;
+                }
+                choice = replay.takeUpgradeChoice(offered);
+            }
+            if (choice) {
+                if (choice.auto) {
+                    this._random(); // Auto-level consumed one roll when this was recorded
+                }
+                this._applyUpgradeCore(choice.upgrade);
+                return;
+            }
+        }
+
         // Auto-level: immediately select random upgrade if enabled
         // Do this BEFORE setting any state to avoid blocking input
         if (this.autoLevelEnabled) {
-            const randomIndex = Math.floor(Math.random() * options.length);
+            const randomIndex = Math.floor(this._random() * options.length);
             const selectedUpgrade = options[randomIndex];
 
             // Directly apply upgrade without state changes or pausing
+            replay?.recordUpgradeChoice?.(selectedUpgrade, true);
             this.applyUpgradeDirectly(selectedUpgrade);
             return;
         }
@@ -76,58 +131,211 @@ class UpgradeSystem {
             window.gameManager.game.isPaused = true;
         }
 
+        this._renderUpgradeOptions(options);
+
+        // Show the level up UI
+        if (this.levelUpContainer) {
+            this.levelUpContainer.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Fill the level-up menu with cards and charge buttons (also used after a reroll/banish)
+     */
+    _renderUpgradeOptions(options) {
         // Clear previous options
         this.upgradeOptionsContainer.innerHTML = '';
 
         // Add upgrade options to the DOM
         options.forEach((upgrade, index) => {
-            const option = document.createElement('div');
-            option.className = 'upgrade-option';
-            option.dataset.rarity = upgrade.rarity || 'common';
-            option.dataset.index = index + 1; // Store numeric index
+            const shortcut = window.inputManager?.getBindingLabel?.(`upgrade${index + 1}`) || (index + 1).toString();
+            const option = this._createUpgradeOption(upgrade, index, shortcut);
 
-            // Create elements safely to prevent XSS
-            const shortcutKey = document.createElement('div');
-            shortcutKey.className = 'shortcut-key';
-            shortcutKey.textContent = (index + 1).toString();
+            option.addEventListener('click', () => {
+                this.selectUpgradeAt(index);
+            });
 
-            const upgradeIcon = document.createElement('div');
-            upgradeIcon.className = 'upgrade-icon';
-            upgradeIcon.textContent = upgrade.icon || '';
+            this.upgradeOptionsContainer.appendChild(option);
+        });
 
-            const upgradeName = document.createElement('h3');
-            upgradeName.textContent = upgrade.name || '';
+        this.levelUpContainer?.classList?.toggle('banish-mode', this.banishMode);
+        this._renderLevelUpActions();
 
-            const upgradeDesc = document.createElement('p');
-            upgradeDesc.textContent = upgrade.description || '';
+        // Add keyboard shortcut listener
+        this.addKeyboardShortcuts(options);
+    }
 
-            const upgradeRarity = document.createElement('div');
-            upgradeRarity.className = 'upgrade-rarity';
-            upgradeRarity.textContent = upgrade.rarity || 'common';
+    /**
+     * Reroll / Banish / Skip buttons with their remaining charges
+     */
+    _renderLevelUpActions() {
+        const container = this.upgradeActionsContainer;
+        if (!container) return;
+
+        container.innerHTML = '';
+        const charges = this.levelUpCharges;
+        const hasCharges = charges.reroll + charges.banish + charges.skip > 0;
+        container.classList.toggle('hidden', !hasCharges);
+        if (!hasCharges) return;
+
+        const actions = [
+            { action: 'rerollUpgrades', label: 'Reroll', count: charges.reroll },
+            { action: 'banishUpgrade', label: this.banishMode ? 'Cancel Banish' : 'Banish', count: charges.banish },
+            { action: 'skipUpgrade', label: 'Skip', count: charges.skip }
+        ];
+        actions.forEach(({ action, label, count }) => {
+            const button = document.createElement('button');
+            button.className = 'upgrade-action';
+            button.dataset.action = action;
+            button.disabled = count <= 0;
+            const key = window.inputManager?.getBindingLabel?.(action);
+            button.textContent = `${label}${key ? ` [${key}]` : ''} x${count}`;
+            button.addEventListener('click', () => this.handleLevelUpAction(action));
+            container.appendChild(button);
+        });
+    }
+    
+    _createUpgradeOption(upgrade, index, shortcut) {
+        const option = document.createElement('div');
+        option.className = 'upgrade-option';
+        option.dataset.rarity = upgrade.rarity || 'common';
+        option.dataset.index = index + 1; // Store numeric index
+
+        // Create elements safely to prevent XSS
+        const shortcutKey = document.createElement('div');
+        shortcutKey.className = 'shortcut-key';
+        shortcutKey.textContent = shortcut;
+
+        const upgradeIcon = document.createElement('div');
+        upgradeIcon.className = 'upgrade-icon';
+        upgradeIcon.textContent = upgrade.icon || '';
+
+        const upgradeName = document.createElement('h3');
+        upgradeName.textContent = upgrade.name || '';
+
+        const upgradeDesc = document.createElement('p');
+        upgradeDesc.textContent = upgrade.description || '';
+
+        const upgradeRarity = document.createElement('div');
+        upgradeRarity.className = 'upgrade-rarity';
+        upgradeRarity.textContent = upgrade.rarity || 'common';
+
+        // Append all elements
+        option.appendChild(shortcutKey);
+        option.appendChild(upgradeIcon);
+        option.appendChild(upgradeName);
+        option.appendChild(upgradeDesc);
+        option.appendChild(upgradeRarity);
+        return option;
+    }
 
-            // Append all elements
-            option.appendChild(shortcutKey);
-            option.appendChild(upgradeIcon);
-            option.appendChild(upgradeName);
-            option.appendChild(upgradeDesc);
-            option.appendChild(upgradeRarity);
+    /**
+     * Boss chest: grant several upgrades at once and list them on the level-up screen.
+     * Auto-level, replay playback and an already open menu skip the screen and
+     * only flash the icons, so the chest never blocks the run.
+     * @param {number} count - Upgrades to grant
+     * @returns {Object[]} Upgrades granted
+     */
+    showChestRewards(count = 3) {
+        const rewards = this.getRandomUpgrades(count);
+        if (!Array.isArray(rewards) || rewards.length === 0) {
+            return [];
+        }
 
-            option.addEventListener('click', () => {
-                this.selectUpgrade(upgrade);
-            });
+        rewards.forEach(upgrade => this._applyUpgradeCore(upgrade));
+        window.audioSystem?.play?.('levelUp', 0.5);
 
-            this.upgradeOptionsContainer.appendChild(option);
+        const skipScreen = this.autoLevelEnabled ||
+            this.levelUpActive ||
+            window.replaySystem?.isPlaying?.() ||
+            !this.levelUpContainer ||
+            !this.upgradeOptionsContainer;
+
+        if (skipScreen) {
+            const player = window.gameManager?.game?.player;
+            if (player && window.gameManager?.showFloatingText) {
+                const icons = rewards.map(upgrade => upgrade.icon || '+').join(' ');
+                window.gameManager.showFloatingText(icons, player.x, player.y - 50, '#f39c12', 22);
+            }
+            return rewards;
+        }
+
+        this.chestRewardsActive = true;
+        this.levelUpActive = true;
+        this.upgradeActionsContainer?.classList?.add('hidden');
+        if (window.gameManager && window.gameManager.game) {
+            window.gameManager.game.isPaused = true;
+        }
+
+        this.upgradeOptionsContainer.innerHTML = '';
+        rewards.forEach((upgrade, index) => {
+            this.upgradeOptionsContainer.appendChild(this._createUpgradeOption(upgrade, index, '✓'));
         });
+        this._setChestHeader(true);
+        this.levelUpContainer.classList.remove('hidden');
+
+        // Any click, Enter or upgrade shortcut closes the screen
+        this.removeKeyboardShortcuts();
+        this.levelUpChoices = rewards;
+        this.levelUpKeyListener = (e) => {
+            const action = window.inputManager?.getActionForKey?.(e.key) || `upgrade${e.key}`;
+            if (e.key === 'Enter' || /^upgrade[1-3]$/.test(action)) {
+                this.closeChestRewards();
+            }
+        };
+        window.addEventListener('keydown', this.levelUpKeyListener);
+        this.chestDismissListener = () => this.closeChestRewards();
+        this.levelUpContainer.addEventListener('click', this.chestDismissListener);
+
+        return rewards;
+    }
+
+    closeChestRewards() {
+        if (!this.chestRewardsActive) return;
+        this.chestRewardsActive = false;
 
-        // Show the level up UI
         if (this.levelUpContainer) {
-            this.levelUpContainer.classList.remove('hidden');
+            if (this.chestDismissListener) {
+                this.levelUpContainer.removeEventListener('click', this.chestDismissListener);
+            }
+            this.levelUpContainer.classList.add('hidden');
         }
+        this.chestDismissListener = null;
+        this._setChestHeader(false);
+        this.removeKeyboardShortcuts();
+        this.levelUpActive = false;
 
-        // Add keyboard shortcut listener
-        this.addKeyboardShortcuts(options);
+        if (window.gameManager && window.gameManager.game) {
+            window.gameManager.game.isPaused = false;
+        }
     }
-    
+
+    /**
+     * Swap the level-up title and hints for the chest screen and back
+     */
+    _setChestHeader(isChest) {
+        const container = this.levelUpContainer;
+        if (!container?.querySelector) return;
+
+        const title = container.querySelector('h2');
+        if (title) {
+            title.textContent = isChest ? 'Boss Chest!' : 'Level Up!';
+        }
+        container.querySelectorAll('.shortcut-hint').forEach((hint, index) => {
+            if (index === 0) {
+                // Remember the level-up hint so the chest text can be swapped back
+                if (isChest) {
+                    hint.dataset.levelUpText = hint.textContent;
+                    hint.textContent = 'Click or press Enter to continue';
+                } else if (hint.dataset.levelUpText) {
+                    hint.textContent = hint.dataset.levelUpText;
+                }
+            } else {
+                hint.classList.toggle('hidden', isChest);
+            }
+        });
+    }
+
     applyUpgradeDirectly(upgrade) {
         // Streamlined upgrade application for auto-level (no UI state changes)
         // Apply the core upgrade logic
@@ -151,6 +359,21 @@ class UpgradeSystem {
         }
     }
 
+    /**
+     * Grant an upgrade at run start without any level-up UI (character mastery starting upgrade)
+     * @param {string} upgradeId - UPGRADE_DEFINITIONS id
+     * @returns {boolean} False if the upgrade is unknown
+     */
+    grantStartingUpgrade(upgradeId) {
+        const upgrade = (window.UPGRADE_DEFINITIONS || []).find(def => def.id === upgradeId);
+        if (!upgrade) {
+            window.logger.warn(`[UpgradeSystem] Unknown starting upgrade "${upgradeId}"`);
+            return false;
+        }
+        this._applyUpgradeCore(upgrade);
+        return true;
+    }
+
     _applyUpgradeCore(upgrade) {
         // Core upgrade application logic shared by both manual and auto-level
         const upgradeInstance = this._cloneUpgrade(upgrade);
@@ -180,6 +403,12 @@ class UpgradeSystem {
 
         // Track stats
         window.gameManager?.statsManager?.trackSpecialEvent?.('upgrade_chosen');
+        if (upgradeInstance.type === 'weaponEvolution') {
+            window.gameManager?.statsManager?.trackSpecialEvent?.('weapon_evolved', {
+                evolutionId: upgradeInstance.id,
+                weaponId: upgradeInstance.evolvedWeaponId
+            });
+        }
         window.achievementSystem?.onUpgradeSelected?.(upgradeInstance?.id);
     }
 
@@ -217,17 +446,22 @@ class UpgradeSystem {
     addKeyboardShortcuts(upgrades) {
         // Remove existing listener if present
         this.removeKeyboardShortcuts();
+
+        // Kept for gamepad selection (InputManager calls selectUpgradeAt)
+        this.levelUpChoices = upgrades;
         
         // Create new listener
         this.levelUpKeyListener = (e) => {
-            // Check if a number key 1-3 was pressed
-            if (e.key >= '1' && e.key <= '3') {
-                const index = parseInt(e.key) - 1;
-                
-                // Make sure the index is valid
-                if (index >= 0 && index < upgrades.length) {
-                    this.selectUpgrade(upgrades[index]);
-                }
+            // Check if an upgrade choice key was pressed (1-3 unless rebound)
+            const input = window.inputManager;
+            const action = typeof input?.getActionForKey === 'function'
+                ? input.getActionForKey(e.key)
+                : `upgrade${e.key}`;
+            const match = /^upgrade([1-3])$/.exec(action || '');
+            if (match) {
+                this.selectUpgradeAt(parseInt(match[1], 10) - 1);
+            } else if (action) {
+                this.handleLevelUpAction(action);
             }
         };
         
@@ -241,6 +475,176 @@ class UpgradeSystem {
             window.removeEventListener('keydown', this.levelUpKeyListener);
             this.levelUpKeyListener = null;
         }
+        this.levelUpChoices = null;
+    }
+
+    /**
+     * Pick one of the offered upgrades by position (keyboard or gamepad shortcut)
+     * @param {number} index - Zero-based choice index
+     */
+    selectUpgradeAt(index) {
+        if (this.chestRewardsActive) {
+            this.closeChestRewards();
+            return;
+        }
+        const upgrades = this.levelUpChoices;
+        // Make sure the index is valid
+        if (this.levelUpActive && Array.isArray(upgrades) && index >= 0 && index < upgrades.length) {
+            if (this.banishMode) {
+                this.banishUpgradeAt(index);
+            } else {
+                this.selectUpgrade(upgrades[index]);
+            }
+        }
+    }
+
+    /**
+     * Reroll, banish and skip shortcuts (keyboard, gamepad and the menu buttons)
+     * @param {string} action - InputManager action name
+     * @returns {boolean} True if the action was handled
+     */
+    handleLevelUpAction(action) {
+        if (!this.levelUpActive || this.chestRewardsActive) return false;
+
+        switch (action) {
+            case 'rerollUpgrades':
+                return this.rerollUpgrades();
+            case 'banishUpgrade':
+                return this.toggleBanishMode();
+            case 'skipUpgrade':
+                return this.skipLevelUp();
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Spend a reroll charge on a fresh set of choices
+     */
+    rerollUpgrades() {
+        if (!this.levelUpActive || this.levelUpCharges.reroll <= 0) return false;
+
+        window.replaySystem?.recordUpgradeAction?.('reroll');
+        this.banishMode = false;
+        this._renderUpgradeOptions(this._applyLevelUpAction('reroll', this.levelUpChoices));
+        return true;
+    }
+
+    /**
+     * Arm (or cancel) banishing: the next pick removes that card instead of taking it
+     */
+    toggleBanishMode() {
+        if (!this.levelUpActive || (!this.banishMode && this.levelUpCharges.banish <= 0)) return false;
+
+        this.banishMode = !this.banishMode;
+        this.levelUpContainer?.classList?.toggle('banish-mode', this.banishMode);
+        this._renderLevelUpActions();
+        return true;
+    }
+
+    /**
+     * Remove an offered upgrade from the rest of the run and draw a replacement
+     * @param {number} index - Zero-based choice index
+     */
+    banishUpgradeAt(index) {
+        const upgrade = this.levelUpChoices?.[index];
+        if (!this.levelUpActive || !upgrade || this.levelUpCharges.banish <= 0) return false;
+
+        window.replaySystem?.recordUpgradeAction?.('banish', upgrade.id);
+        this.banishMode = false;
+        const options = this._applyLevelUpAction('banish', this.levelUpChoices, upgrade.id);
+        if (options.length === 0) {
+            // Banished the last card the pool could offer
+            this._closeLevelUpScreen();
+            this.handleMissingUpgradeOptions();
+        } else {
+            this._renderUpgradeOptions(options);
+        }
+        return true;
+    }
+
+    /**
+     * Spend a skip charge: take no upgrade and salvage XP (or a star token) instead
+     */
+    skipLevelUp() {
+        if (!this.levelUpActive || this.levelUpCharges.skip <= 0) return false;
+
+        window.replaySystem?.recordUpgradeAction?.('skip');
+        this._closeLevelUpScreen();
+        this._applyLevelUpAction('skip', null);
+        return true;
+    }
+
+    /**
+     * Shared by the menu and replay playback so both consume charges and RNG identically
+     * @param {string} action - 'reroll', 'banish' or 'skip'
+     * @param {Object[]} options - Choices currently offered
+     * @param {string|null} upgradeId - Upgrade to banish
+     * @returns {Object[]|null} The new offer, or null once the level-up is skipped
+     */
+    _applyLevelUpAction(action, options, upgradeId = null) {
+        const charges = this.levelUpCharges;
+        const offered = Array.isArray(options) ? options : [];
+
+        switch (action) {
+            case 'reroll':
+                charges.reroll = Math.max(0, charges.reroll - 1);
+                return this.getRandomUpgrades(3);
+            case 'banish': {
+                charges.banish = Math.max(0, charges.banish - 1);
+                this.banishedUpgrades.add(upgradeId);
+                const kept = offered.filter(upgrade => upgrade.id !== upgradeId);
+                const replacement = this.getRandomUpgrades(3).find(upgrade => !kept.some(other => other.id === upgrade.id));
+                return offered
+                    .map(upgrade => (upgrade.id === upgradeId ? replacement : upgrade))
+                    .filter(Boolean);
+            }
+            case 'skip':
+                charges.skip = Math.max(0, charges.skip - 1);
+                this._grantSkipReward();
+                return null;
+            default:
+                window.logger.warn(`Unknown level-up action "${action}"`);
+                return offered;
+        }
+    }
+
+    _grantSkipReward() {
+        const constants = window.GAME_CONSTANTS?.LEVEL_UP || {};
+        const gm = window.gameManager;
+        const player = gm?.game?.player;
+
+        if (window.StorageManager.getInt('meta_skip_salvage', 0) > 0) {
+            const tokens = constants.SKIP_STAR_TOKENS ?? 1;
+            gm?.statsManager?.earnStarTokens?.(tokens);
+            if (player) {
+                gm?.showFloatingText?.(`+${tokens} *`, player.x, player.y - 50, '#b37dff', 22);
+            }
+            return;
+        }
+
+        if (player && typeof player.addXP === 'function') {
+            const amount = Math.max(1, Math.round((player.stats?.xpToNextLevel || 0) * (constants.SKIP_XP_SHARE ?? 0.25)));
+            player.addXP(amount);
+            gm?.showFloatingText?.(`+${amount} XP`, player.x, player.y - 50, '#2ecc71', 22);
+        }
+    }
+
+    /**
+     * Charges for a new run: GAME_CONSTANTS.LEVEL_UP base plus one per meta upgrade level
+     */
+    _getStartingCharges() {
+        const constants = window.GAME_CONSTANTS?.LEVEL_UP || {};
+        const metaLevel = id => window.StorageManager.getInt(`meta_${id}`, 0);
+        return {
+            reroll: (constants.BASE_REROLLS ?? 0) + metaLevel('upgrade_reroll'),
+            banish: (constants.BASE_BANISHES ?? 0) + metaLevel('upgrade_banish'),
+            skip: (constants.BASE_SKIPS ?? 0) + metaLevel('upgrade_skip')
+        };
+    }
+
+    getLevelUpCharges() {
+        return { ...this.levelUpCharges };
     }
     
     isLevelUpActive() {
@@ -260,12 +664,22 @@ class UpgradeSystem {
     getRandomUpgrades(count) {
         // Get player and weapon info
         const player = window.gameManager?.game?.player;
-        const activeWeaponId = player?.combat?.weaponManager?.getActiveWeaponId?.();
+        const weaponManager = player?.combat?.weaponManager;
+        const activeWeaponId = weaponManager?.getActiveWeaponId?.();
         const weaponDefinitions = typeof window !== 'undefined' ? (window.WEAPON_DEFINITIONS || {}) : {};
         const activeWeaponDefinition = activeWeaponId ? weaponDefinitions[activeWeaponId] : null;
-        const activeWeaponTags = Array.isArray(activeWeaponDefinition?.upgradeTags)
-            ? activeWeaponDefinition.upgradeTags
-            : [];
+
+        // Weapon-specific upgrades match any equipped weapon, not only the active one
+        const equippedWeaponIds = typeof weaponManager?.getEquippedWeaponIds === 'function'
+            ? weaponManager.getEquippedWeaponIds()
+            : (activeWeaponId ? [activeWeaponId] : []);
+        const equippedWeaponTags = new Set();
+        equippedWeaponIds.forEach(id => {
+            const tags = weaponDefinitions[id]?.upgradeTags;
+            if (Array.isArray(tags)) {
+                tags.forEach(tag => equippedWeaponTags.add(tag));
+            }
+        });
 
         const availableUpgrades = this.availableUpgrades.filter(upgrade => {
             // NEW: Character restriction filtering
@@ -275,6 +689,10 @@ class UpgradeSystem {
                     return false; // This upgrade is locked to a different character
                 }
             }
+
+            if (upgrade.requiresSecondary && !weaponManager?.getSecondaryWeapon?.()) {
+                return false;
+            }
             
             // Exclude any non-stackable upgrade already selected
             if (!upgrade.stackable && this.isUpgradeSelected(upgrade.id)) {
@@ -311,7 +729,7 @@ class UpgradeSystem {
                     return false;
                 }
                 const matchesTags = upgrade.weaponTags.some(tag =>
-                    activeWeaponTags.includes(tag) || tag === activeWeaponDefinition.id
+                    equippedWeaponTags.has(tag) || equippedWeaponIds.includes(tag)
                 );
                 if (!matchesTags) {
                     return false;
@@ -320,6 +738,13 @@ class UpgradeSystem {
             
             return true;
         });
+
+        availableUpgrades.push(...this.getWeaponOffers(weaponManager, weaponDefinitions));
+
+        // Evolution cards skip the weighted roll so they show up as soon as they unlock
+        const evolutionOffers = this.getEvolutionOffers(weaponManager)
+            .filter(upgrade => !this.banishedUpgrades.has(upgrade.id))
+            .slice(0, count);
         
         // Weight upgrades by rarity and build path
         const weightedPool = [];
@@ -328,6 +753,7 @@ class UpgradeSystem {
         
         const currentPath = this.getCurrentBuildPath();
         availableUpgrades.forEach(upgrade => {
+            if (this.banishedUpgrades.has(upgrade.id)) return;
             const weight = this.calculateUpgradeWeight({
                 upgrade,
                 currentPath,
@@ -339,9 +765,78 @@ class UpgradeSystem {
             }
         });
         
-        return this.selectWeightedUpgrades(weightedPool, count);
+        return [...evolutionOffers, ...this.selectWeightedUpgrades(weightedPool, count - evolutionOffers.length)];
     }
     
+    /**
+     * Level-up cards for weapon slots: a new weapon while a slot is free,
+     * or the next level of an equipped weapon
+     */
+    getWeaponOffers(weaponManager, weaponDefinitions) {
+        if (typeof weaponManager?.getEquippedWeaponIds !== 'function') {
+            return [];
+        }
+
+        const offers = [];
+        weaponManager.getOfferableWeaponIds().forEach(weaponId => {
+            const definition = weaponDefinitions[weaponId];
+            offers.push({
+                id: `weapon_unlock_${weaponId}`,
+                name: definition.name,
+                description: `New weapon: ${definition.description || ''}`.trim(),
+                type: 'weaponUnlock',
+                weaponId,
+                icon: definition.icon || '+',
+                rarity: 'rare'
+            });
+        });
+
+        const config = window.GAME_CONSTANTS?.WEAPONS || {};
+        const damageBonus = Math.round((config.LEVEL_DAMAGE_BONUS || 0) * 100);
+        const fireRateBonus = Math.round((config.LEVEL_FIRE_RATE_BONUS || 0) * 100);
+        weaponManager.getEquippedWeaponIds().forEach(weaponId => {
+            const definition = weaponDefinitions[weaponId];
+            const level = weaponManager.getWeaponLevel(weaponId);
+            if (!definition || level >= weaponManager.getMaxWeaponLevel()) {
+                return;
+            }
+            offers.push({
+                id: `weapon_level_${weaponId}`,
+                name: `${definition.name} Lv ${level + 1}`,
+                description: `+${damageBonus}% damage and +${fireRateBonus}% fire rate for this weapon`,
+                type: 'weaponLevel',
+                weaponId,
+                icon: definition.icon || '^',
+                rarity: 'uncommon',
+                stackable: true
+            });
+        });
+
+        return offers;
+    }
+
+    /**
+     * Evolution cards for max-level weapons whose WEAPON_EVOLUTION_DEFINITIONS passive was picked
+     */
+    getEvolutionOffers(weaponManager) {
+        if (typeof weaponManager?.getAvailableEvolutions !== 'function') {
+            return [];
+        }
+
+        return weaponManager.getAvailableEvolutions(upgradeId => this.isUpgradeSelected(upgradeId))
+            .map(evolution => ({
+                id: evolution.id,
+                name: evolution.name,
+                description: evolution.description,
+                type: 'weaponEvolution',
+                weaponId: evolution.weaponId,
+                evolvedWeaponId: evolution.evolvedWeaponId,
+                icon: evolution.icon || '*',
+                rarity: 'evolution',
+                specialEffect: 'evolution_visual'
+            }));
+    }
+
     getBaseWeight(upgrade) {
         const rarity = upgrade.rarity || 'common';
         switch (rarity) {
@@ -432,7 +927,7 @@ class UpgradeSystem {
                 break;
             }
 
-            let pick = Math.random() * totalWeight;
+            let pick = this._random() * totalWeight;
             let chosenIndex = 0;
             for (let i = 0; i < pool.length; i++) {
                 pick -= pool[i].weight;
@@ -476,23 +971,31 @@ class UpgradeSystem {
     
     shuffleArray(array) {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this._random() * (i + 1));
             [array[i], array[j]] = [array[j], array[i]];
         }
         return array;
     }
     
     selectUpgrade(upgrade) {
+        window.replaySystem?.recordUpgradeChoice?.(upgrade, false);
+
         // Apply the core upgrade logic (shared with auto-level)
         this._applyUpgradeCore(upgrade);
 
         // Show special notification for manual selection
         this.showUpgradeNotification(upgrade);
 
+        this._closeLevelUpScreen();
+    }
+
+    _closeLevelUpScreen() {
         // Hide the level up UI
         if (this.levelUpContainer) {
             this.levelUpContainer.classList.add('hidden');
+            this.levelUpContainer.classList.remove('banish-mode');
         }
+        this.banishMode = false;
 
         // Clean up keyboard shortcuts
         this.removeKeyboardShortcuts();
@@ -557,6 +1060,10 @@ class UpgradeSystem {
                 // Create armor effect
                 effectsManager?.createSpecialEffect?.('circle', player.x, player.y, 50, '#95a5a6');
                 break;
+            case 'evolution_visual':
+                effectsManager?.createSpecialEffect?.('bossPhase', player.x, player.y, 120, '#ff00ff');
+                window.audioSystem?.play?.('levelUp', 0.5);
+                break;
             case 'range_indicator': {
                 // Create range indicator effect showing attack range
                 const attackRange = player.combat?.attackRange || 300;
@@ -3,7 +3,8 @@
  * 
  * Handles:
  * - Character selection and loadout display
- * - Character unlock checking
+ * - Character unlock checking (achievements, lifetime stars/bosses, mastery levels)
+ * - Mastery progress and reward picks (palette, starting upgrade)
  * - Weapon synchronization
  * - Character button state management
  */
@@ -152,6 +153,9 @@
             const descriptionEl = this.dom.loadoutDescription;
             if (!descriptionEl) return;
 
+            // Mastery reward buttons are rebuilt below
+            this.clearDynamicListeners();
+
             const definitions = this.getCharacterDefinitions();
             const character = definitions.find(item => item.id === characterId);
 
@@ -199,6 +203,10 @@
                 fragment.appendChild(ul);
             }
 
+            if (isUnlocked) {
+                this.appendMasterySection(fragment, character);
+            }
+
             if (!isUnlocked && character.unlockRequirement) {
                 const lockedNotice = document.createElement('div');
                 lockedNotice.className = 'char-desc-locked';
@@ -212,6 +220,89 @@
             descriptionEl.classList.toggle('is-locked', !isUnlocked);
         }
 
+        /**
+         * Mastery level, XP bar and rewards; unlocked palettes and starting
+         * upgrades toggle on click
+         */
+        appendMasterySection(fragment, character) {
+            const Mastery = window.Game?.CharacterMastery;
+            const rewards = Mastery?.getRewards?.(character.id) || [];
+            if (!rewards.length) return;
+
+            const progress = Mastery.getProgress(character.id);
+            const section = document.createElement('div');
+            section.className = 'char-desc-mastery';
+
+            const header = document.createElement('div');
+            header.className = 'char-mastery-header';
+            header.textContent = progress.nextLevelXp === null
+                ? `Mastery ${progress.level}/${progress.maxLevel} - MAX`
+                : `Mastery ${progress.level}/${progress.maxLevel} - ${progress.xp}/${progress.nextLevelXp} XP`;
+            section.appendChild(header);
+
+            const bar = document.createElement('div');
+            bar.className = 'char-mastery-bar';
+            const fill = document.createElement('div');
+            fill.className = 'char-mastery-fill';
+            const span = (progress.nextLevelXp ?? progress.levelXp) - progress.levelXp;
+            const ratio = span > 0 ? (progress.xp - progress.levelXp) / span : 1;
+            fill.style.width = `${Math.round(Math.min(1, Math.max(0, ratio)) * 100)}%`;
+            bar.appendChild(fill);
+            section.appendChild(bar);
+
+            const selectedPalette = Mastery.getPalette(character.id)?.id ?? null;
+            const selectedUpgrade = Mastery.getStartingUpgradeId(character.id);
+
+            rewards.forEach(reward => {
+                const unlocked = Mastery.isRewardUnlocked(character.id, reward);
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'char-mastery-reward';
+                button.textContent = `Lv ${reward.level} · ${this.formatMasteryReward(reward)}`;
+                button.classList.toggle('is-locked', !unlocked);
+
+                let toggle = null;
+                if (reward.type === 'palette') {
+                    const selected = selectedPalette === reward.id;
+                    button.classList.toggle('is-selected', selected);
+                    toggle = () => Mastery.selectPalette(character.id, selected ? null : reward.id);
+                } else if (reward.type === 'startingUpgrade') {
+                    const selected = selectedUpgrade === reward.upgradeId;
+                    button.classList.toggle('is-selected', selected);
+                    toggle = () => Mastery.selectStartingUpgrade(character.id, selected ? null : reward.upgradeId);
+                }
+
+                button.disabled = !unlocked || !toggle;
+                if (unlocked && toggle) {
+                    this.addDynamicListener(button, 'click', () => {
+                        toggle();
+                        this.updateLoadoutDescription(character.id);
+                    });
+                }
+                section.appendChild(button);
+            });
+
+            fragment.appendChild(section);
+        }
+
+        /**
+         * Label for a mastery reward
+         */
+        formatMasteryReward(reward) {
+            switch (reward.type) {
+                case 'palette':
+                    return `Palette: ${reward.name}`;
+                case 'startingUpgrade': {
+                    const upgrade = (window.UPGRADE_DEFINITIONS || []).find(def => def.id === reward.upgradeId);
+                    return `Start with ${upgrade?.name || reward.upgradeId}`;
+                }
+                case 'perk':
+                    return `Perk: ${reward.name} (${reward.description})`;
+                default:
+                    return reward.name || reward.type;
+            }
+        }
+
         /**
          * Update character button lock state
          */
@@ -338,6 +429,10 @@
             if (!requirement) {
                 return true;
             }
+            const progress = this.getRequirementProgress(requirement);
+            if (progress) {
+                return progress.current >= progress.target;
+            }
             const ids = this.normalizeRequirementIds(requirement);
             if (!ids.length) {
                 return true;
@@ -345,6 +440,18 @@
             return ids.every(id => this.isAchievementUnlocked(id));
         }
 
+        /**
+         * Progress toward a stars/bossesKilled/mastery requirement (null for achievements)
+         * @returns {{current: number, target: number}|null}
+         */
+        getRequirementProgress(requirement) {
+            if (!requirement?.type || requirement.type === 'achievement') {
+                return null;
+            }
+            return window.Game?.CharacterMastery?.getRequirementProgress?.(requirement)
+                ?? { current: 0, target: Infinity };
+        }
+
         /**
          * Normalize requirement IDs to an array
          */
@@ -391,8 +498,22 @@
             if (!requirement) {
                 return 'Locked';
             }
+            const progress = this.getRequirementProgress(requirement);
+            const subject = character?.name || 'this pilot';
             if (typeof requirement.hint === 'string' && requirement.hint.trim()) {
-                return requirement.hint;
+                return progress ? `${requirement.hint} (${progress.current}/${progress.target})` : requirement.hint;
+            }
+            if (progress) {
+                switch (requirement.type) {
+                    case 'stars':
+                        return `Locked - Earn ${progress.target} star tokens (${progress.current}/${progress.target}) to recruit ${subject}.`;
+                    case 'bossesKilled':
+                        return `Locked - Defeat ${progress.target} bosses (${progress.current}/${progress.target}) to recruit ${subject}.`;
+                    case 'mastery':
+                        return `Locked - Reach mastery level ${progress.target} with ${this.getCharacterName(requirement.characterId)} (now ${progress.current}) to recruit ${subject}.`;
+                    default:
+                        return 'Locked';
+                }
             }
             const ids = this.normalizeRequirementIds(requirement);
             if (!ids.length) {
@@ -403,7 +524,6 @@
                 return def?.name || id;
             });
             const plural = achievementNames.length > 1 ? 'achievements' : 'achievement';
-            const subject = character?.name || 'this pilot';
             return `Locked - Unlock ${plural} ${achievementNames.join(', ')} to recruit ${subject}.`;
         }
 
@@ -417,6 +537,16 @@
             if (typeof requirement.badge === 'string') {
                 return requirement.badge;
             }
+            switch (requirement.type) {
+                case 'stars':
+                    return `🔒 ${requirement.count} ★`;
+                case 'bossesKilled':
+                    return `🔒 ${requirement.count} bosses`;
+                case 'mastery':
+                    return `🔒 ${this.getCharacterName(requirement.characterId)} Lv ${requirement.level || 1}`;
+                default:
+                    break;
+            }
             const ids = this.normalizeRequirementIds(requirement);
             if (ids.length === 1) {
                 const def = this.getAchievementDefinition(ids[0]);
@@ -427,6 +557,10 @@
             return '🔒 Locked';
         }
 
+        getCharacterName(characterId) {
+            return this.getCharacterDefinitions().find(def => def.id === characterId)?.name || characterId;
+        }
+
         /**
          * Get achievement definition
          */
@@ -0,0 +1,157 @@
+/**
+ * DailyChallengePanel - Today's daily challenge and past daily bests
+ *
+ * Handles:
+ * - Today's forced pilot and run modifiers
+ * - Starting the daily run
+ * - Best result per date (stored by DailyChallenge)
+ */
+(function () {
+    const PanelBase = window.Game?.PanelBase;
+
+    if (!PanelBase) {
+        console.error('DailyChallengePanel requires PanelBase to be loaded first');
+        return;
+    }
+
+    class DailyChallengePanel extends PanelBase {
+        constructor(options = {}) {
+            super(options);
+            this.pagination.itemsPerPage = 8;
+        }
+
+        /**
+         * Render today's challenge and the history list
+         */
+        render() {
+            const DailyChallenge = window.Game?.DailyChallenge;
+            if (!DailyChallenge) {
+                return;
+            }
+
+            this.renderToday(DailyChallenge);
+            this.renderHistory(DailyChallenge);
+        }
+
+        renderToday(DailyChallenge) {
+            const container = this.dom.controls?.dailyToday;
+            if (!container) {
+                return;
+            }
+
+            const challenge = DailyChallenge.today();
+            const best = DailyChallenge.loadResults()[challenge.date];
+
+            const fragment = document.createDocumentFragment();
+
+            const date = document.createElement('div');
+            date.className = 'daily-date';
+            date.textContent = challenge.date;
+            fragment.appendChild(date);
+
+            const pilot = document.createElement('div');
+            pilot.className = 'daily-pilot';
+            const character = this.getCharacter(challenge.characterId);
+            pilot.textContent = `Pilot: ${character ? `${character.icon || ''} ${character.name}`.trim() : challenge.characterId}`;
+            fragment.appendChild(pilot);
+
+            const modifierList = document.createElement('ul');
+            modifierList.className = 'daily-modifiers';
+            DailyChallenge.getModifierDefinitions(challenge.modifiers).forEach(modifier => {
+                const item = document.createElement('li');
+                item.textContent = `${modifier.icon || ''} ${modifier.name} - ${modifier.description}`.trim();
+                modifierList.appendChild(item);
+            });
+            fragment.appendChild(modifierList);
+
+            const bestLine = document.createElement('div');
+            bestLine.className = 'daily-best';
+            bestLine.textContent = best
+                ? `Today's best: ${best.score} pts (${this.formatTime(best.time)}, ${best.attempts} attempt${best.attempts === 1 ? '' : 's'})`
+                : 'No attempt yet today';
+            fragment.appendChild(bestLine);
+
+            container.innerHTML = '';
+            container.appendChild(fragment);
+        }
+
+        renderHistory(DailyChallenge) {
+            const listElement = this.dom.controls?.dailyHistoryList;
+            if (!listElement) {
+                return;
+            }
+
+            const history = DailyChallenge.getHistory();
+            const totalItems = history.length;
+            this.pagination.totalPages = Math.max(1, Math.ceil(totalItems / this.pagination.itemsPerPage));
+            if (this.pagination.currentPage > this.pagination.totalPages) {
+                this.pagination.currentPage = this.pagination.totalPages;
+            }
+            const startIdx = (this.pagination.currentPage - 1) * this.pagination.itemsPerPage;
+            const pageEntries = history.slice(startIdx, startIdx + this.pagination.itemsPerPage);
+
+            const fragment = document.createDocumentFragment();
+            if (pageEntries.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'daily-history-empty';
+                empty.textContent = 'Finish a daily run to start your history.';
+                fragment.appendChild(empty);
+            }
+
+            pageEntries.forEach(entry => {
+                const row = document.createElement('div');
+                row.className = 'daily-history-item';
+                row.dataset.outcome = entry.outcome || 'defeat';
+
+                const date = document.createElement('span');
+                date.className = 'daily-history-date';
+                date.textContent = entry.date;
+
+                const character = this.getCharacter(entry.characterId);
+                const pilot = document.createElement('span');
+                pilot.className = 'daily-history-pilot';
+                pilot.textContent = character?.name || entry.characterId || '-';
+
+                const details = document.createElement('span');
+                details.className = 'daily-history-details';
+                details.textContent = `${this.formatTime(entry.time)} · ${entry.kills} kills · Lv ${entry.level}`;
+
+                const score = document.createElement('span');
+                score.className = 'daily-history-score';
+                score.textContent = `${entry.score}`;
+
+                row.appendChild(date);
+                row.appendChild(pilot);
+                row.appendChild(details);
+                row.appendChild(score);
+                fragment.appendChild(row);
+            });
+
+            listElement.innerHTML = '';
+            listElement.appendChild(fragment);
+
+            this.updatePaginationButtons(
+                this.dom.buttons?.dailyPrevPage,
+                this.dom.buttons?.dailyNextPage,
+                this.dom.controls?.dailyPageIndicator
+            );
+        }
+
+        getCharacter(characterId) {
+            const definitions = Array.isArray(window.CHARACTER_DEFINITIONS) ? window.CHARACTER_DEFINITIONS : [];
+            return definitions.find(def => def.id === characterId) || null;
+        }
+
+        formatTime(totalSeconds) {
+            const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+            const minutes = Math.floor(seconds / 60);
+            return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+        }
+    }
+
+    // Export to global namespace
+    if (typeof window !== 'undefined') {
+        window.Game = window.Game || {};
+        window.Game.DailyChallengePanel = DailyChallengePanel;
+    }
+})();
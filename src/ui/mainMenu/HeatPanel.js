@@ -0,0 +1,99 @@
+/**
+ * HeatPanel - Pre-run curse selection
+ *
+ * Handles:
+ * - Toggling curses (stored by HeatSystem, applied to normal and Boss Rush runs)
+ * - Total heat and the star token multiplier it gives
+ * - Highest heat cleared with the selected pilot
+ * - Starting a normal run from the panel
+ */
+(function () {
+    const PanelBase = window.Game?.PanelBase;
+
+    if (!PanelBase) {
+        console.error('HeatPanel requires PanelBase to be loaded first');
+        return;
+    }
+
+    class HeatPanel extends PanelBase {
+        /**
+         * Render the summary line and the curse toggles
+         */
+        render() {
+            const HeatSystem = window.Game?.HeatSystem;
+            if (!HeatSystem) {
+                return;
+            }
+
+            this.clearDynamicListeners();
+            const selection = HeatSystem.getSelection();
+            this.renderSummary(HeatSystem, selection);
+            this.renderCurses(HeatSystem, selection);
+        }
+
+        renderSummary(HeatSystem, selection) {
+            const summary = this.dom.controls?.heatSummary;
+            if (!summary) {
+                return;
+            }
+
+            const heat = HeatSystem.getHeat(selection);
+            const multiplier = Math.round(HeatSystem.getStarMultiplier(heat) * 100) / 100;
+            const characterId = this.mainController?.characterSelector?.getSelectedCharacterId?.();
+            const character = (window.CHARACTER_DEFINITIONS || []).find(def => def.id === characterId);
+
+            let text = `Heat ${heat} · Star tokens x${multiplier}`;
+            if (character) {
+                text += ` · ${character.name} best clear: ${HeatSystem.getHighestHeat(character.id)}`;
+            }
+            summary.textContent = text;
+        }
+
+        renderCurses(HeatSystem, selection) {
+            const container = this.dom.controls?.heatCurses;
+            if (!container) {
+                return;
+            }
+
+            const fragment = document.createDocumentFragment();
+            HeatSystem.getCurses().forEach(curse => {
+                const active = selection.includes(curse.id);
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'heat-curse';
+                button.classList.toggle('is-active', active);
+                button.setAttribute('aria-pressed', String(active));
+
+                const name = document.createElement('span');
+                name.className = 'heat-curse-name';
+                name.textContent = `${curse.icon || ''} ${curse.name}`.trim();
+
+                const description = document.createElement('span');
+                description.className = 'heat-curse-description';
+                description.textContent = curse.description;
+
+                const heat = document.createElement('span');
+                heat.className = 'heat-curse-heat';
+                heat.textContent = `+${curse.heat}`;
+
+                button.appendChild(name);
+                button.appendChild(description);
+                button.appendChild(heat);
+                this.addDynamicListener(button, 'click', () => {
+                    HeatSystem.toggleCurse(curse.id);
+                    this.render();
+                });
+                fragment.appendChild(button);
+            });
+
+            container.innerHTML = '';
+            container.appendChild(fragment);
+        }
+    }
+
+    // Export to global namespace
+    if (typeof window !== 'undefined') {
+        window.Game = window.Game || {};
+        window.Game.HeatPanel = HeatPanel;
+    }
+})();
@@ -6,6 +6,10 @@
  * - Shop panel (via ShopPanel)
  * - Achievements panel (via AchievementsPanel)
  * - Settings panel (via SettingsPanel)
+ * - Daily challenge panel (via DailyChallengePanel)
+ * - Heat curse selection (via HeatPanel)
+ * - Run history panel (via RunHistoryPanel)
+ * - Save profile picker (via ProfilePanel)
  * - Menu backgrounds (via MenuBackgroundRenderer)
  * - Pause menu
  * - Main menu visibility
@@ -36,6 +40,12 @@
             if (typeof window !== 'undefined' && window.addEventListener) {
                 window.addEventListener('achievementUnlocked', this.achievementUnlockHandler);
             }
+
+            // Refresh menu contents when the save profile changes
+            this.profileChangedHandler = () => this.handleProfileChanged();
+            if (typeof window !== 'undefined' && window.addEventListener) {
+                window.addEventListener('profileChanged', this.profileChangedHandler);
+            }
         }
 
         /**
@@ -65,6 +75,18 @@
 
             // Settings panel
             this.settingsPanel = new window.Game.SettingsPanel(sharedOptions);
+
+            // Daily challenge panel
+            this.dailyChallengePanel = new window.Game.DailyChallengePanel(sharedOptions);
+
+            // Heat (curse) panel
+            this.heatPanel = new window.Game.HeatPanel(sharedOptions);
+
+            // Run history panel
+            this.runHistoryPanel = new window.Game.RunHistoryPanel(sharedOptions);
+
+            // Profile panel
+            this.profilePanel = new window.Game.ProfilePanel(sharedOptions);
         }
 
         /**
@@ -87,11 +109,31 @@
                 shopItems: byId('shop-items'),
                 buttons: {
                     normal: byId('btn-normal'),
+                    bossRush: byId('btn-boss-rush'),
+                    daily: byId('btn-daily'),
+                    dailyStart: byId('daily-start'),
+                    dailyClose: byId('daily-close'),
+                    dailyPrevPage: byId('daily-prev-page'),
+                    dailyNextPage: byId('daily-next-page'),
+                    heat: byId('btn-heat'),
+                    heatStart: byId('heat-start'),
+                    heatClose: byId('heat-close'),
+                    history: byId('btn-history'),
+                    historyClose: byId('history-close'),
+                    historyPrevPage: byId('history-prev-page'),
+                    historyNextPage: byId('history-next-page'),
+                    profile: byId('btn-profile'),
+                    profileClose: byId('profile-close'),
+                    profileCreate: byId('profile-create'),
                     settings: byId('btn-settings'),
                     settingsClose: byId('settings-close'),
+                    saveExport: byId('save-export'),
+                    saveImport: byId('save-import'),
+                    controlsReset: byId('controls-reset'),
                     shop: byId('btn-shop'),
                     shopClose: byId('shop-close'),
                     achievements: byId('btn-achievements'),
+                    loadReplay: byId('btn-load-replay'),
                     achievementsClose: byId('achievements-close'),
                     resume: byId('resume-button'),
                     restartPause: byId('restart-button-pause'),
@@ -105,6 +147,10 @@
                     settings: byId('settings-panel'),
                     shop: byId('shop-panel'),
                     achievements: byId('achievements-panel'),
+                    daily: byId('daily-panel'),
+                    heat: byId('heat-panel'),
+                    history: byId('history-panel'),
+                    profile: byId('profile-panel'),
                     pause: byId('pause-menu')
                 },
                 loadoutSelector: byId('loadout-selector'),
@@ -114,12 +160,31 @@
                     muteCheckbox: byId('mute-checkbox'),
                     volumeRange: byId('volume-range'),
                     lowQualityCheckbox: byId('lowquality-checkbox'),
+                    manualAimCheckbox: byId('manualaim-checkbox'),
                     difficultySelect: byId('difficulty-select'),
+                    replayFileInput: byId('replay-file-input'),
+                    saveImportInput: byId('save-import-input'),
+                    saveDataStatus: byId('save-data-status'),
+                    controlsDevice: byId('controls-device'),
+                    controlsBindings: byId('controls-bindings'),
+                    controlsStatus: byId('controls-status'),
                     achievementsCount: byId('achievements-count'),
                     achievementsList: byId('achievements-list'),
                     achievementsSidebar: byId('achievements-sidebar'),
                     shopPageIndicator: byId('shop-page-indicator'),
-                    achievementsPageIndicator: byId('achievements-page-indicator')
+                    achievementsPageIndicator: byId('achievements-page-indicator'),
+                    dailyToday: byId('daily-today'),
+                    dailyHistoryList: byId('daily-history-list'),
+                    dailyPageIndicator: byId('daily-page-indicator'),
+                    heatSummary: byId('heat-summary'),
+                    heatCurses: byId('heat-curses'),
+                    historySort: byId('history-sort'),
+                    historyCharacterFilter: byId('history-character-filter'),
+                    historyList: byId('history-list'),
+                    historyPageIndicator: byId('history-page-indicator'),
+                    profileName: byId('profile-name'),
+                    profileList: byId('profile-list'),
+                    profileNewName: byId('profile-new-name')
                 }
             };
         }
@@ -131,11 +196,54 @@
             const buttons = this.dom.buttons || {};
 
             this.addListener(buttons.normal, 'click', () => this.handleStartNormalMode());
+            this.addListener(buttons.bossRush, 'click', () => this.handleStartBossRushMode());
+            this.addListener(buttons.daily, 'click', () => {
+                this.dailyChallengePanel.pagination.currentPage = 1;
+                this.showPanel('daily');
+                this.dailyChallengePanel.render();
+            });
+            this.addListener(buttons.dailyStart, 'click', () => this.handleStartDailyChallenge());
+            this.addListener(buttons.dailyClose, 'click', () => this.hidePanel('daily'));
+            this.addListener(buttons.dailyPrevPage, 'click', () => this.dailyChallengePanel.navigatePage(-1));
+            this.addListener(buttons.dailyNextPage, 'click', () => this.dailyChallengePanel.navigatePage(1));
+            this.addListener(buttons.heat, 'click', () => {
+                this.showPanel('heat');
+                this.heatPanel.render();
+            });
+            this.addListener(buttons.heatStart, 'click', () => this.handleStartHeatRun());
+            this.addListener(buttons.heatClose, 'click', () => this.hidePanel('heat'));
+            this.addListener(buttons.history, 'click', () => {
+                this.runHistoryPanel.pagination.currentPage = 1;
+                this.showPanel('history');
+                this.runHistoryPanel.render();
+            });
+            this.addListener(buttons.historyClose, 'click', () => this.hidePanel('history'));
+            this.addListener(buttons.historyPrevPage, 'click', () => this.runHistoryPanel.navigatePage(-1));
+            this.addListener(buttons.historyNextPage, 'click', () => this.runHistoryPanel.navigatePage(1));
+            this.addListener(this.dom.controls.historyCharacterFilter, 'change', (event) => {
+                this.runHistoryPanel.selectCharacter(event.target.value);
+            });
+            this.addListener(buttons.profile, 'click', () => {
+                this.showPanel('profile');
+                this.profilePanel.render();
+            });
+            this.addListener(buttons.profileClose, 'click', () => this.hidePanel('profile'));
+            this.addListener(buttons.profileCreate, 'click', () => this.profilePanel.createProfile());
+            this.addListener(this.dom.controls.profileNewName, 'keydown', (event) => {
+                if (event.key === 'Enter') {
+                    this.profilePanel.createProfile();
+                }
+            });
             this.addListener(buttons.settings, 'click', () => this.showPanel('settings'));
             this.addListener(buttons.settingsClose, 'click', () => {
+                this.settingsPanel.cancelCapture();
                 this.settingsPanel.applySettings();
                 this.hidePanel('settings');
             });
+            this.addListener(buttons.saveExport, 'click', () => this.settingsPanel.exportSave());
+            this.addListener(buttons.saveImport, 'click', () => this.dom.controls.saveImportInput?.click());
+            this.addListener(this.dom.controls.saveImportInput, 'change', (event) => this.settingsPanel.importSaveFile(event));
+            this.addListener(buttons.controlsReset, 'click', () => this.settingsPanel.resetControls());
             this.addListener(buttons.shop, 'click', () => {
                 this.shopPanel.refreshStarDisplay();
                 this.showPanel('shop');
@@ -153,6 +261,8 @@
                 });
             });
             this.addListener(buttons.achievementsClose, 'click', () => this.hidePanel('achievements'));
+            this.addListener(buttons.loadReplay, 'click', () => this.dom.controls.replayFileInput?.click());
+            this.addListener(this.dom.controls.replayFileInput, 'change', (event) => this.handleReplayFileSelected(event));
             this.addListener(buttons.resume, 'click', () => this.handleResumeFromPause());
             this.addListener(buttons.restartPause, 'click', () => this.handleRestartFromPause());
             this.addListener(buttons.returnPause, 'click', () => this.handleReturnToMenuFromPause());
@@ -170,6 +280,22 @@
                     this.achievementsPanel.selectCategory(btn.dataset.category);
                 });
             });
+
+            // Bind controls device tabs
+            const deviceBtns = this.dom.controls.controlsDevice?.querySelectorAll('.controls-device-btn');
+            deviceBtns?.forEach(btn => {
+                this.addListener(btn, 'click', () => {
+                    this.settingsPanel.selectControlsDevice(btn.dataset.device);
+                });
+            });
+
+            // Bind history sort buttons
+            const sortBtns = this.dom.controls.historySort?.querySelectorAll('.history-sort-btn');
+            sortBtns?.forEach(btn => {
+                this.addListener(btn, 'click', () => {
+                    this.runHistoryPanel.selectSort(btn.dataset.sort);
+                });
+            });
         }
 
         /**
@@ -203,7 +329,12 @@
             this.hidePanel('settings');
             this.hidePanel('shop');
             this.hidePanel('achievements');
+            this.hidePanel('daily');
+            this.hidePanel('heat');
+            this.hidePanel('history');
+            this.hidePanel('profile');
             this.hidePanel('pause');
+            this.profilePanel.renderActiveName();
             this.shopPanel.refreshStarDisplay();
             this.settingsPanel.loadSettings();
             this.characterSelector.initialize();
@@ -253,7 +384,40 @@
          */
         handleStartNormalMode() {
             this.logger?.log?.('Starting normal mode');
+            this.startRun('normal');
+        }
+
+        /**
+         * Handle start boss rush button click
+         */
+        handleStartBossRushMode() {
+            this.logger?.log?.('Starting boss rush mode');
+            this.startRun('bossRush');
+        }
+
+        /**
+         * Handle start button in the daily challenge panel
+         * (the bridge applies the day's pilot and modifiers)
+         */
+        handleStartDailyChallenge() {
+            this.logger?.log?.('Starting daily challenge');
+            this.hidePanel('daily');
+            this.startRun('daily');
+        }
+
+        /**
+         * Handle start button in the heat panel (the bridge applies the selected curses)
+         */
+        handleStartHeatRun() {
+            this.logger?.log?.('Starting normal mode with heat curses');
+            this.hidePanel('heat');
+            this.startRun('normal');
+        }
 
+        /**
+         * Sync the loadout and start a run in the given mode
+         */
+        startRun(gameMode) {
             const characterId = this.characterSelector.getSelectedCharacterId();
             const weaponId = this.characterSelector.getSelectedWeaponId();
 
@@ -265,12 +429,42 @@
 
             const manager = window.gameManager;
             if (manager && typeof manager.startGame === 'function') {
-                manager.startGame();
+                manager.startGame(gameMode);
             } else if (this.callbacks.onStartNormalMode) {
                 this.callbacks.onStartNormalMode();
             }
         }
 
+        /**
+         * Load a replay file chosen from the main menu and start playback
+         */
+        handleReplayFileSelected(event) {
+            const input = event?.target;
+            const file = input?.files?.[0];
+            if (!file) {
+                return;
+            }
+
+            const ReplaySystem = window.Game?.ReplaySystem;
+            const manager = window.gameManager;
+            file.text().then(text => {
+                const replay = ReplaySystem.parse(text);
+                const mismatch = manager.getReplayMismatch?.(replay);
+                if (mismatch) {
+                    throw new Error(mismatch);
+                }
+                this.hide();
+                this.showGameContainer();
+                manager.startReplay(replay);
+            }).catch(error => {
+                this.logger?.error?.('Failed to load replay:', error);
+                alert(`Could not load replay: ${error?.message || error}`);
+            }).finally(() => {
+                // Allow re-selecting the same file
+                input.value = '';
+            });
+        }
+
         /**
          * Handle resume from pause
          */
@@ -338,6 +532,14 @@
                     this.backgroundRenderer.initPanelBackground('shop-background');
                 } else if (name === 'achievements') {
                     this.backgroundRenderer.initPanelBackground('achievements-background');
+                } else if (name === 'daily') {
+                    this.backgroundRenderer.initPanelBackground('daily-background');
+                } else if (name === 'heat') {
+                    this.backgroundRenderer.initPanelBackground('heat-background');
+                } else if (name === 'history') {
+                    this.backgroundRenderer.initPanelBackground('history-background');
+                } else if (name === 'profile') {
+                    this.backgroundRenderer.initPanelBackground('profile-background');
                 }
             }
         }
@@ -383,6 +585,35 @@
             }
         }
 
+        /**
+         * Handle save profile switches (GameManagerBridge has already reloaded
+         * the game state, stats and achievements for the new profile)
+         */
+        handleProfileChanged() {
+            this.profilePanel.renderActiveName();
+            this.shopPanel.refreshStarDisplay();
+            this.settingsPanel.loadSettings();
+            this.settingsPanel.applySettings();
+            this.characterSelector.initialize();
+
+            const isOpen = (name) => {
+                const panel = this.dom.panels?.[name];
+                return Boolean(panel?.classList && !panel.classList.contains('hidden'));
+            };
+            if (isOpen('achievements')) {
+                this.achievementsPanel.render();
+            }
+            if (isOpen('daily')) {
+                this.dailyChallengePanel.render();
+            }
+            if (isOpen('heat')) {
+                this.heatPanel.render();
+            }
+            if (isOpen('history')) {
+                this.runHistoryPanel.render();
+            }
+        }
+
         /**
          * Clean up all resources
          */
@@ -393,6 +624,10 @@
             this.shopPanel?.cleanup();
             this.achievementsPanel?.cleanup();
             this.settingsPanel?.cleanup();
+            this.dailyChallengePanel?.cleanup();
+            this.heatPanel?.cleanup();
+            this.runHistoryPanel?.cleanup();
+            this.profilePanel?.cleanup();
 
             // Clean up main event listeners
             this.eventListeners.forEach(({ element, event, handler, options }) => {
@@ -409,6 +644,12 @@
                 window.removeEventListener('achievementUnlocked', this.achievementUnlockHandler);
                 this.achievementUnlockHandler = null;
             }
+
+            // Remove profile change listener
+            if (this.profileChangedHandler && typeof window !== 'undefined' && window.removeEventListener) {
+                window.removeEventListener('profileChanged', this.profileChangedHandler);
+                this.profileChangedHandler = null;
+            }
         }
     }
 
@@ -0,0 +1,132 @@
+/**
+ * ProfilePanel - Save profile picker
+ *
+ * Handles:
+ * - Listing profiles (StorageManager scopes every key to the active one)
+ * - Creating, renaming, deleting and switching profiles
+ * - Showing the active profile name on the main menu
+ */
+(function () {
+    const PanelBase = window.Game?.PanelBase;
+
+    if (!PanelBase) {
+        console.error('ProfilePanel requires PanelBase to be loaded first');
+        return;
+    }
+
+    class ProfilePanel extends PanelBase {
+        /**
+         * Render the profile list and the main menu label
+         */
+        render() {
+            this.renderActiveName();
+
+            const listElement = this.dom.controls?.profileList;
+            if (!listElement) {
+                return;
+            }
+
+            this.clearDynamicListeners();
+
+            const storage = window.StorageManager;
+            const activeId = storage.getActiveProfileId();
+            const fragment = document.createDocumentFragment();
+
+            storage.getProfiles().forEach(profile => {
+                const isActive = profile.id === activeId;
+                const row = document.createElement('div');
+                row.className = 'profile-item';
+                row.classList.toggle('active', isActive);
+                row.dataset.profileId = profile.id;
+
+                const name = document.createElement('span');
+                name.className = 'profile-item-name';
+                name.textContent = isActive ? `${profile.name} (active)` : profile.name;
+                row.appendChild(name);
+
+                const actions = document.createElement('div');
+                actions.className = 'profile-item-actions';
+
+                if (!isActive) {
+                    actions.appendChild(this.createActionButton('Switch', () => this.switchProfile(profile.id)));
+                }
+                actions.appendChild(this.createActionButton('Rename', () => this.renameProfile(profile)));
+                if (!isActive && profile.id !== storage.DEFAULT_PROFILE_ID) {
+                    actions.appendChild(this.createActionButton('Delete', () => this.deleteProfile(profile), 'danger'));
+                }
+
+                row.appendChild(actions);
+                fragment.appendChild(row);
+            });
+
+            listElement.innerHTML = '';
+            listElement.appendChild(fragment);
+        }
+
+        renderActiveName() {
+            const label = this.dom.controls?.profileName;
+            if (label) {
+                label.textContent = window.StorageManager.getActiveProfile().name;
+            }
+        }
+
+        createActionButton(label, handler, variant = '') {
+            const button = document.createElement('button');
+            button.className = 'profile-action-btn';
+            if (variant) {
+                button.dataset.variant = variant;
+            }
+            button.textContent = label;
+            this.addDynamicListener(button, 'click', handler);
+            return button;
+        }
+
+        /**
+         * Create a profile from the name input and switch to it
+         */
+        createProfile() {
+            const input = this.dom.controls?.profileNewName;
+            const profile = window.StorageManager.createProfile(input?.value);
+            if (!profile) {
+                input?.focus?.();
+                return;
+            }
+            if (input) {
+                input.value = '';
+            }
+            this.logger?.log?.(`Created profile ${profile.name}`);
+            this.switchProfile(profile.id);
+        }
+
+        /**
+         * Systems reload through the `profileChanged` event StorageManager dispatches
+         */
+        switchProfile(profileId) {
+            window.StorageManager.switchProfile(profileId);
+            this.render();
+        }
+
+        renameProfile(profile) {
+            const name = prompt('Profile name', profile.name);
+            if (name === null) {
+                return;
+            }
+            window.StorageManager.renameProfile(profile.id, name);
+            this.render();
+        }
+
+        deleteProfile(profile) {
+            if (!confirm(`Delete profile "${profile.name}" and all of its progress?`)) {
+                return;
+            }
+            window.StorageManager.deleteProfile(profile.id);
+            this.render();
+        }
+    }
+
+    // Export to global namespace
+    if (typeof window !== 'undefined') {
+        window.Game = window.Game || {};
+        window.Game.ProfilePanel = ProfilePanel;
+    }
+})();
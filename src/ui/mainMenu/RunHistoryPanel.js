@@ -0,0 +1,200 @@
+/**
+ * RunHistoryPanel - Local leaderboard of finished runs
+ *
+ * Handles:
+ * - Sorting by score, time, kills, bosses or date
+ * - Filtering by pilot
+ * - Pagination
+ */
+(function () {
+    const PanelBase = window.Game?.PanelBase;
+
+    if (!PanelBase) {
+        console.error('RunHistoryPanel requires PanelBase to be loaded first');
+        return;
+    }
+
+    const MODE_LABELS = {
+        normal: 'Normal',
+        bossRush: 'Boss Rush',
+        daily: 'Daily'
+    };
+
+    class RunHistoryPanel extends PanelBase {
+        constructor(options = {}) {
+            super(options);
+            this.sortBy = 'score';
+            this.characterFilter = '';
+            this.pagination.itemsPerPage = 8;
+        }
+
+        /**
+         * Select the sort key
+         */
+        selectSort(sortBy) {
+            if (this.sortBy === sortBy) return;
+
+            this.sortBy = sortBy;
+            const sortBtns = this.dom.controls.historySort?.querySelectorAll('.history-sort-btn');
+            sortBtns?.forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.sort === sortBy);
+            });
+
+            this.pagination.currentPage = 1;
+            this.render();
+        }
+
+        /**
+         * Filter by pilot ('' shows all)
+         */
+        selectCharacter(characterId) {
+            this.characterFilter = characterId || '';
+            this.pagination.currentPage = 1;
+            this.render();
+        }
+
+        /**
+         * Render the filter options and the current page of runs
+         */
+        render() {
+            const RunHistory = window.Game?.RunHistory;
+            if (!RunHistory) {
+                return;
+            }
+
+            this.renderCharacterFilter(RunHistory);
+
+            const listElement = this.dom.controls?.historyList;
+            if (!listElement) {
+                return;
+            }
+
+            const entries = RunHistory.query({ sortBy: this.sortBy, characterId: this.characterFilter || null });
+            const totalItems = entries.length;
+            this.pagination.totalPages = Math.max(1, Math.ceil(totalItems / this.pagination.itemsPerPage));
+            if (this.pagination.currentPage > this.pagination.totalPages) {
+                this.pagination.currentPage = this.pagination.totalPages;
+            }
+            const startIdx = (this.pagination.currentPage - 1) * this.pagination.itemsPerPage;
+            const pageEntries = entries.slice(startIdx, startIdx + this.pagination.itemsPerPage);
+
+            const fragment = document.createDocumentFragment();
+            if (pageEntries.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'history-empty';
+                empty.textContent = this.characterFilter
+                    ? 'No runs with this pilot yet.'
+                    : 'Finish a run to start your history.';
+                fragment.appendChild(empty);
+            }
+
+            pageEntries.forEach((entry, index) => {
+                fragment.appendChild(this.createEntryRow(entry, startIdx + index + 1));
+            });
+
+            listElement.innerHTML = '';
+            listElement.appendChild(fragment);
+
+            this.updatePaginationButtons(
+                this.dom.buttons?.historyPrevPage,
+                this.dom.buttons?.historyNextPage,
+                this.dom.controls?.historyPageIndicator
+            );
+        }
+
+        /**
+         * Rebuild the pilot dropdown from the pilots present in the history
+         */
+        renderCharacterFilter(RunHistory) {
+            const select = this.dom.controls?.historyCharacterFilter;
+            if (!select) {
+                return;
+            }
+
+            const characterIds = RunHistory.getCharacterIds();
+            if (this.characterFilter && !characterIds.includes(this.characterFilter)) {
+                this.characterFilter = '';
+            }
+
+            select.innerHTML = '';
+            const allOption = document.createElement('option');
+            allOption.value = '';
+            allOption.textContent = 'All pilots';
+            select.appendChild(allOption);
+
+            characterIds.forEach(characterId => {
+                const option = document.createElement('option');
+                option.value = characterId;
+                option.textContent = this.getCharacter(characterId)?.name || characterId;
+                select.appendChild(option);
+            });
+            select.value = this.characterFilter;
+        }
+
+        createEntryRow(entry, rank) {
+            const row = document.createElement('div');
+            row.className = 'history-item';
+            row.dataset.outcome = entry.outcome || 'defeat';
+
+            const rankCell = document.createElement('span');
+            rankCell.className = 'history-rank';
+            rankCell.textContent = `#${rank}`;
+
+            const info = document.createElement('div');
+            info.className = 'history-info';
+
+            const title = document.createElement('div');
+            title.className = 'history-title';
+            const character = this.getCharacter(entry.characterId);
+            const pilotName = character?.name || entry.characterId || 'Unknown pilot';
+            title.textContent = `${pilotName} · ${MODE_LABELS[entry.mode] || entry.mode}`;
+
+            const stats = document.createElement('div');
+            stats.className = 'history-stats';
+            stats.textContent = `${this.formatTime(entry.time)} · ${entry.kills} kills · ${entry.bosses} bosses · Lv ${entry.level}`;
+
+            const details = document.createElement('div');
+            details.className = 'history-details';
+            const upgradeCount = Array.isArray(entry.upgrades) ? entry.upgrades.length : 0;
+            details.textContent = `${this.formatDate(entry.date)} · ${Math.round(entry.damageDealt || 0)} dmg · ${upgradeCount} upgrades · seed ${entry.seed || '-'}`;
+
+            info.appendChild(title);
+            info.appendChild(stats);
+            info.appendChild(details);
+
+            const score = document.createElement('span');
+            score.className = 'history-score';
+            score.textContent = `${entry.score}`;
+
+            row.appendChild(rankCell);
+            row.appendChild(info);
+            row.appendChild(score);
+            return row;
+        }
+
+        getCharacter(characterId) {
+            const definitions = Array.isArray(window.CHARACTER_DEFINITIONS) ? window.CHARACTER_DEFINITIONS : [];
+            return definitions.find(def => def.id === characterId) || null;
+        }
+
+        formatTime(totalSeconds) {
+            const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+            const minutes = Math.floor(seconds / 60);
+            return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+        }
+
+        formatDate(isoDate) {
+            const date = new Date(isoDate);
+            if (Number.isNaN(date.getTime())) {
+                return '-';
+            }
+            return window.Game?.DailyChallenge?.getDateKey?.(date) ?? date.toDateString();
+        }
+    }
+
+    // Export to global namespace
+    if (typeof window !== 'undefined') {
+        window.Game = window.Game || {};
+        window.Game.RunHistoryPanel = RunHistoryPanel;
+    }
+})();
@@ -4,8 +4,11 @@
  * Handles:
  * - Audio settings (mute, volume)
  * - Quality settings (low quality mode)
+ * - Manual aim toggle (via InputManager)
  * - Difficulty selection
+ * - Keyboard and gamepad bindings (via InputManager)
  * - Persistence to localStorage
+ * - Save data export/import (via SaveData)
  */
 (function () {
     const PanelBase = window.Game?.PanelBase;
@@ -18,6 +21,11 @@
     class SettingsPanel extends PanelBase {
         constructor(options = {}) {
             super(options);
+            this.controlsDevice = 'keyboard';
+            // Binding slot waiting for input: { device, action, slot }
+            this.capture = null;
+            this.captureKeyHandler = null;
+            this.captureFrameId = null;
         }
 
         /**
@@ -29,6 +37,7 @@
                 muteCheckbox,
                 volumeRange,
                 lowQualityCheckbox,
+                manualAimCheckbox,
                 difficultySelect
             } = controls;
 
@@ -55,6 +64,15 @@
                     window.StorageManager.setItem('lowQuality', lowQualityEnabled ? 'true' : 'false');
                 }
 
+                if (manualAimCheckbox) {
+                    const manualAimEnabled = Boolean(manualAimCheckbox.checked);
+                    if (typeof window.inputManager?.setManualAim === 'function') {
+                        window.inputManager.setManualAim(manualAimEnabled);
+                    } else {
+                        window.StorageManager.setItem('manualAim', manualAimEnabled ? 'true' : 'false');
+                    }
+                }
+
                 if (difficultySelect) {
                     const valid = ['easy', 'normal', 'hard'];
                     const selected = difficultySelect.value;
@@ -79,6 +97,7 @@
                 muteCheckbox,
                 volumeRange,
                 lowQualityCheckbox,
+                manualAimCheckbox,
                 difficultySelect
             } = controls;
 
@@ -122,6 +141,10 @@
                     }
                 }
 
+                if (manualAimCheckbox) {
+                    manualAimCheckbox.checked = window.StorageManager.getItem('manualAim') === 'true';
+                }
+
                 if (difficultySelect) {
                     const storedDifficulty = window.StorageManager.getItem('difficulty');
                     const valid = ['easy', 'normal', 'hard'];
@@ -135,6 +158,252 @@
             } catch (error) {
                 this.logger?.error?.('Error loading settings', error);
             }
+            this.setSaveStatus('');
+            this.cancelCapture();
+            this.setControlsStatus('');
+            this.renderControls();
+        }
+
+        /**
+         * Switch the Controls section between keyboard and gamepad bindings
+         */
+        selectControlsDevice(device) {
+            if (this.controlsDevice === device) return;
+
+            this.cancelCapture();
+            this.controlsDevice = device;
+            const deviceBtns = this.dom.controls.controlsDevice?.querySelectorAll('.controls-device-btn');
+            deviceBtns?.forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.device === device);
+            });
+            this.setControlsStatus('');
+            this.renderControls();
+        }
+
+        /**
+         * Render one row per rebindable action with a button per binding slot
+         */
+        renderControls() {
+            const listElement = this.dom.controls?.controlsBindings;
+            const input = window.inputManager;
+            const InputManager = window.Game?.InputManager;
+            if (!listElement || !input || !InputManager) {
+                return;
+            }
+
+            this.clearDynamicListeners();
+
+            const device = this.controlsDevice;
+            const bindings = device === 'gamepad' ? input.gamepadBindings : input.keyBindings;
+            const slotCount = device === 'gamepad' ? 1 : InputManager.MAX_BINDINGS_PER_ACTION;
+            const fragment = document.createDocumentFragment();
+
+            InputManager.REBINDABLE_ACTIONS[device].forEach(action => {
+                const row = document.createElement('div');
+                row.className = 'binding-row';
+
+                const label = document.createElement('span');
+                label.className = 'binding-label';
+                label.textContent = InputManager.ACTION_LABELS[action] || action;
+                row.appendChild(label);
+
+                for (let slot = 0; slot < slotCount; slot++) {
+                    const inputValue = bindings[action]?.[slot];
+                    const isCapturing = this.capture?.action === action && this.capture.slot === slot;
+                    const button = document.createElement('button');
+                    button.className = 'binding-btn';
+                    button.classList.toggle('capturing', isCapturing);
+                    if (isCapturing) {
+                        button.textContent = 'Press...';
+                    } else {
+                        button.textContent = inputValue === undefined ? '-' : InputManager.formatBinding(device, inputValue);
+                    }
+                    // Slots fill in order, so only the first empty slot is bindable
+                    button.disabled = slot > (bindings[action]?.length || 0);
+                    this.addDynamicListener(button, 'click', () => this.startCapture(action, slot));
+                    row.appendChild(button);
+                }
+
+                fragment.appendChild(row);
+            });
+
+            listElement.innerHTML = '';
+            listElement.appendChild(fragment);
+        }
+
+        /**
+         * Wait for the next key or gamepad button for a binding slot.
+         * Escape cancels and Backspace/Delete clears the slot.
+         */
+        startCapture(action, slot) {
+            this.cancelCapture();
+            const device = this.controlsDevice;
+            this.capture = { device, action, slot };
+
+            // Capture phase on window runs before InputManager and the engine see the key
+            this.captureKeyHandler = (event) => this.handleCaptureKey(event);
+            window.addEventListener('keydown', this.captureKeyHandler, true);
+
+            if (device === 'gamepad') {
+                // Buttons already held when capture starts must be released first
+                const pad = window.inputManager?.getGamepad?.();
+                const held = new Set();
+                pad?.buttons?.forEach((button, index) => {
+                    if (button.pressed) held.add(index);
+                });
+                this.pollCaptureGamepad(held);
+                this.setControlsStatus('Press a gamepad button (Esc cancels, Backspace clears)');
+            } else {
+                this.setControlsStatus('Press a key (Esc cancels, Backspace clears)');
+            }
+
+            this.renderControls();
+        }
+
+        handleCaptureKey(event) {
+            event.preventDefault();
+            event.stopPropagation();
+
+            if (event.key === 'Escape') {
+                this.cancelCapture();
+                this.setControlsStatus('');
+                this.renderControls();
+            } else if (event.key === 'Backspace' || event.key === 'Delete') {
+                this.applyBinding(null);
+            } else if (this.capture?.device === 'keyboard') {
+                this.applyBinding(event.key);
+            }
+        }
+
+        pollCaptureGamepad(held) {
+            if (this.capture?.device !== 'gamepad') {
+                return;
+            }
+
+            const pad = window.inputManager?.getGamepad?.();
+            const buttons = pad?.buttons || [];
+            for (let index = 0; index < buttons.length; index++) {
+                if (!buttons[index].pressed) {
+                    held.delete(index);
+                } else if (!held.has(index)) {
+                    this.applyBinding(index);
+                    return;
+                }
+            }
+
+            this.captureFrameId = requestAnimationFrame(() => this.pollCaptureGamepad(held));
+        }
+
+        /**
+         * Store the captured input, refusing inputs another action already uses
+         */
+        applyBinding(inputValue) {
+            const capture = this.capture;
+            const InputManager = window.Game?.InputManager;
+            if (!capture || !window.inputManager || !InputManager) {
+                return;
+            }
+            this.cancelCapture();
+
+            const result = window.inputManager.setBinding(capture.device, capture.action, capture.slot, inputValue);
+            if (result.conflict) {
+                const inputLabel = InputManager.formatBinding(capture.device, capture.device === 'keyboard'
+                    ? InputManager.normalizeKey(inputValue)
+                    : inputValue);
+                const actionLabel = InputManager.ACTION_LABELS[result.conflict] || result.conflict;
+                this.setControlsStatus(`${inputLabel} is already bound to ${actionLabel}.`, true);
+            } else {
+                this.setControlsStatus('');
+            }
+            this.renderControls();
+        }
+
+        cancelCapture() {
+            if (this.captureKeyHandler) {
+                window.removeEventListener('keydown', this.captureKeyHandler, true);
+                this.captureKeyHandler = null;
+            }
+            if (this.captureFrameId !== null) {
+                cancelAnimationFrame(this.captureFrameId);
+                this.captureFrameId = null;
+            }
+            this.capture = null;
+        }
+
+        /**
+         * Restore the default bindings of the selected device
+         */
+        resetControls() {
+            this.cancelCapture();
+            window.inputManager?.resetBindings?.(this.controlsDevice);
+            this.setControlsStatus(`${this.controlsDevice === 'gamepad' ? 'Gamepad' : 'Keyboard'} controls reset.`);
+            this.renderControls();
+        }
+
+        setControlsStatus(message, isError = false) {
+            const status = this.dom.controls?.controlsStatus;
+            if (!status) {
+                return;
+            }
+            status.textContent = message;
+            status.classList.toggle('save-data-status--error', Boolean(isError));
+        }
+
+        cleanup() {
+            this.cancelCapture();
+            super.cleanup();
+        }
+
+        /**
+         * Download all progress and settings as one save file
+         */
+        exportSave() {
+            const SaveData = window.Game?.SaveData;
+            if (SaveData?.exportToFile()) {
+                this.setSaveStatus('Save exported.');
+            } else {
+                this.setSaveStatus('Export failed.', true);
+            }
+        }
+
+        /**
+         * Replace all progress with an exported save file, then reload so every
+         * system picks up the imported data
+         */
+        importSaveFile(event) {
+            const input = event?.target;
+            const file = input?.files?.[0];
+            if (!file) {
+                return;
+            }
+
+            const SaveData = window.Game?.SaveData;
+            file.text().then(text => {
+                // Validate before asking so a bad file never prompts
+                SaveData.parse(text);
+                if (!confirm('Importing replaces all progress and settings on this browser. Continue?')) {
+                    this.setSaveStatus('Import cancelled.');
+                    return;
+                }
+                SaveData.importDocument(text);
+                this.setSaveStatus('Save imported - reloading...');
+                window.location.reload();
+            }).catch(error => {
+                this.logger?.error?.('Failed to import save:', error);
+                this.setSaveStatus(`Import failed: ${error?.message || error}`, true);
+            }).finally(() => {
+                // Allow re-selecting the same file
+                input.value = '';
+            });
+        }
+
+        setSaveStatus(message, isError = false) {
+            const status = this.dom.controls?.saveDataStatus;
+            if (!status) {
+                return;
+            }
+            status.textContent = message;
+            status.classList.toggle('save-data-status--error', Boolean(isError));
         }
     }
 
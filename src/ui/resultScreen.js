@@ -10,6 +10,9 @@
             title: document.getElementById('result-title'),
             subtitle: document.getElementById('result-subtitle'),
             stats: document.getElementById('result-stats'),
+            timeline: document.getElementById('result-timeline'),
+            timelineCanvas: document.getElementById('result-timeline-canvas'),
+            timelineLegend: document.getElementById('result-timeline-legend'),
             buttonsContainer: document.getElementById('result-buttons')
         };
 
@@ -53,6 +56,9 @@
         if (screen.stats) {
             screen.stats.innerHTML = '';
         }
+        if (screen.timeline) {
+            screen.timeline.classList.add('hidden');
+        }
         if (screen.buttonsContainer) {
             screen.buttonsContainer.innerHTML = '';
         }
@@ -68,7 +74,8 @@
         }
         return buttons.map(button => ({
             label: button?.label ?? 'Action',
-            action: typeof button?.action === 'function' ? button.action : () => {}
+            action: typeof button?.action === 'function' ? button.action : () => {},
+            keepOpen: button?.keepOpen === true
         }));
     }
 
@@ -81,7 +88,9 @@
             btn.className = 'menu-button';
             btn.textContent = button.label;
             btn.addEventListener('click', () => {
-                hide();
+                if (!button.keepOpen) {
+                    hide();
+                }
                 try {
                     button.action();
                 } catch (error) {
@@ -92,6 +101,129 @@
         });
     }
 
+    // Timeline series, each scaled to its own peak (HP is already a percentage)
+    const TIMELINE_SERIES = [
+        { key: 'dps', label: 'DPS', color: '#e74c3c' },
+        { key: 'enemies', label: 'Enemies', color: '#e67e22' },
+        { key: 'hp', label: 'HP %', color: '#2ecc71', max: 100 },
+        { key: 'level', label: 'Level', color: '#74b9ff' },
+        { key: 'difficulty', label: 'Difficulty', color: '#9b59b6' }
+    ];
+
+    function formatMinutes(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = Math.floor(seconds % 60);
+        return `${minutes}:${String(rest).padStart(2, '0')}`;
+    }
+
+    /**
+     * Draw a StatsManager timeline as a line graph with boss-kill and level-up markers
+     * @param {HTMLCanvasElement} canvas
+     * @param {{samples: Object[], events: Object[]}} timeline
+     * @returns {Object[]} Legend entries ({ key, label, color, peak })
+     */
+    function renderTimeline(canvas, timeline) {
+        const ctx = canvas?.getContext?.('2d');
+        const samples = Array.isArray(timeline?.samples) ? timeline.samples : [];
+        if (!ctx || samples.length < 2) {
+            return [];
+        }
+
+        const { width, height } = canvas;
+        const pad = { left: 8, right: 8, top: 10, bottom: 18 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const duration = Math.max(1, samples[samples.length - 1].time);
+        const toX = time => pad.left + (Math.min(time, duration) / duration) * plotWidth;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+
+        // Minute gridlines (every 5 minutes on long runs)
+        const gridStep = duration > 600 ? 300 : 60;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.fillStyle = 'rgba(236, 240, 241, 0.6)';
+        ctx.lineWidth = 1;
+        for (let time = 0; time <= duration; time += gridStep) {
+            const x = toX(time);
+            ctx.beginPath();
+            ctx.moveTo(x, pad.top);
+            ctx.lineTo(x, pad.top + plotHeight);
+            ctx.stroke();
+            ctx.fillText(formatMinutes(time), x, height - 4);
+        }
+
+        const legend = TIMELINE_SERIES.map(series => {
+            const peak = Math.max(0, ...samples.map(sample => sample[series.key] || 0));
+            const scale = series.max ?? peak;
+            if (scale > 0) {
+                ctx.strokeStyle = series.color;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                samples.forEach((sample, index) => {
+                    const x = toX(sample.time);
+                    const y = pad.top + plotHeight * (1 - Math.min(1, (sample[series.key] || 0) / scale));
+                    if (index === 0) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
+                });
+                ctx.stroke();
+            }
+            return { key: series.key, label: series.label, color: series.color, peak };
+        });
+
+        // Boss kills as dashed lines, level-ups as ticks along the bottom
+        const events = Array.isArray(timeline.events) ? timeline.events : [];
+        ctx.lineWidth = 1;
+        events.forEach(event => {
+            const x = toX(event.time);
+            ctx.beginPath();
+            if (event.type === 'bossKill') {
+                ctx.strokeStyle = '#f1c40f';
+                ctx.setLineDash([4, 3]);
+                ctx.moveTo(x, pad.top);
+                ctx.lineTo(x, pad.top + plotHeight);
+            } else if (event.type === 'levelUp') {
+                ctx.strokeStyle = 'rgba(116, 185, 255, 0.8)';
+                ctx.setLineDash([]);
+                ctx.moveTo(x, pad.top + plotHeight);
+                ctx.lineTo(x, pad.top + plotHeight - 6);
+            }
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        return legend;
+    }
+
+    function renderTimelineSection(timeline) {
+        const screen = ensureElements();
+        if (!screen?.timeline) return;
+
+        const legend = renderTimeline(screen.timelineCanvas, timeline);
+        screen.timeline.classList.toggle('hidden', legend.length === 0);
+        if (!screen.timelineLegend) return;
+
+        screen.timelineLegend.innerHTML = '';
+        const entries = [
+            ...legend.map(entry => ({
+                color: entry.color,
+                text: `${entry.label} (peak ${Math.round(entry.peak * 100) / 100})`
+            })),
+            { color: '#f1c40f', text: 'Boss kill' }
+        ];
+        entries.forEach(({ color, text }) => {
+            const item = document.createElement('span');
+            item.className = 'result-timeline-key';
+            item.style.color = color;
+            item.textContent = text;
+            screen.timelineLegend.appendChild(item);
+        });
+    }
+
     function show(options = {}) {
         const screen = ensureElements();
         if (!screen?.root) return;
@@ -100,7 +232,8 @@
             subtitle = '',
             stats = [],
             outcome = 'summary',
-            buttons = []
+            buttons = [],
+            timeline = null
         } = options;
 
         screen.root.setAttribute('data-outcome', outcome);
@@ -130,6 +263,7 @@
             }
         }
 
+        renderTimelineSection(timeline);
         renderButtons(buttons);
         screen.root.classList.remove('hidden');
         _dirty = true;
@@ -138,6 +272,7 @@
     window.resultScreen = {
         show,
         hide,
+        renderTimeline,
         isVisible: () => ensureElements()?.root?.classList?.contains('hidden') === false,
         isDirty: () => _dirty
     };
@@ -0,0 +1,178 @@
+/**
+ * Weapon Slots HUD
+ * Shows one cooldown ring per equipped weapon next to the dodge skill, plus
+ * the secondary ability widget (#secondary-skill, hidden without a secondary).
+ * WeaponManager calls update() each frame; slot elements are rebuilt only when
+ * the equipped weapons or their levels change (WeaponManager.slotsVersion).
+ */
+
+class WeaponSlotsHUD {
+    constructor(containerId = 'weapon-slots', secondaryId = 'secondary-skill') {
+        this.containerId = containerId;
+        this.secondaryId = secondaryId;
+        this.container = null;
+        this.slotElements = []; // { element, progress }
+        this.secondary = null; // { element, weaponId, progress, ready }
+        this._builtVersion = -1;
+        this._nextLookupTs = 0;
+        this._lookupIntervalMs = 750;
+    }
+
+    _getContainer() {
+        if (this.container && typeof this.container.isConnected === 'boolean' && !this.container.isConnected) {
+            this.container = null;
+            this._builtVersion = -1;
+        }
+
+        if (!this.container) {
+            const now = (typeof performance !== 'undefined' && typeof performance.now === 'function')
+                ? performance.now()
+                : Date.now();
+            if (now < this._nextLookupTs) {
+                return null;
+            }
+            this._nextLookupTs = now + this._lookupIntervalMs;
+            this.container = document.getElementById(this.containerId);
+        }
+
+        return this.container;
+    }
+
+    /**
+     * @param {WeaponManager} manager - Source of slots, levels and cooldowns
+     */
+    update(manager) {
+        // Skip in non-browser environment (testing)
+        if (typeof document === 'undefined' || !manager) return;
+
+        const container = this._getContainer();
+        if (!container) return;
+
+        if (this._builtVersion !== manager.slotsVersion) {
+            this.build(container, manager);
+        }
+
+        for (let i = 0; i < this.slotElements.length; i++) {
+            const entry = this.slotElements[i];
+            const weapon = manager.weapons.get(manager.slots[i]);
+            const progress = typeof weapon?.getCooldownProgress === 'function'
+                ? Math.round(weapon.getCooldownProgress() * 50) / 50
+                : 0;
+            if (entry.progress !== progress) {
+                entry.element.style.setProperty('--cooldown-progress', String(progress));
+                entry.progress = progress;
+            }
+        }
+
+        this._updateSecondary(manager);
+    }
+
+    _updateSecondary(manager) {
+        const entry = this.secondary;
+        if (!entry) return;
+
+        const weapon = manager.getSecondaryWeapon?.() || null;
+        const weaponId = weapon?.definition?.id || null;
+        if (entry.weaponId !== weaponId) {
+            entry.weaponId = weaponId;
+            entry.element.classList.toggle('hidden', !weapon);
+            entry.element.title = weapon ? `${weapon.secondary.name || weapon.secondary.id}: ${weapon.secondary.description || ''}` : '';
+            if (entry.icon) {
+                entry.icon.textContent = weapon ? WeaponSlotsHUD.abbreviate(weapon.secondary.name || weapon.secondary.id) : '';
+            }
+            // Triggered secondaries (Orbital Flux, Blood Frenzy) have no key to press
+            if (entry.key) {
+                entry.key.textContent = weapon && !weapon.isSecondaryManual() ? 'AUTO' : entry.keyLabel;
+            }
+            entry.progress = null;
+        }
+        if (!weapon) return;
+
+        const progress = Math.round(weapon.getSecondaryCooldownProgress() * 50) / 50;
+        if (entry.progress !== progress) {
+            entry.element.style.setProperty('--cooldown-progress', String(progress));
+            entry.progress = progress;
+        }
+        const ready = weapon.isSecondaryReady();
+        if (entry.ready !== ready) {
+            entry.element.classList.toggle('skill-ready', ready);
+            entry.ready = ready;
+        }
+    }
+
+    build(container, manager) {
+        container.innerHTML = '';
+        this.slotElements = [];
+
+        manager.slots.forEach((weaponId, index) => {
+            const definition = manager.definitions?.[weaponId] || {};
+            const weapon = manager.weapons.get(weaponId);
+
+            const slot = document.createElement('div');
+            slot.className = 'skill weapon-slot';
+            slot.dataset.weaponId = weaponId;
+            slot.classList.toggle('primary', index === 0);
+            slot.title = definition.name || weaponId;
+
+            const ring = document.createElement('div');
+            ring.className = 'weapon-slot-ring';
+
+            const icon = document.createElement('div');
+            icon.className = 'skill-icon';
+            icon.textContent = definition.icon || WeaponSlotsHUD.abbreviate(definition.name || weaponId);
+
+            const level = document.createElement('div');
+            level.className = 'weapon-slot-level';
+            level.textContent = `Lv ${weapon?.level || 1}`;
+
+            slot.appendChild(ring);
+            slot.appendChild(icon);
+            slot.appendChild(level);
+            container.appendChild(slot);
+
+            this.slotElements.push({ element: slot, progress: null });
+        });
+
+        const secondary = document.getElementById(this.secondaryId);
+        if (secondary) {
+            const key = secondary.querySelector?.('.skill-key') || null;
+            const label = window.inputManager?.getBindingLabel?.('secondary');
+            if (key && label) {
+                key.textContent = label;
+            }
+            this.secondary = {
+                element: secondary,
+                icon: secondary.querySelector?.('.skill-icon') || null,
+                key,
+                keyLabel: key?.textContent || '',
+                weaponId: undefined,
+                progress: null,
+                ready: null
+            };
+        }
+
+        this._builtVersion = manager.slotsVersion;
+    }
+
+    /**
+     * Initials for weapons without an icon ("Pulse Cannon" -> "PC")
+     */
+    static abbreviate(name) {
+        return String(name)
+            .split(/[\s_]+/)
+            .filter(Boolean)
+            .map(word => word[0].toUpperCase())
+            .join('')
+            .slice(0, 2);
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.WeaponSlotsHUD = WeaponSlotsHUD;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WeaponSlotsHUD;
+}
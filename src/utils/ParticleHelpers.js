@@ -14,6 +14,15 @@ class ParticleHelpers {
         return true;
     }
 
+    /**
+     * Cosmetic random value from the run RNG's 'particles' stream.
+     * Kept separate from gameplay draws so particle budgets never shift gameplay rolls.
+     */
+    static random() {
+        const rng = window.Game?.rng;
+        return rng ? rng.stream('particles').next() : Math.random();
+    }
+
     /**
      * Retrieve current particle system statistics (counts, limits, quality flags)
      */
@@ -101,16 +110,16 @@ class ParticleHelpers {
             const count = Math.min(20, Math.floor(radius / 3));
             for (let i = 0; i < count; i++) {
                 const angle = (i / count) * Math.PI * 2;
-                const speed = 50 + Math.random() * 100;
+                const speed = 50 + ParticleHelpers.random() * 100;
 
                 window.optimizedParticles.spawnParticle({
-                    x: x + (Math.random() - 0.5) * 10,
-                    y: y + (Math.random() - 0.5) * 10,
+                    x: x + (ParticleHelpers.random() - 0.5) * 10,
+                    y: y + (ParticleHelpers.random() - 0.5) * 10,
                     vx: Math.cos(angle) * speed,
                     vy: Math.sin(angle) * speed,
-                    size: 2 + Math.random() * 4,
+                    size: 2 + ParticleHelpers.random() * 4,
                     color: color,
-                    life: 0.5 + Math.random() * 0.5,
+                    life: 0.5 + ParticleHelpers.random() * 0.5,
                     type: 'spark'
                 });
             }
@@ -142,16 +151,16 @@ class ParticleHelpers {
             // Create burst of particles
             for (let i = 0; i < 20; i++) {
                 const angle = (i / 20) * Math.PI * 2;
-                const speed = 60 + Math.random() * 80;
+                const speed = 60 + ParticleHelpers.random() * 80;
 
                 window.optimizedParticles.spawnParticle({
                     x: x,
                     y: y,
                     vx: Math.cos(angle) * speed,
                     vy: Math.sin(angle) * speed,
-                    size: 3 + Math.random() * 3,
+                    size: 3 + ParticleHelpers.random() * 3,
                     color: '#f39c12',
-                    life: 1 + Math.random() * 0.5,
+                    life: 1 + ParticleHelpers.random() * 0.5,
                     type: 'spark'
                 });
             }
@@ -175,17 +184,17 @@ class ParticleHelpers {
             // Create lightning path
             for (let i = 0; i <= segments; i++) {
                 const ratio = i / segments;
-                const x = fromX + dx * ratio + (Math.random() - 0.5) * 20;
-                const y = fromY + dy * ratio + (Math.random() - 0.5) * 20;
+                const x = fromX + dx * ratio + (ParticleHelpers.random() - 0.5) * 20;
+                const y = fromY + dy * ratio + (ParticleHelpers.random() - 0.5) * 20;
 
                 window.optimizedParticles.spawnParticle({
                     x: x,
                     y: y,
-                    vx: (Math.random() - 0.5) * 100,
-                    vy: (Math.random() - 0.5) * 100,
-                    size: 2 + Math.random() * 2,
+                    vx: (ParticleHelpers.random() - 0.5) * 100,
+                    vy: (ParticleHelpers.random() - 0.5) * 100,
+                    size: 2 + ParticleHelpers.random() * 2,
                     color: '#74b9ff',
-                    life: 0.2 + Math.random() * 0.1,
+                    life: 0.2 + ParticleHelpers.random() * 0.1,
                     type: 'spark'
                 });
             }
@@ -215,8 +224,8 @@ class ParticleHelpers {
 
         const count = Math.min(8, Math.floor(damage / 5));
         for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 30 + Math.random() * 70;
+            const angle = ParticleHelpers.random() * Math.PI * 2;
+            const speed = 30 + ParticleHelpers.random() * 70;
 
             // [A] RESONANT NOTE: Using pooled particles for better performance
             if (window.optimizedParticles) {
@@ -224,15 +233,15 @@ class ParticleHelpers {
                     x, y,
                     vx: Math.cos(angle) * speed,
                     vy: Math.sin(angle) * speed,
-                    size: 1 + Math.random() * 3,
+                    size: 1 + ParticleHelpers.random() * 3,
                     color: '#e74c3c',
-                    life: 0.3 + Math.random() * 0.3,
+                    life: 0.3 + ParticleHelpers.random() * 0.3,
                     type: 'blood'
                 });
             } else if (gm?.addParticleViaEffectsManager) {
                 const particle = new Particle(
                     x, y, Math.cos(angle) * speed, Math.sin(angle) * speed,
-                    1 + Math.random() * 3, '#e74c3c', 0.3 + Math.random() * 0.3
+                    1 + ParticleHelpers.random() * 3, '#e74c3c', 0.3 + ParticleHelpers.random() * 0.3
                 );
                 gm.addParticleViaEffectsManager(particle);
             }
@@ -245,14 +254,14 @@ class ParticleHelpers {
         // [A] RESONANT NOTE: Prefer pooled particles for explosions
         if (window.optimizedParticles) {
             for (let i = 0; i < count; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const speed = 50 + Math.random() * 100;
+                const angle = ParticleHelpers.random() * Math.PI * 2;
+                const speed = 50 + ParticleHelpers.random() * 100;
                 window.optimizedParticles.spawnParticle({
                     x, y,
                     vx: Math.cos(angle) * speed,
                     vy: Math.sin(angle) * speed,
-                    size: 2 + Math.random() * 4,
-                    color, life: 0.5 + Math.random() * 0.5,
+                    size: 2 + ParticleHelpers.random() * 4,
+                    color, life: 0.5 + ParticleHelpers.random() * 0.5,
                     type: 'explosion'
                 });
             }
@@ -262,11 +271,11 @@ class ParticleHelpers {
         // Fallback to old system
         if (!window.gameManager?.addParticleViaEffectsManager) return;
         for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 50 + Math.random() * 100;
+            const angle = ParticleHelpers.random() * Math.PI * 2;
+            const speed = 50 + ParticleHelpers.random() * 100;
             const particle = new Particle(
                 x, y, Math.cos(angle) * speed, Math.sin(angle) * speed,
-                2 + Math.random() * 4, color, 0.5 + Math.random() * 0.5
+                2 + ParticleHelpers.random() * 4, color, 0.5 + ParticleHelpers.random() * 0.5
             );
             window.gameManager.addParticleViaEffectsManager(particle);
         }
@@ -276,10 +285,10 @@ class ParticleHelpers {
         // [A] RESONANT NOTE: Trail particles using pooled system
         if (window.optimizedParticles) {
             window.optimizedParticles.spawnParticle({
-                x: x + (Math.random() - 0.5) * 5,
-                y: y + (Math.random() - 0.5) * 5,
+                x: x + (ParticleHelpers.random() - 0.5) * 5,
+                y: y + (ParticleHelpers.random() - 0.5) * 5,
                 vx: vx * 0.3, vy: vy * 0.3,
-                size: 1 + Math.random() * 2,
+                size: 1 + ParticleHelpers.random() * 2,
                 color, life: 0.5, type: 'trail'
             });
             return;
@@ -288,8 +297,8 @@ class ParticleHelpers {
         // Fallback
         if (!window.gameManager?.addParticleViaEffectsManager) return;
         const particle = new Particle(
-            x + (Math.random() - 0.5) * 5, y + (Math.random() - 0.5) * 5,
-            vx * 0.3, vy * 0.3, 1 + Math.random() * 2, color, 0.5
+            x + (ParticleHelpers.random() - 0.5) * 5, y + (ParticleHelpers.random() - 0.5) * 5,
+            vx * 0.3, vy * 0.3, 1 + ParticleHelpers.random() * 2, color, 0.5
         );
 
         window.gameManager.addParticleViaEffectsManager(particle);
@@ -300,15 +309,15 @@ class ParticleHelpers {
 
         for (let i = 0; i < 15; i++) {
             const angle = (i / 15) * Math.PI * 2;
-            const speed = 50 + Math.random() * 50;
+            const speed = 50 + ParticleHelpers.random() * 50;
 
             const particle = new Particle(
                 x, y,
                 Math.cos(angle) * speed,
                 Math.sin(angle) * speed,
-                2 + Math.random() * 4,
+                2 + ParticleHelpers.random() * 4,
                 '#f39c12',
-                1 + Math.random() * 0.5
+                1 + ParticleHelpers.random() * 0.5
             );
 
             window.gameManager.addParticleViaEffectsManager(particle);
@@ -330,9 +339,9 @@ class ParticleHelpers {
 
             const particle = new Particle(
                 x, y,
-                (Math.random() - 0.5) * 50,
-                (Math.random() - 0.5) * 50,
-                2 + Math.random() * 2,
+                (ParticleHelpers.random() - 0.5) * 50,
+                (ParticleHelpers.random() - 0.5) * 50,
+                2 + ParticleHelpers.random() * 2,
                 '#74b9ff',
                 0.2
             );
@@ -367,7 +376,7 @@ class ParticleHelpers {
         const isHighLoad = poolPressure > 0.7;
 
         // Skip some particles under high load
-        if (isHighLoad && Math.random() > 0.5) return;
+        if (isHighLoad && ParticleHelpers.random() > 0.5) return;
 
         const {
             color = '#ffffff',
@@ -386,9 +395,9 @@ class ParticleHelpers {
         const actualCount = isHighLoad ? Math.ceil(count / 2) : count;
 
         for (let i = 0; i < actualCount; i++) {
-            const particleSpread = spread > 0 ? (Math.random() - 0.5) * spread : 0;
+            const particleSpread = spread > 0 ? (ParticleHelpers.random() - 0.5) * spread : 0;
             const particleAngle = angle + particleSpread;
-            const particleSpeed = speed + Math.random() * speedVariance;
+            const particleSpeed = speed + ParticleHelpers.random() * speedVariance;
             
             const vx = Math.cos(particleAngle) * particleSpeed;
             const vy = Math.sin(particleAngle) * particleSpeed;
@@ -405,7 +414,7 @@ class ParticleHelpers {
                 y: startY,
                 vx,
                 vy,
-                size: size + Math.random() * sizeVariance,
+                size: size + ParticleHelpers.random() * sizeVariance,
                 color: particleColor,
                 life,
                 type: 'spark'
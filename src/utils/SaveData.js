@@ -0,0 +1,275 @@
+/**
+ * Save Data - One versioned document for everything the game persists
+ *
+ * Progress lives in many StorageManager keys (stars, meta upgrades, achievements,
+ * selections, settings, histories). SaveData bundles those keys into a single
+ * export document with a schema version and an FNV-1a checksum, and imports it
+ * back after validating it. Values are kept as the raw stored strings, so each
+ * system keeps reading its own keys unchanged.
+ *
+ * Schema versions describe the key layout. When the layout changes, bump
+ * SCHEMA_VERSION and add a MIGRATIONS entry that upgrades data from the previous
+ * version; migrateStorage() brings local storage up to date on load and
+ * importDocument() does the same for older exports.
+ */
+class SaveData {
+    static FORMAT_ID = 'galactic-ring-cannon-save';
+    static SCHEMA_VERSION = 3;
+    static VERSION_KEY = 'saveSchemaVersion';
+
+    /** Keys that make up a save (settings included, debug flags excluded) */
+    static KEYS = [
+        'starTokens',
+        'totalStarsEarned',
+        'gamesPlayed',
+        'totalKills',
+        'selectedCharacter',
+        'selectedWeapon',
+        'gamestate_achievements',
+        'achievements',
+        'gameStats',
+        'soundEnabled',
+        'volume',
+        'lowQuality',
+        'difficulty',
+        'autoLevelEnabled',
+        'manualAim',
+        'keyBindings',
+        'gamepadBindings',
+        'dailyChallengeResults',
+        'runHistory',
+        'characterMastery',
+        'heatCurses',
+        'heatRecords'
+    ];
+
+    /** Key prefixes for per-item keys (meta upgrade levels) */
+    static KEY_PREFIXES = ['meta_'];
+
+    /**
+     * Upgrade steps keyed by the version they upgrade from.
+     * Each receives the key -> raw string map and returns the next version's map.
+     */
+    static MIGRATIONS = {
+        // v0: achievements were only stored by AchievementSystem ({ id: { progress, unlocked } });
+        // v1 adds the GameState unlocked-id list under its own key
+        0: data => {
+            if (data.gamestate_achievements !== undefined || data.achievements === undefined) {
+                return data;
+            }
+            let unlockedIds = [];
+            try {
+                const parsed = JSON.parse(data.achievements);
+                if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                    unlockedIds = Object.keys(parsed).filter(id => parsed[id]?.unlocked === true);
+                }
+            } catch (error) {
+                window.logger.warn('[SaveData] Old achievements are not valid JSON, skipping', error);
+            }
+            return { ...data, gamestate_achievements: JSON.stringify(unlockedIds) };
+        },
+        // v2 adds the control binding keys; missing bindings mean defaults
+        1: data => data,
+        // v3 adds manual aim, character mastery and the heat curse/record keys; missing ones mean defaults
+        2: data => data
+    };
+
+    static isSaveKey(key) {
+        return SaveData.KEYS.includes(key) || SaveData.KEY_PREFIXES.some(prefix => key.startsWith(prefix));
+    }
+
+    /**
+     * Current save keys and their raw values
+     * @returns {Object<string, string>}
+     */
+    static collect() {
+        const data = {};
+        const keys = new Set([
+            ...SaveData.KEYS,
+            ...window.StorageManager.keys().filter(key => SaveData.isSaveKey(key))
+        ]);
+        [...keys].sort().forEach(key => {
+            const value = window.StorageManager.getItem(key);
+            if (value !== null) {
+                data[key] = value;
+            }
+        });
+        return data;
+    }
+
+    /**
+     * FNV-1a hash of the version and data (keys sorted), as 8 hex digits
+     */
+    static checksum(schemaVersion, data) {
+        const sorted = {};
+        Object.keys(data).sort().forEach(key => {
+            sorted[key] = data[key];
+        });
+        const text = JSON.stringify([schemaVersion, sorted]);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Build the export document for the current storage
+     */
+    static createDocument() {
+        const data = SaveData.collect();
+        return {
+            format: SaveData.FORMAT_ID,
+            schemaVersion: SaveData.SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            data,
+            checksum: SaveData.checksum(SaveData.SCHEMA_VERSION, data)
+        };
+    }
+
+    static serialize() {
+        return JSON.stringify(SaveData.createDocument(), null, 2);
+    }
+
+    /**
+     * Validate an export and upgrade it to the current schema
+     * @param {string|Object} source - JSON text or parsed document
+     * @returns {{schemaVersion: number, data: Object<string, string>}}
+     * @throws {Error} If the document is not a valid save
+     */
+    static parse(source) {
+        const doc = typeof source === 'string' ? JSON.parse(source) : source;
+
+        if (!doc || doc.format !== SaveData.FORMAT_ID) {
+            throw new Error('Not a Galactic Ring Cannon save file');
+        }
+        if (!Number.isInteger(doc.schemaVersion) || doc.schemaVersion < 0) {
+            throw new Error('Save file is missing its schema version');
+        }
+        if (doc.schemaVersion > SaveData.SCHEMA_VERSION) {
+            throw new Error(`Save file is from a newer version of the game (schema ${doc.schemaVersion})`);
+        }
+        const data = doc.data;
+        if (!data || typeof data !== 'object' || Array.isArray(data) ||
+            Object.values(data).some(value => typeof value !== 'string')) {
+            throw new Error('Save data is corrupted');
+        }
+        if (doc.checksum !== SaveData.checksum(doc.schemaVersion, data)) {
+            throw new Error('Save file checksum does not match - the file was modified or damaged');
+        }
+
+        const unknownKeys = Object.keys(data).filter(key => !SaveData.isSaveKey(key));
+        if (unknownKeys.length > 0) {
+            throw new Error(`Save file contains unknown keys: ${unknownKeys.join(', ')}`);
+        }
+
+        return {
+            schemaVersion: SaveData.SCHEMA_VERSION,
+            data: SaveData.migrate(data, doc.schemaVersion)
+        };
+    }
+
+    /**
+     * Run the migration chain from a version up to SCHEMA_VERSION
+     * @returns {Object<string, string>} Migrated copy
+     */
+    static migrate(data, fromVersion) {
+        let migrated = { ...data };
+        for (let version = fromVersion; version < SaveData.SCHEMA_VERSION; version++) {
+            const step = SaveData.MIGRATIONS[version];
+            if (typeof step !== 'function') {
+                throw new Error(`No save migration from schema ${version}`);
+            }
+            migrated = step(migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * Replace all save keys with an imported save
+     * @param {string|Object} source - Export document
+     * @returns {number} Number of keys written
+     * @throws {Error} If the document is invalid (storage is left untouched)
+     */
+    static importDocument(source) {
+        const { data } = SaveData.parse(source);
+
+        Object.keys(SaveData.collect()).forEach(key => window.StorageManager.removeItem(key));
+        Object.entries(data).forEach(([key, value]) => window.StorageManager.setItem(key, value));
+        window.StorageManager.setItem(SaveData.VERSION_KEY, String(SaveData.SCHEMA_VERSION));
+
+        window.logger.log(`[SaveData] Imported ${Object.keys(data).length} keys`);
+        return Object.keys(data).length;
+    }
+
+    /**
+     * Bring local storage written by an older build up to the current layout.
+     * Storage without a version marker predates versioning (schema 0).
+     * @returns {boolean} True if anything was migrated
+     */
+    static migrateStorage() {
+        const storedVersion = window.StorageManager.getInt(SaveData.VERSION_KEY, 0);
+        if (storedVersion >= SaveData.SCHEMA_VERSION) {
+            return false;
+        }
+
+        try {
+            const before = SaveData.collect();
+            const after = SaveData.migrate(before, storedVersion);
+            Object.entries(after).forEach(([key, value]) => {
+                if (before[key] !== value) {
+                    window.StorageManager.setItem(key, value);
+                }
+            });
+            Object.keys(before).forEach(key => {
+                if (!(key in after)) {
+                    window.StorageManager.removeItem(key);
+                }
+            });
+        } catch (error) {
+            window.logger.warn('[SaveData] Storage migration failed:', error);
+            return false;
+        }
+
+        window.StorageManager.setItem(SaveData.VERSION_KEY, String(SaveData.SCHEMA_VERSION));
+        window.logger.log(`[SaveData] Migrated storage from schema ${storedVersion} to ${SaveData.SCHEMA_VERSION}`);
+        return true;
+    }
+
+    /**
+     * Download the current save as a JSON file
+     * @returns {boolean} True if a download was started
+     */
+    static exportToFile() {
+        if (typeof document === 'undefined' || typeof Blob === 'undefined') {
+            return false;
+        }
+
+        try {
+            const blob = new Blob([SaveData.serialize()], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `galactic-save-${new Date().toISOString().slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+            return true;
+        } catch (error) {
+            window.logger.error('Failed to export save:', error);
+            return false;
+        }
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.SaveData = SaveData;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveData;
+}
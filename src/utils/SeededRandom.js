@@ -0,0 +1,142 @@
+/**
+ * SeededRandom - Deterministic PRNG shared by gameplay systems
+ * Uses mulberry32 seeded from an FNV-1a hash so any string (e.g. `?seed=NEBULA`)
+ * maps to a reproducible sequence. Two runs with the same seed draw identical
+ * values as long as systems consume them in the same order.
+ *
+ * Cosmetic systems (particles) should draw from a named sub-stream via
+ * `stream('particles')` so quality settings never shift gameplay rolls.
+ */
+class SeededRandom {
+    constructor(seed = null) {
+        this._streams = new Map();
+        this.setSeed(seed === null || seed === undefined ? SeededRandom.generateSeed() : seed);
+    }
+
+    /**
+     * Hash any seed value to an unsigned 32-bit integer (FNV-1a)
+     */
+    static hashSeed(value) {
+        const text = String(value);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a short, shareable seed string
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF).toString(36).toUpperCase();
+    }
+
+    /**
+     * Normalize user-provided seeds (URL params, imports) to a safe display string
+     */
+    static normalizeSeed(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        const text = String(value).trim().slice(0, 32);
+        return text.length > 0 ? text : null;
+    }
+
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed) || SeededRandom.generateSeed();
+        this._state = SeededRandom.hashSeed(this.seed);
+        this.calls = 0;
+
+        // Keep derived streams in lockstep with the parent seed
+        this._streams.forEach((stream, name) => {
+            stream.setSeed(`${this.seed}:${name}`);
+        });
+
+        return this.seed;
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get a named sub-stream derived from this seed (created on first use)
+     */
+    stream(name) {
+        let stream = this._streams.get(name);
+        if (!stream) {
+            stream = new SeededRandom(`${this.seed}:${name}`);
+            this._streams.set(name, stream);
+        }
+        return stream;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     */
+    next() {
+        this.calls++;
+        let t = (this._state = (this._state + 0x6D2B79F5) | 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    random() {
+        return this.next();
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [min, max)
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max));
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Fill a typed array (noise/lookup tables) with values in [0, 1)
+     */
+    fill(table) {
+        for (let i = 0; i < table.length; i++) {
+            table[i] = this.next();
+        }
+        return table;
+    }
+}
+
+// Run-level instance shared by all gameplay systems; reseeded on each new run
+const runRandom = new SeededRandom();
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.SeededRandom = SeededRandom;
+    window.Game.rng = runRandom;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -2,9 +2,23 @@
  * Centralized Storage Manager
  * Provides safe localStorage access with consistent error handling
  * Handles cases where localStorage may be unavailable (private browsing, etc.)
+ *
+ * Profiles: every key is scoped to the active save profile. The default
+ * profile uses the bare key (so saves from before profiles keep working);
+ * other profiles store `profile:<id>:<key>`. The profile list and the active
+ * profile id are the only unscoped keys.
  */
 
 class StorageManager {
+    static DEFAULT_PROFILE_ID = 'default';
+    static PROFILE_PREFIX = 'profile:';
+    static PROFILES_KEY = 'profiles';
+    static ACTIVE_PROFILE_KEY = 'activeProfile';
+    static MAX_PROFILE_NAME_LENGTH = 24;
+
+    /** Cached active profile id (read lazily from ACTIVE_PROFILE_KEY) */
+    static _activeProfileId = null;
+
     /**
      * Internal helper to log warnings with fallback
      * @private
@@ -35,6 +49,52 @@ class StorageManager {
         return true;
     }
 
+    /**
+     * Physical localStorage key for a key in the active profile
+     * @private
+     */
+    static _scopedKey(key) {
+        const profileId = this.getActiveProfileId();
+        if (profileId === this.DEFAULT_PROFILE_ID) {
+            return key;
+        }
+        return `${this.PROFILE_PREFIX}${profileId}:${key}`;
+    }
+
+    /**
+     * Whether a physical key is one of the unscoped profile bookkeeping keys
+     * @private
+     */
+    static _isProfileBookkeepingKey(rawKey) {
+        return rawKey === this.PROFILES_KEY || rawKey === this.ACTIVE_PROFILE_KEY;
+    }
+
+    /**
+     * Physical keys belonging to a profile, mapped to their unscoped names
+     * @private
+     * @returns {Array<{rawKey: string, key: string}>}
+     */
+    static _profileKeys(profileId) {
+        let rawKeys = [];
+        try {
+            rawKeys = Object.keys(localStorage);
+        } catch (e) {
+            this._warn('Failed to get localStorage keys:', e);
+            return [];
+        }
+
+        if (profileId === this.DEFAULT_PROFILE_ID) {
+            return rawKeys
+                .filter(rawKey => !rawKey.startsWith(this.PROFILE_PREFIX) && !this._isProfileBookkeepingKey(rawKey))
+                .map(rawKey => ({ rawKey, key: rawKey }));
+        }
+
+        const prefix = `${this.PROFILE_PREFIX}${profileId}:`;
+        return rawKeys
+            .filter(rawKey => rawKey.startsWith(prefix))
+            .map(rawKey => ({ rawKey, key: rawKey.slice(prefix.length) }));
+    }
+
     /**
      * Check if localStorage is available
      * @returns {boolean} True if localStorage is available
@@ -61,7 +121,7 @@ class StorageManager {
             return defaultValue;
         }
         try {
-            const value = localStorage.getItem(key);
+            const value = localStorage.getItem(this._scopedKey(key));
             return value !== null ? value : defaultValue;
         } catch (e) {
             this._warn(`Failed to get localStorage item "${key}":`, e);
@@ -80,7 +140,7 @@ class StorageManager {
             return false;
         }
         try {
-            localStorage.setItem(key, value);
+            localStorage.setItem(this._scopedKey(key), value);
             return true;
         } catch (e) {
             this._warn(`Failed to set localStorage item "${key}":`, e);
@@ -98,7 +158,7 @@ class StorageManager {
             return false;
         }
         try {
-            localStorage.removeItem(key);
+            localStorage.removeItem(this._scopedKey(key));
             return true;
         } catch (e) {
             this._warn(`Failed to remove localStorage item "${key}":`, e);
@@ -178,12 +238,12 @@ class StorageManager {
     }
 
     /**
-     * Clear all items from localStorage
+     * Clear all items of the active profile
      * @returns {boolean} True if successful
      */
     static clear() {
         try {
-            localStorage.clear();
+            this._profileKeys(this.getActiveProfileId()).forEach(({ rawKey }) => localStorage.removeItem(rawKey));
             return true;
         } catch (e) {
             this._warn('Failed to clear localStorage:', e);
@@ -192,16 +252,173 @@ class StorageManager {
     }
 
     /**
-     * Get all keys from localStorage
+     * Get all keys of the active profile
      * @returns {string[]} Array of keys
      */
     static keys() {
+        return this._profileKeys(this.getActiveProfileId()).map(({ key }) => key);
+    }
+
+    // ===== PROFILES =====
+
+    /**
+     * All save profiles (the default profile always exists and comes first)
+     * @returns {Array<{id: string, name: string}>}
+     */
+    static getProfiles() {
+        let stored = [];
         try {
-            return Object.keys(localStorage);
+            const parsed = JSON.parse(localStorage.getItem(this.PROFILES_KEY) || '[]');
+            if (Array.isArray(parsed)) {
+                stored = parsed.filter(profile =>
+                    profile && typeof profile.id === 'string' && typeof profile.name === 'string'
+                );
+            }
         } catch (e) {
-            this._warn('Failed to get localStorage keys:', e);
-            return [];
+            this._warn('Failed to read profile list:', e);
         }
+
+        const defaultProfile = stored.find(profile => profile.id === this.DEFAULT_PROFILE_ID) ||
+            { id: this.DEFAULT_PROFILE_ID, name: 'Pilot 1' };
+        return [defaultProfile, ...stored.filter(profile => profile.id !== this.DEFAULT_PROFILE_ID)];
+    }
+
+    /**
+     * @private
+     */
+    static _saveProfiles(profiles) {
+        try {
+            localStorage.setItem(this.PROFILES_KEY, JSON.stringify(profiles));
+            return true;
+        } catch (e) {
+            this._warn('Failed to save profile list:', e);
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _normalizeProfileName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        return trimmed.slice(0, this.MAX_PROFILE_NAME_LENGTH);
+    }
+
+    /**
+     * Id of the profile all keys are currently scoped to
+     * @returns {string}
+     */
+    static getActiveProfileId() {
+        if (this._activeProfileId === null) {
+            let stored = null;
+            try {
+                stored = localStorage.getItem(this.ACTIVE_PROFILE_KEY);
+            } catch (e) {
+                stored = null;
+            }
+            const exists = stored && this.getProfiles().some(profile => profile.id === stored);
+            this._activeProfileId = exists ? stored : this.DEFAULT_PROFILE_ID;
+        }
+        return this._activeProfileId;
+    }
+
+    /**
+     * @returns {{id: string, name: string}}
+     */
+    static getActiveProfile() {
+        const activeId = this.getActiveProfileId();
+        return this.getProfiles().find(profile => profile.id === activeId) || this.getProfiles()[0];
+    }
+
+    /**
+     * Create a profile (does not switch to it)
+     * @param {string} name - Display name
+     * @returns {{id: string, name: string}|null} New profile, or null if the name is empty
+     */
+    static createProfile(name) {
+        const normalized = this._normalizeProfileName(name);
+        if (!normalized) {
+            return null;
+        }
+
+        const profiles = this.getProfiles();
+        let id = `p${Date.now().toString(36)}`;
+        while (profiles.some(profile => profile.id === id)) {
+            id = `${id}x`;
+        }
+
+        const profile = { id, name: normalized };
+        this._saveProfiles([...profiles, profile]);
+        return profile;
+    }
+
+    /**
+     * @returns {boolean} True if renamed
+     */
+    static renameProfile(profileId, name) {
+        const normalized = this._normalizeProfileName(name);
+        const profiles = this.getProfiles();
+        const profile = profiles.find(entry => entry.id === profileId);
+        if (!normalized || !profile) {
+            return false;
+        }
+
+        profile.name = normalized;
+        return this._saveProfiles(profiles);
+    }
+
+    /**
+     * Delete a profile and all of its keys. The default and the active profile
+     * cannot be deleted.
+     * @returns {boolean} True if deleted
+     */
+    static deleteProfile(profileId) {
+        if (profileId === this.DEFAULT_PROFILE_ID || profileId === this.getActiveProfileId()) {
+            return false;
+        }
+
+        const profiles = this.getProfiles();
+        if (!profiles.some(profile => profile.id === profileId)) {
+            return false;
+        }
+
+        try {
+            this._profileKeys(profileId).forEach(({ rawKey }) => localStorage.removeItem(rawKey));
+        } catch (e) {
+            this._warn(`Failed to remove keys of profile "${profileId}":`, e);
+        }
+        return this._saveProfiles(profiles.filter(profile => profile.id !== profileId));
+    }
+
+    /**
+     * Scope all keys to another profile and announce it with a
+     * `profileChanged` window event so systems can reload their saved state
+     * @returns {boolean} True if the active profile changed
+     */
+    static switchProfile(profileId) {
+        if (!this.getProfiles().some(profile => profile.id === profileId)) {
+            return false;
+        }
+        if (profileId === this.getActiveProfileId()) {
+            return false;
+        }
+
+        this._activeProfileId = profileId;
+        try {
+            localStorage.setItem(this.ACTIVE_PROFILE_KEY, profileId);
+        } catch (e) {
+            this._warn('Failed to persist active profile:', e);
+        }
+
+        if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function' &&
+            typeof CustomEvent === 'function') {
+            try {
+                window.dispatchEvent(new CustomEvent('profileChanged', { detail: { profileId } }));
+            } catch (e) {
+                this._warn('Failed to dispatch profileChanged event:', e);
+            }
+        }
+        return true;
     }
 
     /**
@@ -214,7 +431,7 @@ class StorageManager {
             return false;
         }
         try {
-            return localStorage.getItem(key) !== null;
+            return localStorage.getItem(this._scopedKey(key)) !== null;
         } catch (e) {
             return false;
         }
@@ -9,6 +9,11 @@
  * - Edge cases: combat.attackSpeed can be 0 during initialization or after debuffs
  * - Definition errors: Malformed weapon definitions could have fireRate=0 or undefined
  * - The 0.1 minimum ensures weapons fire at most every 10 seconds (safe floor)
+ *
+ * SECONDARY SLOT:
+ * - definition.secondary (WEAPON_DEFINITIONS) is fired on demand with the 'secondary' input,
+ *   or by its trigger ('crit', 'lowHealth') for secondaries that declare one
+ * - Cooldown and power come from PlayerCombat secondary upgrades; effects live in WeaponSecondaries
  */
 class WeaponBase {
     constructor({ player, combat, definition, manager }) {
@@ -19,7 +24,42 @@ class WeaponBase {
 
         this.timer = 0;
         this.cooldown = 0;
+        this.level = 1;
         this._needsRecalc = true;
+
+        this.currentTarget = null; // Enemy picked by the last getTargetAngle() (null while manually aiming)
+
+        this.secondary = this.definition.secondary || null;
+        this.secondaryCooldownRemaining = 0;
+        this._appliedFireRateBoost = 1;
+    }
+
+    static getLevelConfig() {
+        return window.GAME_CONSTANTS?.WEAPONS || {
+            MAX_LEVEL: 5,
+            LEVEL_DAMAGE_BONUS: 0.15,
+            LEVEL_FIRE_RATE_BONUS: 0.08
+        };
+    }
+
+    /**
+     * Set the weapon level (from weapon level-up cards), clamped to MAX_LEVEL
+     */
+    setLevel(level) {
+        const maxLevel = WeaponBase.getLevelConfig().MAX_LEVEL;
+        this.level = Math.max(1, Math.min(maxLevel, Math.floor(level) || 1));
+        this._needsRecalc = true;
+    }
+
+    /**
+     * Damage multiplier from weapon level (WeaponManager applies it while this weapon fires)
+     */
+    getLevelDamageMultiplier() {
+        return 1 + (this.level - 1) * WeaponBase.getLevelConfig().LEVEL_DAMAGE_BONUS;
+    }
+
+    getLevelFireRateMultiplier() {
+        return 1 + (this.level - 1) * WeaponBase.getLevelConfig().LEVEL_FIRE_RATE_BONUS;
     }
 
     /**
@@ -56,7 +96,14 @@ class WeaponBase {
         const weaponRate = Math.max(0.1, this._getDefinitionFireRate());
 
         const normalizedModifier = weaponRate / baseRate;
-        return Math.max(0.05, playerRate * normalizedModifier);
+
+        // Timed attack speed secondaries (Blood Frenzy, Overcharge)
+        this._appliedFireRateBoost = this._getFireRateBoost();
+        return Math.max(0.05, playerRate * normalizedModifier * this._appliedFireRateBoost);
+    }
+
+    _getFireRateBoost() {
+        return this.player?.stats?.getPowerUpValue?.('attackSpeed', 1) ?? 1;
     }
 
     /**
@@ -64,7 +111,7 @@ class WeaponBase {
      * @param {boolean} preserveProgress - Whether to scale timer proportionally
      */
     _recalculateCooldown(preserveProgress = true) {
-        const fireRate = this._computeEffectiveFireRate();
+        const fireRate = this._computeEffectiveFireRate() * this.getLevelFireRateMultiplier();
         // [FIX] Enforce minimum fire rate to prevent Infinity cooldown softlock
         // This is the final safety net - fireRate should never be 0 at this point
         // but we double-check to prevent 1/0 = Infinity
@@ -110,6 +157,23 @@ class WeaponBase {
         }
     }
 
+    /**
+     * Aim for the next shot: manual aim when enabled, otherwise this weapon's
+     * targeting strategy (definition.targeting, see WeaponTargeting)
+     * @param {Object} [options] - { range } search radius (defaults to attackRange)
+     * @returns {number|null} Angle in radians, or null when there is nothing to shoot at
+     */
+    getTargetAngle(game, options = {}) {
+        const Targeting = window.Game?.WeaponTargeting;
+        if (Targeting) {
+            return Targeting.getAimAngle(this, game, options);
+        }
+
+        const nearestEnemy = this.combat?.findNearestEnemy?.();
+        this.currentTarget = nearestEnemy || null;
+        return nearestEnemy ? Math.atan2(nearestEnemy.y - this.player.y, nearestEnemy.x - this.player.x) : null;
+    }
+
     /**
      * Fire the weapon - MUST be overridden by subclass
      * @param {Game} game - Game instance
@@ -170,6 +234,93 @@ class WeaponBase {
         if (!this.cooldown || this.cooldown <= 0) return 0;
         return Math.min(1, this.timer / this.cooldown);
     }
+
+    hasSecondary() {
+        return !!this.secondary?.id;
+    }
+
+    /**
+     * Secondary cooldown after secondaryCooldown upgrades, floored at SECONDARY_MIN_COOLDOWN
+     */
+    getSecondaryCooldown() {
+        if (!this.hasSecondary()) return 0;
+        const minCooldown = WeaponBase.getLevelConfig().SECONDARY_MIN_COOLDOWN ?? 2;
+        const multiplier = this.combat?.secondaryCooldownMultiplier ?? 1;
+        return Math.max(minCooldown, (this.secondary.cooldown || 0) * multiplier);
+    }
+
+    /**
+     * Damage/strength multiplier from secondaryPower upgrades
+     */
+    getSecondaryPower() {
+        return Math.max(0, this.combat?.secondaryPower ?? 1);
+    }
+
+    isSecondaryReady() {
+        return this.hasSecondary() && this.secondaryCooldownRemaining <= 0;
+    }
+
+    /**
+     * Whether the 'secondary' input fires this secondary (triggered ones fire themselves)
+     */
+    isSecondaryManual() {
+        return this.hasSecondary() && !this.secondary.trigger;
+    }
+
+    /**
+     * Fire a triggered secondary when its event happens and it is off cooldown
+     * @param {string} trigger - 'crit' (a critical hit) or 'lowHealth' (checked every update)
+     * @returns {boolean} Whether it fired
+     */
+    triggerSecondary(trigger, game) {
+        if (this.secondary?.trigger !== trigger || !this.isSecondaryReady()) return false;
+
+        if (trigger === 'lowHealth') {
+            const player = this.player;
+            if (!player || player.isDead) return false;
+            const healthRatio = (player.health || 0) / Math.max(1, player.maxHealth || 100);
+            if (healthRatio >= (this.secondary.lowHealthThreshold ?? 0.4)) return false;
+        }
+
+        return this.useSecondary(game);
+    }
+
+    /**
+     * Fire the secondary ability and start its cooldown
+     * @returns {boolean} Whether it fired
+     */
+    useSecondary(game) {
+        const Secondaries = window.Game?.WeaponSecondaries;
+        if (!this.isSecondaryReady() || !Secondaries) return false;
+        if (!Secondaries.activate(this, game)) return false;
+
+        this.secondaryCooldownRemaining = this.getSecondaryCooldown();
+        return true;
+    }
+
+    /**
+     * Tick the secondary cooldown (WeaponManager calls this for every slot, even
+     * for weapons that override update) and recalculate the fire rate when a
+     * timed attack speed secondary starts or ends
+     */
+    updateSecondary(deltaTime) {
+        if (this.secondaryCooldownRemaining > 0) {
+            this.secondaryCooldownRemaining = Math.max(0, this.secondaryCooldownRemaining - deltaTime);
+        }
+        if (this._getFireRateBoost() !== this._appliedFireRateBoost) {
+            this._needsRecalc = true;
+        }
+    }
+
+    /**
+     * Secondary cooldown progress (0-1, 1 = ready)
+     */
+    getSecondaryCooldownProgress() {
+        if (!this.hasSecondary()) return 0;
+        const cooldown = this.getSecondaryCooldown();
+        if (cooldown <= 0) return 1;
+        return 1 - Math.min(1, this.secondaryCooldownRemaining / cooldown);
+    }
 }
 
 // Export to window.Game namespace
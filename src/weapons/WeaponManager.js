@@ -3,8 +3,15 @@
  *
  * Responsibilities:
  * - Instantiate weapon classes from definitions (data-driven)
- * - Update the active weapon each frame
- * - Route upgrades/stat changes to the equipped weapon
+ * - Update every equipped weapon slot each frame (each keeps its own cooldown)
+ * - Route upgrades/stat changes to the equipped weapons
+ * - Fire the secondary ability of the first equipped weapon that has one (on
+ *   input, or on its trigger for triggered secondaries)
+ *
+ * Slot 0 holds the active (signature) weapon; level-up cards add weapons to the
+ * remaining slots and raise weapon levels. A max-level weapon plus the passive
+ * named in WEAPON_EVOLUTION_DEFINITIONS evolves in place. Legacy
+ * combat.attackTimer/attackCooldown mirror the active weapon.
  */
 
 const _weaponRegistry = new Map();
@@ -14,13 +21,25 @@ class WeaponManager {
         this.player = player;
         this.combat = combat;
         this.weapons = new Map();
+        this.slots = []; // Equipped weapon ids, active weapon first
+        this.slotsVersion = 0; // Bumped when slots or levels change (HUD rebuild)
         this.activeWeaponId = null;
         this.activeWeapon = null;
         this.enabled = true;
 
+        const config = WeaponManager.getConfig();
+        this.maxSlots = Math.max(1, config.MAX_SLOTS);
+        this.maxLevel = Math.max(1, config.MAX_LEVEL);
+
+        const HudClass = typeof window !== 'undefined' ? window.Game?.WeaponSlotsHUD : null;
+        this.hud = typeof HudClass === 'function' ? new HudClass() : null;
+
         this.definitions = typeof window !== 'undefined'
             ? (window.WEAPON_DEFINITIONS || {})
             : {};
+        this.evolutions = typeof window !== 'undefined' && Array.isArray(window.WEAPON_EVOLUTION_DEFINITIONS)
+            ? window.WEAPON_EVOLUTION_DEFINITIONS
+            : [];
 
         const defaultWeaponId = this._resolveDefaultWeaponId();
         if (defaultWeaponId) {
@@ -28,6 +47,13 @@ class WeaponManager {
         }
     }
 
+    static getConfig() {
+        return (typeof window !== 'undefined' && window.GAME_CONSTANTS?.WEAPONS) || {
+            MAX_SLOTS: 4,
+            MAX_LEVEL: 5
+        };
+    }
+
     _resolveDefaultWeaponId() {
         if (!this.definitions) return null;
 
@@ -82,7 +108,7 @@ class WeaponManager {
         }
     }
 
-    equip(id) {
+    _getOrCreateWeapon(id) {
         if (!id) return null;
 
         const definition = this._getDefinition(id);
@@ -94,6 +120,15 @@ class WeaponManager {
             if (!weapon) return null;
             this.weapons.set(id, weapon);
         }
+        return weapon;
+    }
+
+    /**
+     * Make a weapon the active one (slot 0), replacing the previous active weapon.
+     */
+    equip(id) {
+        const weapon = this._getOrCreateWeapon(id);
+        if (!weapon) return null;
 
         if (this.activeWeapon && this.activeWeapon.onUnequip) {
             this.activeWeapon.onUnequip();
@@ -101,6 +136,8 @@ class WeaponManager {
 
         this.activeWeaponId = id;
         this.activeWeapon = weapon;
+        this.slots = [id, ...this.slots.slice(1).filter(slotId => slotId !== id)];
+        this.slotsVersion++;
 
         if (weapon.onEquip) {
             weapon.onEquip();
@@ -110,18 +147,168 @@ class WeaponManager {
     }
 
     /**
-     * Update the active weapon each frame.
+     * Equip a weapon in a free slot; it fires alongside the others.
+     * @returns {Object|null} The weapon, or null if slots are full or the id is unknown
+     */
+    addWeapon(id) {
+        if (this.hasWeapon(id)) {
+            return this.weapons.get(id);
+        }
+        if (!this.canAddWeapon()) {
+            window.logger.warn(`[WeaponManager] No free slot for weapon "${id}".`);
+            return null;
+        }
+        if (!this.activeWeapon) {
+            return this.equip(id);
+        }
+
+        const weapon = this._getOrCreateWeapon(id);
+        if (!weapon) return null;
+
+        this.slots.push(id);
+        this.slotsVersion++;
+
+        if (weapon.onEquip) {
+            weapon.onEquip();
+        }
+
+        return weapon;
+    }
+
+    hasWeapon(id) {
+        return this.slots.includes(id);
+    }
+
+    canAddWeapon() {
+        return this.slots.length < this.maxSlots;
+    }
+
+    getEquippedWeaponIds() {
+        return this.slots.slice();
+    }
+
+    /**
+     * Weapons a level-up card may offer: defined, registered, not evolved and not yet equipped
+     */
+    getOfferableWeaponIds() {
+        if (!this.canAddWeapon()) {
+            return [];
+        }
+        return Object.keys(this.definitions || {}).filter(id =>
+            _weaponRegistry.has(id) && !this.definitions[id].evolvedFrom && !this.hasWeapon(id)
+        );
+    }
+
+    getWeaponLevel(id) {
+        const weapon = this.hasWeapon(id) ? this.weapons.get(id) : null;
+        return weapon ? (weapon.level || 1) : 0;
+    }
+
+    getMaxWeaponLevel() {
+        return this.maxLevel;
+    }
+
+    /**
+     * Raise an equipped weapon's level by one
+     * @returns {boolean} False if not equipped or already at max level
+     */
+    levelUpWeapon(id) {
+        const weapon = this.hasWeapon(id) ? this.weapons.get(id) : null;
+        if (!weapon || typeof weapon.setLevel !== 'function') {
+            return false;
+        }
+        const level = weapon.level || 1;
+        if (level >= this.maxLevel) {
+            return false;
+        }
+        weapon.setLevel(level + 1);
+        this.slotsVersion++;
+        return true;
+    }
+
+    /**
+     * Evolutions whose weapon is equipped at max level and whose passive was picked
+     * @param {function(string): boolean} hasUpgrade - Whether an upgrade id was selected this run
+     * @returns {Array<Object>} Entries from WEAPON_EVOLUTION_DEFINITIONS
+     */
+    getAvailableEvolutions(hasUpgrade) {
+        return this.evolutions.filter(evolution =>
+            this.getWeaponLevel(evolution.weaponId) >= this.maxLevel &&
+            !this.hasWeapon(evolution.evolvedWeaponId) &&
+            _weaponRegistry.has(evolution.evolvedWeaponId) &&
+            !!this.definitions[evolution.evolvedWeaponId] &&
+            hasUpgrade(evolution.requiresUpgrade)
+        );
+    }
+
+    /**
+     * Replace an equipped weapon with its evolved form in the same slot, keeping its level
+     * @returns {Object|null} The evolved weapon, or null if the swap is not possible
+     */
+    evolveWeapon(weaponId, evolvedWeaponId) {
+        const slotIndex = this.slots.indexOf(weaponId);
+        if (slotIndex === -1 || this.hasWeapon(evolvedWeaponId)) {
+            return null;
+        }
+
+        const evolved = this._getOrCreateWeapon(evolvedWeaponId);
+        if (!evolved) return null;
+
+        const previous = this.weapons.get(weaponId);
+        if (previous && previous.onUnequip) {
+            previous.onUnequip();
+        }
+        this.weapons.delete(weaponId);
+
+        this.slots[slotIndex] = evolvedWeaponId;
+        if (slotIndex === 0) {
+            this.activeWeaponId = evolvedWeaponId;
+            this.activeWeapon = evolved;
+        }
+        this.slotsVersion++;
+
+        if (typeof evolved.setLevel === 'function') {
+            evolved.setLevel(previous?.level || 1);
+        }
+        if (evolved.onEquip) {
+            evolved.onEquip();
+        }
+
+        window.logger.log(`[WeaponManager] ${weaponId} evolved into ${evolvedWeaponId}`);
+        return evolved;
+    }
+
+    /**
+     * Update every equipped weapon each frame.
      */
     update(deltaTime, game) {
         if (!this.enabled) return;
 
+        // Blood Frenzy fires itself once health drops below its threshold
+        this.getSecondaryWeapon()?.triggerSecondary?.('lowHealth', game);
+
+        for (let i = 0; i < this.slots.length; i++) {
+            const slotWeapon = this.weapons.get(this.slots[i]);
+            if (!slotWeapon || typeof slotWeapon.update !== 'function') {
+                continue;
+            }
+            slotWeapon.updateSecondary?.(deltaTime);
+            // PlayerCombat.fireProjectile scales damage by the firing weapon's level
+            this.combat.weaponDamageMultiplier = slotWeapon.getLevelDamageMultiplier?.() ?? 1;
+            slotWeapon.update(deltaTime, game);
+        }
+        this.combat.weaponDamageMultiplier = 1;
+
+        if (this.hud) {
+            this.hud.update(this);
+        }
+
+        // Weapons write the legacy combat timer fields; keep them on the active weapon
         const weapon = this.activeWeapon;
-        if (!weapon || typeof weapon.update !== 'function') {
+        if (!weapon) {
             return;
         }
 
-        weapon.update(deltaTime, game);
-
         if (typeof weapon.getCooldown === 'function') {
             const cooldown = weapon.getCooldown();
             if (Number.isFinite(cooldown)) {
@@ -143,28 +330,85 @@ class WeaponManager {
     fireImmediate(game) {
         const weapon = this.activeWeapon;
         if (weapon && typeof weapon.fireImmediate === 'function') {
-            return weapon.fireImmediate(game);
+            this.combat.weaponDamageMultiplier = weapon.getLevelDamageMultiplier?.() ?? 1;
+            const fired = weapon.fireImmediate(game);
+            this.combat.weaponDamageMultiplier = 1;
+            return fired;
         }
         return false;
     }
 
     /**
-     * Route upgrades to the active weapon (if relevant).
+     * Weapon the secondary input fires: the active weapon if it has a secondary,
+     * otherwise the first slotted weapon that does.
+     */
+    getSecondaryWeapon() {
+        for (const id of this.slots) {
+            const weapon = this.weapons.get(id);
+            if (weapon?.hasSecondary?.()) {
+                return weapon;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fire the secondary ability (PlayerCombat calls this on the 'secondary' input).
+     */
+    useSecondary(game) {
+        const weapon = this.getSecondaryWeapon();
+        return weapon ? weapon.useSecondary(game) : false;
+    }
+
+    /**
+     * A critical hit landed (PlayerCombat) - fires 'crit' triggered secondaries
+     */
+    onCriticalHit(game) {
+        return this.getSecondaryWeapon()?.triggerSecondary('crit', game) ?? false;
+    }
+
+    /**
+     * Handle weapon cards and route other upgrades to every equipped weapon.
      */
     applyUpgrade(upgrade) {
-        const weapon = this.activeWeapon;
-        if (weapon && typeof weapon.applyUpgrade === 'function') {
-            weapon.applyUpgrade(upgrade);
+        switch (upgrade?.type) {
+            case 'weaponUnlock':
+                this.addWeapon(upgrade.weaponId);
+                return;
+            case 'weaponLevel':
+                this.levelUpWeapon(upgrade.weaponId);
+                return;
+            case 'weaponEvolution':
+                this.evolveWeapon(upgrade.weaponId, upgrade.evolvedWeaponId);
+                return;
+            default:
+                break;
         }
+
+        this._forEachEquipped(weapon => {
+            if (typeof weapon.applyUpgrade === 'function') {
+                weapon.applyUpgrade(upgrade);
+            }
+        });
     }
 
     /**
-     * Notify weapon that combat stats changed (e.g. attack speed upgrade).
+     * Notify weapons that combat stats changed (e.g. attack speed upgrade).
      */
     notifyCombatStatChange() {
-        const weapon = this.activeWeapon;
-        if (weapon && typeof weapon.onCombatStatsChanged === 'function') {
-            weapon.onCombatStatsChanged();
+        this._forEachEquipped(weapon => {
+            if (typeof weapon.onCombatStatsChanged === 'function') {
+                weapon.onCombatStatsChanged();
+            }
+        });
+    }
+
+    _forEachEquipped(callback) {
+        for (const id of this.slots) {
+            const weapon = this.weapons.get(id);
+            if (weapon) {
+                callback(weapon);
+            }
         }
     }
 
@@ -0,0 +1,194 @@
+/**
+ * WeaponSecondaries - Effects for the weapon `secondary` abilities
+ * WeaponBase.useSecondary() calls activate() with the weapon whose secondary
+ * fired; tuning comes from that weapon's WEAPON_DEFINITIONS secondary entry.
+ * Orbital Flux and Blood Frenzy are triggered (WeaponBase.triggerSecondary)
+ * rather than fired on input. Timed buffs (Orbital Flux, Blood Frenzy,
+ * Overcharge) are PlayerStats power-ups that PlayerCombat and WeaponBase read
+ * while they run. Power (secondaryPower upgrades) scales damage and buff strength.
+ */
+class WeaponSecondaries {
+    /**
+     * @param {WeaponBase} weapon - Weapon whose secondary fired
+     * @param {Object} game - Game engine
+     * @returns {boolean} False for unknown secondaries (cooldown is not spent)
+     */
+    static activate(weapon, game) {
+        const secondary = weapon?.secondary;
+        const player = weapon?.player;
+        if (!secondary || !player) return false;
+
+        const power = weapon.getSecondaryPower();
+        const damage = this.getDamage(weapon, secondary.damageMultiplier || 0);
+
+        switch (secondary.id) {
+            case 'nova_knockback':
+                this._blast(player, game, secondary.radius, damage, '#ff9f43', enemy => {
+                    this._knockback(player, enemy, secondary.knockback || 400);
+                    enemy.statusEffects?.applyEffect?.('stun', {}, secondary.stunDuration || 0.4);
+                });
+                break;
+            case 'storm_surge':
+                this._blast(player, game, secondary.radius, damage, '#74b9ff', enemy => {
+                    enemy.statusEffects?.applyEffect?.('stun', {}, secondary.stunDuration || 1);
+                    enemy.statusEffects?.applyEffect?.('weaken', { amount: secondary.weakenAmount || 0.15 },
+                        secondary.weakenDuration || 3);
+                });
+                break;
+            case 'orbital_flux':
+                player.stats?.activatePowerUp?.('projectiles', secondary.duration,
+                    Math.max(1, Math.round((secondary.extraProjectiles || 1) * power)));
+                break;
+            case 'eruption': {
+                const DamageZone = window.Game?.DamageZone;
+                if (typeof DamageZone !== 'function' || typeof game?.addEntity !== 'function') return false;
+                game.addEntity(new DamageZone(player.x, player.y, secondary.radius || 160, damage,
+                    secondary.duration || 4, 'eruption'));
+                break;
+            }
+            case 'blood_frenzy':
+                this._boostAttackSpeed(player, secondary.duration, secondary.attackSpeedMultiplier, power);
+                break;
+            case 'event_horizon': {
+                const GravityWell = window.Game?.GravityWell;
+                if (typeof GravityWell !== 'function' || typeof game?.addEntity !== 'function') return false;
+                game.addEntity(new GravityWell({
+                    x: player.x,
+                    y: player.y,
+                    radius: secondary.radius,
+                    duration: secondary.duration,
+                    slowAmount: secondary.slowAmount,
+                    pullStrength: secondary.pullStrength,
+                    damageMultiplier: secondary.damageMultiplier,
+                    baseDamage: this.getDamage(weapon, 1),
+                    sourcePlayer: player
+                }));
+                break;
+            }
+            case 'phase_burst':
+                this._phaseBurst(player, game, secondary, damage);
+                break;
+            case 'overcharge': {
+                // Health cost never kills: it leaves at least 1 HP
+                const stats = player.stats;
+                if (stats && typeof stats.health === 'number') {
+                    stats.health = Math.max(1, stats.health - stats.health * (secondary.healthCost || 0));
+                    stats._updateHealthBarUI?.();
+                }
+                this._boostAttackSpeed(player, secondary.duration, secondary.attackSpeedMultiplier, power);
+                break;
+            }
+            default:
+                window.logger.warn(`[WeaponSecondaries] Unknown secondary "${secondary.id}"`);
+                return false;
+        }
+
+        const gm = window.gameManager || window.gameManagerBridge;
+        gm?.showFloatingText?.(secondary.name || secondary.id, player.x, player.y - 50, '#f1c40f', 18);
+        window.audioSystem?.play?.('aoeAttack', 0.4);
+        return true;
+    }
+
+    /**
+     * Secondary damage: attackDamage x multiplier x weapon level bonus x power
+     */
+    static getDamage(weapon, multiplier) {
+        const attackDamage = weapon.combat?.attackDamage || 0;
+        const levelMultiplier = weapon.getLevelDamageMultiplier?.() ?? 1;
+        return attackDamage * multiplier * levelMultiplier * weapon.getSecondaryPower();
+    }
+
+    static _getEnemies(game, x, y, radius) {
+        if (typeof game?.getEnemiesWithinRadius !== 'function') return [];
+        return game.getEnemiesWithinRadius(x, y, radius, { includeDead: false })
+            .filter(enemy => enemy && !enemy.isDead && typeof enemy.takeDamage === 'function');
+    }
+
+    /**
+     * Damage every enemy around the player, then run onHit on the survivors
+     */
+    static _blast(player, game, radius, damage, color, onHit) {
+        const gm = window.gameManager || window.gameManagerBridge;
+        gm?.createExplosion?.(player.x, player.y, radius, color);
+
+        for (const enemy of this._getEnemies(game, player.x, player.y, radius)) {
+            enemy.takeDamage(damage);
+            if (!enemy.isDead) {
+                onHit(enemy);
+            }
+        }
+    }
+
+    static _knockback(player, enemy, force) {
+        const dx = enemy.x - player.x;
+        const dy = enemy.y - player.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        // Heavier (bigger) enemies are shoved less
+        const scale = Math.min(1, 20 / Math.max(1, enemy.radius || 20));
+        enemy.movement?.applyKnockback?.((dx / distance) * force * scale, (dy / distance) * force * scale, 0.3);
+    }
+
+    /**
+     * Hop from enemy to enemy, nearest first, hitting each once
+     */
+    static _phaseBurst(player, game, secondary, damage) {
+        const remaining = this._getEnemies(game, player.x, player.y, secondary.radius || 350);
+        let from = player;
+        let hits = 0;
+
+        while (remaining.length > 0 && hits < (secondary.maxTargets || 8)) {
+            let nearestIndex = 0;
+            let nearestDistSq = Infinity;
+            remaining.forEach((enemy, index) => {
+                const distSq = (enemy.x - from.x) ** 2 + (enemy.y - from.y) ** 2;
+                if (distSq < nearestDistSq) {
+                    nearestDistSq = distSq;
+                    nearestIndex = index;
+                }
+            });
+
+            const target = remaining.splice(nearestIndex, 1)[0];
+            this._createPhaseTrail(from, target);
+            target.takeDamage(damage);
+            from = target;
+            hits++;
+        }
+    }
+
+    static _createPhaseTrail(from, to) {
+        const pool = window.optimizedParticles;
+        if (!pool?.spawnParticle) return;
+
+        for (let i = 1; i <= 6; i++) {
+            const t = i / 6;
+            pool.spawnParticle({
+                x: from.x + (to.x - from.x) * t,
+                y: from.y + (to.y - from.y) * t,
+                vx: 0,
+                vy: 0,
+                size: 3,
+                color: '#a29bfe',
+                life: 0.25,
+                type: 'spark'
+            });
+        }
+    }
+
+    /**
+     * Power scales the bonus part of the multiplier (x2 at power 1.5 becomes x2.5)
+     */
+    static _boostAttackSpeed(player, duration, multiplier, power) {
+        const bonus = Math.max(0, (multiplier || 1) - 1) * power;
+        player.stats?.activatePowerUp?.('attackSpeed', duration, 1 + bonus);
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.WeaponSecondaries = WeaponSecondaries;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WeaponSecondaries;
+}
@@ -0,0 +1,198 @@
+/**
+ * WeaponTargeting - Pluggable target selection for weapons
+ * Each weapon names a strategy in WEAPON_DEFINITIONS[].targeting and aims
+ * through WeaponBase.getTargetAngle(). Strategies get a context with the
+ * player, the game and the enemies within range, and return an enemy (or
+ * null). register() adds new strategies. When manual aim is on the player's
+ * aim (mouse or right stick, replay-aware via GameEngine.getAimInput) wins.
+ */
+class WeaponTargeting {
+    static DEFAULT_STRATEGY = 'nearest';
+
+    /** Older definition values mapped to current strategies */
+    static ALIASES = {
+        nearest_cone: 'forward_cone',
+        omni: 'nearest'
+    };
+
+    static _strategies = new Map();
+
+    static getConfig() {
+        return window.GAME_CONSTANTS?.TARGETING || {
+            CLUSTER_RADIUS: 120,
+            MAX_CLUSTER_CANDIDATES: 60,
+            FORWARD_CONE_DEGREES: 70
+        };
+    }
+
+    /**
+     * @param {string} name - Strategy id used in WEAPON_DEFINITIONS[].targeting
+     * @param {function(Object): Object|null} select - Picks an enemy from the context
+     */
+    static register(name, select) {
+        if (!name || typeof select !== 'function') {
+            window.logger.warn('[WeaponTargeting] register called with invalid arguments.');
+            return;
+        }
+        this._strategies.set(name, select);
+    }
+
+    static getStrategyNames() {
+        return Array.from(this._strategies.keys());
+    }
+
+    static getStrategy(name) {
+        const resolved = this.ALIASES[name] || name;
+        return this._strategies.get(resolved) || this._strategies.get(this.DEFAULT_STRATEGY);
+    }
+
+    /**
+     * @param {string} strategyName - Strategy id (unknown ids fall back to nearest)
+     * @param {Object} [options] - { range } search radius (defaults to the player's attackRange)
+     * @returns {Object|null} Target enemy
+     */
+    static findTarget(strategyName, player, game, options = {}) {
+        if (!player) return null;
+        const world = game || window.gameEngine || window.gameManager?.game;
+        const range = options.range ?? player.combat?.attackRange ?? 300;
+
+        let candidates = null;
+        const context = {
+            player,
+            game: world,
+            range,
+            // Living enemies in range, nearest first (computed once per lookup)
+            getCandidates() {
+                if (!candidates) {
+                    const found = world?.getEnemiesWithinRadius?.(player.x, player.y, range, { includeDead: false }) || [];
+                    candidates = found
+                        .filter(enemy => enemy && !enemy.isDead)
+                        .map(enemy => ({ enemy, distSq: (enemy.x - player.x) ** 2 + (enemy.y - player.y) ** 2 }))
+                        .sort((a, b) => a.distSq - b.distSq)
+                        .map(entry => entry.enemy);
+                }
+                return candidates;
+            },
+            findNearest() {
+                if (candidates) return candidates[0] || null;
+                if (typeof world?.findClosestEnemy === 'function') {
+                    return world.findClosestEnemy(player.x, player.y, {
+                        includeDead: false,
+                        maxRadius: range,
+                        useSpatialGrid: true
+                    }) ?? null;
+                }
+                return this.getCandidates()[0] || null;
+            }
+        };
+
+        return this.getStrategy(strategyName)?.(context) || null;
+    }
+
+    /**
+     * Aim angle for a weapon's next shot; also sets weapon.currentTarget
+     * (null while manually aiming)
+     * @returns {number|null} Radians, or null when there is nothing to shoot at
+     */
+    static getAimAngle(weapon, game, options = {}) {
+        const manualAngle = game?.getAimInput?.();
+        if (typeof manualAngle === 'number') {
+            weapon.currentTarget = null;
+            return manualAngle;
+        }
+
+        const player = weapon.player;
+        const target = this.findTarget(weapon.definition?.targeting, player, game, options);
+        weapon.currentTarget = target;
+        return target ? Math.atan2(target.y - player.y, target.x - player.x) : null;
+    }
+
+    /**
+     * Direction the player is heading: current velocity, else the last movement input
+     * @returns {{x: number, y: number}|null} Unit vector
+     */
+    static getForwardDirection(player) {
+        const velocity = player?.movement?.velocity;
+        const last = player?.movement?.dodgeDirection;
+        for (const vector of [velocity, last]) {
+            const length = vector ? Math.sqrt(vector.x * vector.x + vector.y * vector.y) : 0;
+            if (length > 1e-3) {
+                return { x: vector.x / length, y: vector.y / length };
+            }
+        }
+        return null;
+    }
+}
+
+WeaponTargeting.register('nearest', context => context.findNearest());
+
+WeaponTargeting.register('highest_hp', context => {
+    let best = null;
+    for (const enemy of context.getCandidates()) {
+        if (!best || (enemy.health || 0) > (best.health || 0)) best = enemy;
+    }
+    return best;
+});
+
+WeaponTargeting.register('lowest_hp', context => {
+    let best = null;
+    for (const enemy of context.getCandidates()) {
+        if (!best || (enemy.health || 0) < (best.health || 0)) best = enemy;
+    }
+    return best;
+});
+
+// Nearest boss or elite, else nearest enemy
+WeaponTargeting.register('elite_first', context =>
+    context.getCandidates().find(enemy => enemy.isBoss || enemy.isElite) || context.findNearest()
+);
+
+// Enemy with the most neighbours within CLUSTER_RADIUS (closest wins ties)
+WeaponTargeting.register('densest_cluster', context => {
+    const config = WeaponTargeting.getConfig();
+    const candidates = context.getCandidates().slice(0, config.MAX_CLUSTER_CANDIDATES ?? 60);
+    const radiusSq = (config.CLUSTER_RADIUS ?? 120) ** 2;
+
+    let best = null;
+    let bestCount = -1;
+    for (const enemy of candidates) {
+        let count = 0;
+        for (const other of candidates) {
+            if (other !== enemy && (other.x - enemy.x) ** 2 + (other.y - enemy.y) ** 2 <= radiusSq) {
+                count++;
+            }
+        }
+        if (count > bestCount) {
+            best = enemy;
+            bestCount = count;
+        }
+    }
+    return best;
+});
+
+// Nearest enemy inside the cone ahead of the player's movement, else nearest
+WeaponTargeting.register('forward_cone', context => {
+    const forward = WeaponTargeting.getForwardDirection(context.player);
+    if (!forward) return context.findNearest();
+
+    const halfAngle = ((WeaponTargeting.getConfig().FORWARD_CONE_DEGREES ?? 70) / 2) * Math.PI / 180;
+    const minDot = Math.cos(halfAngle);
+    const { player } = context;
+    const inCone = context.getCandidates().find(enemy => {
+        const dx = enemy.x - player.x;
+        const dy = enemy.y - player.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        return length === 0 || (dx * forward.x + dy * forward.y) / length >= minDot;
+    });
+    return inCone || context.findNearest();
+});
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.WeaponTargeting = WeaponTargeting;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WeaponTargeting;
+}
@@ -49,18 +49,8 @@ class ArcBurstWeapon extends window.Game.WeaponBase {
         if (!game) return false;
 
         const maxRadius = this.combat.attackRange || 320;
-        const nearestEnemy = game.findClosestEnemy?.(
-            this.player.x,
-            this.player.y,
-            {
-                maxRadius,
-                includeDead: false
-            }
-        );
-
-        if (!nearestEnemy) return false;
-
-        const angle = Math.atan2(nearestEnemy.y - this.player.y, nearestEnemy.x - this.player.x);
+        const angle = this.getTargetAngle(game, { range: maxRadius });
+        if (angle === null) return false;
 
         this._ensureChainBaseline();
 
@@ -95,33 +95,21 @@ class ConstellationArrayWeapon extends window.Game.WeaponBase {
 
     _resolveTargetAngle(game) {
         const maxRange = this._getMaxTargetRange();
-        const detectionRadius = maxRange;
-
-        const nearestEnemy = typeof this.combat.findNearestEnemy === 'function'
-            ? this.combat.findNearestEnemy()
-            : game?.findClosestEnemy?.(
-                this.player.x,
-                this.player.y,
-                {
-                    includeDead: false,
-                    maxRadius: detectionRadius,
-                    useSpatialGrid: true
-                }
-            );
-
-        if (!nearestEnemy) {
+        const angle = this.getTargetAngle(game, { range: maxRange });
+        if (angle === null) {
             return null;
         }
 
-        const dx = nearestEnemy.x - this.player.x;
-        const dy = nearestEnemy.y - this.player.y;
-        this._distanceToLastTarget = Math.hypot(dx, dy);
+        // Manual aim has no target: treat the volley as flying to full range
+        const target = this.currentTarget;
+        this._distanceToLastTarget = target
+            ? Math.hypot(target.x - this.player.x, target.y - this.player.y)
+            : maxRange;
 
         if (this._distanceToLastTarget > maxRange) {
             return null;
         }
 
-        const angle = Math.atan2(nearestEnemy.y - this.player.y, nearestEnemy.x - this.player.x);
         this.lastTargetAngle = angle;
         return angle;
     }
@@ -23,13 +23,8 @@ class MagmaLauncherWeapon extends window.Game.WeaponBase {
     fire(game) {
         if (!game) return false;
 
-        const nearestEnemy = this.combat.findNearestEnemy();
-        if (!nearestEnemy) return false;
-
-        // Calculate base angle to nearest enemy
-        const dx = nearestEnemy.x - this.player.x;
-        const dy = nearestEnemy.y - this.player.y;
-        const targetAngle = Math.atan2(dy, dx);
+        const targetAngle = this.getTargetAngle(game);
+        if (targetAngle === null) return false;
 
         // Fire magma charge
         this.combat.fireProjectile(game, targetAngle, {
@@ -36,31 +36,11 @@ class NovaShotgunWeapon extends window.Game.WeaponBase {
     fire(game) {
         if (!game) return false;
 
+        // Prefer close targets, fall back to full range search
         const rangeLimit = (this.combat.attackRange || 300) * 0.8;
-        const nearestEnemy = game.findClosestEnemy?.(
-            this.player.x,
-            this.player.y,
-            {
-                maxRadius: rangeLimit,
-                includeDead: false
-            }
-        );
-
-        if (!nearestEnemy) {
-            // fallback to full range search
-            return this._fireAtAnyTarget(game);
-        }
-
-        const angle = Math.atan2(nearestEnemy.y - this.player.y, nearestEnemy.x - this.player.x);
-
-        this._emitShot(game, angle);
-        return true;
-    }
+        const angle = this.getTargetAngle(game, { range: rangeLimit }) ?? this.getTargetAngle(game);
+        if (angle === null) return false;
 
-    _fireAtAnyTarget(game) {
-        const nearestEnemy = this.combat.findNearestEnemy();
-        if (!nearestEnemy) return false;
-        const angle = Math.atan2(nearestEnemy.y - this.player.y, nearestEnemy.x - this.player.x);
         this._emitShot(game, angle);
         return true;
     }
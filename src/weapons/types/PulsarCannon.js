@@ -0,0 +1,80 @@
+/**
+ * PulsarCannonWeapon - evolved Pulse Cannon (Pulse Cannon at max level + Multi-Bounce).
+ * Extends WeaponBase for shared fire rate/cooldown logic.
+ *
+ * Core mechanics:
+ * - Heavier, faster pulses with extra piercing
+ * - Every pulse ricochets (no chance roll)
+ */
+class PulsarCannonWeapon extends window.Game.WeaponBase {
+    constructor({ player, combat, definition, manager }) {
+        super({ player, combat, definition, manager });
+
+        const template = this.definition.projectileTemplate || {};
+        this.baseDamageMultiplier = template.damageMultiplier || 1.3;
+        this.baseSpeedMultiplier = template.speedMultiplier || 1.2;
+        this.bonusPiercing = template.bonusPiercing || 2;
+    }
+
+    fire(game) {
+        if (!game) return false;
+
+        const angle = this.getTargetAngle(game);
+        if (angle === null) return false;
+
+        if (window.audioSystem?.playBossBeat) {
+            window.audioSystem.playBossBeat();
+        }
+
+        this.combat.fireProjectile(game, angle, {
+            damageMultiplier: this.baseDamageMultiplier,
+            speedMultiplier: this.baseSpeedMultiplier,
+            piercingOverride: (this.combat.piercing || 0) + this.bonusPiercing,
+            forcedSpecialTypes: ['ricochet'],
+            weaponId: this.definition.id
+        });
+
+        this._createMuzzleFlash(angle);
+
+        return true;
+    }
+
+    _createMuzzleFlash(angle) {
+        const ParticleHelpers = window.Game?.ParticleHelpers;
+        if (ParticleHelpers?.createMuzzleFlash) {
+            ParticleHelpers.createMuzzleFlash(this.player.x, this.player.y, angle, {
+                color: '#f39c12',
+                secondaryColor: '#ffffff',
+                count: 4,
+                speed: 120,
+                speedVariance: 60,
+                life: 0.18
+            });
+        }
+    }
+
+    applyUpgrade(upgrade) {
+        switch (upgrade.type) {
+            case 'attackSpeed':
+            case 'attackDamage':
+            case 'projectileCount':
+            case 'projectileSpread':
+            case 'piercing':
+            case 'projectileSpeed':
+            case 'critChance':
+            case 'critDamage':
+                this._needsRecalc = true;
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.Weapons = window.Game.Weapons || {};
+    if (typeof window.Game.Weapons.registerType === 'function') {
+        window.Game.Weapons.registerType('pulsar_cannon', PulsarCannonWeapon);
+    }
+}
@@ -16,12 +16,8 @@ class SanguineLanceWeapon extends window.Game.WeaponBase {
     fire(game) {
         if (!game) return false;
 
-        const nearestEnemy = this.combat.findNearestEnemy();
-        if (!nearestEnemy) return false;
-
-        const dx = nearestEnemy.x - this.player.x;
-        const dy = nearestEnemy.y - this.player.y;
-        const baseAngle = Math.atan2(dy, dx);
+        const baseAngle = this.getTargetAngle(game);
+        if (baseAngle === null) return false;
 
         if (window.audioSystem?.playBossBeat) {
             window.audioSystem.playBossBeat();
@@ -0,0 +1,95 @@
+/**
+ * SupernovaBlasterWeapon - evolved Nova Shotgun (Nova Shotgun at max level + Devastating Blasts).
+ * Extends WeaponBase for shared fire rate/cooldown logic.
+ *
+ * Core mechanics:
+ * - Wider cone with more pellets than the Nova Shotgun
+ * - Every pellet explodes on impact
+ */
+class SupernovaBlasterWeapon extends window.Game.WeaponBase {
+    constructor({ player, combat, definition, manager }) {
+        super({ player, combat, definition, manager });
+
+        const template = this.definition.projectileTemplate || {};
+        this.baseProjectileCount = template.count || 8;
+        this.baseSpread = template.spreadDegrees || 70;
+        this.baseDamageMultiplier = template.damageMultiplier || 0.8;
+        this.baseSpeedMultiplier = template.speedMultiplier || 0.95;
+
+        this.soundVolume = 0.38;
+    }
+
+    onEquip() {
+        super.onEquip();
+        this.combat.hasSpreadAttack = true;
+    }
+
+    onUnequip() {
+        super.onUnequip();
+        this.combat.hasSpreadAttack = this.combat.projectileCount > 1;
+    }
+
+    fire(game) {
+        if (!game) return false;
+
+        const angle = this.getTargetAngle(game);
+        if (angle === null) return false;
+
+        this.combat.fireProjectile(game, angle, {
+            additionalProjectiles: this.baseProjectileCount - 1,
+            spreadDegrees: this.baseSpread,
+            damageMultiplier: this.baseDamageMultiplier,
+            speedMultiplier: this.baseSpeedMultiplier,
+            forcedSpecialTypes: ['explosive'],
+            weaponId: this.definition.id,
+            soundKey: 'shotgun' in (window.audioSystem?.sounds || {}) ? 'shotgun' : 'shoot',
+            soundVolume: this.soundVolume
+        });
+
+        this._createMuzzleFlash(angle);
+
+        return true;
+    }
+
+    _createMuzzleFlash(angle) {
+        const ParticleHelpers = window.Game?.ParticleHelpers;
+        if (ParticleHelpers?.createMuzzleFlash) {
+            ParticleHelpers.createMuzzleFlash(this.player.x, this.player.y, angle, {
+                color: '#e74c3c',
+                secondaryColor: '#f1c40f',
+                count: 16,
+                spread: 0.9,
+                speed: 200,
+                speedVariance: 140,
+                size: 3,
+                sizeVariance: 2,
+                life: 0.3
+            });
+        }
+    }
+
+    applyUpgrade(upgrade) {
+        switch (upgrade.type) {
+            case 'attackSpeed':
+            case 'attackDamage':
+            case 'projectileCount':
+            case 'projectileSpread':
+            case 'piercing':
+            case 'projectileSpeed':
+            case 'critChance':
+            case 'critDamage':
+                this._needsRecalc = true;
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.Weapons = window.Game.Weapons || {};
+    if (typeof window.Game.Weapons.registerType === 'function') {
+        window.Game.Weapons.registerType('supernova_blaster', SupernovaBlasterWeapon);
+    }
+}
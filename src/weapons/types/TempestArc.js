@@ -0,0 +1,85 @@
+/**
+ * TempestArcWeapon - evolved Arc Burst (Arc Burst at max level + Storm Chains).
+ * Extends WeaponBase for shared fire rate/cooldown logic.
+ *
+ * Core mechanics:
+ * - Wider three-bolt volley
+ * - Every bolt chains (no chance roll) and homes toward targets
+ */
+class TempestArcWeapon extends window.Game.WeaponBase {
+    constructor({ player, combat, definition, manager }) {
+        super({ player, combat, definition, manager });
+
+        const template = this.definition.projectileTemplate || {};
+        this.baseProjectileCount = template.count || 3;
+        this.baseSpread = template.spreadDegrees || 18;
+        this.baseDamageMultiplier = template.damageMultiplier || 1.0;
+        this.baseSpeedMultiplier = template.speedMultiplier || 1.15;
+
+        this.soundVolume = 0.3;
+    }
+
+    fire(game) {
+        if (!game) return false;
+
+        const angle = this.getTargetAngle(game);
+        if (angle === null) return false;
+
+        this.combat.fireProjectile(game, angle, {
+            additionalProjectiles: this.baseProjectileCount - 1,
+            spreadDegrees: this.baseSpread,
+            damageMultiplier: this.baseDamageMultiplier,
+            speedMultiplier: this.baseSpeedMultiplier,
+            forcedSpecialTypes: ['chain', 'homing'],
+            weaponId: this.definition.id,
+            soundKey: 'shoot',
+            soundVolume: this.soundVolume
+        });
+
+        this._createMuzzleFlash(angle);
+
+        return true;
+    }
+
+    _createMuzzleFlash(angle) {
+        const ParticleHelpers = window.Game?.ParticleHelpers;
+        if (ParticleHelpers?.createMuzzleFlash) {
+            ParticleHelpers.createMuzzleFlash(this.player.x, this.player.y, angle, {
+                color: '#74b9ff',
+                secondaryColor: '#ffffff',
+                count: 8,
+                spread: 0.7,
+                speed: 170,
+                speedVariance: 110,
+                size: 2,
+                sizeVariance: 2,
+                life: 0.22
+            });
+        }
+    }
+
+    applyUpgrade(upgrade) {
+        switch (upgrade.type) {
+            case 'attackSpeed':
+            case 'attackDamage':
+            case 'projectileCount':
+            case 'projectileSpread':
+            case 'piercing':
+            case 'projectileSpeed':
+            case 'critChance':
+            case 'critDamage':
+                this._needsRecalc = true;
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.Game = window.Game || {};
+    window.Game.Weapons = window.Game.Weapons || {};
+    if (typeof window.Game.Weapons.registerType === 'function') {
+        window.Game.Weapons.registerType('tempest_arc', TempestArcWeapon);
+    }
+}
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Arena Hazard Tests
+ *
+ * Verifies that asteroids block projectiles through CollisionSystem and break
+ * under player fire, that player and enemy movement can't pass through them,
+ * that black holes drift and pull the player (while the player's own gravity
+ * wells don't), and that HazardSystem paces, telegraphs and cleans up hazards
+ * and MinimapSystem draws them.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Arena Hazard Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = { Game: {}, logger: createMockLogger(), GAME_CONSTANTS: { PERFORMANCE: {} } };
+    global.GAME_CONSTANTS = window.GAME_CONSTANTS;
+
+    load('src/config/hazards.config.js');
+    load('src/entities/damageZone.js');
+    load('src/entities/GravityWell.js');
+    load('src/entities/ArenaHazards.js');
+    load('src/entities/components/EnemyMovement.js');
+    load('src/entities/player/PlayerMovement.js');
+    load('src/core/systems/CollisionSystem.js');
+    load('src/core/systems/GameScheduler.js');
+    load('src/core/systems/MinimapSystem.js');
+    load('src/systems/HazardSystem.js');
+    const { Asteroid, BlackHole, GravityWell, CollisionSystem, EnemyMovement, HazardSystem, MinimapSystem } = window.Game;
+    const PlayerMovement = vm.runInThisContext('PlayerMovement');
+    const GameScheduler = vm.runInThisContext('GameScheduler');
+
+    // Minimal engine: entity list with per-type lookups, like GameEngine/EntityManager
+    const createGame = () => {
+        const game = {
+            entities: [],
+            obstacles: [],
+            scheduler: new GameScheduler(),
+            player: { x: 0, y: 0, radius: 20, isDead: false },
+            addEntity(entity) {
+                this.entities.push(entity);
+                if (entity.type === 'obstacle') this.obstacles.push(entity);
+                return entity;
+            },
+            getEntitiesByType(type) {
+                return this.entities.filter(entity => entity.type === type);
+            }
+        };
+        return game;
+    };
+
+    test('asteroids stop projectiles from both sides and break under player fire', () => {
+        const added = [];
+        window.gameManager = { game: { addEntity: entity => added.push(entity) } };
+        window.Game.XPOrb = function (x, y, value) { Object.assign(this, { type: 'xpOrb', x, y, value }); };
+
+        const engine = {
+            entities: [],
+            spatialGrid: new Map(),
+            _spatialGridCellPool: [],
+            gridSize: 100,
+            encodeGridKey: (x, y) => `${x},${y}`,
+            decodeGridKey: key => key.split(',').map(Number)
+        };
+        const collisions = new CollisionSystem(engine);
+        const asteroid = new Asteroid({ x: 0, y: 0, radius: 40, health: 30, xpValue: 7 });
+        const shot = { type: 'projectile', x: 45, y: 0, radius: 6, damage: 20, isDead: false };
+        const enemyShot = { type: 'enemyProjectile', x: -45, y: 0, radius: 6, damage: 10, isDead: false };
+        engine.entities = [asteroid, shot, enemyShot];
+        collisions.updateSpatialGrid();
+        collisions.checkCollisions();
+
+        if (!shot.isDead || !enemyShot.isDead) {
+            throw new Error('Both projectiles should be stopped by the asteroid');
+        }
+        if (asteroid.health !== 10 || asteroid.isDead) {
+            throw new Error(`Expected the player shot to chip the asteroid to 10, got ${asteroid.health}`);
+        }
+
+        asteroid.blockProjectile({ type: 'projectile', damage: 15, isDead: false });
+        if (!asteroid.isDead || added.length !== 1 || added[0].value !== 7) {
+            throw new Error('A destroyed asteroid should drop its XP orb');
+        }
+        delete window.gameManager;
+    });
+
+    test('player and enemies cannot move through asteroids', () => {
+        const game = createGame();
+        game.addEntity(new Asteroid({ x: 100, y: 0, radius: 40 }));
+
+        const movement = new PlayerMovement(game.player);
+        game.player.x = 70;
+        movement.velocity = { x: 200, y: 50 };
+        movement.resolveObstacleCollisions(game);
+        if (Math.abs(game.player.x - 40) > 1e-9 || movement.velocity.x !== 0 || movement.velocity.y !== 50) {
+            throw new Error(`Player should be pushed out and slide along the rock (${game.player.x}, ${movement.velocity.x})`);
+        }
+
+        const enemy = { x: 100, y: 50, radius: 15, isDead: false, constellation: {} };
+        const enemyMovement = new EnemyMovement(enemy);
+        enemyMovement.velocity = { x: 0, y: -80 };
+        enemyMovement.collisionCooldown = 1;
+        enemyMovement.handleCollisions(0.016, game);
+        if (Math.abs(enemy.y - 55) > 1e-6 || enemyMovement.velocity.y !== 0) {
+            throw new Error(`Enemies should be pushed out even in formations or on cooldown (${enemy.y})`);
+        }
+    });
+
+    test('black holes drift and pull the player, the player\'s own wells do not', () => {
+        const game = createGame();
+        const movement = new PlayerMovement(game.player);
+
+        game.addEntity(new GravityWell({ x: 100, y: 0, radius: 200 }));
+        movement.applyEnvironmentalForces(1, game);
+        if (game.player.x !== 0) {
+            throw new Error('Singularity Cannon wells should not tug the player');
+        }
+
+        const blackHole = game.addEntity(new BlackHole({ x: 100, y: 0, radius: 200, pullStrength: 0.5, vx: 10, playerPull: 0.5 }));
+        if (blackHole.type !== 'gravityWell') {
+            throw new Error('Black holes should keep the gravityWell type so enemies feel them');
+        }
+        movement.applyEnvironmentalForces(0.1, game);
+        // 0.5 strength * 420 * 0.5 player share * (1 - 100/200) intensity * 0.1s
+        if (Math.abs(game.player.x - 5.25) > 1e-9) {
+            throw new Error(`Unexpected pull ${game.player.x}`);
+        }
+
+        blackHole.update(0.5, game);
+        if (blackHole.x !== 105) {
+            throw new Error('Black holes should drift with their velocity');
+        }
+    });
+
+    test('hazard system paces spawns, telegraphs flares and drops far hazards', () => {
+        const game = createGame();
+        const hazards = new HazardSystem({
+            asteroid: { startTime: 0, interval: 5, maxActive: 2, spawnDistance: [700, 700], despawnDistance: 1500, radius: [30, 30], healthPerRadius: 2, xpValue: 0 },
+            solarFlare: { startTime: 10, interval: 30, maxActive: 2, count: 2, spread: 0, radius: 80, duration: 2, warning: 1, damage: 10 }
+        });
+
+        for (let i = 0; i < 200; i++) hazards.update(0.1, game); // 20 seconds
+        const asteroids = hazards.getActiveHazards(game, 'asteroid');
+        if (asteroids.length !== 2 || asteroids[0].maxHealth !== 60) {
+            throw new Error(`Expected maxActive asteroids with scaled health, got ${asteroids.length}`);
+        }
+
+        const telegraphs = game.getEntitiesByType('damageZoneTelegraph');
+        if (telegraphs.length !== 2 || game.getEntitiesByType('damageZone').length !== 0) {
+            throw new Error('Flares should start as telegraphs only');
+        }
+        game.scheduler.update(1);
+        const zones = game.getEntitiesByType('damageZone');
+        if (zones.length !== 2 || zones[0].zoneType !== 'solar' || !zones[0].damageEnemies) {
+            throw new Error('Flares should ignite into enemy-burning solar zones after the warning');
+        }
+
+        game.player.x = 5000;
+        hazards.update(0.1, game);
+        if (asteroids.some(asteroid => !asteroid.isDead)) {
+            throw new Error('Asteroids left far behind should be removed');
+        }
+
+        hazards.reset();
+        if (hazards.elapsed !== 0 || Object.keys(hazards.timers).length !== 0) {
+            throw new Error('reset() should clear run timers');
+        }
+    });
+
+    test('minimap draws hazards to scale', () => {
+        const game = createGame();
+        game.getEnemies = () => [];
+        game.addEntity(new Asteroid({ x: 100, y: 0, radius: 50 }));
+        game.addEntity(new BlackHole({ x: -200, y: 0, radius: 180 }));
+        game.addEntity(new Asteroid({ x: 5000, y: 0, radius: 50 })); // off the map
+
+        const arcs = [];
+        const ctx = new Proxy({}, {
+            get: (target, prop) => prop === 'arc' ? (...args) => arcs.push(args) : (target[prop] || (() => { })),
+            set: (target, prop, value) => { target[prop] = value; return true; }
+        });
+        const minimap = new MinimapSystem(game);
+        minimap.ctx = ctx;
+        minimap.update(true);
+
+        const hazardArcs = arcs.filter(([x]) => x !== minimap.width / 2);
+        const radii = hazardArcs.map(args => Math.round(args[2] * 100) / 100).sort();
+        if (radii.join(',') !== '21.6,6') {
+            throw new Error(`Expected the near asteroid and black hole, got radii ${radii}`);
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
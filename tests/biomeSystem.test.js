@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/**
+ * Biome System Tests
+ *
+ * Verifies biome rotation and the reached list, biome-weighted enemy picks and
+ * hazard pacing, environmental effects folding into the run modifier
+ * multipliers, background recoloring, and that GameManagerBridge rotates
+ * biomes on boss defeats and lists them on the result screen.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLocalStorage, createStorageManagerStub, createMockLogger } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Biome System Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = { Game: {}, logger: createMockLogger() };
+    window.StorageManager = createStorageManagerStub(createMockLocalStorage());
+
+    load('src/config/biomes.config.js');
+    load('src/config/runModifiers.config.js');
+    load('src/config/hazards.config.js');
+    load('src/systems/BiomeSystem.js');
+    load('src/systems/HazardSystem.js');
+    load('src/systems/CosmicBackground.js');
+    load('src/core/gameManagerBridge.js');
+    const { BiomeSystem, HazardSystem, CosmicBackground, GameManagerBridge } = window.Game;
+
+    const ENEMY_TYPES = ['basic', 'fast', 'tank', 'ranged', 'dasher', 'exploder', 'splitter', 'healer',
+        'teleporter', 'phantom', 'shielder', 'summoner', 'berserker', 'minion'];
+    const EFFECTS = ['eliteChance', 'playerRegeneration', 'enemySpeed', 'enemyHealth'];
+
+    const countPicks = (biomes, types, samples = 1000) => {
+        const counts = {};
+        for (let i = 0; i < samples; i++) {
+            const type = biomes.pickEnemyType(types, i / samples);
+            counts[type] = (counts[type] || 0) + 1;
+        }
+        return counts;
+    };
+
+    test('biome definitions use known enemy types, effects, hazards and palettes', () => {
+        window.BIOME_DEFINITIONS.forEach(biome => {
+            Object.keys(biome.enemyWeights).forEach(type => {
+                if (!ENEMY_TYPES.includes(type)) throw new Error(`${biome.id} weights unknown enemy ${type}`);
+            });
+            Object.keys(biome.effects).forEach(effect => {
+                if (!EFFECTS.includes(effect)) throw new Error(`${biome.id} uses unknown effect ${effect}`);
+            });
+            Object.keys(biome.hazards).forEach(type => {
+                if (!window.HAZARD_DEFINITIONS[type]) throw new Error(`${biome.id} weights unknown hazard ${type}`);
+            });
+            const { stars, shapes, shapeTypes } = biome.palette;
+            if (!stars.length || !shapes.length || !shapeTypes.length) {
+                throw new Error(`${biome.id} palette is incomplete`);
+            }
+        });
+    });
+
+    test('biomes rotate in order, loop and remember what was reached', () => {
+        const biomes = new BiomeSystem();
+        const ids = window.BIOME_DEFINITIONS.map(biome => biome.id);
+        if (biomes.getCurrentBiome().id !== ids[0]) {
+            throw new Error('Runs should start in the first biome');
+        }
+
+        biomes.advance();
+        if (biomes.getReachedBiomes().map(biome => biome.id).join(',') !== ids.slice(0, 2).join(',')) {
+            throw new Error(`Unexpected reached list ${biomes.reached}`);
+        }
+
+        for (let i = 1; i < ids.length; i++) biomes.advance();
+        if (biomes.getCurrentBiome().id !== ids[0] || biomes.reached.length !== ids.length) {
+            throw new Error('Rotation should loop without listing biomes twice');
+        }
+
+        biomes.reset();
+        if (biomes.reached.join(',') !== ids[0]) {
+            throw new Error('reset() should start over');
+        }
+    });
+
+    test('enemy picks follow the current biome weights', () => {
+        const biomes = new BiomeSystem([
+            { id: 'even', enemyWeights: {}, effects: {} },
+            { id: 'skewed', enemyWeights: { fast: 3, tank: 0 }, effects: {} },
+            { id: 'empty', enemyWeights: { basic: 0, tank: 0 }, effects: {} }
+        ]);
+        const even = countPicks(biomes, ['basic', 'fast']);
+        if (even.basic !== 500 || even.fast !== 500) {
+            throw new Error(`Expected an even split, got ${JSON.stringify(even)}`);
+        }
+
+        biomes.advance();
+        const skewed = countPicks(biomes, ['basic', 'fast', 'tank']);
+        if (skewed.basic !== 250 || skewed.fast !== 750 || skewed.tank) {
+            throw new Error(`Expected 1:3 and no tanks, got ${JSON.stringify(skewed)}`);
+        }
+
+        biomes.advance();
+        const fallback = countPicks(biomes, ['basic', 'tank']);
+        if (fallback.basic !== 500 || fallback.tank !== 500) {
+            throw new Error('All-excluded types should fall back to an even pick');
+        }
+    });
+
+    test('hazards spawn at the pace the current biome sets', () => {
+        const hazards = new HazardSystem({
+            asteroid: { startTime: 0, interval: 10 },
+            blackHole: { startTime: 0, interval: 10 }
+        });
+        const spawned = [];
+        hazards.spawn = type => { spawned.push(type); return []; };
+        const game = { player: { x: 0, y: 0 }, entities: [], addEntity: () => {}, getEntitiesByType: () => [] };
+        const biomes = new BiomeSystem([
+            { id: 'calm', enemyWeights: {}, effects: {}, hazards: {} },
+            { id: 'rift', enemyWeights: {}, effects: {}, hazards: { blackHole: 2, asteroid: 0 } }
+        ]);
+        window.gameManager = { biomeSystem: biomes };
+
+        const countSpawns = seconds => {
+            spawned.length = 0;
+            hazards.reset();
+            for (let i = 0; i < seconds * 2; i++) hazards.update(0.5, game);
+            const count = type => spawned.filter(spawnedType => spawnedType === type).length;
+            return { asteroid: count('asteroid'), blackHole: count('blackHole') };
+        };
+
+        const calm = countSpawns(30);
+        if (calm.asteroid !== 3 || calm.blackHole !== 3) {
+            throw new Error(`Unlisted hazards should keep their interval, got ${JSON.stringify(calm)}`);
+        }
+        biomes.advance();
+        const rift = countSpawns(30);
+        if (rift.asteroid !== 0 || rift.blackHole !== 6) {
+            throw new Error(`Expected no asteroids and twice the black holes, got ${JSON.stringify(rift)}`);
+        }
+        delete window.gameManager;
+
+        const byId = Object.fromEntries(window.BIOME_DEFINITIONS.map(def => [def.id, new BiomeSystem([def])]));
+        if (byId.void_rift.getHazardWeight('blackHole') <= 1 || byId.crimson_nebula.getHazardWeight('solarFlare') <= 1 ||
+            byId.neon_grid.getHazardWeight('asteroid') !== 1) {
+            throw new Error('Void Rift should favor black holes and Crimson Nebula solar flares');
+        }
+    });
+
+    test('applying a palette recolors the background in place', () => {
+        const ctx = new Proxy({}, { get: () => () => { } });
+        const background = new CosmicBackground({ width: 800, height: 600, getContext: () => ctx });
+        const before = background.stars.map(star => star.x);
+
+        const biomes = new BiomeSystem();
+        biomes.advance();
+        biomes.applyToBackground(background);
+        const palette = biomes.getCurrentBiome().palette;
+
+        if (background.colors.bg !== palette.bg || background.stars.some(star => !palette.stars.includes(star.color))) {
+            throw new Error('Stars and background should take the biome colors');
+        }
+        if (background.shapes.some(shape => !palette.shapes.includes(shape.color) || !palette.shapeTypes.includes(shape.type))) {
+            throw new Error('Shapes should take the biome colors and shape set');
+        }
+        if (background.stars.some((star, i) => star.x !== before[i])) {
+            throw new Error('Recoloring should not move the stars');
+        }
+    });
+
+    test('bridge rotates biomes on boss defeats and folds in their rules', () => {
+        const bridge = new GameManagerBridge();
+        bridge.biomeSystem = new BiomeSystem();
+        bridge.state = {
+            runtime: { gameTime: 0 },
+            progression: { killCount: 0 },
+            combo: { highest: 0 },
+            getRunModifiers: () => ['swift_swarm']
+        };
+        bridge._runModifierEffects = bridge._combineRunModifiers();
+
+        if (bridge.getRunModifierMultiplier('enemySpeed') !== 1.25) {
+            throw new Error('The first biome should not change the rules');
+        }
+
+        bridge.onBossDefeated({ isBoss: true });
+        const crimson = window.BIOME_DEFINITIONS[1];
+        const expected = 1.25 * crimson.effects.enemySpeed;
+        if (bridge.biomeSystem.getCurrentBiome().id !== crimson.id ||
+            Math.abs(bridge.getRunModifierMultiplier('enemySpeed') - expected) > 1e-9) {
+            throw new Error(`Expected ${crimson.id} with enemySpeed ${expected}`);
+        }
+
+        const realSetTimeout = global.setTimeout;
+        global.setTimeout = () => 0; // Skip the delayed victory screen
+        bridge.onBossDefeated({ isBoss: true, isMegaBoss: true });
+        global.setTimeout = realSetTimeout;
+        if (bridge.biomeSystem.getCurrentBiome().id !== crimson.id) {
+            throw new Error('The mega boss ends the run and should not rotate the biome');
+        }
+
+        const row = bridge.getRunSummaryStats().find(stat => stat.label === 'Biomes Reached');
+        if (!row || row.value !== `${window.BIOME_DEFINITIONS[0].name}, ${crimson.name}`) {
+            throw new Error(`Unexpected summary row ${JSON.stringify(row)}`);
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Boss Archetype Tests
+ *
+ * Verifies that bosses.config.js archetypes only reference EnemyAbilities
+ * primitives, that archetypes are chosen by boss count, and that a
+ * boss runs its scripted timeline and swaps it on phase change.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Boss Archetype Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = { Game: {}, logger: createMockLogger() };
+
+    load('src/config/bosses.config.js');
+    load('src/entities/components/EnemyAI.js');
+    load('src/entities/components/EnemyAbilities.js');
+    load('src/entities/components/EnemyMovement.js');
+    load('src/entities/enemy/types/EnemyTypeBase.js');
+    load('src/entities/enemy/types/BossEnemy.js');
+    const { EnemyAI, EnemyAbilities, EnemyMovement } = window.Game;
+    const BossEnemy = vm.runInThisContext('BossEnemy');
+
+    const PRIMITIVES = ['basic', 'spread', 'circle', 'random', 'dash', 'teleport', 'damageZone', 'minions'];
+
+    const createBoss = () => {
+        const boss = { x: 0, y: 0, isDead: false, setupBossAttackPatterns: () => { } };
+        BossEnemy.configure(boss);
+        boss.ai = new EnemyAI(boss);
+        boss.abilities = new EnemyAbilities(boss);
+        boss.movement = new EnemyMovement(boss);
+        boss.ai.configureForEnemyType('boss');
+        boss.abilities.configureForEnemyType('boss');
+        boss.movement.configureForEnemyType('boss');
+        return boss;
+    };
+
+    const byId = id => window.BOSS_DEFINITIONS.find(def => def.id === id);
+
+    test('archetypes only use known primitives and cover every phase', () => {
+        if (window.BOSS_DEFINITIONS.length < 3) {
+            throw new Error('Expected at least three archetypes');
+        }
+        window.BOSS_DEFINITIONS.forEach(def => {
+            if (def.phases.length !== def.phaseThresholds.length + 1) {
+                throw new Error(`${def.id} needs one phase per threshold plus the opening phase`);
+            }
+            def.phases.forEach(phase => phase.sequence.forEach(step => {
+                if (!PRIMITIVES.includes(step.name)) {
+                    throw new Error(`${def.id} uses unknown step ${step.name}`);
+                }
+            }));
+        });
+    });
+
+    test('archetypes unlock by boss count and then rotate', () => {
+        const picks = [1, 2, 3, 4, 5, 6].map(n => BossEnemy.selectArchetype(n).id);
+        if (picks.join(',') !== 'hive_carrier,bullet_spinner,phase_duelist,hive_carrier,bullet_spinner,phase_duelist') {
+            throw new Error(`Unexpected rotation ${picks}`);
+        }
+        if (BossEnemy.selectArchetype(1, []) !== null) {
+            throw new Error('Missing definitions should fall back to the classic boss');
+        }
+    });
+
+    test('applying an archetype sets stats, movement and the opening timeline', () => {
+        const boss = createBoss();
+        const def = byId('phase_duelist');
+        BossEnemy.applyArchetype(boss, def);
+
+        if (boss.bossName !== 'Phase Duelist' || boss.color !== def.color || boss.radius !== def.radius) {
+            throw new Error('Visual overrides were not applied');
+        }
+        if (boss.maxHealth !== Math.round(600 * def.healthMultiplier) || boss.health !== boss.maxHealth) {
+            throw new Error(`Unexpected health ${boss.health}/${boss.maxHealth}`);
+        }
+        if (boss.movement.speed !== def.speed || boss.baseSpeed !== def.speed || boss.movement.movementPattern !== 'direct') {
+            throw new Error('Movement overrides were not applied');
+        }
+        if (!boss.abilities.canTeleport || !boss.abilities.scriptedAttacks) {
+            throw new Error('Ability overrides were not applied');
+        }
+        if (boss.attackPatterns !== def.phases[0].sequence || boss.ai.attackCooldown !== def.phases[0].attackCooldown) {
+            throw new Error('Opening phase timeline was not loaded');
+        }
+    });
+
+    test('scripted bosses run their sequence in order and use step cooldowns', () => {
+        const boss = createBoss();
+        BossEnemy.applyArchetype(boss, byId('phase_duelist'));
+        const calls = [];
+        boss.abilities.performAttack = (game, target, index) => calls.push(boss.attackPatterns[index].name);
+        boss.ai.target = { x: 100, y: 0 };
+        boss.ai.canAttackPlayer = true;
+
+        const cooldowns = [];
+        for (let i = 0; i < 4; i++) {
+            boss.ai.updateAttackPattern();
+            boss.ai.performAttack({});
+            cooldowns.push(boss.ai.attackCooldown);
+        }
+        if (calls.join(',') !== 'teleport,spread,dash,teleport') {
+            throw new Error(`Unexpected attack order ${calls}`);
+        }
+        if (cooldowns.join(',') !== '1.6,1.6,1.6,1.6') {
+            throw new Error(`Unexpected cooldowns ${cooldowns}`);
+        }
+
+        boss.ai.onPhaseChange(3, {});
+        boss.ai.updateAttackPattern();
+        boss.ai.performAttack({});
+        if (boss.attackPatterns !== byId('phase_duelist').phases[2].sequence || boss.ai.attackCooldown !== 0.5) {
+            throw new Error('Phase change should load the next timeline and honor step cooldowns');
+        }
+    });
+
+    test('timeline steps drive minions, zones, mobility and spinning rings', () => {
+        const boss = createBoss();
+        BossEnemy.applyArchetype(boss, byId('hive_carrier'));
+        const abilities = boss.abilities;
+        const log = [];
+        abilities.spawnMinions = () => log.push(`minions:${abilities.minionCount}`);
+        abilities.createDamageZone = () => log.push('zone');
+        abilities.performBasicRangeAttack = () => log.push('basic');
+        abilities.createCircularMuzzleFlash = () => { };
+
+        const angles = [];
+        const game = { spawnEnemyProjectile: (x, y, vx, vy) => angles.push(Math.atan2(vy, vx)) };
+        const target = { x: 100, y: 0 };
+        const run = (step) => {
+            boss.attackPatterns = [step];
+            abilities.performAttack(game, target, 0);
+        };
+
+        run({ name: 'minions', count: 5 });
+        run({ name: 'damageZone' });
+        run({ name: 'dash' }); // carrier cannot dash, falls back to a shot
+        if (log.join(',') !== 'minions:5,zone,basic' || abilities.minionCount !== 3) {
+            throw new Error(`Unexpected step effects ${log}`);
+        }
+
+        run({ name: 'circle', projectiles: 4, spin: 30 });
+        run({ name: 'circle', projectiles: 4, spin: 30 });
+        if (Math.abs(angles[4] - angles[0] - Math.PI / 6) > 1e-9) {
+            throw new Error('Spinning circles should rotate between volleys');
+        }
+
+        // Timers no longer fire minions or zones on their own
+        abilities.spawnMinionTimer = 0;
+        abilities.damageZoneTimer = 0;
+        log.length = 0;
+        abilities.handleAutomaticAbilities(0.1, game);
+        if (log.length !== 0) {
+            throw new Error('Scripted bosses should not auto-spawn minions or zones');
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
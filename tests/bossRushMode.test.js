@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+
+/**
+ * Boss Rush Mode Tests
+ *
+ * Verifies the intermission/fight cycle, per-boss splits, star payouts and the
+ * win after the last boss, then runs a headless Boss Rush on the real engine to
+ * check regular spawning stays off.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { spawnSync } = require('child_process');
+const { createMockLogger } = require('./testUtils.js');
+
+const SIMULATE_SCRIPT = path.join(__dirname, '..', 'scripts', 'simulations', 'simulate_run.js');
+
+function createManagerStub() {
+    const timers = [];
+    global.setTimeout = (fn, delay) => timers.push({ fn, delay });
+
+    const boss = () => manager.game.enemies.find(enemy => enemy.isBoss && !enemy.isDead);
+    const manager = {
+        state: { runtime: { gameTime: 0 } },
+        game: { player: { x: 0, y: 0, stats: null }, enemies: [] },
+        levels: [],
+        tokenAwards: [],
+        wins: 0,
+        timers,
+        enemySpawner: {
+            bossTimer: 0,
+            bossInterval: 90,
+            spawnBoss() {
+                if (!boss()) manager.game.enemies.push({ isBoss: true, isDead: false, isMegaBoss: false });
+            },
+            isBossAlive: () => !!boss()
+        },
+        statsManager: {
+            awardBossRushTokens(bossNumber, split, cleared) {
+                manager.tokenAwards.push({ bossNumber, split, cleared });
+            }
+        },
+        showFloatingText() {},
+        onGameWon() {
+            manager.wins++;
+        },
+        killBoss() {
+            const enemy = boss();
+            enemy.isDead = true;
+            return enemy;
+        },
+        advance(seconds, step = 0.1) {
+            for (let t = 0; t < seconds - 1e-9; t += step) {
+                manager.state.runtime.gameTime += step;
+                rush.update(step);
+            }
+        }
+    };
+
+    manager.game.player.stats = {
+        xp: 5,
+        xpToNextLevel: 10,
+        level: 1,
+        levelUp() {
+            this.level++;
+            this.xp -= this.xpToNextLevel;
+            manager.levels.push(this.level);
+        }
+    };
+
+    const rush = new window.Game.BossRushMode(manager);
+    manager.rush = rush;
+    return manager;
+}
+
+function runTests() {
+    console.log('[T] Running Boss Rush Mode Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    const originalSetTimeout = global.setTimeout;
+    const originalClearTimeout = global.clearTimeout;
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: {
+            BOSS_RUSH: { BOSS_COUNT: 2, FIRST_BOSS_DELAY: 3, STARTING_LEVELS: 1, INTERMISSION: 5, INTERMISSION_LEVELS: 2 }
+        }
+    };
+    const sourcePath = path.join(__dirname, '..', 'src', 'systems', 'BossRushMode.js');
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: 'BossRushMode.js' });
+
+    test('registers on window.Game', () => {
+        if (typeof window.Game.BossRushMode !== 'function') {
+            throw new Error('BossRushMode not found on window.Game');
+        }
+    });
+
+    test('first boss spawns after the opening delay with starting levels', () => {
+        const manager = createManagerStub();
+        manager.rush.start();
+
+        manager.advance(2);
+        if (manager.rush.phase !== 'intermission' || manager.game.enemies.length !== 0) {
+            throw new Error('Boss spawned before the opening delay');
+        }
+        if (manager.enemySpawner.bossInterval !== 3) {
+            throw new Error(`Countdown should show the 3s delay, got ${manager.enemySpawner.bossInterval}`);
+        }
+        if (manager.levels.join(',') !== '2' || manager.game.player.stats.xp !== 5) {
+            throw new Error(`Expected one free level keeping current XP, got levels [${manager.levels}] xp ${manager.game.player.stats.xp}`);
+        }
+
+        manager.advance(1.1);
+        if (manager.rush.phase !== 'fight' || !manager.enemySpawner.isBossAlive()) {
+            throw new Error('First boss did not spawn');
+        }
+    });
+
+    test('records splits, pays stars and wins after the last boss', () => {
+        const manager = createManagerStub();
+        manager.rush.start();
+        manager.advance(3.1);
+
+        manager.advance(12);
+        manager.rush.onBossDefeated(manager.killBoss());
+        if (manager.rush.phase !== 'intermission') {
+            throw new Error('Expected an intermission after the first boss');
+        }
+
+        // Intermission levels are granted one per update while no choice is open
+        manager.advance(5.1);
+        if (manager.levels.length !== 3) {
+            throw new Error(`Expected 3 free levels in total, got ${manager.levels.length}`);
+        }
+
+        manager.advance(20);
+        const mega = manager.killBoss();
+        mega.isMegaBoss = true;
+        manager.rush.onBossDefeated(mega);
+
+        const splits = manager.rush.splits.map(split => Math.round(split.time));
+        if (splits.join(',') !== '12,20') {
+            throw new Error(`Expected splits 12,20, got ${splits}`);
+        }
+        const awards = manager.tokenAwards.map(a => `${a.bossNumber}:${a.cleared}`).join(',');
+        if (awards !== '1:false,2:true') {
+            throw new Error(`Unexpected star awards: ${awards}`);
+        }
+        if (!manager.rush.isComplete() || manager.enemySpawner.bossInterval !== 0) {
+            throw new Error('Rush should be complete with the countdown hidden');
+        }
+
+        manager.timers.forEach(timer => timer.fn());
+        if (manager.wins !== 1) {
+            throw new Error('onGameWon was not scheduled after the last boss');
+        }
+
+        const summary = manager.rush.getSummaryStats();
+        if (summary[0].value !== '2/2' || summary[2].label !== 'Boss 2 (Mega)') {
+            throw new Error(`Unexpected summary rows: ${JSON.stringify(summary)}`);
+        }
+    });
+
+    const clearRush = manager => {
+        manager.rush.start();
+        manager.advance(3.1);
+        manager.rush.onBossDefeated(manager.killBoss());
+        manager.advance(5.1);
+        manager.rush.onBossDefeated(manager.killBoss());
+    };
+
+    test('victory runs on game time and is dropped when the next run starts', () => {
+        const manager = createManagerStub();
+        const tasks = [];
+        manager.game.scheduler = {
+            schedule: (fn, delay) => tasks.push({ fn, delay }),
+            clear: () => { tasks.length = 0; }
+        };
+        clearRush(manager);
+        if (manager.timers.length !== 0 || tasks.length !== 1 || tasks[0].delay !== 1.5) {
+            throw new Error('The win should be scheduled on the game scheduler, not a wall-clock timer');
+        }
+
+        // Retry within the delay: prepareNewRun clears the scheduler, the new rush is mid-fight
+        manager.game.scheduler.clear();
+        manager.rush.start();
+        if (tasks.length !== 0 || manager.wins !== 0) {
+            throw new Error('A new run should drop the pending win');
+        }
+    });
+
+    test('fallback victory timer is cleared on reset and ignored by a new rush', () => {
+        const manager = createManagerStub();
+        let cleared = 0;
+        global.clearTimeout = () => { cleared++; };
+        clearRush(manager);
+        const pending = manager.timers.slice();
+        manager.rush.reset();
+        manager.rush.start();
+        pending.forEach(timer => timer.fn());
+        global.clearTimeout = originalClearTimeout;
+        if (cleared !== 1 || manager.wins !== 0) {
+            throw new Error(`Expected the timer cleared and no win, got ${cleared} clears / ${manager.wins} wins`);
+        }
+    });
+
+    test('waits for an open level-up choice before granting the next level', () => {
+        const manager = createManagerStub();
+        window.upgradeSystem = { isLevelUpActive: () => true };
+        manager.rush.start();
+        manager.advance(1);
+        delete window.upgradeSystem;
+        if (manager.levels.length !== 0) {
+            throw new Error('Level granted while a choice was still open');
+        }
+    });
+
+    test('summary reports an unfinished boss', () => {
+        const manager = createManagerStub();
+        manager.rush.start();
+        manager.advance(3.1);
+        manager.advance(7);
+        const summary = manager.rush.getSummaryStats();
+        if (summary[0].value !== '0/2' || !/unfinished/.test(summary[1].value)) {
+            throw new Error(`Unexpected summary rows: ${JSON.stringify(summary)}`);
+        }
+    });
+
+    global.setTimeout = originalSetTimeout;
+
+    test('headless Boss Rush suppresses regular spawning', () => {
+        const result = spawnSync('node', [
+            SIMULATE_SCRIPT, '--minutes', '2', '--seed', 'BOSSRUSH', '--mode', 'bossRush', '--interval', '1'
+        ], { encoding: 'utf8', timeout: 120000 });
+        if (result.status !== 0) {
+            throw new Error(`simulate_run.js exited with ${result.status}: ${result.stderr}`);
+        }
+
+        const report = JSON.parse(result.stdout);
+        if (report.mode !== 'bossRush') {
+            throw new Error(`Expected bossRush mode, got ${report.mode}`);
+        }
+        // Nothing but the boss (and its minions) may be on the field
+        const beforeBoss = report.samples.filter(sample => sample.time < 3);
+        if (beforeBoss.some(sample => sample.enemies > 0)) {
+            throw new Error('Enemies spawned during the opening intermission');
+        }
+        const firstFight = report.samples.find(sample => sample.bossActive);
+        if (!firstFight || firstFight.time > 5) {
+            throw new Error('First boss did not arrive right after the opening delay');
+        }
+        if (firstFight.level < 4) {
+            throw new Error(`Expected starting levels before the first boss, got level ${firstFight.level}`);
+        }
+        if (!Array.isArray(report.bossRush)) {
+            throw new Error('Report is missing Boss Rush splits');
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
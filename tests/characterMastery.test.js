@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Character Mastery Tests
+ *
+ * Verifies mastery XP and levels earned from runs, that rewards unlock by
+ * level and locked palettes/starting upgrades cannot be picked, the lifetime
+ * unlock requirements (stars, bossesKilled, mastery) and how
+ * CharacterSelector checks and explains them, and that every configured
+ * reward points at something real.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger, createMockLocalStorage, createStorageManagerStub } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Character Mastery Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: {
+            MASTERY: {
+                XP: { PER_MINUTE: 10, PER_KILL: 0.1, PER_BOSS: 40, PER_LEVEL: 2, VICTORY_BONUS: 100 },
+                LEVEL_XP: [100, 300, 600, 1000, 1500]
+            }
+        },
+        StorageManager: createStorageManagerStub(createMockLocalStorage())
+    };
+
+    load('src/config/characters.config.js');
+    load('src/config/upgrades.config.js');
+    load('src/systems/CharacterMastery.js');
+    load('src/ui/mainMenu/shared/PanelBase.js');
+    load('src/ui/mainMenu/CharacterSelector.js');
+    const { CharacterMastery, CharacterSelector } = window.Game;
+    const selector = new CharacterSelector({ logger: createMockLogger(), dom: {} });
+
+    test('runs award XP and raise the mastery level', () => {
+        const run = { outcome: 'defeat', time: 300, kills: 200, bosses: 1, level: 10 };
+        if (CharacterMastery.scoreRun(run) !== 130) {
+            throw new Error(`Expected 130 XP, got ${CharacterMastery.scoreRun(run)}`);
+        }
+
+        const result = CharacterMastery.awardRun('aegis_vanguard', run);
+        if (result.xpGained !== 130 || result.previousLevel !== 0 || result.level !== 1) {
+            throw new Error(`Unexpected award ${JSON.stringify(result)}`);
+        }
+        if (result.unlocked.map(reward => reward.id).join() !== 'aegis_gilded') {
+            throw new Error('Reaching level 1 should unlock the first palette');
+        }
+        const progress = CharacterMastery.getProgress('aegis_vanguard');
+        if (progress.xp !== 130 || progress.levelXp !== 100 || progress.nextLevelXp !== 300 || progress.maxLevel !== 5) {
+            throw new Error(`Unexpected progress ${JSON.stringify(progress)}`);
+        }
+        if (CharacterMastery.awardRun('nobody', run) !== null) {
+            throw new Error('Unknown pilots should not earn mastery');
+        }
+    });
+
+    test('locked rewards cannot be selected', () => {
+        if (CharacterMastery.selectStartingUpgrade('aegis_vanguard', 'max_health_1')) {
+            throw new Error('A level 2 starting upgrade should be locked at level 1');
+        }
+        if (CharacterMastery.selectPalette('aegis_vanguard', 'aegis_obsidian')) {
+            throw new Error('A level 3 palette should be locked at level 1');
+        }
+        if (!CharacterMastery.selectPalette('aegis_vanguard', 'aegis_gilded') ||
+            CharacterMastery.getPalette('aegis_vanguard')?.id !== 'aegis_gilded') {
+            throw new Error('An unlocked palette should be selectable');
+        }
+        if (CharacterMastery.getPerk('aegis_vanguard') !== null) {
+            throw new Error('The perk should stay locked below max level');
+        }
+
+        CharacterMastery.awardRun('aegis_vanguard', { outcome: 'victory', time: 1800, kills: 8000, bosses: 5, level: 40 });
+        if (!CharacterMastery.selectStartingUpgrade('aegis_vanguard', 'damage_reduction_1') ||
+            CharacterMastery.getStartingUpgradeId('aegis_vanguard') !== 'damage_reduction_1') {
+            throw new Error('Starting upgrades should be selectable once unlocked');
+        }
+        if (CharacterMastery.getPerk('aegis_vanguard')?.name !== 'Bulwark Core') {
+            throw new Error('Max level should unlock the perk');
+        }
+        const loadout = CharacterMastery.getLoadout('aegis_vanguard');
+        if (loadout.level !== 5 || loadout.palette !== 'aegis_gilded' || loadout.startingUpgrade !== 'damage_reduction_1') {
+            throw new Error(`Unexpected loadout ${JSON.stringify(loadout)}`);
+        }
+        CharacterMastery.selectStartingUpgrade('aegis_vanguard', null);
+        if (CharacterMastery.getStartingUpgradeId('aegis_vanguard') !== null) {
+            throw new Error('Selecting null should clear the starting upgrade');
+        }
+    });
+
+    test('lifetime requirements track stars, bosses and mastery', () => {
+        window.StorageManager.setItem('starTokens', '4');
+        window.StorageManager.setItem('totalStarsEarned', '25');
+        const stars = CharacterMastery.getRequirementProgress({ type: 'stars', count: 20 });
+        const bosses = CharacterMastery.getRequirementProgress({ type: 'bossesKilled', count: 10 });
+        const mastery = CharacterMastery.getRequirementProgress({ type: 'mastery', characterId: 'aegis_vanguard', level: 3 });
+        if (stars.current !== 25 || bosses.current !== 6 || mastery.current !== 5) {
+            throw new Error(`Unexpected progress ${JSON.stringify({ stars, bosses, mastery })}`);
+        }
+        if (CharacterMastery.getRequirementProgress({ type: 'achievement', id: 'x' }) !== null) {
+            throw new Error('Achievement requirements are not tracked by mastery');
+        }
+
+        window.StorageManager.removeItem('totalStarsEarned');
+        if (CharacterMastery.getTotalStarsEarned() !== 4) {
+            throw new Error('Without a lifetime counter the star balance should be used');
+        }
+    });
+
+    test('character selector checks and explains the new requirement types', () => {
+        const starReq = { type: 'stars', count: 20 };
+        const bossReq = { type: 'bossesKilled', count: 6 };
+        const masteryReq = { type: 'mastery', characterId: 'aegis_vanguard', level: 6 };
+
+        if (selector.areRequirementsSatisfied(starReq) || !selector.areRequirementsSatisfied(bossReq) ||
+            selector.areRequirementsSatisfied(masteryReq)) {
+            throw new Error('Requirements should compare lifetime progress with their target');
+        }
+        if (selector.areRequirementsSatisfied({ type: 'mystery', count: 1 })) {
+            throw new Error('Unknown requirement types should stay locked');
+        }
+
+        const subject = { name: 'Test Pilot' };
+        const texts = [starReq, bossReq, masteryReq].map(req => selector.getUnlockRequirementText(req, subject));
+        const expected = ['(4/20)', '(6/6)', 'Aegis Vanguard (now 5)'];
+        texts.forEach((text, index) => {
+            if (!text.includes(expected[index]) || !text.includes('Test Pilot')) {
+                throw new Error(`Unexpected requirement text "${text}"`);
+            }
+        });
+        if (selector.getUnlockRequirementText({ ...starReq, hint: 'Collect stars' }) !== 'Collect stars (4/20)') {
+            throw new Error('Hints should be followed by the progress');
+        }
+
+        const badges = [starReq, bossReq, masteryReq].map(req => selector.getLockBadgeText(req));
+        if (badges.join('|') !== '🔒 20 ★|🔒 6 bosses|🔒 Aegis Vanguard Lv 6') {
+            throw new Error(`Unexpected badges ${badges.join('|')}`);
+        }
+    });
+
+    test('configured rewards reference real upgrades and carry perks', () => {
+        const upgrades = new Map(window.UPGRADE_DEFINITIONS.map(upgrade => [upgrade.id, upgrade]));
+        const maxLevel = CharacterMastery.getMaxLevel();
+        window.CHARACTER_DEFINITIONS.forEach(def => {
+            const rewards = CharacterMastery.getRewards(def.id);
+            if (!rewards.length) throw new Error(`${def.id} has no mastery rewards`);
+            rewards.forEach(reward => {
+                if (reward.level < 1 || reward.level > maxLevel) {
+                    throw new Error(`${def.id} reward level ${reward.level} is unreachable`);
+                }
+                if (reward.type === 'startingUpgrade') {
+                    const upgrade = upgrades.get(reward.upgradeId);
+                    if (!upgrade || upgrade.requires) {
+                        throw new Error(`${def.id} starting upgrade "${reward.upgradeId}" is missing or has prerequisites`);
+                    }
+                } else if (reward.type === 'palette') {
+                    if (!reward.id || !reward.core || !reward.glow) throw new Error(`${def.id} palette is incomplete`);
+                } else if (reward.type === 'perk') {
+                    if (!reward.modifiers || !Object.keys(reward.modifiers).length) {
+                        throw new Error(`${def.id} perk has no modifiers`);
+                    }
+                } else {
+                    throw new Error(`${def.id} has unknown reward type "${reward.type}"`);
+                }
+            });
+        });
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Daily Challenge Tests
+ *
+ * Verifies the challenge is fixed by the date (seed, pilot, modifiers), that
+ * replays can recover it from the seed, that only the best result per date
+ * is kept and that the forced pilot never replaces the saved selection, then
+ * runs a headless daily run on the real engine.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { spawnSync } = require('child_process');
+const { createMockLocalStorage, createStorageManagerStub, createMockLogger } = require('./testUtils.js');
+
+const ROOT = path.join(__dirname, '..');
+const SIMULATE_SCRIPT = path.join(ROOT, 'scripts', 'simulations', 'simulate_run.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(ROOT, relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Daily Challenge Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: {
+            DAILY_CHALLENGE: { MIN_MODIFIERS: 1, MAX_MODIFIERS: 2, HISTORY_DAYS: 3 }
+        }
+    };
+    window.StorageManager = createStorageManagerStub(createMockLocalStorage());
+    load('src/utils/SeededRandom.js');
+    load('src/config/characters.config.js');
+    load('src/config/runModifiers.config.js');
+    load('src/systems/RunHistory.js');
+    load('src/systems/DailyChallenge.js');
+    const DailyChallenge = window.Game.DailyChallenge;
+
+    const challengeKey = challenge => JSON.stringify(challenge);
+
+    test('registers on window.Game', () => {
+        if (typeof DailyChallenge !== 'function') {
+            throw new Error('DailyChallenge not found on window.Game');
+        }
+    });
+
+    test('date key uses the local calendar date', () => {
+        const key = DailyChallenge.getDateKey(new Date(2026, 0, 5, 23, 59));
+        if (key !== '2026-01-05') {
+            throw new Error(`Expected 2026-01-05, got ${key}`);
+        }
+    });
+
+    test('same date always builds the same challenge', () => {
+        const first = DailyChallenge.forDate('2026-03-14');
+        const second = DailyChallenge.forDate('2026-03-14');
+        if (challengeKey(first) !== challengeKey(second)) {
+            throw new Error('Challenge differs between calls for the same date');
+        }
+        if (first.seed !== 'DAILY-2026-03-14') {
+            throw new Error(`Unexpected seed ${first.seed}`);
+        }
+    });
+
+    test('challenge picks a real pilot and 1-2 known modifiers', () => {
+        const modifierIds = window.RUN_MODIFIER_DEFINITIONS.filter(def => !def.heat).map(def => def.id);
+        for (let day = 1; day <= 28; day++) {
+            const challenge = DailyChallenge.forDate(`2026-02-${String(day).padStart(2, '0')}`);
+            const character = window.CHARACTER_DEFINITIONS.find(def => def.id === challenge.characterId);
+            if (!character || character.weaponId !== challenge.weaponId) {
+                throw new Error(`Invalid pilot ${challenge.characterId} on ${challenge.date}`);
+            }
+            if (challenge.modifiers.length < 1 || challenge.modifiers.length > 2) {
+                throw new Error(`Expected 1-2 modifiers on ${challenge.date}, got ${challenge.modifiers.length}`);
+            }
+            if (new Set(challenge.modifiers).size !== challenge.modifiers.length ||
+                challenge.modifiers.some(id => !modifierIds.includes(id))) {
+                throw new Error(`Bad modifiers (or Heat curses) on ${challenge.date}: ${challenge.modifiers}`);
+            }
+        }
+    });
+
+    test('different dates vary the challenge', () => {
+        const distinct = new Set();
+        for (let day = 1; day <= 14; day++) {
+            const challenge = DailyChallenge.forDate(`2026-04-${String(day).padStart(2, '0')}`);
+            distinct.add(challengeKey({ ...challenge, date: null, seed: null }));
+        }
+        if (distinct.size < 3) {
+            throw new Error(`Only ${distinct.size} distinct challenges over two weeks`);
+        }
+    });
+
+    test('fromSeed recovers the challenge and rejects other seeds', () => {
+        const challenge = DailyChallenge.forDate('2026-05-01');
+        if (challengeKey(DailyChallenge.fromSeed(challenge.seed)) !== challengeKey(challenge)) {
+            throw new Error('fromSeed did not round-trip');
+        }
+        if (DailyChallenge.fromSeed('ABC123') !== null || DailyChallenge.fromSeed(null) !== null) {
+            throw new Error('Non-daily seeds should not resolve to a challenge');
+        }
+    });
+
+    test('keeps the best result per date and counts attempts', () => {
+        const challenge = DailyChallenge.forDate('2026-06-01');
+        const first = DailyChallenge.recordResult(challenge, { outcome: 'defeat', time: 120, kills: 50, level: 5, bosses: 0 });
+        const worse = DailyChallenge.recordResult(challenge, { outcome: 'defeat', time: 60, kills: 10, level: 3, bosses: 0 });
+        const better = DailyChallenge.recordResult(challenge, { outcome: 'defeat', time: 200, kills: 90, level: 8, bosses: 1 });
+
+        if (!first.isNewBest || worse.isNewBest || !better.isNewBest) {
+            throw new Error('isNewBest flags are wrong');
+        }
+        if (worse.best.score !== first.result.score) {
+            throw new Error('A worse run replaced the best');
+        }
+
+        const stored = DailyChallenge.loadResults()['2026-06-01'];
+        if (stored.score !== better.result.score || stored.attempts !== 3) {
+            throw new Error(`Expected best ${better.result.score} after 3 attempts, got ${stored.score} after ${stored.attempts}`);
+        }
+    });
+
+    test('victory outranks a longer defeat', () => {
+        const defeat = DailyChallenge.scoreResult({ outcome: 'defeat', time: 600, kills: 400, level: 20, bosses: 3 });
+        const victory = DailyChallenge.scoreResult({ outcome: 'victory', time: 500, kills: 300, level: 18, bosses: 3 });
+        if (victory <= defeat) {
+            throw new Error(`Victory ${victory} should beat defeat ${defeat}`);
+        }
+    });
+
+    test('history is newest first and pruned to HISTORY_DAYS', () => {
+        ['2026-06-02', '2026-06-04', '2026-06-03'].forEach(date => {
+            DailyChallenge.recordResult(DailyChallenge.forDate(date), { outcome: 'defeat', time: 30, kills: 5, level: 2 });
+        });
+        const dates = DailyChallenge.getHistory().map(entry => entry.date);
+        if (dates.join(',') !== '2026-06-04,2026-06-03,2026-06-02') {
+            throw new Error(`Unexpected history ${dates}`);
+        }
+    });
+
+    test('forced pilot and weapon are run-scoped and leave the saved selection alone', () => {
+        const localStorage = createMockLocalStorage();
+        global.localStorage = localStorage;
+        window.StorageManager = createStorageManagerStub(localStorage);
+        const { GameState } = require('../src/core/GameState.js');
+        load('src/core/gameManagerBridge.js');
+
+        const challenge = DailyChallenge.today();
+        const saved = window.CHARACTER_DEFINITIONS.find(def => def.id !== challenge.characterId);
+        const bridge = new window.Game.GameManagerBridge();
+        bridge.state = new GameState();
+        bridge.state.setSelectedCharacter(saved.id);
+        bridge.state.setSelectedWeapon(saved.weaponId);
+
+        bridge.prepareGameMode('daily');
+        if (bridge.state.getSelectedCharacter() !== challenge.characterId ||
+            bridge.state.getSelectedWeapon() !== challenge.weaponId) {
+            throw new Error('The daily run should fly the forced pilot and weapon');
+        }
+        if (window.StorageManager.getItem('selectedCharacter') !== saved.id ||
+            window.StorageManager.getItem('selectedWeapon') !== saved.weaponId) {
+            throw new Error('Playing the daily should not overwrite the saved selection');
+        }
+
+        bridge.prepareGameMode('normal');
+        if (bridge.state.getSelectedCharacter() !== saved.id || bridge.state.getSelectedWeapon() !== saved.weaponId) {
+            throw new Error('Other modes should fly the saved selection again');
+        }
+        delete global.localStorage;
+    });
+
+    test('headless daily run uses the date seed and forced pilot', () => {
+        const result = spawnSync('node', [
+            SIMULATE_SCRIPT, '--minutes', '0.5', '--mode', 'daily', '--interval', '10'
+        ], { encoding: 'utf8', timeout: 120000 });
+        if (result.status !== 0) {
+            throw new Error(`simulate_run.js exited with ${result.status}: ${result.stderr}`);
+        }
+
+        const report = JSON.parse(result.stdout);
+        const expected = DailyChallenge.today();
+        if (report.mode !== 'daily' || report.seed !== expected.seed) {
+            throw new Error(`Expected daily mode with seed ${expected.seed}, got ${report.mode} / ${report.seed}`);
+        }
+        if (report.character !== expected.characterId || report.weapon !== expected.weaponId) {
+            throw new Error(`Expected pilot ${expected.characterId}, got ${report.character}`);
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
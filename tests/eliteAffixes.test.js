@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+
+/**
+ * Elite Affix Tests
+ *
+ * Verifies that elites roll one to three distinct, type-appropriate affixes,
+ * that Shielded/Teleporting/Splitting borrow the matching enemy type's
+ * abilities, that Vampiric, Reflective and Frost Aura hook into contact
+ * damage, damage taken and player movement, and that affixed elites drop
+ * bonus XP and show their labels above the health bar.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Elite Affix Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: { ENEMIES: { ELITE_AFFIX_MIN: 1, ELITE_AFFIX_MAX: 3, ELITE_AFFIX_BONUS_XP: 0.5 }, PERFORMANCE: {} }
+    };
+    global.GAME_CONSTANTS = window.GAME_CONSTANTS;
+    global.document = { getElementById: () => null };
+
+    const ENEMY_TYPES = ['basic', 'fast', 'tank', 'ranged', 'dasher', 'exploder', 'splitter', 'healer',
+        'teleporter', 'phantom', 'shielder', 'summoner', 'berserker', 'minion'];
+    const TYPE_FILES = ['EnemyTypeBase', 'BasicEnemy', 'FastEnemy', 'TankEnemy', 'RangedEnemy', 'DasherEnemy',
+        'ExploderEnemy', 'SplitterEnemy', 'HealerEnemy', 'TeleporterEnemy', 'PhantomEnemy', 'ShielderEnemy',
+        'SummonerEnemy', 'BerserkerEnemy', 'MinionEnemy', 'BossEnemy'];
+
+    load('src/config/eliteAffixes.config.js');
+    load('src/entities/components/EnemyAI.js');
+    load('src/entities/components/EnemyAbilities.js');
+    load('src/entities/components/EnemyMovement.js');
+    TYPE_FILES.forEach(file => load(`src/entities/enemy/types/${file}.js`));
+    load('src/entities/enemy/EnemyTypeRegistry.js');
+    load('src/entities/enemy/EnemyStats.js');
+    load('src/entities/enemy/EliteAffixes.js');
+    load('src/entities/enemy/EnemyRenderer.js');
+    load('src/entities/enemy/Enemy.js');
+    load('src/entities/player/PlayerMovement.js');
+    load('src/core/systems/CollisionSystem.js');
+    load('src/core/systems/UnifiedUIManager.js');
+    load('src/systems/EnemySpawner.js');
+    const { EliteAffixes, Enemy, CollisionSystem, UnifiedUIManager } = window.Game;
+    const EnemyTypeRegistry = vm.runInThisContext('EnemyTypeRegistry');
+    const EnemySpawner = vm.runInThisContext('EnemySpawner');
+    const PlayerMovement = vm.runInThisContext('PlayerMovement');
+
+    const createElite = (type, affixes) => {
+        const enemy = new Enemy(0, 0, type);
+        enemy.isElite = true;
+        EliteAffixes.apply(enemy, affixes);
+        return enemy;
+    };
+
+    const createPlayer = (overrides = {}) => ({
+        type: 'player',
+        x: 0,
+        y: 0,
+        radius: 20,
+        health: 100,
+        isDead: false,
+        isInvulnerable: false,
+        takeDamage(amount) { this.health -= amount; },
+        ...overrides
+    });
+
+    test('affix definitions are unique and reference real enemy types', () => {
+        const ids = new Set();
+        window.ELITE_AFFIX_DEFINITIONS.forEach(def => {
+            if (ids.has(def.id)) throw new Error(`Duplicate affix ${def.id}`);
+            ids.add(def.id);
+            if (!def.name || !def.color) throw new Error(`${def.id} needs a label and color`);
+            def.excludes.forEach(type => {
+                if (!ENEMY_TYPES.includes(type)) throw new Error(`${def.id} excludes unknown type ${type}`);
+            });
+            if (def.abilitiesFrom && !EnemyTypeRegistry.hasType(def.abilitiesFrom)) {
+                throw new Error(`${def.id} borrows abilities from unknown type ${def.abilitiesFrom}`);
+            }
+        });
+    });
+
+    test('makeElite rolls one to three distinct affixes the type allows', () => {
+        const spawner = Object.create(EnemySpawner.prototype);
+        const counts = new Set();
+        for (let i = 0; i < 200; i++) {
+            const type = ENEMY_TYPES[i % ENEMY_TYPES.length];
+            const enemy = new Enemy(0, 0, type);
+            spawner.makeElite(enemy);
+
+            const { affixes } = enemy;
+            counts.add(affixes.length);
+            if (affixes.length < 1 || affixes.length > 3 || new Set(affixes).size !== affixes.length) {
+                throw new Error(`${type} rolled ${affixes}`);
+            }
+            affixes.forEach(id => {
+                if (EliteAffixes.getDefinition(id).excludes.includes(type)) {
+                    throw new Error(`${type} should never roll ${id}`);
+                }
+            });
+        }
+        if (counts.size !== 3) {
+            throw new Error(`Expected every affix count to come up, saw ${[...counts]}`);
+        }
+    });
+
+    test('shielded, teleporting and splitting borrow their enemy type abilities', () => {
+        const enemy = createElite('basic', ['shielded', 'splitting', 'teleporting']);
+        if (!enemy.abilities.hasShield || enemy.abilities.shieldReflection !== 0.5 || enemy.deflectChance !== 0.3) {
+            throw new Error('Shielded should reuse the Shielder shield and deflection');
+        }
+        if (enemy.abilities.deathEffect !== 'split' || enemy.abilities.splitCount !== 2) {
+            throw new Error('Splitting should split into the configured children on death');
+        }
+        if (!enemy.abilities.canTeleport || enemy.abilities.teleportTimer <= 0) {
+            throw new Error('Teleporting should start on cooldown');
+        }
+
+        const game = { player: createPlayer({ x: 600 }) };
+        enemy.abilities.teleportTimer = 0;
+        EliteAffixes.update(enemy, 0.016, game);
+        const distance = Math.hypot(enemy.x - 600, enemy.y);
+        if (distance > 100 + enemy.abilities.teleportRange || enemy.abilities.teleportTimer <= 0) {
+            throw new Error(`Teleporting elites should blink next to a distant player (${distance})`);
+        }
+    });
+
+    test('vampiric heals on contact and reflective bounces damage back', () => {
+        const engine = {
+            entities: [],
+            spatialGrid: new Map(),
+            _spatialGridCellPool: [],
+            gridSize: 100,
+            encodeGridKey: (x, y) => `${x},${y}`,
+            decodeGridKey: key => key.split(',').map(Number)
+        };
+        const collisions = new CollisionSystem(engine);
+        const player = createPlayer();
+        const vampire = createElite('basic', ['vampiric']);
+        vampire.x = 10;
+        vampire.damage = 20;
+        vampire.maxHealth = 100;
+        vampire.health = 50;
+        engine.entities = [player, vampire];
+        collisions.updateSpatialGrid();
+        collisions.checkCollisions();
+        if (player.health !== 80 || vampire.health !== 60) {
+            throw new Error(`Expected 20 damage and 10 healed, got player ${player.health}, enemy ${vampire.health}`);
+        }
+
+        window.gameManager = { game: { player } };
+        const mirror = createElite('tank', ['reflective']);
+        mirror.takeDamage(50, { showText: false });
+        mirror.takeDamage(50, { showText: false });
+        if (player.health !== 70) {
+            throw new Error(`Expected one reflected hit of 10 inside the cooldown, player at ${player.health}`);
+        }
+        EliteAffixes.update(mirror, 0.3, {});
+        mirror.takeDamage(50, { showText: false });
+        if (player.health !== 60) {
+            throw new Error('Reflection should resume after its cooldown');
+        }
+        delete window.gameManager;
+    });
+
+    test('frost aura slows the player only while in range', () => {
+        const player = createPlayer({ x: 100 });
+        const movement = new PlayerMovement(player);
+        player.movement = movement;
+        const game = { player, getMovementInput: () => ({ x: 1, y: 0 }) };
+        const frosty = createElite('basic', ['frost_aura']);
+
+        for (let i = 0; i < 120; i++) {
+            EliteAffixes.update(frosty, 1 / 60, game);
+            movement.handleMovement(1 / 60, game);
+            player.x = 100;
+        }
+        if (Math.abs(movement.velocity.x - movement.speed * 0.7) > 1) {
+            throw new Error(`Expected 70% top speed inside the aura, got ${movement.velocity.x}`);
+        }
+
+        player.x = 1000;
+        EliteAffixes.update(frosty, 0.3, game);
+        movement.update(0.3, { getMovementInput: () => ({ x: 0, y: 0 }) });
+        if (movement.slowAmount !== 0) {
+            throw new Error('The slow should wear off once the player leaves the aura');
+        }
+    });
+
+    test('affixed elites drop a bonus orb per affix and show labels at full health', () => {
+        const orbs = [];
+        global.XPOrb = function (x, y, value) { Object.assign(this, { x, y, value }); };
+        window.gameManager = { game: { addEntity: entity => { if (entity instanceof XPOrb) orbs.push(entity); } } };
+
+        const elite = createElite('basic', ['vampiric', 'frost_aura']);
+        elite.isElite = false; // Isolate the affix orbs from the regular elite bonus
+        elite.xpValue = 10;
+        elite.die();
+        if (orbs.length !== 3 || orbs.filter(orb => orb.value === 5).length !== 2) {
+            throw new Error(`Expected the base orb plus two 5 XP affix orbs, got ${orbs.map(orb => orb.value)}`);
+        }
+        delete window.gameManager;
+        delete global.XPOrb;
+
+        const texts = [];
+        const ctx = new Proxy({}, {
+            get: (target, prop) => {
+                if (prop === 'fillText') return (text, x, y) => texts.push({ text, color: target.fillStyle, y });
+                if (prop === 'measureText') return text => ({ width: text.length * 6 });
+                return target[prop] || (() => { });
+            },
+            set: (target, prop, value) => { target[prop] = value; return true; }
+        });
+        const ui = Object.create(UnifiedUIManager.prototype);
+        ui.ctx = ctx;
+        ui._fontCache = new Map();
+        ui.settings = { healthBarWidth: 40, healthBarHeight: 6, healthBarOffset: 20 };
+        ui.isEntityVisible = () => true;
+        const labeled = createElite('basic', ['vampiric', 'reflective']);
+        ui.gameEngine = { enemies: [labeled, new Enemy(50, 0, 'basic')] };
+        ui.renderHealthBars();
+
+        const labels = texts.map(entry => `${entry.text}:${entry.color}`).join(',');
+        if (labels !== 'Vampiric:#c0392b,Reflective:#ecf0f1') {
+            throw new Error(`Unexpected labels ${labels}`);
+        }
+        const barY = labeled.y - labeled.radius - 20;
+        if (texts.some(entry => entry.y >= barY)) {
+            throw new Error('Labels should sit above the health bar');
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
@@ -43,7 +43,8 @@ global.document = {
     body: { appendChild: () => { }, removeChild: () => { } }
 };
 
-// Load GameEngine
+// Load GameEngine (scheduler first, as in index.html)
+require('../src/core/systems/GameScheduler.js');
 require('../src/core/gameEngine.js');
 const GameEngine = window.Game.GameEngine;
 
@@ -89,6 +90,25 @@ async function runTests() {
         if (engine.projectiles.length !== 1) throw new Error('Projectile not added to engine list');
     });
 
+    await test('GameEngine advances its scheduler on game time and clears it per run', () => {
+        const engine = new GameEngine();
+        if (!engine.scheduler) throw new Error('GameEngine missing scheduler');
+
+        let fired = 0;
+        engine.scheduler.schedule(() => fired++, 0.05);
+        engine.update(1 / 60);
+        if (fired !== 0) throw new Error('Task fired before its delay elapsed');
+        for (let i = 0; i < 5; i++) engine.update(1 / 60);
+        if (fired !== 1) throw new Error(`Expected task to fire once, fired ${fired}`);
+
+        engine.scheduler.schedule(() => fired++, 0.05);
+        engine.prepareNewRun();
+        for (let i = 0; i < 6; i++) engine.update(1 / 60);
+        if (fired !== 1 || engine.scheduler.getPendingCount() !== 0) {
+            throw new Error('prepareNewRun should drop pending tasks');
+        }
+    });
+
     console.log(`\nSummary: ${passed} passed, ${failed} failed`);
     if (failed > 0) process.exit(1);
 }
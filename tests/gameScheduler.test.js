@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Game Scheduler Tests
+ *
+ * Verifies that GameScheduler runs delayed and repeating tasks on game time,
+ * supports cancellation by id and by owner (auto-cancel on enemy death), and
+ * that EnemyAbilities routes delayed attacks through the engine scheduler.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Game Scheduler Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = { Game: {}, logger: createMockLogger() };
+
+    load('src/core/systems/GameScheduler.js');
+    load('src/entities/components/EnemyAbilities.js');
+    const { GameScheduler, EnemyAbilities } = window.Game;
+
+    const advance = (scheduler, seconds, step = 0.1) => {
+        for (let t = 0; t < seconds - 1e-9; t += step) {
+            scheduler.update(step);
+        }
+    };
+
+    test('delayed tasks fire once, in due order, on game time only', () => {
+        const scheduler = new GameScheduler();
+        const fired = [];
+        scheduler.schedule(() => fired.push('b'), 0.5);
+        scheduler.schedule(() => fired.push('a'), 0.2);
+        const cancelled = scheduler.schedule(() => fired.push('x'), 0.3);
+        scheduler.cancel(cancelled);
+
+        // Paused frames never reach update(), so only advanced time counts
+        advance(scheduler, 0.3);
+        if (fired.join('') !== 'a') {
+            throw new Error(`Expected only "a" after 0.3s, got "${fired.join('')}"`);
+        }
+        advance(scheduler, 1.0);
+        if (fired.join('') !== 'ab' || scheduler.getPendingCount() !== 0) {
+            throw new Error(`Expected "ab" and no pending tasks, got "${fired.join('')}"`);
+        }
+    });
+
+    test('repeating tasks run until cancelled or they return false', () => {
+        const scheduler = new GameScheduler();
+        let ticks = 0;
+        let limited = 0;
+        const id = scheduler.repeat(() => { ticks++; }, 0.25);
+        scheduler.repeat(() => ++limited < 2, 0.1);
+
+        advance(scheduler, 1.0);
+        if (ticks !== 4 || limited !== 2) {
+            throw new Error(`Expected 4 ticks and 2 limited runs, got ${ticks} and ${limited}`);
+        }
+        scheduler.cancel(id);
+        advance(scheduler, 1.0);
+        if (ticks !== 4) {
+            throw new Error('Cancelled repeat kept running');
+        }
+    });
+
+    test('tasks owned by a dead entity are dropped', () => {
+        const scheduler = new GameScheduler();
+        const enemy = { isDead: false };
+        const other = { isDead: false };
+        const fired = [];
+        scheduler.schedule(() => fired.push('enemy'), 0.2, { owner: enemy });
+        scheduler.repeat(() => fired.push('pulse'), 0.1, { owner: other });
+
+        enemy.isDead = true;
+        advance(scheduler, 0.2);
+        scheduler.cancelOwner(other);
+        advance(scheduler, 0.5);
+
+        if (fired.includes('enemy') || fired.length !== 2 || scheduler.getPendingCount() !== 0) {
+            throw new Error(`Unexpected firings ${fired}`);
+        }
+    });
+
+    test('a failing task is dropped without stopping the others', () => {
+        const scheduler = new GameScheduler();
+        let ran = false;
+        scheduler.repeat(() => { throw new Error('boom'); }, 0.1);
+        scheduler.schedule(() => { ran = true; }, 0.1);
+        advance(scheduler, 0.3);
+        if (!ran || scheduler.getPendingCount() !== 0) {
+            throw new Error('Failing task should be removed and others should still run');
+        }
+    });
+
+    test('EnemyAbilities schedules delayed attacks on the engine scheduler', () => {
+        const scheduler = new GameScheduler();
+        window.gameEngine = { scheduler };
+
+        const enemy = { x: 0, y: 0, isDead: false };
+        const abilities = new EnemyAbilities(enemy);
+        let zones = 0;
+        abilities._scheduleDelayed(() => zones++, 700);
+        abilities._scheduleDelayed(() => zones++, 700);
+        if (abilities._pendingTimers.length !== 0 || scheduler.getPendingCount() !== 2) {
+            throw new Error('Delayed attacks should live on the scheduler, not setTimeout');
+        }
+
+        advance(scheduler, 0.8);
+        abilities._scheduleDelayed(() => zones++, 700);
+        abilities.cleanup();
+        advance(scheduler, 1.0);
+        delete window.gameEngine;
+
+        if (zones !== 2 || scheduler.getPendingCount() !== 0) {
+            throw new Error(`Expected 2 zones and cleanup to cancel the rest, got ${zones}`);
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
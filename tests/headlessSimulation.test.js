@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Headless Simulation Tests
+ *
+ * Verifies the headless runner boots the real game scripts, produces a
+ * timeline, and that a seeded run is reproducible - including splitter
+ * deaths and a boss kill, forced early by the splits_and_boss scenario.
+ * Each run happens in a child process because the harness installs browser
+ * globals.
+ *
+ * Usage: npm test
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { SimulatedClock } = require('../scripts/simulations/headless/HeadlessEnvironment.js');
+
+const SIMULATE_SCRIPT = path.join(__dirname, '..', 'scripts', 'simulations', 'simulate_run.js');
+
+function simulate(args) {
+    const result = spawnSync('node', [SIMULATE_SCRIPT, ...args], {
+        encoding: 'utf8',
+        timeout: 120000
+    });
+    if (result.status !== 0) {
+        throw new Error(`simulate_run.js exited with ${result.status}: ${result.stderr}`);
+    }
+    return result.stdout;
+}
+
+function runTests() {
+    console.log('[T] Running Headless Simulation Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    test('simulated clock fires timers in due order', () => {
+        const clock = new SimulatedClock();
+        const fired = [];
+        clock.setTimeout(() => fired.push('b'), 200);
+        clock.setTimeout(() => fired.push('a'), 100);
+        const cancelled = clock.setTimeout(() => fired.push('x'), 150);
+        clock.clear(cancelled);
+        clock.advance(150);
+        if (fired.join('') !== 'a') {
+            throw new Error(`Expected only "a" after 150ms, got "${fired.join('')}"`);
+        }
+        clock.advance(100);
+        if (fired.join('') !== 'ab' || clock.nowMs !== 250) {
+            throw new Error(`Expected "ab" at 250ms, got "${fired.join('')}" at ${clock.nowMs}ms`);
+        }
+    });
+
+    test('simulated clock repeats intervals', () => {
+        const clock = new SimulatedClock();
+        let ticks = 0;
+        clock.setInterval(() => ticks++, 100);
+        clock.advance(350);
+        if (ticks !== 3) {
+            throw new Error(`Expected 3 ticks, got ${ticks}`);
+        }
+    });
+
+    const args = ['--minutes', '0.25', '--seed', 'HEADLESS', '--interval', '5'];
+    let first = null;
+
+    test('runs the real engine and reports a timeline', () => {
+        first = simulate(args);
+        const report = JSON.parse(first);
+        if (report.seed !== 'HEADLESS') {
+            throw new Error(`Expected seed HEADLESS, got ${report.seed}`);
+        }
+        if (report.samples.length < 4) {
+            throw new Error(`Expected at least 4 samples, got ${report.samples.length}`);
+        }
+        const last = report.samples[report.samples.length - 1];
+        if (report.outcome === 'timeout' && last.time < 15) {
+            throw new Error(`Run stopped early at ${last.time}s`);
+        }
+        if (last.damageDealt <= 0) {
+            throw new Error('Player never dealt damage - weapons did not fire');
+        }
+    });
+
+    test('same seed reproduces the same run through splits and a boss kill', () => {
+        const scenarioArgs = ['--minutes', '0.5', '--seed', 'HEADLESS', '--scenario', 'splits_and_boss', '--trace'];
+        const output = simulate(scenarioArgs);
+        const report = JSON.parse(output);
+        if (!report.splits.length || report.bossKills.length !== 1) {
+            throw new Error(`Scenario should cover splits and a boss kill, got ${report.splits.length} splits / ${report.bossKills.length} bosses`);
+        }
+        if (simulate(scenarioArgs) !== output) {
+            throw new Error('Reports (including exact positions) differ between runs with the same seed');
+        }
+    });
+
+    test('csv output has a header row and one row per sample', () => {
+        const lines = simulate([...args, '--format', 'csv']).trim().split('\n');
+        const report = JSON.parse(first);
+        if (!lines[0].startsWith('time,level,kills')) {
+            throw new Error(`Unexpected header: ${lines[0]}`);
+        }
+        if (lines.length !== report.samples.length + 1) {
+            throw new Error(`Expected ${report.samples.length + 1} lines, got ${lines.length}`);
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Heat System Tests
+ *
+ * Verifies the heat curses: selection persists and sums heat, the bridge
+ * applies the selection to non-daily runs and records the highest heat
+ * cleared per pilot, star tokens scale with heat, and the curse effects reach
+ * DifficultyManager (enemy speed, boss enrage) and XP orbs (decay).
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger, createMockLocalStorage, createStorageManagerStub } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Heat System Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: {
+            DIFFICULTY: { BASE_INTERVAL: 20, MAX_FACTOR: 4 },
+            HEAT: { STAR_BONUS_PER_HEAT: 0.1, XP_ORB_DECAY_INTERVAL: 10, XP_ORB_MIN_VALUE_RATIO: 0.25 }
+        },
+        StorageManager: createStorageManagerStub(createMockLocalStorage())
+    };
+    global.document = { getElementById: () => null };
+
+    load('src/config/runModifiers.config.js');
+    load('src/systems/HeatSystem.js');
+    load('src/core/systems/StatsManager.js');
+    load('src/core/systems/DifficultyManager.js');
+    load('src/entities/XPOrb.js');
+    load('src/core/gameManagerBridge.js');
+    const { HeatSystem, StatsManager, DifficultyManager, XPOrb, GameManagerBridge } = window.Game;
+
+    const createBridge = () => {
+        const bridge = new GameManagerBridge();
+        let modifiers = [];
+        bridge.state = {
+            runtime: { gameTime: 0 },
+            progression: { killCount: 0, bossesKilled: 0 },
+            combo: { highest: 0 },
+            setRunModifiers: ids => { modifiers = ids.slice(); },
+            getRunModifiers: () => modifiers.slice(),
+            getSelectedCharacter: () => 'aegis_vanguard'
+        };
+        return bridge;
+    };
+
+    test('curses cover the requested rules and each adds heat', () => {
+        const effects = HeatSystem.getCurses().flatMap(curse => Object.keys(curse.effects));
+        ['enemySpeed', 'playerRegeneration', 'eliteChance', 'bossEnrage', 'xpOrbDecay'].forEach(effect => {
+            if (!effects.includes(effect)) throw new Error(`No curse sets ${effect}`);
+        });
+        const swift = HeatSystem.getCurses().find(curse => curse.id === 'curse_swift_swarm');
+        if (swift.effects.enemySpeed !== 1.3) throw new Error('Swift Swarm should make enemies 30% faster');
+        if (HeatSystem.getCurses().some(curse => !curse.id.startsWith('curse_'))) {
+            throw new Error('Daily challenge modifiers should not be curses');
+        }
+    });
+
+    test('selection toggles, persists and sums heat', () => {
+        HeatSystem.setSelection(['curse_elite_surge', 'swift_swarm', 'no_such_curse']);
+        HeatSystem.toggleCurse('curse_xp_decay');
+        const selection = HeatSystem.getSelection();
+        if (selection.join() !== 'curse_elite_surge,curse_xp_decay') throw new Error(`Unexpected selection ${selection}`);
+        if (HeatSystem.getHeat(selection) !== 3) throw new Error(`Expected 3 heat, got ${HeatSystem.getHeat(selection)}`);
+
+        HeatSystem.toggleCurse('curse_elite_surge');
+        if (HeatSystem.getSelection().join() !== 'curse_xp_decay') throw new Error('Toggling again should remove the curse');
+        if (Math.abs(HeatSystem.getStarMultiplier(5) - 1.5) > 1e-9 || HeatSystem.getStarMultiplier(0) !== 1) {
+            throw new Error('Star multiplier should be 1 + heat x STAR_BONUS_PER_HEAT');
+        }
+    });
+
+    test('bridge applies curses to normal runs and records heat clears', () => {
+        HeatSystem.setSelection(['curse_swift_swarm', 'curse_boss_enrage']);
+        const bridge = createBridge();
+        bridge.prepareGameMode('normal');
+        if (bridge.state.getRunModifiers().join() !== 'curse_swift_swarm,curse_boss_enrage') {
+            throw new Error('Normal runs should use the Heat panel selection');
+        }
+
+        bridge.runHeat = HeatSystem.getHeat(bridge.state.getRunModifiers());
+        bridge._runModifierEffects = bridge._combineRunModifiers();
+        if (bridge.runHeat !== 3 || Math.abs(bridge.getStarTokenMultiplier() - 1.3) > 1e-9) {
+            throw new Error(`Unexpected heat ${bridge.runHeat}`);
+        }
+
+        bridge._recordRunResult('victory');
+        if (!bridge.heatResult?.isNewBest || HeatSystem.getHighestHeat('aegis_vanguard') !== 3) {
+            throw new Error('A victory should record the heat cleared');
+        }
+        if (!bridge.getRunSummaryStats().some(stat => stat.label === 'Heat' && stat.value.startsWith('3 (x1.3 stars)'))) {
+            throw new Error('The summary should show the run heat');
+        }
+
+        const defeat = createBridge();
+        defeat.runHeat = 6;
+        defeat._recordRunResult('defeat');
+        if (defeat.heatResult !== null || HeatSystem.getHighestHeat('aegis_vanguard') !== 3) {
+            throw new Error('Defeats should not count as clears');
+        }
+        if (HeatSystem.recordClear('aegis_vanguard', 2).isNewBest) {
+            throw new Error('A lower heat should not replace the best clear');
+        }
+    });
+
+    test('daily challenges keep their modifiers and earn no heat', () => {
+        HeatSystem.setSelection(['curse_swift_swarm', 'curse_elite_surge']);
+        window.Game.DailyChallenge = {
+            today: () => ({ date: '2026-03-01', seed: 'DAILY-2026-03-01', characterId: 'aegis_vanguard', weaponId: 'pulse_cannon', modifiers: ['swift_swarm', 'elite_surge'] })
+        };
+        const bridge = createBridge();
+        bridge.state.setRunOverrides = () => {};
+        bridge.prepareGameMode('daily');
+        delete window.Game.DailyChallenge;
+
+        bridge.runHeat = HeatSystem.getHeat(bridge.state.getRunModifiers());
+        bridge._runModifierEffects = bridge._combineRunModifiers();
+        if (bridge.state.getRunModifiers().join() !== 'swift_swarm,elite_surge') {
+            throw new Error('Daily runs should ignore the Heat panel selection');
+        }
+        if (bridge.runHeat !== 0 || bridge.getStarTokenMultiplier() !== 1) {
+            throw new Error(`Daily modifiers should not add heat, got ${bridge.runHeat}`);
+        }
+        if (bridge.getRunModifierMultiplier('enemySpeed') !== 1.25) {
+            throw new Error('The daily Swift Swarm should stay at 25% faster');
+        }
+
+        bridge._recordRunResult('victory');
+        if (bridge.heatResult !== null || HeatSystem.getHighestHeat('aegis_vanguard') !== 3) {
+            throw new Error('Daily victories should not touch the heat records');
+        }
+    });
+
+    test('star tokens are multiplied by the run heat', () => {
+        const state = {
+            meta: { starTokens: 0 },
+            earnStarTokens(amount) { this.meta.starTokens += amount; }
+        };
+        const stats = new StatsManager({ game: { state }, gameTime: 0, getStarTokenMultiplier: () => 1.5 });
+        stats.earnStarTokens(4);
+        if (state.meta.starTokens !== 6) throw new Error(`Expected 6 tokens, got ${state.meta.starTokens}`);
+    });
+
+    test('difficulty scaling applies curse speed and boss enrage', () => {
+        const multipliers = { enemySpeed: 1.3, bossEnrage: 1.3 };
+        const gameManager = {
+            gameTime: 0,
+            game: { player: null },
+            getRunModifierMultiplier: effect => multipliers[effect] ?? 1
+        };
+        const difficulty = new DifficultyManager(gameManager);
+
+        const enemy = { health: 10, maxHealth: 10, damage: 5, speed: 100, xpValue: 1 };
+        difficulty.scaleEnemy(enemy);
+        if (Math.abs(enemy.speed - 100 * difficulty.enemySpeedMultiplier * 1.3) > 1e-9) {
+            throw new Error(`Unexpected enemy speed ${enemy.speed}`);
+        }
+
+        const boss = {
+            health: 1000, maxHealth: 1000, damage: 20, xpValue: 100, radius: 40,
+            hasPhases: false, phaseThresholds: [0.7, 0.4, 0.15],
+            ai: { phaseChangeThresholds: [0.75, 0.5] }
+        };
+        difficulty.scaleBoss(boss);
+        const expected = [0.91, 0.52, 0.195];
+        if (boss.phaseThresholds.some((value, i) => Math.abs(value - expected[i]) > 1e-9) ||
+            Math.abs(boss.ai.phaseChangeThresholds[0] - 0.95) > 1e-9) {
+            throw new Error(`Unexpected enraged thresholds ${boss.phaseThresholds} / ${boss.ai.phaseChangeThresholds}`);
+        }
+    });
+
+    test('XP orbs decay and vanish only under the decay curse', () => {
+        const game = { player: { x: 10000, y: 10000, magnetRange: 100 } };
+        let retention = 1;
+        window.gameManager = { gameTime: 600, getRunModifierMultiplier: effect => (effect === 'xpOrbDecay' ? retention : 1) };
+
+        const steady = new XPOrb(0, 0, 40);
+        for (let i = 0; i < 100; i++) steady.update(1, game);
+        if (steady.isDead || steady.value !== steady.initialValue) throw new Error('Orbs should not decay without the curse');
+
+        retention = 0.7;
+        const orb = new XPOrb(0, 0, 40);
+        orb.update(10, game);
+        if (orb.isDead || orb.value !== Math.floor(orb.initialValue * 0.7)) {
+            throw new Error(`Expected 70% of the XP after one interval, got ${orb.value}/${orb.initialValue}`);
+        }
+        orb.update(30, game);
+        if (!orb.isDead) throw new Error('Orbs below the minimum share should vanish');
+        delete window.gameManager;
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * Input Binding Tests
+ *
+ * Verifies InputManager action bindings: case-insensitive keys, rebinding with
+ * conflict detection and persistence, analog stick movement with a deadzone,
+ * and gamepad buttons for dodge, pause and upgrade choice.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLocalStorage, createStorageManagerStub, createMockLogger } = require('./testUtils.js');
+
+function runTests() {
+    console.log('[T] Running Input Binding Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    const pad = {
+        index: 0,
+        id: 'Test pad',
+        connected: true,
+        axes: [0, 0],
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false }))
+    };
+    const pauseToggles = [];
+    const upgradePicks = [];
+
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        addEventListener: () => {},
+        removeEventListener: () => {},
+        gameManager: { game: { togglePause: () => pauseToggles.push(true) } },
+        upgradeSystem: {
+            levelUpActive: false,
+            isLevelUpActive() { return this.levelUpActive; },
+            selectUpgradeAt: index => upgradePicks.push(index)
+        }
+    };
+    global.document = {
+        addEventListener: () => {},
+        removeEventListener: () => {},
+        getElementById: () => null,
+        hidden: false
+    };
+    global.navigator = { getGamepads: () => [pad] };
+    window.StorageManager = createStorageManagerStub(createMockLocalStorage());
+
+    const sourcePath = path.join(__dirname, '..', 'src', 'systems', 'InputManager.js');
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: 'InputManager.js' });
+    const InputManager = window.Game.InputManager;
+
+    const keyEvent = key => ({ key, preventDefault: () => {} });
+    const press = (input, key) => input.handleKeyDown(keyEvent(key));
+    const release = (input, key) => input.handleKeyUp(keyEvent(key));
+    const setButton = (index, pressed) => {
+        pad.buttons[index] = { pressed };
+    };
+
+    test('letters match bindings regardless of case', () => {
+        const input = new InputManager();
+        press(input, 'W');
+        if (!input.isActionPressed('moveUp')) {
+            throw new Error('Shifted W should move up');
+        }
+        release(input, 'w');
+        if (input.isActionPressed('moveUp')) {
+            throw new Error('Releasing w should release W');
+        }
+    });
+
+    test('rebinding is persisted and used by the next InputManager', () => {
+        const input = new InputManager();
+        const result = input.setBinding('keyboard', 'dodge', 0, 'Shift');
+        if (!result.ok) {
+            throw new Error('Rebinding dodge failed');
+        }
+
+        const reloaded = new InputManager();
+        press(reloaded, 'Shift');
+        if (!reloaded.isActionPressed('dodge') || reloaded.getActionForKey(' ') !== null) {
+            throw new Error('Saved binding was not loaded');
+        }
+        if (reloaded.getBindingLabel('dodge') !== 'Shift') {
+            throw new Error(`Unexpected label ${reloaded.getBindingLabel('dodge')}`);
+        }
+    });
+
+    test('binding a key another action uses is refused', () => {
+        const input = new InputManager();
+        const result = input.setBinding('keyboard', 'moveUp', 0, 'D');
+        if (result.ok || result.conflict !== 'moveRight') {
+            throw new Error(`Expected a moveRight conflict, got ${JSON.stringify(result)}`);
+        }
+        if (input.keyBindings.moveUp[0] !== 'w') {
+            throw new Error('Refused binding must not change the action');
+        }
+        if (input.findConflict('keyboard', 'o') !== 'performance') {
+            throw new Error('Fixed debug keys should count as conflicts');
+        }
+    });
+
+    test('clearing and resetting bindings', () => {
+        const input = new InputManager();
+        input.setBinding('keyboard', 'moveUp', 1, null);
+        if (input.keyBindings.moveUp.join(',') !== 'w') {
+            throw new Error('Secondary slot was not cleared');
+        }
+        input.resetBindings('keyboard');
+        if (input.keyBindings.dodge[0] !== ' ' || input.keyBindings.moveUp.length !== 2) {
+            throw new Error('Defaults were not restored');
+        }
+        if (window.StorageManager.getItem(InputManager.KEY_BINDINGS_STORAGE_KEY) !== null) {
+            throw new Error('Reset should drop the saved bindings');
+        }
+    });
+
+    test('corrupt saved bindings fall back to defaults', () => {
+        window.StorageManager.setJSON(InputManager.GAMEPAD_BINDINGS_STORAGE_KEY, { dodge: ['A'], pause: 'x' });
+        const input = new InputManager();
+        if (input.gamepadBindings.dodge[0] !== 0 || input.gamepadBindings.pause[0] !== 9) {
+            throw new Error('Invalid gamepad bindings should be ignored');
+        }
+        window.StorageManager.removeItem(InputManager.GAMEPAD_BINDINGS_STORAGE_KEY);
+    });
+
+    test('analog stick moves with a rescaled deadzone', () => {
+        const input = new InputManager();
+        pad.axes = [0.1, 0.1];
+        input.updateGamepad();
+        let movement = input.getMovementVector();
+        if (movement.x !== 0 || movement.y !== 0) {
+            throw new Error('Stick inside the deadzone should not move');
+        }
+
+        pad.axes = [0.6, 0];
+        input.updateGamepad();
+        movement = input.getMovementVector();
+        if (Math.abs(movement.x - 0.5) > 1e-9 || movement.y !== 0) {
+            throw new Error(`Expected x 0.5, got ${movement.x}`);
+        }
+
+        press(input, 'a');
+        if (input.getMovementVector().x !== -1) {
+            throw new Error('Digital input should win over the stick');
+        }
+        pad.axes = [0, 0];
+    });
+
+    test('gamepad dodge is consumed until the button is released', () => {
+        const input = new InputManager();
+        setButton(0, true);
+        input.updateGamepad();
+        if (!input.isActionPressed('dodge')) {
+            throw new Error('A should request a dodge');
+        }
+        input.consumeAction('dodge');
+        input.updateGamepad();
+        if (input.isActionPressed('dodge')) {
+            throw new Error('Holding A should not dodge again');
+        }
+        setButton(0, false);
+        input.updateGamepad();
+        setButton(0, true);
+        input.updateGamepad();
+        if (!input.isActionPressed('dodge')) {
+            throw new Error('Pressing A again should dodge');
+        }
+        setButton(0, false);
+    });
+
+    test('gamepad pause and upgrade buttons fire once per press', () => {
+        const input = new InputManager();
+        input.updateGamepad();
+
+        setButton(9, true);
+        input.updateGamepad();
+        input.updateGamepad();
+        if (pauseToggles.length !== 1) {
+            throw new Error(`Expected one pause toggle, got ${pauseToggles.length}`);
+        }
+        setButton(9, false);
+
+        setButton(3, true);
+        input.updateGamepad();
+        if (upgradePicks.length !== 0) {
+            throw new Error('Upgrade buttons should do nothing outside level-up');
+        }
+        setButton(3, false);
+        input.updateGamepad();
+
+        window.upgradeSystem.levelUpActive = true;
+        setButton(3, true);
+        input.updateGamepad();
+        if (upgradePicks.join(',') !== '1') {
+            throw new Error(`Y should pick the second upgrade, got ${upgradePicks}`);
+        }
+        setButton(3, false);
+    });
+
+    test('virtual actions hold until consumed', () => {
+        const input = new InputManager();
+        input.setActionState('dodge', true);
+        if (!input.isActionPressed('dodge')) {
+            throw new Error('Virtual dodge not pressed');
+        }
+        input.consumeAction('dodge');
+        if (input.isActionPressed('dodge')) {
+            throw new Error('Virtual dodge not consumed');
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+
+/**
+ * Level-Up Choice Tests
+ *
+ * Verifies the reroll, banish and skip charges on the level-up screen: charges
+ * come from the meta upgrades, rerolls redraw the offer, banished upgrades
+ * never come back for the rest of the run, skips pay out XP (or a star token
+ * with Stellar Salvage), and replays reproduce the same choices.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger, createMockLocalStorage, createStorageManagerStub } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function createElement() {
+    const classes = new Set();
+    const listeners = {};
+    return {
+        children: [],
+        dataset: {},
+        textContent: '',
+        set innerHTML(value) { if (value === '') this.children.length = 0; },
+        classList: {
+            add: name => classes.add(name),
+            remove: name => classes.delete(name),
+            contains: name => classes.has(name),
+            toggle: (name, force) => (force ? classes.add(name) : classes.delete(name))
+        },
+        appendChild(child) { this.children.push(child); return child; },
+        addEventListener(type, fn) { listeners[type] = fn; },
+        removeEventListener(type, fn) { if (listeners[type] === fn) delete listeners[type]; },
+        click() { listeners.click?.(); }
+    };
+}
+
+function runTests() {
+    console.log('[T] Running Level-Up Choice Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    const storage = createMockLocalStorage();
+    const windowListeners = {};
+    const elements = {};
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: {
+            LEVEL_UP: { BASE_REROLLS: 1, BASE_BANISHES: 0, BASE_SKIPS: 0, SKIP_XP_SHARE: 0.25, SKIP_STAR_TOKENS: 1 }
+        },
+        StorageManager: createStorageManagerStub(storage),
+        addEventListener: (type, fn) => { windowListeners[type] = fn; },
+        removeEventListener: (type, fn) => { if (windowListeners[type] === fn) delete windowListeners[type]; },
+        inputManager: {
+            getActionForKey: key => ({ 1: 'upgrade1', 2: 'upgrade2', 3: 'upgrade3', r: 'rerollUpgrades', b: 'banishUpgrade', x: 'skipUpgrade' })[key] || null,
+            getBindingLabel: action => ({ rerollUpgrades: 'R', banishUpgrade: 'B', skipUpgrade: 'X' })[action] || null
+        }
+    };
+    global.document = {
+        getElementById: id => (elements[id] = elements[id] || createElement()),
+        createElement
+    };
+
+    load('src/config/upgrades.config.js');
+    load('src/config/metaUpgrades.config.js');
+    load('src/systems/upgrades.js');
+    load('src/systems/ReplaySystem.js');
+    const { UpgradeSystem, ReplaySystem } = window.Game;
+
+    const press = key => windowListeners.keydown?.({ key });
+
+    const seedRng = seed => {
+        let state = seed;
+        window.Game.rng = { next: () => ((state = (state * 1664525 + 1013904223) % 4294967296) / 4294967296) };
+    };
+
+    const startRun = (meta = {}) => {
+        storage.clear?.();
+        ['upgrade_reroll', 'upgrade_banish', 'upgrade_skip', 'skip_salvage'].forEach(id => {
+            window.StorageManager.setItem(`meta_${id}`, String(meta[id] || 0));
+        });
+
+        const applied = [];
+        const earned = [];
+        const game = {
+            isPaused: false,
+            player: {
+                x: 0,
+                y: 0,
+                xp: 0,
+                stats: { xpToNextLevel: 200 },
+                addXP(amount) { this.xp += amount; },
+                applyUpgrade: upgrade => applied.push(upgrade.id)
+            }
+        };
+        window.gameManager = {
+            game,
+            showFloatingText() { },
+            statsManager: { earnStarTokens: amount => earned.push(amount), trackSpecialEvent() { } }
+        };
+
+        const upgrades = new UpgradeSystem();
+        upgrades.resetForNewRun();
+        return { upgrades, game, applied, earned };
+    };
+
+    const offeredIds = upgrades => upgrades.levelUpChoices.map(upgrade => upgrade.id);
+
+    test('charges come from the base constants plus meta upgrade levels', () => {
+        const { upgrades } = startRun({ upgrade_reroll: 2, upgrade_banish: 1, upgrade_skip: 3 });
+        const charges = upgrades.getLevelUpCharges();
+        if (charges.reroll !== 3 || charges.banish !== 1 || charges.skip !== 3) {
+            throw new Error(`Unexpected charges ${JSON.stringify(charges)}`);
+        }
+
+        upgrades.levelUpCharges.reroll = 0;
+        upgrades.banishedUpgrades.add('damage_boost');
+        upgrades.resetForNewRun();
+        if (upgrades.getLevelUpCharges().reroll !== 3 || upgrades.banishedUpgrades.size !== 0) {
+            throw new Error('A new run should refill charges and clear banishes');
+        }
+
+        const ids = window.META_UPGRADE_DEFINITIONS.map(def => def.id);
+        ['upgrade_reroll', 'upgrade_banish', 'upgrade_skip', 'skip_salvage'].forEach(id => {
+            if (!ids.includes(id)) throw new Error(`Missing meta upgrade ${id}`);
+        });
+    });
+
+    test('reroll redraws the offer and stops when out of charges', () => {
+        seedRng(7);
+        const { upgrades, game } = startRun();
+        upgrades.showUpgradeOptions();
+        const actions = elements['upgrade-actions'];
+        if (actions.classList.contains('hidden') || actions.children[0].textContent !== 'Reroll [R] x1') {
+            throw new Error('The action bar should list the reroll charge');
+        }
+
+        const first = offeredIds(upgrades).join();
+        press('r');
+        if (offeredIds(upgrades).join() === first || upgrades.getLevelUpCharges().reroll !== 0) {
+            throw new Error('R should spend the reroll on a new offer');
+        }
+        if (!actions.classList.contains('hidden') || upgrades.rerollUpgrades() || !game.isPaused) {
+            throw new Error('Rerolling without charges should be refused and keep the menu open');
+        }
+    });
+
+    test('banished upgrades leave the offer and never return this run', () => {
+        seedRng(11);
+        const { upgrades, applied } = startRun({ upgrade_banish: 1 });
+        upgrades.showUpgradeOptions();
+        const [keptA, banished, keptB] = offeredIds(upgrades);
+
+        press('b');
+        if (!elements['level-up-container'].classList.contains('banish-mode') || applied.length !== 0) {
+            throw new Error('B should arm banishing');
+        }
+        press('2');
+        const after = offeredIds(upgrades);
+        if (applied.length !== 0 || after[0] !== keptA || after[2] !== keptB || after.includes(banished) || after.length !== 3) {
+            throw new Error(`Banishing should replace only the second card, got ${after}`);
+        }
+        if (upgrades.banishMode || upgrades.toggleBanishMode()) {
+            throw new Error('Banish mode should end and need a charge to re-arm');
+        }
+        for (let i = 0; i < 60; i++) {
+            if (upgrades.getRandomUpgrades(3).some(upgrade => upgrade.id === banished)) {
+                throw new Error(`${banished} was offered after being banished`);
+            }
+        }
+
+        press('1');
+        if (applied.join() !== keptA) throw new Error('Picking after a banish should take the card as usual');
+    });
+
+    test('skipping pays out XP, or a star token with Stellar Salvage', () => {
+        const run = startRun({ upgrade_skip: 1 });
+        run.upgrades.showUpgradeOptions();
+        press('x');
+        if (run.game.player.xp !== 50 || run.applied.length !== 0 || run.game.isPaused || run.upgrades.isLevelUpActive()) {
+            throw new Error(`Skip should grant 25% of the level and resume, xp ${run.game.player.xp}`);
+        }
+        if (windowListeners.keydown) throw new Error('Skip should drop the level-up shortcuts');
+
+        run.upgrades.showUpgradeOptions();
+        if (run.upgrades.skipLevelUp()) throw new Error('Skipping without a charge should be refused');
+
+        const salvage = startRun({ upgrade_skip: 1, skip_salvage: 1 });
+        salvage.upgrades.showUpgradeOptions();
+        elements['upgrade-actions'].children[2].click();
+        if (salvage.earned.join() !== '1' || salvage.game.player.xp !== 0) {
+            throw new Error('Stellar Salvage should convert the skip into a star token');
+        }
+    });
+
+    test('replays reproduce rerolls, banishes and skips', () => {
+        const session = (replay, script) => {
+            seedRng(23);
+            const run = startRun({ upgrade_reroll: 1, upgrade_banish: 1, upgrade_skip: 1 });
+            window.replaySystem = replay;
+            replay.beginRun({ seed: 'seed' });
+            replay.beginStep({ x: 0, y: 0 });
+            run.upgrades.showUpgradeOptions();
+            script?.();
+            replay.beginStep({ x: 0, y: 0 });
+            run.upgrades.showUpgradeOptions();
+            script?.();
+            replay.finishRun();
+            delete window.replaySystem;
+            return run;
+        };
+
+        const replay = new ReplaySystem();
+        let level = 0;
+        const recorded = session(replay, () => {
+            if (level++ === 0) {
+                press('r');
+                press('b');
+                press('3');
+                press('2');
+            } else {
+                press('x');
+            }
+        });
+
+        replay.queuePlayback(replay.lastReplay);
+        const played = session(replay);
+        if (played.applied.join() !== recorded.applied.join() || played.game.player.xp !== recorded.game.player.xp) {
+            throw new Error(`Playback diverged: ${played.applied} vs ${recorded.applied}`);
+        }
+        if ([...played.upgrades.banishedUpgrades].join() !== [...recorded.upgrades.banishedUpgrades].join()) {
+            throw new Error('Playback should banish the same upgrade');
+        }
+        const charges = JSON.stringify(played.upgrades.getLevelUpCharges());
+        if (charges !== JSON.stringify(recorded.upgrades.getLevelUpCharges()) || charges !== '{"reroll":1,"banish":0,"skip":0}') {
+            throw new Error(`Playback should spend the same charges, got ${charges}`);
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
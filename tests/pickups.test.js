@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+
+/**
+ * Pickup Tests
+ *
+ * Verifies that elites, bosses and destructibles drop pickups from the
+ * weighted tables, that each kind applies its effect when the player touches
+ * it through CollisionSystem (heal, XP vacuum, timed power-ups, star shards
+ * into star tokens, boss chest rewards), that GameEngine pools Pickup
+ * entities and that the minimap marks them.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger, createMockLocalStorage, createStorageManagerStub } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function createElement(tag = 'div') {
+    const classes = new Set();
+    const listeners = {};
+    return {
+        tag,
+        children: [],
+        dataset: {},
+        textContent: '',
+        set innerHTML(value) { if (value === '') this.children.length = 0; },
+        classList: {
+            add: name => classes.add(name),
+            remove: name => classes.delete(name),
+            contains: name => classes.has(name),
+            toggle: (name, force) => (force ? classes.add(name) : classes.delete(name))
+        },
+        appendChild(child) { this.children.push(child); return child; },
+        addEventListener(type, fn) { listeners[type] = fn; },
+        removeEventListener(type, fn) { if (listeners[type] === fn) delete listeners[type]; },
+        dispatch(type) { listeners[type]?.(); },
+        hasListener: type => Boolean(listeners[type])
+    };
+}
+
+function runTests() {
+    console.log('[T] Running Pickup Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    const windowListeners = {};
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: {
+            PICKUPS: { ELITE_DROP_CHANCE: 0.35, DESTRUCTIBLE_DROP_CHANCE: 0.2, BOSS_STAR_SHARDS: 3, POOL_SIZE: 2, VACUUM_SPEED: 900 },
+            PLAYER: {},
+            PERFORMANCE: {}
+        },
+        StorageManager: createStorageManagerStub(createMockLocalStorage()),
+        addEventListener: (type, fn) => { windowListeners[type] = fn; },
+        removeEventListener: (type, fn) => { if (windowListeners[type] === fn) delete windowListeners[type]; }
+    };
+    global.GAME_CONSTANTS = window.GAME_CONSTANTS;
+    global.document = { getElementById: () => null, createElement };
+
+    load('src/config/pickups.config.js');
+    load('src/entities/Pickup.js');
+    load('src/systems/PickupSystem.js');
+    load('src/entities/XPOrb.js');
+    load('src/entities/player/PlayerStats.js');
+    load('src/core/systems/CollisionSystem.js');
+    load('src/core/systems/MinimapSystem.js');
+    load('src/systems/upgrades.js');
+    const { Pickup, PickupSystem, CollisionSystem } = window.Game;
+    const XPOrb = window.Game.XPOrb || vm.runInThisContext('XPOrb');
+    const PlayerStats = window.Game.PlayerStats || vm.runInThisContext('PlayerStats');
+    const MinimapSystem = window.Game.MinimapSystem || vm.runInThisContext('MinimapSystem');
+    const UpgradeSystem = window.Game.UpgradeSystem || vm.runInThisContext('UpgradeSystem');
+
+    const createGame = () => {
+        const entities = [];
+        return {
+            entities,
+            addEntity(entity) { entities.push(entity); return entity; },
+            getXPOrbs: () => entities.filter(entity => entity.type === 'xpOrb'),
+            getEntitiesByType: type => entities.filter(entity => entity.type === type)
+        };
+    };
+
+    const createPlayer = () => {
+        const player = {
+            type: 'player', x: 0, y: 0, radius: 20, isDead: false, magnetRange: 100,
+            get health() { return this.stats.health; },
+            get maxHealth() { return this.stats.maxHealth; }
+        };
+        player.stats = new PlayerStats(player);
+        player.stats.maxHealth = 100;
+        player.stats.health = 50;
+        return player;
+    };
+
+    const sequence = values => {
+        let index = 0;
+        return () => values[index++ % values.length];
+    };
+
+    test('pickKind follows the drop weights for each source', () => {
+        const system = new PickupSystem();
+        const counts = {};
+        for (let i = 0; i < 100; i++) {
+            const kind = system.pickKind('elite', i / 100);
+            counts[kind] = (counts[kind] || 0) + 1;
+        }
+        // Elite weights: health 4, magnet 3, doubleDamage 2, invulnerability 1, starShard 2 (of 12)
+        if (Math.abs(counts.health - 33) > 1 || Math.abs(counts.invulnerability - 8) > 1 || counts.bossChest) {
+            throw new Error(`Unexpected elite spread ${JSON.stringify(counts)}`);
+        }
+        const destructible = new Set();
+        for (let i = 0; i < 100; i++) destructible.add(system.pickKind('destructible', i / 100));
+        if ([...destructible].sort().join() !== 'health,magnet,starShard') {
+            throw new Error(`Destructibles should only drop basics, got ${[...destructible]}`);
+        }
+    });
+
+    test('elites roll their drop chance, bosses always leave a chest and shards', () => {
+        const system = new PickupSystem();
+        const game = createGame();
+
+        system._random = sequence([0.9]);
+        system.onEnemyKilled({ x: 0, y: 0, isElite: true }, game);
+        system.onEnemyKilled({ x: 0, y: 0 }, game);
+        if (game.entities.length !== 0) throw new Error('A missed roll or a regular enemy should drop nothing');
+
+        system._random = sequence([0.1, 0]);
+        system.onEnemyKilled({ x: 5, y: 5, isElite: true }, game);
+        system.onDestructibleDestroyed({ x: 5, y: 5 }, game);
+        if (game.entities.map(entity => entity.kind).join() !== 'health,health') {
+            throw new Error(`Expected an elite and an asteroid health pack, got ${game.entities.map(entity => entity.kind)}`);
+        }
+
+        game.entities.length = 0;
+        system.onEnemyKilled({ x: 100, y: 100, isBoss: true, isElite: true }, game);
+        const kinds = game.entities.map(entity => entity.kind).join();
+        if (kinds !== 'bossChest,starShard,starShard,starShard' || game.entities.some(entity => !(entity instanceof Pickup))) {
+            throw new Error(`Unexpected boss drops ${kinds}`);
+        }
+        if (game.entities[0].lifetime !== 0) throw new Error('Boss chests should never despawn');
+    });
+
+    test('touching a pickup through CollisionSystem applies heal, vacuum and power-ups once', () => {
+        const game = createGame();
+        const system = new PickupSystem();
+        window.gameManager = { game, pickupSystem: system, onPlayerDamaged() {} };
+        const player = createPlayer();
+        game.player = player;
+
+        const orbs = [new XPOrb(300, 0, 5), new XPOrb(-600, 0, 5)];
+        orbs.forEach(orb => game.addEntity(orb));
+
+        const collisions = new CollisionSystem({});
+        const health = new Pickup('health', 0, 0);
+        collisions.handleCollision(player, health);
+        collisions.handleCollision(health, player);
+        if (player.health !== 75 || !health.isDead) {
+            throw new Error(`Expected one 25% heal, health at ${player.health}`);
+        }
+
+        collisions.handleCollision(new Pickup('magnet', 0, 0), player);
+        const startDistances = orbs.map(orb => Math.hypot(orb.x, orb.y));
+        orbs.forEach(orb => orb.update(0.1, game));
+        if (!orbs.every((orb, i) => orb.isVacuumed && Math.hypot(orb.x, orb.y) < startDistances[i] - 80)) {
+            throw new Error('Magnet bursts should pull every XP orb toward the player');
+        }
+
+        collisions.handleCollision(player, new Pickup('doubleDamage', 0, 0));
+        collisions.handleCollision(player, new Pickup('invulnerability', 0, 0));
+        if (player.stats.getPowerUpValue('damage', 1) !== 2) throw new Error('Double Damage should double damage');
+        player.stats.takeDamage(30);
+        if (player.health !== 75) throw new Error('Invulnerability should block damage');
+
+        player.stats.updatePowerUps(6);
+        player.stats.takeDamage(30);
+        if (player.health !== 45 || player.stats.getPowerUpValue('damage', 1) !== 2) {
+            throw new Error('Invulnerability should wear off after 5s while Double Damage lasts 10s');
+        }
+        player.stats.updatePowerUps(5);
+        if (player.stats.getPowerUpValue('damage', 1) !== 1) throw new Error('Double Damage should expire');
+        delete window.gameManager;
+    });
+
+    test('three star shards earn one star token', () => {
+        const game = createGame();
+        const earned = [];
+        const system = new PickupSystem();
+        window.gameManager = { game, pickupSystem: system, statsManager: { earnStarTokens: amount => earned.push(amount) } };
+        const player = createPlayer();
+
+        for (let i = 0; i < 4; i++) new Pickup('starShard', 0, 0).collect(player);
+        if (earned.join() !== '1' || system.shards !== 1) {
+            throw new Error(`Expected one token with a shard left over, got ${earned} / ${system.shards}`);
+        }
+        system.reset();
+        if (system.shards !== 0) throw new Error('Shard progress should reset with the run');
+        delete window.gameManager;
+    });
+
+    test('boss chest grants several upgrades on the level-up screen', () => {
+        const applied = [];
+        const game = { isPaused: false, player: { x: 0, y: 0, applyUpgrade: upgrade => applied.push(upgrade.id) } };
+        window.gameManager = { game, showFloatingText() {} };
+
+        const upgrades = new UpgradeSystem();
+        const hint = createElement('p');
+        hint.textContent = 'Press 1, 2, or 3 to select an upgrade';
+        const tip = createElement('p');
+        const title = createElement('h2');
+        title.textContent = 'Level Up!';
+        const container = createElement();
+        container.classList.add('hidden');
+        container.querySelector = () => title;
+        container.querySelectorAll = () => [hint, tip];
+        upgrades.levelUpContainer = container;
+        upgrades.upgradeOptionsContainer = createElement();
+        upgrades.getRandomUpgrades = count => [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }].slice(0, count);
+
+        const granted = new Pickup('bossChest', 0, 0);
+        window.upgradeSystem = upgrades;
+        window.gameManager.pickupSystem = new PickupSystem();
+        granted.collect(game.player);
+
+        if (applied.join() !== 'a,b,c' || upgrades.upgradeOptionsContainer.children.length !== 3) {
+            throw new Error(`Expected three upgrades applied and listed, got ${applied}`);
+        }
+        if (!game.isPaused || container.classList.contains('hidden') || title.textContent !== 'Boss Chest!' || !tip.classList.contains('hidden')) {
+            throw new Error('The chest screen should pause the game under its own title');
+        }
+
+        upgrades.selectUpgradeAt(0);
+        if (applied.length !== 3 || game.isPaused || upgrades.isLevelUpActive() || !container.classList.contains('hidden')) {
+            throw new Error('Confirming should close the chest without granting more');
+        }
+        if (title.textContent !== 'Level Up!' || hint.textContent !== 'Press 1, 2, or 3 to select an upgrade' ||
+            tip.classList.contains('hidden') || container.hasListener('click') || windowListeners.keydown) {
+            throw new Error('Closing should restore the level-up header and drop its listeners');
+        }
+
+        upgrades.autoLevelEnabled = true;
+        upgrades.showChestRewards(2);
+        if (applied.length !== 5 || game.isPaused || upgrades.chestRewardsActive) {
+            throw new Error('Auto-level should grant chest rewards without opening the screen');
+        }
+        delete window.gameManager;
+        delete window.upgradeSystem;
+    });
+
+    test('GameEngine pools pickups up to the configured size', () => {
+        load('src/core/gameEngine.js');
+        const engine = Object.create(window.Game.GameEngine.prototype);
+        const added = [];
+        engine.pickupPool = [];
+        engine.addEntity = entity => { added.push(entity); return entity; };
+
+        const first = engine.spawnPickup('health', 10, 20);
+        first.age = 12;
+        first.isDead = true;
+        engine._releasePickup(first);
+        engine._releasePickup(first);
+        if (engine.pickupPool.length !== 1) throw new Error('A pickup should only be pooled once');
+
+        const reused = engine.spawnPickup('starShard', 30, 40);
+        if (reused !== first || reused.isDead || reused.age !== 0 || reused.kind !== 'starShard' || reused.radius !== 9) {
+            throw new Error('Pooled pickups should be reset for their new kind');
+        }
+
+        [new Pickup(), new Pickup(), new Pickup()].forEach(pickup => engine._releasePickup(pickup));
+        if (engine.pickupPool.length !== 2) throw new Error('Pool should stop at POOL_SIZE');
+    });
+
+    test('uncollected pickups expire and show on the minimap', () => {
+        const pickup = new Pickup('health', 0, 0);
+        pickup.update(29, {});
+        if (pickup.isDead) throw new Error('Pickups should last their lifetime');
+        pickup.update(1.5, {});
+        if (!pickup.isDead) throw new Error('Pickups should despawn after their lifetime');
+
+        const fills = [];
+        const ctx = new Proxy({}, {
+            get: (target, prop) => (prop === 'fill' ? () => fills.push(target.fillStyle) : target[prop] || (() => { })),
+            set: (target, prop, value) => { target[prop] = value; return true; }
+        });
+        const game = createGame();
+        game.addEntity(new Pickup('bossChest', 100, 0));
+        game.addEntity(new Pickup('magnet', 5000, 0));
+        const minimap = Object.create(MinimapSystem.prototype);
+        Object.assign(minimap, { game, width: 150, height: 150, scale: 0.1 });
+        minimap._drawPickupMarkers(ctx, { x: 0, y: 0 }, 75, 75);
+        if (fills.join() !== window.PICKUP_DEFINITIONS.bossChest.color) {
+            throw new Error(`Expected only the nearby chest marker, got ${fills}`);
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
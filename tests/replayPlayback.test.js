@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Replay Playback Tests
+ *
+ * End-to-end check that a replay reproduces its run: records a headless run
+ * with the kiting bot (analog, diagonal movement), plays the saved replay
+ * back on the real engine and compares player and enemy positions, HP and
+ * kills at the same steps. Runs happen in child processes because the
+ * harness installs browser globals.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SIMULATE_SCRIPT = path.join(__dirname, '..', 'scripts', 'simulations', 'simulate_run.js');
+
+function simulate(args) {
+    const result = spawnSync('node', [SIMULATE_SCRIPT, ...args], {
+        encoding: 'utf8',
+        timeout: 120000
+    });
+    if (result.status !== 0) {
+        throw new Error(`simulate_run.js exited with ${result.status}: ${result.stderr}`);
+    }
+    return result.stdout;
+}
+
+function runTests() {
+    console.log('[T] Running Replay Playback Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-playback-'));
+    const replayFile = path.join(dir, 'run.json');
+    const runArgs = ['--minutes', '0.75', '--interval', '5', '--trace'];
+    let recorded = null;
+
+    try {
+        test('records a run with its replay', () => {
+            recorded = JSON.parse(simulate([...runArgs, '--seed', 'PLAYBACK', '--replay', replayFile]));
+            const replay = JSON.parse(fs.readFileSync(replayFile, 'utf8'));
+            if (replay.seed !== 'PLAYBACK' || !replay.move.length) {
+                throw new Error('The replay file should carry the seed and recorded movement');
+            }
+            if (!replay.move.some(([, x, y]) => x !== 0 && y !== 0)) {
+                throw new Error('The bot should have moved diagonally at some point');
+            }
+            if (recorded.summary.kills === 0) {
+                throw new Error('The recorded run should kill enemies');
+            }
+        });
+
+        test('playback matches the recording at every sampled step', () => {
+            const played = JSON.parse(simulate([...runArgs, '--playback', replayFile]));
+            if (played.trace.length !== recorded.trace.length) {
+                throw new Error(`Expected ${recorded.trace.length} samples, got ${played.trace.length}`);
+            }
+            recorded.trace.forEach((expected, index) => {
+                const actual = played.trace[index];
+                if (actual.step !== expected.step) {
+                    throw new Error(`Sample ${index} taken at step ${actual.step}, expected ${expected.step}`);
+                }
+                if (JSON.stringify(actual.player) !== JSON.stringify(expected.player)) {
+                    throw new Error(`Player diverged at step ${expected.step}: ${actual.player} vs ${expected.player}`);
+                }
+                if (actual.kills !== expected.kills) {
+                    throw new Error(`Kills diverged at step ${expected.step}: ${actual.kills} vs ${expected.kills}`);
+                }
+                if (JSON.stringify(actual.enemies) !== JSON.stringify(expected.enemies)) {
+                    throw new Error(`Enemies diverged at step ${expected.step}`);
+                }
+            });
+            if (JSON.stringify(played.summary) !== JSON.stringify(recorded.summary)) {
+                throw new Error('Playback should end with the same summary as the recording');
+            }
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
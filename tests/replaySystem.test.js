@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+/**
+ * ReplaySystem Tests
+ *
+ * Verifies recording compresses movement, playback reproduces the recorded
+ * per-step input and events, the live run steers with the recorded vector,
+ * replay files are validated on load, and GameManagerBridge plays replays on
+ * a run-scoped loadout, refuses saves that would desync and pays out nothing
+ * (stars, lifetime stats, achievements) while one plays.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger, createMockLocalStorage, createStorageManagerStub } = require('./testUtils.js');
+
+function runTests() {
+    console.log('[T] Running ReplaySystem Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = { Game: {}, logger: createMockLogger() };
+    const sourcePath = path.join(__dirname, '..', 'src', 'systems', 'ReplaySystem.js');
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: 'ReplaySystem.js' });
+    const ReplaySystem = window.Game.ReplaySystem;
+
+    // Script: 3 steps right, 2 idle, 2 diagonal; dodge on step 4, upgrade on step 6
+    const inputs = [
+        { x: 1, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 0 },
+        { x: 0, y: 0 }, { x: 0, y: 0 },
+        { x: 0.7071067811865476, y: -0.7071067811865476 }, { x: 0.7071067811865476, y: -0.7071067811865476 }
+    ];
+
+    const recordRun = () => {
+        const system = new ReplaySystem();
+        system.beginRun({ seed: 'ABC', characterId: 'aegis_vanguard', weaponId: 'pulse_cannon' });
+        inputs.forEach((input, index) => {
+            system.beginStep(input);
+            const step = index + 1;
+            if (step === 4) system.recordDodge();
+            if (step === 5) system.recordPause('manual');
+            if (step === 6) system.recordUpgradeChoice({ id: 'damage_boost' }, true);
+        });
+        system.finishRun({ outcome: 'defeat', gameTime: 12.345 });
+        return system;
+    };
+
+    test('registers on window.Game', () => {
+        if (typeof ReplaySystem !== 'function') {
+            throw new Error('ReplaySystem not attached to window.Game');
+        }
+    });
+
+    test('recording run-length encodes movement', () => {
+        const replay = recordRun().lastReplay;
+        if (replay.move.length !== 3) {
+            throw new Error(`Expected 3 movement runs, got ${replay.move.length}`);
+        }
+        if (replay.move[0][0] !== 3 || replay.move[1][0] !== 2 || replay.move[2][0] !== 2) {
+            throw new Error('Run lengths do not match recorded steps');
+        }
+        if (replay.steps !== inputs.length || replay.seed !== 'ABC') {
+            throw new Error('Replay header is incomplete');
+        }
+    });
+
+    test('recorded events are stamped with their step', () => {
+        const events = recordRun().lastReplay.events;
+        const types = events.map(event => `${event[0]}:${event[1]}`).join(',');
+        if (types !== '4:dodge,5:pause,6:upgrade') {
+            throw new Error(`Unexpected events: ${types}`);
+        }
+    });
+
+    test('playback reproduces movement step for step', () => {
+        const replay = ReplaySystem.parse(recordRun().serialize());
+        const player = new ReplaySystem();
+        player.queuePlayback(replay);
+        player.beginRun({});
+        if (!player.isPlaying()) {
+            throw new Error('Queued replay should start playback');
+        }
+
+        inputs.forEach((expected, index) => {
+            const actual = player.beginStep({ x: -1, y: -1 }); // Live input must be ignored
+            if (Math.abs(actual.x - expected.x) > 0.001 || Math.abs(actual.y - expected.y) > 0.001) {
+                throw new Error(`Step ${index + 1} movement mismatch`);
+            }
+        });
+
+        const after = player.beginStep({ x: 1, y: 1 });
+        if (after.x !== 0 || after.y !== 0) {
+            throw new Error('Movement should be idle after recorded input ends');
+        }
+    });
+
+    test('playback releases dodge and upgrade on their recorded steps', () => {
+        const replay = ReplaySystem.parse(recordRun().serialize());
+        const player = new ReplaySystem();
+        player.queuePlayback(replay);
+        player.beginRun({});
+
+        for (let step = 1; step <= 3; step++) {
+            player.beginStep();
+            if (player.isDodgeQueued()) throw new Error(`Dodge released early at step ${step}`);
+        }
+        player.beginStep();
+        if (!player.isDodgeQueued() || !player.consumeDodge()) {
+            throw new Error('Dodge not released at step 4');
+        }
+        if (player.isDodgeQueued()) {
+            throw new Error('Dodge should only fire once');
+        }
+
+        player.beginStep();
+        if (player.takeUpgradeChoice([{ id: 'damage_boost' }]) !== null) {
+            throw new Error('Upgrade released early');
+        }
+        player.beginStep();
+        const choice = player.takeUpgradeChoice([{ id: 'other' }, { id: 'damage_boost' }]);
+        if (!choice || choice.upgrade.id !== 'damage_boost' || choice.auto !== true) {
+            throw new Error('Recorded upgrade choice not returned');
+        }
+    });
+
+    test('playback does not mutate the loaded replay', () => {
+        const replay = ReplaySystem.parse(recordRun().serialize());
+        const before = JSON.stringify(replay);
+        const player = new ReplaySystem();
+        player.queuePlayback(replay);
+        player.beginRun({});
+        for (let i = 0; i < 10; i++) {
+            player.beginStep();
+            player.consumeDodge();
+            player.takeUpgradeChoice([{ id: 'damage_boost' }]);
+        }
+        player.finishRun();
+        if (JSON.stringify(player.lastReplay) !== before) {
+            throw new Error('Replay data changed during playback');
+        }
+    });
+
+    test('parse rejects malformed replays', () => {
+        const valid = JSON.parse(recordRun().serialize());
+        const cases = [
+            { ...valid, format: 'something-else' },
+            { ...valid, version: 99 },
+            { ...valid, seed: '' },
+            { ...valid, move: [[0, 1, 0]] },
+            { ...valid, events: [['x', 'dodge']] }
+        ];
+        cases.forEach((candidate, index) => {
+            let threw = false;
+            try {
+                ReplaySystem.parse(JSON.stringify(candidate));
+            } catch (_) {
+                threw = true;
+            }
+            if (!threw) {
+                throw new Error(`Case ${index} should have been rejected`);
+            }
+        });
+    });
+
+    test('idle system passes live input through without counting steps', () => {
+        const system = new ReplaySystem();
+        const live = { x: 0.5, y: 0 };
+        if (system.beginStep(live) !== live || system.step !== 0) {
+            throw new Error('Idle system should not record or alter input');
+        }
+    });
+
+    test('recording steers the live run with the stored movement', () => {
+        const system = new ReplaySystem();
+        system.beginRun({ seed: 'ROUND' });
+        const used = system.beginStep({ x: 0.70710678, y: -0.70710678 });
+        const stored = system.recording.move[0];
+        if (used.x !== stored[1] || used.y !== stored[2] || used.x !== 0.707) {
+            throw new Error(`Live movement ${JSON.stringify(used)} differs from recorded ${stored}`);
+        }
+    });
+
+    test('bridge plays replays on a run-scoped loadout and refuses mismatched saves', () => {
+        const localStorage = createMockLocalStorage();
+        global.localStorage = localStorage;
+        window.StorageManager = createStorageManagerStub(localStorage);
+        window.META_UPGRADE_DEFINITIONS = [{ id: 'mercury_speed' }];
+        const { GameState } = require('../src/core/GameState.js');
+        vm.runInThisContext(
+            fs.readFileSync(path.join(__dirname, '..', 'src', 'core', 'gameManagerBridge.js'), 'utf8'),
+            { filename: 'gameManagerBridge.js' }
+        );
+
+        const bridge = new window.Game.GameManagerBridge();
+        bridge.state = new GameState();
+        bridge.state.setSelectedCharacter('aegis_vanguard');
+        bridge.state.setSelectedWeapon('pulse_cannon');
+        bridge.game = {};
+        let starts = 0;
+        bridge.startGame = () => { starts++; };
+        window.replaySystem = new ReplaySystem();
+
+        const replay = {
+            seed: 'LOADOUT', character: 'nexus_architect', weapon: 'arc_burst',
+            gameMode: 'bossRush', modifiers: ['swift_swarm'], meta: {}, mastery: null, move: [], events: []
+        };
+        if (bridge.startReplay(replay) !== true || starts !== 1) throw new Error('Playback should start');
+        const state = bridge.state;
+        if (state.getSelectedCharacter() !== 'nexus_architect' || state.getSelectedWeapon() !== 'arc_burst' ||
+            state.getGameMode() !== 'bossRush' || state.getRunModifiers().join() !== 'swift_swarm') {
+            throw new Error('The run should use the recorded loadout');
+        }
+        if (window.StorageManager.getItem('selectedCharacter') !== 'aegis_vanguard' ||
+            window.StorageManager.getItem('selectedWeapon') !== 'pulse_cannon') {
+            throw new Error('Watching a replay should not overwrite the saved selection');
+        }
+
+        bridge.returnToMenu();
+        if (state.getSelectedCharacter() !== 'aegis_vanguard' || state.getGameMode() !== 'normal' ||
+            state.getRunModifiers().length) {
+            throw new Error('Returning to the menu should restore the saved selection');
+        }
+
+        window.StorageManager.setItem('meta_mercury_speed', '2');
+        if (!bridge.getReplayMismatch(replay)?.includes('shop upgrades') || bridge.startReplay(replay) !== false ||
+            starts !== 1 || window.replaySystem.isActive()) {
+            throw new Error('A replay recorded with other shop upgrades should be refused');
+        }
+        delete global.localStorage;
+    });
+
+    test('playback leaves stars, lifetime stats and achievements untouched', () => {
+        const localStorage = createMockLocalStorage();
+        global.localStorage = localStorage;
+        window.StorageManager = createStorageManagerStub(localStorage);
+        const { GameState } = require('../src/core/GameState.js');
+        for (const file of ['core/systems/StatsManager.js', 'systems/achievements.js']) {
+            vm.runInThisContext(
+                fs.readFileSync(path.join(__dirname, '..', 'src', file), 'utf8'),
+                { filename: path.basename(file) }
+            );
+        }
+
+        const bridge = new window.Game.GameManagerBridge();
+        bridge.state = new GameState();
+        bridge.game = { state: bridge.state };
+        bridge.statsManager = new window.Game.StatsManager(bridge);
+        window.gameManager = bridge;
+        window.replaySystem = new ReplaySystem();
+        window.replaySystem.queuePlayback({ seed: 'FARM', move: [], events: [] });
+        window.replaySystem.beginRun({ seed: 'FARM' });
+        bridge.replayPlayback = window.replaySystem.isPlaying();
+        window.replaySystem.finishRun({ outcome: 'victory', gameTime: 60 });
+
+        const achievements = Object.create(window.Game.AchievementSystem.prototype);
+        achievements.achievements = { first_kill: { progress: 0, target: 1, unlocked: false } };
+        bridge.statsManager.achievementSystem = achievements;
+
+        bridge.earnStarTokens(20);
+        bridge.statsManager.earnStarTokens(5);
+        bridge.statsManager.trackDamageDealt(500);
+        bridge.statsManager.savePersistentStats();
+        achievements.updateAchievement('first_kill', 1);
+        achievements.saveAchievements();
+        if (bridge.state.meta.starTokens !== 0 || bridge.state.meta.totalStarsEarned !== 0) {
+            throw new Error(`Playback should not pay stars, got ${bridge.state.meta.starTokens}`);
+        }
+        if (window.StorageManager.getItem('gameStats') !== null || window.StorageManager.getItem('achievements') !== null) {
+            throw new Error('Playback should not save lifetime stats or achievements');
+        }
+        if (achievements.achievements.first_kill.unlocked) {
+            throw new Error('Playback should not progress achievements');
+        }
+
+        bridge.returnToMenu();
+        if (bridge.isReplayPlayback() || bridge.statsManager.totalDamageDealt !== 0) {
+            throw new Error('Leaving playback should drop the totals counted while watching');
+        }
+        bridge.statsManager.earnStarTokens(5);
+        if (bridge.state.meta.starTokens < 5) throw new Error('Stars should pay out again after playback');
+        delete window.gameManager;
+        delete global.localStorage;
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
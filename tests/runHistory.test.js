@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Run History Tests
+ *
+ * Verifies the stable score formula, the capped newest-first history, rank
+ * reporting, and sorting/filtering for the Run History panel.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLocalStorage, createStorageManagerStub, createMockLogger } = require('./testUtils.js');
+
+function runTests() {
+    console.log('[T] Running Run History Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: {
+            RUN_HISTORY: {
+                MAX_ENTRIES: 4,
+                SCORE: { PER_SECOND: 10, PER_KILL: 1, PER_BOSS: 500, PER_LEVEL: 25, VICTORY_BONUS: 5000 }
+            }
+        }
+    };
+    window.StorageManager = createStorageManagerStub(createMockLocalStorage());
+    const sourcePath = path.join(__dirname, '..', 'src', 'systems', 'RunHistory.js');
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: 'RunHistory.js' });
+    const RunHistory = window.Game.RunHistory;
+
+    const run = (overrides) => ({
+        outcome: 'defeat',
+        mode: 'normal',
+        characterId: 'aegis_vanguard',
+        weaponId: 'pulse_cannon',
+        time: 60,
+        kills: 10,
+        bosses: 0,
+        level: 2,
+        damageDealt: 1234.5,
+        upgrades: ['damage_1', 'attack_speed_1'],
+        seed: 'ABC123',
+        modifiers: [],
+        ...overrides
+    });
+
+    test('registers on window.Game', () => {
+        if (typeof RunHistory !== 'function') {
+            throw new Error('RunHistory not found on window.Game');
+        }
+    });
+
+    test('score formula uses the configured weights', () => {
+        const score = RunHistory.scoreRun({ outcome: 'victory', time: 100.4, kills: 50, bosses: 2, level: 10 });
+        // 1004 + 50 + 1000 + 250 + 5000
+        if (score !== 7304) {
+            throw new Error(`Expected 7304, got ${score}`);
+        }
+    });
+
+    test('records every field needed to compare runs', () => {
+        const { entry, rank, total } = RunHistory.record(run({ time: 61.27 }));
+        const expected = {
+            mode: 'normal', characterId: 'aegis_vanguard', weaponId: 'pulse_cannon', time: 61.3,
+            kills: 10, bosses: 0, level: 2, damageDealt: 1235, seed: 'ABC123'
+        };
+        Object.entries(expected).forEach(([key, value]) => {
+            if (entry[key] !== value) {
+                throw new Error(`Expected ${key} ${value}, got ${entry[key]}`);
+            }
+        });
+        if (entry.upgrades.join(',') !== 'damage_1,attack_speed_1' || !entry.date || !entry.id) {
+            throw new Error('Upgrades, date or id missing from entry');
+        }
+        if (entry.score !== RunHistory.scoreRun(entry) || rank !== 1 || total !== 1) {
+            throw new Error(`Unexpected score/rank ${entry.score} #${rank}/${total}`);
+        }
+    });
+
+    test('rank reflects the score against stored runs', () => {
+        const { rank, total } = RunHistory.record(run({ time: 30 }));
+        if (rank !== 2 || total !== 2) {
+            throw new Error(`Expected #2 of 2, got #${rank} of ${total}`);
+        }
+    });
+
+    test('history is capped to MAX_ENTRIES, dropping the oldest runs', () => {
+        RunHistory.record(run({ time: 500, characterId: 'stormcaller' }));
+        RunHistory.record(run({ time: 90, kills: 300 }));
+        RunHistory.record(run({ time: 45, bosses: 2, characterId: 'stormcaller' }));
+
+        const entries = RunHistory.load();
+        if (entries.length !== 4) {
+            throw new Error(`Expected 4 entries, got ${entries.length}`);
+        }
+        if (entries.some(entry => entry.time === 61.3)) {
+            throw new Error('Oldest run should have been dropped');
+        }
+        if (entries[0].bosses !== 2) {
+            throw new Error('Newest run should be first');
+        }
+    });
+
+    test('query sorts by the requested key', () => {
+        const top = key => RunHistory.query({ sortBy: key })[0];
+        if (top('time').time !== 500) throw new Error('Time sort is wrong');
+        if (top('kills').kills !== 300) throw new Error('Kills sort is wrong');
+        if (top('bosses').bosses !== 2) throw new Error('Bosses sort is wrong');
+        if (top('date').bosses !== 2) throw new Error('Date sort should put the newest run first');
+        if (top('score').time !== 500) throw new Error('Score sort is wrong');
+        if (top('nonsense').time !== 500) throw new Error('Unknown sort keys should fall back to score');
+    });
+
+    test('query filters by pilot and lists pilots once', () => {
+        const storm = RunHistory.query({ characterId: 'stormcaller' });
+        if (storm.length !== 2 || storm.some(entry => entry.characterId !== 'stormcaller')) {
+            throw new Error(`Expected 2 stormcaller runs, got ${storm.length}`);
+        }
+        const ids = RunHistory.getCharacterIds().sort().join(',');
+        if (ids !== 'aegis_vanguard,stormcaller') {
+            throw new Error(`Unexpected pilot list ${ids}`);
+        }
+    });
+
+    test('corrupt storage loads as an empty history', () => {
+        window.StorageManager.setJSON(RunHistory.STORAGE_KEY, { not: 'an array' });
+        if (RunHistory.load().length !== 0) {
+            throw new Error('Non-array storage should be ignored');
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
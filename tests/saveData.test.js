@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+/**
+ * Save Data Tests
+ *
+ * Verifies save export/import round-trips every persisted key, rejects
+ * tampered, foreign or newer files without touching storage, and runs the
+ * schema migration chain for old exports and old local storage.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLocalStorage, createMockLogger } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Save Data Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = { Game: {}, logger: createMockLogger() };
+    global.localStorage = createMockLocalStorage();
+    load('src/utils/StorageManager.js');
+    load('src/utils/SaveData.js');
+    const SaveData = window.Game.SaveData;
+    const storage = window.StorageManager;
+
+    const seedStorage = () => {
+        storage.clear();
+        storage.setItem('starTokens', '120');
+        storage.setItem('meta_starting_damage', '3');
+        storage.setItem('selectedCharacter', 'stormcaller');
+        storage.setItem('volume', '0.4');
+        storage.setItem('manualAim', 'true');
+        storage.setJSON('achievements', { first_blood: { progress: 1, unlocked: true } });
+        storage.setJSON('gamestate_achievements', ['first_blood']);
+        storage.setJSON('runHistory', [{ score: 500 }]);
+        storage.setItem('debug', 'true');
+    };
+
+    const expectThrow = (fn, pattern) => {
+        try {
+            fn();
+        } catch (error) {
+            if (!pattern.test(error.message)) {
+                throw new Error(`Unexpected error: ${error.message}`);
+            }
+            return;
+        }
+        throw new Error('Expected an error');
+    };
+
+    test('registers on window.Game', () => {
+        if (typeof SaveData !== 'function') {
+            throw new Error('SaveData not found on window.Game');
+        }
+    });
+
+    test('export bundles save keys with version and checksum', () => {
+        seedStorage();
+        const doc = SaveData.createDocument();
+        if (doc.format !== SaveData.FORMAT_ID || doc.schemaVersion !== SaveData.SCHEMA_VERSION) {
+            throw new Error('Missing format or schema version');
+        }
+        if (doc.data.starTokens !== '120' || doc.data.meta_starting_damage !== '3' || !doc.data.runHistory ||
+            doc.data.manualAim !== 'true') {
+            throw new Error(`Save keys missing: ${Object.keys(doc.data)}`);
+        }
+        if ('debug' in doc.data) {
+            throw new Error('Debug flags should not be exported');
+        }
+        if (!/^[0-9a-f]{8}$/.test(doc.checksum)) {
+            throw new Error(`Bad checksum ${doc.checksum}`);
+        }
+    });
+
+    test('import restores the exported save and drops keys it does not contain', () => {
+        seedStorage();
+        const json = SaveData.serialize();
+
+        storage.setItem('starTokens', '5');
+        storage.setItem('meta_starting_health', '2');
+        storage.removeItem('selectedCharacter');
+
+        SaveData.importDocument(json);
+        if (storage.getItem('starTokens') !== '120' || storage.getItem('selectedCharacter') !== 'stormcaller') {
+            throw new Error('Imported values were not restored');
+        }
+        if (storage.hasKey('meta_starting_health')) {
+            throw new Error('Meta level missing from the save should be removed');
+        }
+        if (storage.getItem('debug') !== 'true') {
+            throw new Error('Non-save keys should be left alone');
+        }
+        if (storage.getInt(SaveData.VERSION_KEY) !== SaveData.SCHEMA_VERSION) {
+            throw new Error('Schema version marker not written');
+        }
+    });
+
+    test('tampered save is rejected and storage is untouched', () => {
+        seedStorage();
+        const doc = SaveData.createDocument();
+        doc.data.starTokens = '999999';
+        storage.setItem('starTokens', '7');
+
+        expectThrow(() => SaveData.importDocument(JSON.stringify(doc)), /checksum/);
+        if (storage.getItem('starTokens') !== '7') {
+            throw new Error('Storage changed after a rejected import');
+        }
+    });
+
+    test('foreign, newer and malformed files are rejected', () => {
+        const doc = SaveData.createDocument();
+        expectThrow(() => SaveData.parse({ ...doc, format: 'galactic-ring-cannon-replay' }), /Not a Galactic Ring Cannon save/);
+        expectThrow(() => SaveData.parse({ ...doc, schemaVersion: SaveData.SCHEMA_VERSION + 1 }), /newer version/);
+        expectThrow(() => SaveData.parse({ ...doc, data: { starTokens: 5 } }), /corrupted/);
+        expectThrow(() => SaveData.parse('{not json'), /JSON|Unexpected|Expected/);
+
+        const data = { ...doc.data, stray_key: 'x' };
+        const withUnknown = { ...doc, data, checksum: SaveData.checksum(doc.schemaVersion, data) };
+        expectThrow(() => SaveData.parse(withUnknown), /unknown keys/);
+    });
+
+    test('schema 0 exports are migrated on import', () => {
+        const data = {
+            starTokens: '40',
+            achievements: JSON.stringify({
+                first_blood: { progress: 1, unlocked: true },
+                boss_slayer: { progress: 0, unlocked: false }
+            })
+        };
+        const doc = { format: SaveData.FORMAT_ID, schemaVersion: 0, data, checksum: SaveData.checksum(0, data) };
+
+        const parsed = SaveData.parse(doc);
+        if (parsed.schemaVersion !== SaveData.SCHEMA_VERSION) {
+            throw new Error(`Expected schema ${SaveData.SCHEMA_VERSION}, got ${parsed.schemaVersion}`);
+        }
+        if (parsed.data.gamestate_achievements !== '["first_blood"]') {
+            throw new Error(`Unexpected migrated achievements ${parsed.data.gamestate_achievements}`);
+        }
+    });
+
+    test('schema 2 exports import into schema 3 with the new keys left at defaults', () => {
+        const data = { starTokens: '60', keyBindings: '{}' };
+        const doc = { format: SaveData.FORMAT_ID, schemaVersion: 2, data, checksum: SaveData.checksum(2, data) };
+
+        const parsed = SaveData.parse(doc);
+        if (SaveData.SCHEMA_VERSION !== 3 || parsed.schemaVersion !== 3 || parsed.data.starTokens !== '60') {
+            throw new Error(`Expected a schema 3 save, got ${parsed.schemaVersion}`);
+        }
+        ['manualAim', 'characterMastery', 'heatCurses', 'heatRecords'].forEach(key => {
+            if (!SaveData.isSaveKey(key) || key in parsed.data) {
+                throw new Error(`${key} should be a schema 3 key that old saves leave unset`);
+            }
+        });
+    });
+
+    test('unversioned local storage is migrated once', () => {
+        storage.clear();
+        storage.setJSON('achievements', { first_blood: { progress: 1, unlocked: true } });
+
+        if (!SaveData.migrateStorage()) {
+            throw new Error('Expected a migration for unversioned storage');
+        }
+        if (storage.getItem('gamestate_achievements') !== '["first_blood"]') {
+            throw new Error('GameState achievements were not derived');
+        }
+        if (SaveData.migrateStorage()) {
+            throw new Error('Second migration should be a no-op');
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
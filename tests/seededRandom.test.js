@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+/**
+ * SeededRandom Tests
+ *
+ * Verifies the run RNG is deterministic per seed, produces values in range,
+ * keeps named streams independent, registers on window.Game, and drives
+ * gameplay rolls such as where a splitter's children spawn and which fast
+ * enemies fill a wedge formation.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function runTests() {
+    console.log('[T] Running SeededRandom Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = { Game: {} };
+    const sourcePath = path.join(__dirname, '..', 'src', 'utils', 'SeededRandom.js');
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: 'SeededRandom.js' });
+    const SeededRandom = window.Game.SeededRandom;
+
+    const draw = (rng, count) => Array.from({ length: count }, () => rng.next());
+
+    test('registers class and run instance on window.Game', () => {
+        if (typeof SeededRandom !== 'function') {
+            throw new Error('SeededRandom not attached to window.Game');
+        }
+        if (!(window.Game.rng instanceof SeededRandom)) {
+            throw new Error('window.Game.rng should be a SeededRandom instance');
+        }
+    });
+
+    test('same seed produces identical sequences', () => {
+        const a = draw(new SeededRandom('NEBULA'), 50);
+        const b = draw(new SeededRandom('NEBULA'), 50);
+        if (a.some((value, i) => value !== b[i])) {
+            throw new Error('Sequences diverged for identical seeds');
+        }
+    });
+
+    test('different seeds produce different sequences', () => {
+        const a = draw(new SeededRandom('alpha'), 10);
+        const b = draw(new SeededRandom('beta'), 10);
+        if (a.every((value, i) => value === b[i])) {
+            throw new Error('Different seeds should not match');
+        }
+    });
+
+    test('values stay within [0, 1)', () => {
+        const values = draw(new SeededRandom(12345), 5000);
+        if (values.some(value => value < 0 || value >= 1 || !Number.isFinite(value))) {
+            throw new Error('Value out of range');
+        }
+    });
+
+    test('setSeed restarts the sequence', () => {
+        const rng = new SeededRandom('restart');
+        const first = draw(rng, 5);
+        rng.setSeed('restart');
+        const second = draw(rng, 5);
+        if (first.some((value, i) => value !== second[i])) {
+            throw new Error('Sequence did not restart after setSeed');
+        }
+    });
+
+    test('empty or missing seed generates a fresh seed', () => {
+        const rng = new SeededRandom();
+        if (!rng.getSeed()) {
+            throw new Error('Expected generated seed');
+        }
+        rng.setSeed('   ');
+        if (!rng.getSeed() || rng.getSeed().trim() !== rng.getSeed()) {
+            throw new Error('Blank seed should be replaced with a generated one');
+        }
+    });
+
+    test('named streams do not consume the parent sequence', () => {
+        const plain = new SeededRandom('streams');
+        const withStream = new SeededRandom('streams');
+        const particles = withStream.stream('particles');
+        draw(particles, 25);
+        const a = draw(plain, 10);
+        const b = draw(withStream, 10);
+        if (a.some((value, i) => value !== b[i])) {
+            throw new Error('Stream draws leaked into parent sequence');
+        }
+    });
+
+    test('streams are reseeded with their parent', () => {
+        const rng = new SeededRandom('one');
+        const stream = rng.stream('particles');
+        const before = draw(stream, 5);
+        rng.setSeed('one');
+        const after = draw(rng.stream('particles'), 5);
+        if (before.some((value, i) => value !== after[i])) {
+            throw new Error('Stream should restart when parent seed is reset');
+        }
+    });
+
+    test('int, pick and shuffle are deterministic', () => {
+        const a = new SeededRandom('helpers');
+        const b = new SeededRandom('helpers');
+        const items = ['a', 'b', 'c', 'd', 'e'];
+        if (a.int(0, 100) !== b.int(0, 100)) throw new Error('int mismatch');
+        if (a.pick(items) !== b.pick(items)) throw new Error('pick mismatch');
+        const shuffledA = a.shuffle([...items]).join('');
+        const shuffledB = b.shuffle([...items]).join('');
+        if (shuffledA !== shuffledB) throw new Error('shuffle mismatch');
+        if (shuffledA.split('').sort().join('') !== 'abcde') throw new Error('shuffle lost items');
+    });
+
+    test('fill populates typed arrays deterministically', () => {
+        const a = new SeededRandom('table').fill(new Float32Array(64));
+        const b = new SeededRandom('table').fill(new Float32Array(64));
+        if (a.some((value, i) => value !== b[i])) {
+            throw new Error('Tables differ for identical seeds');
+        }
+    });
+
+    test('splitter children spawn at the same positions under the same seed', () => {
+        global.Enemy = class {
+            constructor(x, y, type) {
+                Object.assign(this, { x, y, type, maxHealth: 10, health: 10, damage: 10, movement: null });
+            }
+        };
+        vm.runInThisContext(
+            fs.readFileSync(path.join(__dirname, '..', 'src', 'entities', 'components', 'EnemyAbilities.js'), 'utf8'),
+            { filename: 'EnemyAbilities.js' }
+        );
+
+        const killSplitter = () => {
+            window.Game.rng.setSeed('SPLIT');
+            const spawned = [];
+            const abilities = new window.Game.EnemyAbilities({ x: 100, y: -50 });
+            abilities.splitCount = 3;
+            abilities.createSplitEffect({ addEntity: entity => spawned.push(`${entity.x},${entity.y}`) });
+            return spawned;
+        };
+
+        const first = killSplitter();
+        const second = killSplitter();
+        if (first.length !== 3 || first.join('|') !== second.join('|')) {
+            throw new Error(`Split positions diverged: ${first.join('|')} vs ${second.join('|')}`);
+        }
+        delete global.Enemy;
+    });
+
+    test('wedge formations pick the same fast enemies under the same seed', () => {
+        vm.runInThisContext(
+            fs.readFileSync(path.join(__dirname, '..', 'src', 'systems', 'FormationManager.js'), 'utf8'),
+            { filename: 'FormationManager.js' }
+        );
+
+        const spawnWedge = () => {
+            window.Game.rng.setSeed('WEDGE');
+            const types = [];
+            const spawner = {
+                availableEnemyTypes: ['basic', 'dasher', 'fast'],
+                createEnemy: type => { types.push(type); return null; }
+            };
+            const manager = new window.FormationManager({ spawner });
+            const positions = Array.from({ length: 8 }, (_, i) => ({ x: i, y: 0 }));
+            manager.spawnFormationEnemies({ config: { id: 'line_wedge', getPositions: () => positions }, center: { x: 0, y: 0 }, rotation: 0, time: 0 });
+            return types;
+        };
+
+        const first = spawnWedge();
+        const second = spawnWedge();
+        if (first.length !== 8 || first.join() !== second.join()) {
+            throw new Error(`Wedge picks diverged: ${first} vs ${second}`);
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
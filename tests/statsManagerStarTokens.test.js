@@ -181,12 +181,29 @@ function testSpendStarTokensFailsGracefully() {
     assert(gameManager.updateStarDisplayCount === 0, 'UI should not update when spend fails');
 }
 
+function testBossRushTokensUseRateTable() {
+    const { statsManager, state, windowStub, gameManager } = createTestRig({ initialTokens: 0 });
+    windowStub.GAME_CONSTANTS.BOSS_RUSH = {
+        STAR_REWARDS: { PER_BOSS: [2, 3], FAST_SPLIT_SECONDS: 20, FAST_SPLIT_BONUS: 1, CLEAR_BONUS: 10 }
+    };
+    gameManager.isBossRush = () => true;
+
+    statsManager.onBossKilled();
+    assert(state.meta.starTokens === 0, 'Boss Rush kills should not award the normal +1 star');
+
+    assert(statsManager.awardBossRushTokens(1, 35, false) === 2, 'First boss should pay the first rate');
+    assert(statsManager.awardBossRushTokens(2, 12, false) === 4, 'Fast split should add the bonus');
+    assert(statsManager.awardBossRushTokens(4, 30, true) === 13, 'Later bosses reuse the last rate plus the clear bonus');
+    assert(state.meta.starTokens === 19, `Expected 19 stars through earnStarTokens, got ${state.meta.starTokens}`);
+}
+
 function runTests() {
     const tests = [
         ['Earn star tokens syncs with GameState', testEarnStarTokensSyncsWithGameState],
         ['Invalid star token awards are ignored', testEarnStarTokensIgnoresInvalidValues],
         ['Spending star tokens uses GameState authority', testSpendStarTokensUsesGameState],
-        ['Spending star tokens fails gracefully when insufficient', testSpendStarTokensFailsGracefully]
+        ['Spending star tokens fails gracefully when insufficient', testSpendStarTokensFailsGracefully],
+        ['Boss Rush star tokens use their own rate table', testBossRushTokensUseRateTable]
     ];
 
     let failures = 0;
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+/**
+ * Stats Timeline Tests
+ *
+ * Verifies that StatsManager samples DPS, enemies alive, HP, level and the
+ * difficulty factor at a fixed interval, records boss-kill and level-up
+ * events, thins its samples on long runs, and that the result screen draws
+ * the timeline with markers and hands it through from the bridge.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger, createMockLocalStorage, createStorageManagerStub } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function createMockContext() {
+    const calls = [];
+    const record = name => (...args) => calls.push({ name, args });
+    return {
+        calls,
+        clearRect: record('clearRect'),
+        beginPath: record('beginPath'),
+        moveTo: record('moveTo'),
+        lineTo: record('lineTo'),
+        stroke: record('stroke'),
+        fillText: record('fillText'),
+        setLineDash: record('setLineDash')
+    };
+}
+
+function runTests() {
+    console.log('[T] Running Stats Timeline Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: {
+            STATS_TIMELINE: { SAMPLE_INTERVAL: 5, MAX_SAMPLES: 4 }
+        },
+        StorageManager: createStorageManagerStub(createMockLocalStorage())
+    };
+    global.document = { getElementById: () => null };
+
+    load('src/core/systems/StatsManager.js');
+    load('src/ui/resultScreen.js');
+    const { StatsManager } = window.Game;
+
+    const createStats = () => {
+        const player = { health: 80, maxHealth: 100, level: 3 };
+        const gameManager = {
+            gameTime: 0,
+            game: { player, enemies: [{}, {}, {}] },
+            difficultyManager: { getDifficultyMetrics: () => ({ difficultyFactor: 1.5 }) },
+            isBossRush: () => false
+        };
+        return { stats: new StatsManager(gameManager), gameManager, player };
+    };
+
+    const advance = (stats, gameManager, seconds) => {
+        gameManager.gameTime += seconds;
+        stats.updateTimeline(seconds);
+    };
+
+    test('samples the run state every interval', () => {
+        const { stats, gameManager, player } = createStats();
+        stats.trackDamageDealt(100);
+        advance(stats, gameManager, 4);
+        if (stats.timeline.samples.length !== 0) throw new Error('Should not sample before the interval');
+
+        stats.trackDamageDealt(150);
+        advance(stats, gameManager, 1);
+        const [sample] = stats.timeline.samples;
+        const expected = { time: 5, dps: 50, enemies: 3, hp: 80, level: 3, difficulty: 1.5 };
+        if (JSON.stringify(sample) !== JSON.stringify(expected)) {
+            throw new Error(`Unexpected sample ${JSON.stringify(sample)}`);
+        }
+
+        player.health = -5;
+        advance(stats, gameManager, 5);
+        const second = stats.timeline.samples[1];
+        if (second.dps !== 0 || second.hp !== 0) throw new Error(`DPS and HP should reset/clamp, got ${JSON.stringify(second)}`);
+    });
+
+    test('records boss kills and level-ups as events', () => {
+        const { stats, gameManager } = createStats();
+        gameManager.gameTime = 42;
+        stats.onPlayerLevelUp(4);
+        gameManager.gameTime = 90;
+        stats.onBossKilled();
+
+        const events = stats.timeline.events;
+        if (JSON.stringify(events) !== JSON.stringify([
+            { time: 42, type: 'levelUp', level: 4 },
+            { time: 90, type: 'bossKill' }
+        ])) {
+            throw new Error(`Unexpected events ${JSON.stringify(events)}`);
+        }
+
+        stats.resetSession();
+        if (stats.timeline.events.length || stats.timeline.samples.length) {
+            throw new Error('A new session should clear the timeline');
+        }
+    });
+
+    test('long runs thin samples and finishing adds a closing sample', () => {
+        const { stats, gameManager } = createStats();
+        for (let i = 0; i < 5; i++) advance(stats, gameManager, 5);
+
+        const times = stats.timeline.samples.map(sample => sample.time);
+        if (times.join() !== '10,20' || stats.timeline.interval !== 10) {
+            throw new Error(`Expected every other sample at a doubled interval, got ${times} / ${stats.timeline.interval}`);
+        }
+
+        gameManager.gameTime = 23;
+        const timeline = stats.finishTimeline();
+        if (timeline.samples[timeline.samples.length - 1].time !== 23) {
+            throw new Error('Finishing should sample the moment the run ended');
+        }
+        if (stats.finishTimeline().samples.length !== 3) {
+            throw new Error('Finishing twice at the same moment should not add another sample');
+        }
+    });
+
+    test('result screen draws series and event markers', () => {
+        const ctx = createMockContext();
+        const canvas = { width: 520, height: 200, getContext: () => ctx };
+        const timeline = {
+            samples: [
+                { time: 0, dps: 0, enemies: 2, hp: 100, level: 1, difficulty: 1 },
+                { time: 60, dps: 120, enemies: 10, hp: 60, level: 5, difficulty: 1.4 },
+                { time: 120, dps: 80, enemies: 30, hp: 0, level: 8, difficulty: 2 }
+            ],
+            events: [{ time: 60, type: 'bossKill' }, { time: 30, type: 'levelUp', level: 2 }]
+        };
+
+        const legend = window.resultScreen.renderTimeline(canvas, timeline);
+        const peaks = Object.fromEntries(legend.map(entry => [entry.key, entry.peak]));
+        if (peaks.dps !== 120 || peaks.enemies !== 30 || peaks.hp !== 100 || peaks.level !== 8 || peaks.difficulty !== 2) {
+            throw new Error(`Unexpected legend ${JSON.stringify(legend)}`);
+        }
+
+        const labels = ctx.calls.filter(call => call.name === 'fillText').map(call => call.args[0]);
+        if (labels.join() !== '0:00,1:00,2:00') throw new Error(`Unexpected minute labels ${labels}`);
+
+        const dashed = ctx.calls.filter(call => call.name === 'setLineDash' && call.args[0].length > 0);
+        if (dashed.length !== 1) throw new Error('Boss kills should be drawn as dashed lines');
+        const bossX = 8 + (60 / 120) * 504;
+        if (!ctx.calls.some(call => call.name === 'moveTo' && call.args[0] === bossX && call.args[1] === 10)) {
+            throw new Error('The boss marker should span the plot at the kill time');
+        }
+
+        if (window.resultScreen.renderTimeline(canvas, { samples: timeline.samples.slice(0, 1) }).length !== 0) {
+            throw new Error('A single sample is not enough to draw');
+        }
+    });
+
+    test('bridge hands the finished timeline to the result screen', () => {
+        load('src/core/gameManagerBridge.js');
+        const bridge = new window.Game.GameManagerBridge();
+        const timeline = { samples: [], events: [] };
+        let shown = null;
+        bridge.statsManager = { finishTimeline: () => timeline };
+        bridge.getRunSummaryStats = () => [];
+        window.resultScreen = { show: options => { shown = options; } };
+
+        bridge.showRunSummary({ title: 'Defeat', outcome: 'defeat' });
+        if (shown?.timeline !== timeline) throw new Error('The result screen should receive the run timeline');
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
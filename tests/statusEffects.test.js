@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+
+/**
+ * Status Effect Tests
+ *
+ * Verifies freeze/stun/weaken stacking and immunity rules (including boss
+ * diminishing returns), that movement, AI and damage intake honor them, and
+ * that the Freeze/Shock projectile behaviors and their upgrades wire up.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Status Effect Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: {
+            STATUS_EFFECTS: {
+                FREEZE_MAX_STACKS: 3,
+                FREEZE_MAX_SLOW: 0.75,
+                WEAKEN_MAX_STACKS: 2,
+                WEAKEN_MAX_BONUS: 0.5,
+                STUN_IMMUNITY: 1.0,
+                BOSS_SLOW_SCALE: 0.5,
+                BOSS_DIMINISHING_RETURNS: 0.5,
+                BOSS_DR_MAX_APPLICATIONS: 3,
+                BOSS_DR_RESET: 4.0
+            }
+        }
+    };
+    global.document = { getElementById: () => null };
+
+    load('src/entities/enemy/components/StatusEffectManager.js');
+    load('src/entities/enemy/EnemyStats.js');
+    load('src/entities/components/EnemyMovement.js');
+    load('src/entities/components/EnemyAI.js');
+    load('src/entities/projectile/behaviors/BehaviorBase.js');
+    load('src/entities/projectile/behaviors/FreezeBehavior.js');
+    load('src/entities/projectile/behaviors/ShockBehavior.js');
+    load('src/entities/player/PlayerAbilities.js');
+    load('src/config/upgrades.config.js');
+    const { StatusEffectManager, EnemyMovement, EnemyAI } = window.Game;
+    const EnemyStats = vm.runInThisContext('EnemyStats');
+    const PlayerAbilities = vm.runInThisContext('PlayerAbilities');
+
+    const createEnemy = (overrides = {}) => {
+        const enemy = {
+            x: 0,
+            y: 0,
+            radius: 15,
+            health: 1000,
+            maxHealth: 1000,
+            isDead: false,
+            isBoss: false,
+            damageReduction: 0,
+            damageResistance: 0,
+            deflectChance: 0,
+            abilities: { shieldActive: false, shieldReflection: 0 },
+            ...overrides
+        };
+        enemy.statusEffects = new StatusEffectManager(enemy);
+        return enemy;
+    };
+
+    const step = (manager, seconds) => {
+        for (let t = 0; t < seconds - 1e-9; t += 0.1) {
+            manager.update(0.1, {});
+        }
+    };
+
+    test('freeze stacks up to the cap and slows movement', () => {
+        const enemy = createEnemy();
+        const effects = enemy.statusEffects;
+        for (let i = 0; i < 5; i++) {
+            effects.applyEffect('freeze', { slow: 0.3 }, 2);
+        }
+        if (effects.getEffect('freeze').stacks !== 3) {
+            throw new Error(`Expected 3 stacks, got ${effects.getEffect('freeze').stacks}`);
+        }
+        // 0.3 * 3 = 0.9, capped at 0.75
+        if (Math.abs(effects.getSpeedMultiplier() - 0.25) > 1e-9) {
+            throw new Error(`Unexpected speed multiplier ${effects.getSpeedMultiplier()}`);
+        }
+        step(effects, 2.1);
+        if (effects.hasEffect('freeze') || effects.getSpeedMultiplier() !== 1) {
+            throw new Error('Freeze should expire and restore speed');
+        }
+    });
+
+    test('stun stops action and grants a short immunity window', () => {
+        const enemy = createEnemy();
+        const effects = enemy.statusEffects;
+        effects.applyEffect('stun', {}, 0.5);
+        if (!effects.isStunned() || effects.getSpeedMultiplier() !== 0) {
+            throw new Error('Stunned enemy should not move');
+        }
+
+        step(effects, 0.6);
+        if (effects.isStunned() || effects.applyEffect('stun', {}, 0.5) !== false) {
+            throw new Error('Stun should be resisted right after it ends');
+        }
+
+        step(effects, 1.0);
+        if (!effects.applyEffect('stun', {}, 0.5)) {
+            throw new Error('Stun immunity should wear off');
+        }
+    });
+
+    test('weaken increases damage intake up to the cap', () => {
+        const enemy = createEnemy();
+        EnemyStats.takeDamage(enemy, 100, { showText: false });
+        const baseline = 1000 - enemy.health;
+
+        enemy.statusEffects.applyEffect('weaken', { amount: 0.3 }, 3);
+        enemy.statusEffects.applyEffect('weaken', { amount: 0.3 }, 3);
+        enemy.statusEffects.applyEffect('weaken', { amount: 0.3 }, 3);
+        const before = enemy.health;
+        EnemyStats.takeDamage(enemy, 100, { showText: false });
+
+        // 2 stacks max * 0.3 = 0.6, capped at 0.5
+        if (baseline !== 100 || before - enemy.health !== 150) {
+            throw new Error(`Expected 100 then 150 damage, got ${baseline} then ${before - enemy.health}`);
+        }
+    });
+
+    test('bosses get diminishing returns and a reduced slow', () => {
+        const boss = createEnemy({ isBoss: true });
+        const effects = boss.statusEffects;
+        const durations = [];
+        for (let i = 0; i < 3; i++) {
+            effects.applyEffect('stun', {}, 2);
+            durations.push(effects.getEffect('stun').duration);
+            effects.effects.delete('stun');
+        }
+        if (durations.join(',') !== '2,1,0.5') {
+            throw new Error(`Unexpected boss stun durations ${durations}`);
+        }
+        if (effects.applyEffect('stun', {}, 2) !== false || !effects.isImmune('stun')) {
+            throw new Error('Boss should become immune after repeated stuns');
+        }
+
+        step(effects, 4.1);
+        effects.applyEffect('stun', {}, 2);
+        if (effects.getEffect('stun')?.duration !== 2) {
+            throw new Error('Diminishing returns should reset after the window');
+        }
+
+        effects.applyEffect('freeze', { slow: 0.4 }, 2);
+        if (Math.abs(effects.getSpeedMultiplier() - 0) > 1e-9) {
+            throw new Error('Stun should still override freeze on bosses');
+        }
+        effects.effects.delete('stun');
+        if (Math.abs(effects.getSpeedMultiplier() - 0.8) > 1e-9) {
+            throw new Error(`Boss slow should be halved, got ${effects.getSpeedMultiplier()}`);
+        }
+    });
+
+    test('EnemyMovement.updatePhysics honors slow and stun', () => {
+        const travel = (setup) => {
+            const enemy = createEnemy();
+            const movement = new EnemyMovement(enemy);
+            movement.speed = 100;
+            movement.currentDirection = { x: 1, y: 0 };
+            setup(enemy.statusEffects);
+            for (let i = 0; i < 30; i++) {
+                movement.updatePhysics(1 / 60);
+            }
+            return Math.hypot(movement.velocity.x, movement.velocity.y);
+        };
+
+        const normal = travel(() => { });
+        const frozen = travel(effects => effects.applyEffect('freeze', { slow: 0.5 }, 5));
+        const stunned = travel(effects => effects.applyEffect('stun', {}, 5));
+        if (!(normal > 0 && frozen < normal * 0.6 && stunned === 0)) {
+            throw new Error(`Unexpected velocities normal=${normal} frozen=${frozen} stunned=${stunned}`);
+        }
+    });
+
+    test('EnemyAI.updateStateMachine holds stunned enemies and slows frozen attacks', () => {
+        const enemy = createEnemy();
+        const ai = new EnemyAI(enemy);
+        ai.currentState = 'pursuing';
+        ai.attackTimer = 0;
+        enemy.targetDirection = { x: 1, y: 0 };
+
+        enemy.statusEffects.applyEffect('stun', {}, 1);
+        ai.updateTimers(0.5);
+        ai.updateStateMachine(0.5, {});
+        if (ai.attackTimer !== 0 || enemy.targetDirection.x !== 0) {
+            throw new Error('Stunned enemy should not steer or charge attacks');
+        }
+
+        enemy.statusEffects.effects.delete('stun');
+        enemy.statusEffects.applyEffect('freeze', { slow: 0.5 }, 1);
+        ai.currentState = 'idle';
+        ai.updateTimers(0.5);
+        ai.updateStateMachine(0.5, {});
+        if (Math.abs(ai.attackTimer - 0.25) > 1e-9) {
+            throw new Error(`Frozen attack clock should run at half speed, got ${ai.attackTimer}`);
+        }
+    });
+
+    test('Freeze and Shock behaviors apply their effects on hit', () => {
+        const frozen = createEnemy();
+        const freeze = new window.FreezeBehavior({}, { slow: 0.3, duration: 2, chance: 1 });
+        freeze.onHit(frozen, {});
+        if (!frozen.statusEffects.hasEffect('freeze') || freeze.getType() !== 'freeze') {
+            throw new Error('FreezeBehavior did not freeze the target');
+        }
+
+        const shocked = createEnemy();
+        const shock = new window.ShockBehavior({}, { chance: 1, stunDuration: 0.5, weakenAmount: 0.2 });
+        shock.onHit(shocked, {});
+        if (!shocked.statusEffects.isStunned() || shocked.statusEffects.getDamageTakenMultiplier() !== 1.2) {
+            throw new Error('ShockBehavior should stun and weaken the target');
+        }
+        if (shock.getType() !== 'shock') {
+            throw new Error(`Unexpected behavior type ${shock.getType()}`);
+        }
+    });
+
+    test('freeze and shock upgrades grant the abilities', () => {
+        const abilities = new PlayerAbilities({ radius: 20 });
+        const byId = id => window.UPGRADE_DEFINITIONS.find(upgrade => upgrade.id === id);
+
+        ['cryo_rounds_1', 'cryo_rounds_2', 'static_shock_1', 'static_shock_2']
+            .forEach(id => abilities.applyAbilityUpgrade(byId(id)));
+
+        if (!abilities.hasFreeze || Math.abs(abilities.freezeChance - 0.45) > 1e-9 ||
+            Math.abs(abilities.freezeSlow - 0.4) > 1e-9 || abilities.freezeDuration !== 3) {
+            throw new Error(`Unexpected freeze stats ${abilities.freezeChance}/${abilities.freezeSlow}/${abilities.freezeDuration}`);
+        }
+        if (!abilities.hasShock || Math.abs(abilities.shockChance - 0.25) > 1e-9 ||
+            abilities.stunDuration !== 1 || Math.abs(abilities.weakenAmount - 0.25) > 1e-9) {
+            throw new Error(`Unexpected shock stats ${abilities.shockChance}/${abilities.stunDuration}/${abilities.weakenAmount}`);
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
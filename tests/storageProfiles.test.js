@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Save Profile Tests
+ *
+ * Verifies StorageManager scopes keys to the active profile (bare keys for the
+ * default profile), keeps profiles isolated, enforces the create/rename/delete
+ * rules and announces switches with a `profileChanged` event.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLocalStorage, createMockLogger } = require('./testUtils.js');
+
+function runTests() {
+    console.log('[T] Running Save Profile Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    const dispatched = [];
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        dispatchEvent: event => dispatched.push(event)
+    };
+    global.CustomEvent = class {
+        constructor(type, init = {}) {
+            this.type = type;
+            this.detail = init.detail;
+        }
+    };
+    global.localStorage = createMockLocalStorage();
+    const sourcePath = path.join(__dirname, '..', 'src', 'utils', 'StorageManager.js');
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: 'StorageManager.js' });
+    const storage = window.StorageManager;
+
+    let second = null;
+
+    test('default profile uses bare keys', () => {
+        storage.setItem('starTokens', '50');
+        if (storage.getActiveProfileId() !== storage.DEFAULT_PROFILE_ID) {
+            throw new Error('Default profile should be active on a fresh install');
+        }
+        if (localStorage.getItem('starTokens') !== '50') {
+            throw new Error('Default profile should keep pre-profile keys readable');
+        }
+        if (storage.getActiveProfile().name !== 'Pilot 1') {
+            throw new Error(`Unexpected default name ${storage.getActiveProfile().name}`);
+        }
+    });
+
+    test('createProfile trims names and rejects empty ones', () => {
+        if (storage.createProfile('   ') !== null) {
+            throw new Error('Empty name should be rejected');
+        }
+        second = storage.createProfile('  Second pilot with a very long name indeed  ');
+        if (!second || second.name !== 'Second pilot with a very') {
+            throw new Error(`Unexpected profile ${JSON.stringify(second)}`);
+        }
+        if (storage.getProfiles().length !== 2 || storage.getActiveProfileId() !== storage.DEFAULT_PROFILE_ID) {
+            throw new Error('Creating should add the profile without switching to it');
+        }
+    });
+
+    test('switchProfile scopes keys and dispatches profileChanged', () => {
+        if (!storage.switchProfile(second.id)) {
+            throw new Error('Switch failed');
+        }
+        const event = dispatched[dispatched.length - 1];
+        if (event?.type !== 'profileChanged' || event.detail?.profileId !== second.id) {
+            throw new Error('profileChanged event not dispatched');
+        }
+        if (storage.getItem('starTokens') !== null) {
+            throw new Error('New profile should start empty');
+        }
+        storage.setItem('starTokens', '7');
+        if (localStorage.getItem(`profile:${second.id}:starTokens`) !== '7' || localStorage.getItem('starTokens') !== '50') {
+            throw new Error('Profile keys leaked into the default profile');
+        }
+        if (storage.switchProfile(second.id) || storage.switchProfile('missing')) {
+            throw new Error('Switching to the active or an unknown profile should be refused');
+        }
+    });
+
+    test('keys and clear only touch the active profile', () => {
+        storage.setItem('volume', '0.3');
+        const keys = storage.keys().sort().join(',');
+        if (keys !== 'starTokens,volume') {
+            throw new Error(`Unexpected keys ${keys}`);
+        }
+        storage.clear();
+        if (storage.keys().length !== 0 || localStorage.getItem('starTokens') !== '50') {
+            throw new Error('clear() should only remove the active profile keys');
+        }
+        if (localStorage.getItem(storage.PROFILES_KEY) === null) {
+            throw new Error('clear() must keep the profile list');
+        }
+    });
+
+    test('active profile survives a reload', () => {
+        storage._activeProfileId = null;
+        if (storage.getActiveProfileId() !== second.id) {
+            throw new Error('Active profile was not persisted');
+        }
+    });
+
+    test('renameProfile validates the name', () => {
+        if (storage.renameProfile(second.id, ' ') || storage.renameProfile('missing', 'X')) {
+            throw new Error('Invalid rename should be refused');
+        }
+        if (!storage.renameProfile(storage.DEFAULT_PROFILE_ID, 'Main') || storage.getProfiles()[0].name !== 'Main') {
+            throw new Error('Default profile rename failed');
+        }
+    });
+
+    test('deleteProfile refuses the default and active profiles and removes keys', () => {
+        storage.setItem('starTokens', '9');
+        if (storage.deleteProfile(second.id) || storage.deleteProfile(storage.DEFAULT_PROFILE_ID)) {
+            throw new Error('Active and default profiles should not be deletable');
+        }
+        storage.switchProfile(storage.DEFAULT_PROFILE_ID);
+        if (!storage.deleteProfile(second.id)) {
+            throw new Error('Delete failed');
+        }
+        if (localStorage.getItem(`profile:${second.id}:starTokens`) !== null) {
+            throw new Error('Deleted profile keys were left behind');
+        }
+        if (storage.getProfiles().length !== 1 || storage.getItem('starTokens') !== '50') {
+            throw new Error('Default profile should be untouched');
+        }
+    });
+
+    test('a stale active profile id falls back to the default profile', () => {
+        localStorage.setItem(storage.ACTIVE_PROFILE_KEY, 'gone');
+        storage._activeProfileId = null;
+        if (storage.getActiveProfileId() !== storage.DEFAULT_PROFILE_ID) {
+            throw new Error('Unknown active profile should fall back to default');
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Touch Controls Tests
+ *
+ * Verifies the floating virtual joystick (deadzone, clamping, canvas-sized
+ * radius), the dodge button, multi-touch tracking and tap-to-select on
+ * level-up cards, all feeding InputManager.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLocalStorage, createStorageManagerStub, createMockLogger } = require('./testUtils.js');
+
+function createElement() {
+    const classes = new Set();
+    return {
+        listeners: {},
+        style: {},
+        dataset: {},
+        classList: {
+            add: name => classes.add(name),
+            remove: name => classes.delete(name),
+            contains: name => classes.has(name)
+        },
+        addEventListener(type, handler) {
+            (this.listeners[type] = this.listeners[type] || []).push(handler);
+        },
+        removeEventListener(type, handler) {
+            this.listeners[type] = (this.listeners[type] || []).filter(entry => entry !== handler);
+        },
+        dispatch(type, event) {
+            (this.listeners[type] || []).forEach(handler => handler(event));
+        }
+    };
+}
+
+function touchEvent(touches, target = null) {
+    const event = {
+        changedTouches: touches.map(([identifier, clientX, clientY]) => ({ identifier, clientX, clientY })),
+        target,
+        defaultPrevented: false,
+        preventDefault() {
+            this.defaultPrevented = true;
+        }
+    };
+    return event;
+}
+
+function runTests() {
+    console.log('[T] Running Touch Controls Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    const picks = [];
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        innerWidth: 800,
+        innerHeight: 600,
+        addEventListener: () => {},
+        removeEventListener: () => {},
+        GAME_CONSTANTS: {
+            TOUCH: {
+                JOYSTICK_RADIUS_RATIO: 0.12,
+                JOYSTICK_MIN_RADIUS: 40,
+                JOYSTICK_MAX_RADIUS: 80,
+                JOYSTICK_DEADZONE: 0.15,
+                TAP_SLOP: 12
+            }
+        },
+        upgradeSystem: { selectUpgradeAt: index => picks.push(index) }
+    };
+    const body = createElement();
+    global.document = {
+        body,
+        addEventListener: () => {},
+        removeEventListener: () => {},
+        getElementById: () => null,
+        hidden: false
+    };
+    window.StorageManager = createStorageManagerStub(createMockLocalStorage());
+
+    const load = file => {
+        const sourcePath = path.join(__dirname, '..', 'src', 'systems', file);
+        vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: file });
+    };
+    load('InputManager.js');
+    load('TouchControls.js');
+    const { InputManager, TouchControls } = window.Game;
+
+    const setup = () => {
+        const canvas = createElement();
+        canvas.width = 500;
+        canvas.height = 500;
+        const knob = createElement();
+        const joystick = createElement();
+        joystick.querySelector = () => knob;
+        const dodgeButton = createElement();
+        const upgradeOptions = createElement();
+        const input = new InputManager();
+        const touch = new TouchControls(input, { canvas, joystick, dodgeButton, upgradeOptions });
+        return { input, touch, canvas, joystick, knob, dodgeButton, upgradeOptions };
+    };
+
+    test('joystick radius follows the canvas size within limits', () => {
+        const { touch } = setup();
+        if (touch.radius !== 60) {
+            throw new Error(`Expected radius 60 for a 500px canvas, got ${touch.radius}`);
+        }
+        touch.onCanvasResize(2000, 1500);
+        if (touch.radius !== 80) throw new Error('Radius should be capped');
+        touch.onCanvasResize(200, 100);
+        if (touch.radius !== 40) throw new Error('Radius should have a minimum');
+    });
+
+    test('dragging steers with deadzone and clamping', () => {
+        const { input, canvas, joystick, knob } = setup();
+        canvas.dispatch('touchstart', touchEvent([[1, 100, 100]]));
+        if (joystick.classList.contains('hidden') || joystick.style.left !== '100px') {
+            throw new Error('Joystick should appear where the finger landed');
+        }
+
+        canvas.dispatch('touchmove', touchEvent([[1, 105, 100]]));
+        if (input.getMovementVector().x !== 0) {
+            throw new Error('Small drags inside the deadzone should not move');
+        }
+
+        canvas.dispatch('touchmove', touchEvent([[1, 400, 100]]));
+        const movement = input.getMovementVector();
+        if (Math.abs(movement.x - 1) > 1e-9 || movement.y !== 0) {
+            throw new Error(`Expected full right movement, got ${JSON.stringify(movement)}`);
+        }
+        if (!knob.style.transform.includes('60px')) {
+            throw new Error(`Knob should be clamped to the radius: ${knob.style.transform}`);
+        }
+
+        canvas.dispatch('touchend', touchEvent([[1, 400, 100]]));
+        if (input.getMovementVector().x !== 0 || !joystick.classList.contains('hidden')) {
+            throw new Error('Lifting the finger should stop and hide the joystick');
+        }
+    });
+
+    test('keyboard movement still wins over the joystick', () => {
+        const { input, canvas } = setup();
+        canvas.dispatch('touchstart', touchEvent([[1, 100, 100]]));
+        canvas.dispatch('touchmove', touchEvent([[1, 100, 300]]));
+        input.handleKeyDown({ key: 'a', preventDefault: () => {} });
+        const movement = input.getMovementVector();
+        if (movement.x !== -1 || movement.y !== 0) {
+            throw new Error(`Expected keyboard movement, got ${JSON.stringify(movement)}`);
+        }
+    });
+
+    test('steering and dodging work with two fingers', () => {
+        const { input, canvas, dodgeButton } = setup();
+        canvas.dispatch('touchstart', touchEvent([[1, 100, 100]]));
+        canvas.dispatch('touchmove', touchEvent([[1, 100, 0]]));
+
+        // A second finger on the canvas must not move the joystick
+        canvas.dispatch('touchstart', touchEvent([[2, 300, 300]]));
+        canvas.dispatch('touchmove', touchEvent([[2, 400, 300]]));
+        dodgeButton.dispatch('touchstart', touchEvent([[3, 0, 0]]));
+
+        const movement = input.getMovementVector();
+        if (movement.x !== 0 || Math.abs(movement.y + 1) > 1e-9) {
+            throw new Error(`Joystick should keep following finger 1, got ${JSON.stringify(movement)}`);
+        }
+        if (!input.isActionPressed('dodge') || !dodgeButton.classList.contains('pressed')) {
+            throw new Error('Dodge button should request a dodge');
+        }
+        if (!body.classList.contains('touch-controls')) {
+            throw new Error('Touch layout should be enabled');
+        }
+
+        canvas.dispatch('touchend', touchEvent([[2, 400, 300]]));
+        if (input.getMovementVector().y === 0) {
+            throw new Error('Lifting another finger should not release the joystick');
+        }
+        dodgeButton.dispatch('touchend', touchEvent([[3, 0, 0]]));
+        if (input.isActionPressed('dodge')) {
+            throw new Error('Releasing the dodge button should release dodge');
+        }
+    });
+
+    test('tapping a level-up card selects it once', () => {
+        const { upgradeOptions } = setup();
+        const card = { dataset: { index: '2' } };
+        const target = { closest: () => card };
+
+        upgradeOptions.dispatch('touchstart', touchEvent([[5, 50, 50]], target));
+        const end = touchEvent([[5, 52, 51]], target);
+        upgradeOptions.dispatch('touchend', end);
+        if (picks.join(',') !== '1' || !end.defaultPrevented) {
+            throw new Error(`Expected the second card to be picked once, got ${picks}`);
+        }
+
+        upgradeOptions.dispatch('touchstart', touchEvent([[6, 50, 50]], target));
+        upgradeOptions.dispatch('touchmove', touchEvent([[6, 50, 90]], target));
+        upgradeOptions.dispatch('touchend', touchEvent([[6, 50, 90]], target));
+        if (picks.length !== 1) {
+            throw new Error('Dragging across a card should not select it');
+        }
+    });
+
+    test('destroy releases held input and listeners', () => {
+        const { input, touch, canvas, dodgeButton } = setup();
+        canvas.dispatch('touchstart', touchEvent([[1, 100, 100]]));
+        canvas.dispatch('touchmove', touchEvent([[1, 200, 100]]));
+        dodgeButton.dispatch('touchstart', touchEvent([[2, 0, 0]]));
+        touch.destroy();
+        if (input.getMovementVector().x !== 0 || input.isActionPressed('dodge')) {
+            throw new Error('Held touch input should be released');
+        }
+        if ((canvas.listeners.touchstart || []).length !== 0) {
+            throw new Error('Listeners should be removed');
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Weapon Evolution Tests
+ *
+ * Verifies that a max-level weapon plus its paired passive unlocks an evolution,
+ * that the evolution card is always offered, and that evolving swaps the weapon
+ * in place (keeping its slot and level) and records the evolution in run stats.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLocalStorage, createStorageManagerStub, createMockLogger } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Weapon Evolution Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: {
+            WEAPONS: { MAX_SLOTS: 3, MAX_LEVEL: 2, LEVEL_DAMAGE_BONUS: 0.1, LEVEL_FIRE_RATE_BONUS: 0.1 }
+        }
+    };
+    global.document = { getElementById: () => null };
+    window.StorageManager = createStorageManagerStub(createMockLocalStorage());
+
+    load('src/config/upgrades.config.js');
+    load('src/config/weapons.config.js');
+    load('src/config/evolutions.config.js');
+    load('src/weapons/WeaponBase.js');
+    load('src/weapons/WeaponManager.js');
+    ['ArcBurst', 'NovaShotgun', 'PulseCannon', 'TempestArc', 'SupernovaBlaster', 'PulsarCannon']
+        .forEach(name => load(`src/weapons/types/${name}.js`));
+    load('src/systems/upgrades.js');
+    const { WeaponManager, UpgradeSystem } = window.Game;
+
+    const tracked = [];
+    const setup = () => {
+        const combat = { baseAttackSpeed: 1, attackSpeed: 1, attackTimer: 0, attackCooldown: 1, findNearestEnemy: () => null };
+        const manager = new WeaponManager({ startingWeapon: 'arc_burst', abilities: {} }, combat);
+        const upgradeSystem = new UpgradeSystem();
+        upgradeSystem.availableUpgrades = [{ id: 'filler', type: 'attackSpeed', stackable: true, rarity: 'common' }];
+        tracked.length = 0;
+        window.gameManager = {
+            game: { player: { combat: { weaponManager: manager }, applyUpgrade: upgrade => manager.applyUpgrade(upgrade) } },
+            statsManager: { trackSpecialEvent: (type, data) => tracked.push({ type, data }) }
+        };
+        return { manager, upgradeSystem };
+    };
+
+    test('every evolution points at defined weapons and upgrades', () => {
+        const upgradeIds = new Set(window.UPGRADE_DEFINITIONS.map(upgrade => upgrade.id));
+        const registered = WeaponManager.getRegisteredTypes();
+
+        window.WEAPON_EVOLUTION_DEFINITIONS.forEach(evolution => {
+            const evolved = window.WEAPON_DEFINITIONS[evolution.evolvedWeaponId];
+            if (!window.WEAPON_DEFINITIONS[evolution.weaponId] || !evolved) {
+                throw new Error(`${evolution.id} references an unknown weapon`);
+            }
+            if (evolved.evolvedFrom !== evolution.weaponId || !registered.includes(evolution.evolvedWeaponId)) {
+                throw new Error(`${evolution.evolvedWeaponId} is not registered as evolving from ${evolution.weaponId}`);
+            }
+            if (!upgradeIds.has(evolution.requiresUpgrade)) {
+                throw new Error(`${evolution.id} requires unknown upgrade ${evolution.requiresUpgrade}`);
+            }
+        });
+    });
+
+    test('evolved weapons are never offered as new weapons', () => {
+        const { manager } = setup();
+        const offerable = manager.getOfferableWeaponIds();
+        if (offerable.some(id => window.WEAPON_DEFINITIONS[id].evolvedFrom)) {
+            throw new Error(`Evolved weapon offered: ${offerable}`);
+        }
+    });
+
+    test('evolution needs both max level and the paired passive', () => {
+        const { manager, upgradeSystem } = setup();
+        if (upgradeSystem.getEvolutionOffers(manager).length !== 0) {
+            throw new Error('Evolution offered at level 1');
+        }
+
+        manager.levelUpWeapon('arc_burst');
+        if (upgradeSystem.getEvolutionOffers(manager).length !== 0) {
+            throw new Error('Evolution offered without the passive');
+        }
+
+        upgradeSystem.selectedUpgrades.push({ id: 'chain_lightning_3' });
+        const offers = upgradeSystem.getEvolutionOffers(manager);
+        if (offers.length !== 1 || offers[0].evolvedWeaponId !== 'tempest_arc' || offers[0].rarity !== 'evolution') {
+            throw new Error(`Unexpected offers ${JSON.stringify(offers)}`);
+        }
+    });
+
+    test('unlocked evolution card is always part of the level-up offer', () => {
+        const { manager, upgradeSystem } = setup();
+        manager.levelUpWeapon('arc_burst');
+        upgradeSystem.selectedUpgrades.push({ id: 'chain_lightning_3' });
+
+        for (let i = 0; i < 5; i++) {
+            const options = upgradeSystem.getRandomUpgrades(3);
+            if (options[0]?.id !== 'evolve_tempest_arc' || options.length > 3) {
+                throw new Error(`Evolution card missing from ${options.map(option => option.id)}`);
+            }
+        }
+    });
+
+    test('evolving swaps the weapon in place and records run stats', () => {
+        const { manager, upgradeSystem } = setup();
+        manager.addWeapon('nova_shotgun');
+        manager.levelUpWeapon('arc_burst');
+        upgradeSystem.selectedUpgrades.push({ id: 'chain_lightning_3' });
+
+        const [card] = upgradeSystem.getEvolutionOffers(manager);
+        upgradeSystem._applyUpgradeCore(card);
+
+        if (manager.getEquippedWeaponIds().join(',') !== 'tempest_arc,nova_shotgun') {
+            throw new Error(`Unexpected slots ${manager.getEquippedWeaponIds()}`);
+        }
+        if (manager.getActiveWeaponId() !== 'tempest_arc' || manager.getWeaponLevel('tempest_arc') !== 2) {
+            throw new Error('Evolved weapon should take over the active slot at the same level');
+        }
+        const evolved = tracked.find(event => event.type === 'weapon_evolved');
+        if (!evolved || evolved.data.evolutionId !== 'evolve_tempest_arc') {
+            throw new Error('Evolution was not tracked');
+        }
+        if (upgradeSystem.getEvolutionOffers(manager).length !== 0) {
+            throw new Error('Evolution should not be offered twice');
+        }
+    });
+
+    delete window.gameManager;
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
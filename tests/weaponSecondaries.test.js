@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+
+/**
+ * Weapon Secondary Tests
+ *
+ * Verifies the weapon secondary slot: every secondary declared in
+ * WEAPON_DEFINITIONS has an effect, the first equipped weapon with a
+ * secondary fires it on its own cooldown, Orbital Flux and Blood Frenzy fire
+ * on their triggers (critical hits, low health) rather than on input, timed
+ * attack speed secondaries feed the fire rate, cooldown/power upgrades apply
+ * (and are only offered with a secondary), the HUD widget tracks the cooldown
+ * and replays fire the secondary on the same step.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger, createMockLocalStorage, createStorageManagerStub } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function createElement() {
+    const classes = new Set();
+    const children = {};
+    return {
+        style: { setProperty(name, value) { this[name] = value; } },
+        dataset: {},
+        textContent: '',
+        title: '',
+        classList: {
+            add: name => classes.add(name),
+            remove: name => classes.delete(name),
+            contains: name => classes.has(name),
+            toggle: (name, force) => (force ? classes.add(name) : classes.delete(name))
+        },
+        querySelector: selector => (children[selector] = children[selector] || createElement()),
+        appendChild: child => child
+    };
+}
+
+function runTests() {
+    console.log('[T] Running Weapon Secondary Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    const elements = {};
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: {
+            PLAYER: { BASE_HEALTH: 100, BASE_ATTACK_DAMAGE: 20, BASE_ATTACK_SPEED: 1 },
+            WEAPONS: { MAX_SLOTS: 4, MAX_LEVEL: 5, LEVEL_DAMAGE_BONUS: 0.15, LEVEL_FIRE_RATE_BONUS: 0.08, SECONDARY_MIN_COOLDOWN: 2 }
+        },
+        StorageManager: createStorageManagerStub(createMockLocalStorage()),
+        inputManager: { getBindingLabel: action => (action === 'secondary' ? 'E' : null) }
+    };
+    global.document = {
+        getElementById: id => (elements[id] = elements[id] || createElement()),
+        createElement
+    };
+
+    load('src/config/weapons.config.js');
+    load('src/config/upgrades.config.js');
+    load('src/ui/weaponSlotsHud.js');
+    load('src/weapons/WeaponBase.js');
+    load('src/weapons/WeaponSecondaries.js');
+    load('src/weapons/WeaponManager.js');
+    load('src/entities/player/PlayerStats.js');
+    load('src/entities/player/PlayerCombat.js');
+    load('src/systems/ReplaySystem.js');
+    load('src/systems/upgrades.js');
+    const { WeaponBase, WeaponManager, ReplaySystem, UpgradeSystem } = window.Game;
+    const PlayerStats = vm.runInThisContext('PlayerStats');
+    const PlayerCombat = vm.runInThisContext('PlayerCombat');
+
+    class TestWeapon extends WeaponBase {
+        fire() { return true; }
+    }
+    Object.keys(window.WEAPON_DEFINITIONS).forEach(id => WeaponManager.registerType(id, TestWeapon));
+
+    // Effect entities are recorded instead of simulated
+    window.Game.DamageZone = class { constructor(x, y, radius, damage, duration, zoneType) { Object.assign(this, { radius, damage, zoneType }); } };
+    window.Game.GravityWell = class { constructor(options) { Object.assign(this, options); } };
+
+    const createEnemy = (x, y) => {
+        const enemy = {
+            x, y, radius: 20, isDead: false, health: 1000, damageTaken: 0, effects: [], knockback: null,
+            takeDamage(amount) { this.damageTaken += amount; },
+            statusEffects: { applyEffect: type => { enemy.effects.push(type); return true; } },
+            movement: { applyKnockback: (fx, fy) => { enemy.knockback = { fx, fy }; } }
+        };
+        return enemy;
+    };
+
+    const createGame = (enemies = []) => ({
+        isPaused: false,
+        entities: [],
+        addEntity(entity) { this.entities.push(entity); return entity; },
+        getEnemiesWithinRadius: (x, y, radius) => enemies.filter(enemy =>
+            (enemy.x - x) ** 2 + (enemy.y - y) ** 2 <= radius * radius)
+    });
+
+    const createPlayer = (startingWeapon) => {
+        const player = {
+            x: 0,
+            y: 0,
+            startingWeapon,
+            abilities: {},
+            get health() { return this.stats.health; },
+            get maxHealth() { return this.stats.maxHealth; }
+        };
+        player.stats = new PlayerStats(player);
+        player.combat = new PlayerCombat(player);
+        return player;
+    };
+
+    test('every declared secondary has an effect', () => {
+        const declared = Object.values(window.WEAPON_DEFINITIONS).filter(def => def.secondary);
+        if (declared.length !== 8) throw new Error(`Expected 8 secondaries, found ${declared.length}`);
+
+        declared.forEach(def => {
+            const player = createPlayer(def.id);
+            const weapon = player.combat.weaponManager.getSecondaryWeapon();
+            if (!weapon || weapon.secondary.id !== def.secondary.id) {
+                throw new Error(`${def.id} should expose ${def.secondary.id}`);
+            }
+            if (!weapon.useSecondary(createGame([createEnemy(50, 0)]))) {
+                throw new Error(`${def.secondary.id} did not fire`);
+            }
+            if (weapon.isSecondaryReady() || weapon.getSecondaryCooldownProgress() !== 0) {
+                throw new Error(`${def.secondary.id} should start its cooldown`);
+            }
+        });
+    });
+
+    test('the first equipped weapon with a secondary owns the slot and recharges', () => {
+        const player = createPlayer('pulse_cannon');
+        const manager = player.combat.weaponManager;
+        if (manager.getSecondaryWeapon() !== null || manager.useSecondary(createGame())) {
+            throw new Error('Pulse Cannon has no secondary');
+        }
+
+        manager.addWeapon('nova_shotgun');
+        const shotgun = manager.getSecondaryWeapon();
+        if (shotgun?.definition.id !== 'nova_shotgun' || !manager.useSecondary(createGame())) {
+            throw new Error('An added weapon should lend its secondary');
+        }
+        if (manager.useSecondary(createGame())) throw new Error('Secondary fired during its cooldown');
+
+        for (let t = 0; t < 6.05; t += 0.05) manager.update(0.05, createGame());
+        if (!shotgun.isSecondaryReady() || shotgun.getSecondaryCooldownProgress() !== 1) {
+            throw new Error('Secondary should recharge after its 6s cooldown');
+        }
+    });
+
+    test('nova knockback damages, pushes away and stuns nearby enemies', () => {
+        const player = createPlayer('nova_shotgun');
+        const near = createEnemy(100, 0);
+        const far = createEnemy(400, 0);
+        player.combat.weaponManager.useSecondary(createGame([near, far]));
+
+        if (near.damageTaken !== 30 || far.damageTaken !== 0) {
+            throw new Error(`Expected 1.5x attack damage on the near enemy, got ${near.damageTaken}/${far.damageTaken}`);
+        }
+        if (!(near.knockback?.fx > 0) || !near.effects.includes('stun')) {
+            throw new Error('Near enemy should be pushed outward and stunned');
+        }
+    });
+
+    test('attack speed secondaries feed the fire rate and cost health', () => {
+        const player = createPlayer('plasma_cutter');
+        const weapon = player.combat.weaponManager.activeWeapon;
+        const game = createGame();
+        player.combat.weaponManager.update(0.01, game);
+        const baseCooldown = weapon.getCooldown();
+
+        weapon.useSecondary(game);
+        if (player.health !== 90) throw new Error(`Overcharge should cost 10% health, left ${player.health}`);
+        player.combat.weaponManager.update(0.01, game);
+        if (Math.abs(weapon.getCooldown() - baseCooldown / 2) > 1e-9) {
+            throw new Error('Overcharge should double the fire rate');
+        }
+
+        player.stats.updatePowerUps(5);
+        player.combat.weaponManager.update(0.01, game);
+        if (Math.abs(weapon.getCooldown() - baseCooldown) > 1e-9) {
+            throw new Error('Fire rate should return to normal when Overcharge ends');
+        }
+
+        player.stats.health = 1;
+        weapon.secondaryCooldownRemaining = 0;
+        weapon.useSecondary(game);
+        if (player.health !== 1) throw new Error('Overcharge must never kill');
+    });
+
+    test('orbital flux overcharges the array on critical hits, not on input', () => {
+        const player = createPlayer('constellation_array');
+        player.spawnParticle = () => {};
+        const weapon = player.combat.weaponManager.getSecondaryWeapon();
+        const game = createGame([createEnemy(50, 0)]);
+        let consumed = 0;
+        game.isSecondaryRequested = () => true;
+        game.consumeSecondaryInput = () => { consumed++; };
+
+        player.combat._handleSecondaryInput(game);
+        if (consumed !== 0 || !weapon.isSecondaryReady()) {
+            throw new Error('Pressing the secondary should not fire a crit-triggered secondary');
+        }
+
+        player.combat.critChance = 0;
+        player.combat.executeAOEAttack(game);
+        if (!weapon.isSecondaryReady()) throw new Error('Non-critical hits should not overcharge the array');
+
+        player.combat.critChance = 1;
+        player.combat.executeAOEAttack(game);
+        if (weapon.isSecondaryReady() || player.stats.getPowerUpValue('projectiles', 0) !== 2) {
+            throw new Error('A critical hit should overcharge the array with 2 extra projectiles');
+        }
+        weapon.secondaryCooldownRemaining = 1;
+        player.stats.powerUps = {};
+        player.combat.executeAOEAttack(game);
+        if (player.stats.getPowerUpValue('projectiles', 0) !== 0) {
+            throw new Error('Crits during the cooldown should not overcharge again');
+        }
+    });
+
+    test('blood frenzy bursts attack speed only once health drops below 40%', () => {
+        const player = createPlayer('sanguine_lance');
+        const manager = player.combat.weaponManager;
+        const weapon = manager.getSecondaryWeapon();
+        const game = createGame();
+        game.isSecondaryRequested = () => true;
+        game.consumeSecondaryInput = () => {};
+
+        player.stats.health = 50;
+        manager.update(0.01, game);
+        player.combat._handleSecondaryInput(game);
+        if (!weapon.isSecondaryReady() || player.stats.getPowerUpValue('attackSpeed', 1) !== 1) {
+            throw new Error('Blood Frenzy should not fire above 40% health, even when pressed');
+        }
+
+        player.stats.health = 35;
+        manager.update(0.01, game);
+        if (weapon.isSecondaryReady() || Math.abs(player.stats.getPowerUpValue('attackSpeed', 1) - 1.8) > 1e-9) {
+            throw new Error('Dropping below 40% health should start the frenzy');
+        }
+    });
+
+    test('cooldown and power upgrades apply and need a secondary to be offered', () => {
+        const player = createPlayer('nova_shotgun');
+        const weapon = player.combat.weaponManager.activeWeapon;
+        player.combat.applyCombatUpgrade({ type: 'secondaryCooldown', multiplier: 0.8 });
+        player.combat.applyCombatUpgrade({ type: 'secondaryPower', value: 0.3 });
+        if (Math.abs(weapon.getSecondaryCooldown() - 4.8) > 1e-9 || weapon.getSecondaryPower() !== 1.3) {
+            throw new Error('Upgrades should shorten the cooldown and raise power');
+        }
+        for (let i = 0; i < 10; i++) player.combat.applyCombatUpgrade({ type: 'secondaryCooldown', multiplier: 0.8 });
+        if (weapon.getSecondaryCooldown() !== 2) throw new Error('Cooldown should floor at SECONDARY_MIN_COOLDOWN');
+
+        const enemy = createEnemy(50, 0);
+        weapon.useSecondary(createGame([enemy]));
+        if (Math.abs(enemy.damageTaken - 39) > 1e-9) throw new Error(`Power should scale damage, got ${enemy.damageTaken}`);
+
+        const offeredSecondaryUpgrades = startingWeapon => {
+            window.gameManager = { game: { player: createPlayer(startingWeapon) } };
+            const upgrades = new UpgradeSystem();
+            return upgrades.getRandomUpgrades(200).filter(upgrade => upgrade.requiresSecondary).length;
+        };
+        if (offeredSecondaryUpgrades('pulse_cannon') !== 0 || offeredSecondaryUpgrades('nova_shotgun') !== 2) {
+            throw new Error('Secondary upgrades should only be offered with a secondary equipped');
+        }
+        delete window.gameManager;
+    });
+
+    test('HUD widget shows the secondary cooldown and readiness', () => {
+        const player = createPlayer('pulse_cannon');
+        const manager = player.combat.weaponManager;
+        const widget = document.getElementById('secondary-skill');
+        widget.classList.add('hidden');
+        manager.update(0.01, createGame());
+        if (!widget.classList.contains('hidden')) throw new Error('Widget should hide without a secondary');
+
+        manager.addWeapon('magma_launcher');
+        manager.update(0.01, createGame());
+        if (widget.classList.contains('hidden') || !widget.classList.contains('skill-ready') ||
+            widget.querySelector('.skill-key').textContent !== 'E') {
+            throw new Error('Widget should show a ready secondary with its key');
+        }
+
+        manager.useSecondary(createGame());
+        for (let t = 0; t < 4; t += 0.05) manager.update(0.05, createGame());
+        if (widget.classList.contains('skill-ready') || widget.style['--cooldown-progress'] !== '0.5') {
+            throw new Error(`Widget should show half progress, got ${widget.style['--cooldown-progress']}`);
+        }
+
+        const triggered = createPlayer('sanguine_lance').combat.weaponManager;
+        triggered.update(0.01, createGame());
+        if (widget.querySelector('.skill-key').textContent !== 'AUTO') {
+            throw new Error('Triggered secondaries should show AUTO instead of a key');
+        }
+    });
+
+    test('secondary presses are consumed only when fired and replay on the same step', () => {
+        const session = (replay, pressed) => {
+            const player = createPlayer('arc_burst');
+            const enemy = createEnemy(60, 0);
+            const game = createGame([enemy]);
+            let held = false;
+            game.isSecondaryRequested = () => (replay.isPlaying() ? replay.isSecondaryQueued() : held);
+            game.consumeSecondaryInput = () => {
+                if (replay.isPlaying()) {
+                    replay.consumeSecondary();
+                } else {
+                    held = false;
+                    replay.recordSecondary();
+                }
+            };
+
+            window.replaySystem = replay;
+            replay.beginRun({ seed: 'seed' });
+            const fired = [];
+            for (let step = 1; step <= 400; step++) {
+                replay.beginStep({ x: 0, y: 0 });
+                if (pressed?.includes(step)) held = true;
+                const before = enemy.damageTaken;
+                player.combat.update(0.05, game);
+                if (enemy.damageTaken > before) fired.push(step);
+            }
+            replay.finishRun();
+            delete window.replaySystem;
+            return fired;
+        };
+
+        const replay = new ReplaySystem();
+        // Second press lands mid-cooldown and is held until the secondary is ready
+        const recorded = session(replay, [10, 20]);
+        if (recorded.length !== 2 || recorded[0] !== 10 || recorded[1] < 250) {
+            throw new Error(`Expected Storm Surge at step 10 and again after its 12s cooldown, got ${recorded}`);
+        }
+
+        replay.queuePlayback(replay.lastReplay);
+        const played = session(replay);
+        if (played.join() !== recorded.join()) throw new Error(`Playback diverged: ${played} vs ${recorded}`);
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Weapon Slot Tests
+ *
+ * Verifies that WeaponManager fires every equipped slot on its own cooldown,
+ * respects the slot cap, levels weapons (damage and fire rate), keeps legacy
+ * combat timers on the active weapon, and that UpgradeSystem offers new-weapon
+ * and weapon-level cards.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLocalStorage, createStorageManagerStub, createMockLogger } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Weapon Slot Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        GAME_CONSTANTS: {
+            WEAPONS: { MAX_SLOTS: 3, MAX_LEVEL: 3, LEVEL_DAMAGE_BONUS: 0.5, LEVEL_FIRE_RATE_BONUS: 0.25 }
+        },
+        WEAPON_DEFINITIONS: {
+            alpha: { id: 'alpha', name: 'Alpha Gun', description: 'Fires once a second.', fireRate: 1, upgradeTags: ['core'] },
+            beta: { id: 'beta', name: 'Beta Gun', description: 'Fires twice a second.', fireRate: 2, upgradeTags: ['shotgun'] },
+            gamma: { id: 'gamma', name: 'Gamma Gun', fireRate: 1 },
+            delta: { id: 'delta', name: 'Delta Gun', fireRate: 1 },
+            unregistered: { id: 'unregistered', name: 'Blueprint', fireRate: 1 }
+        }
+    };
+    global.document = { getElementById: () => null };
+    window.StorageManager = createStorageManagerStub(createMockLocalStorage());
+
+    load('src/weapons/WeaponBase.js');
+    load('src/weapons/WeaponManager.js');
+    load('src/systems/upgrades.js');
+    const { WeaponBase, WeaponManager, UpgradeSystem } = window.Game;
+
+    // Records each shot with the damage scale the manager applied
+    const shots = [];
+    class TestWeapon extends WeaponBase {
+        fire() {
+            shots.push({ id: this.definition.id, damageScale: this.combat.weaponDamageMultiplier });
+            return true;
+        }
+    }
+    ['alpha', 'beta', 'gamma', 'delta'].forEach(id => WeaponManager.registerType(id, TestWeapon));
+
+    const createManager = () => {
+        const combat = { baseAttackSpeed: 1, attackSpeed: 1, attackTimer: 0, attackCooldown: 1, weaponDamageMultiplier: 1 };
+        return new WeaponManager({ startingWeapon: 'alpha' }, combat);
+    };
+
+    const step = (manager, seconds) => {
+        for (let t = 0; t < seconds; t += 0.05) {
+            manager.update(0.05, {});
+        }
+    };
+
+    test('starting weapon fills the first slot', () => {
+        const manager = createManager();
+        if (manager.getEquippedWeaponIds().join(',') !== 'alpha' || manager.getActiveWeaponId() !== 'alpha') {
+            throw new Error(`Unexpected slots ${manager.getEquippedWeaponIds()}`);
+        }
+    });
+
+    test('every equipped weapon fires on its own cooldown', () => {
+        const manager = createManager();
+        manager.addWeapon('beta');
+        shots.length = 0;
+        step(manager, 2.02);
+
+        const alphaShots = shots.filter(shot => shot.id === 'alpha').length;
+        const betaShots = shots.filter(shot => shot.id === 'beta').length;
+        if (alphaShots !== 2 || betaShots !== 4) {
+            throw new Error(`Expected 2 alpha and 4 beta shots, got ${alphaShots} and ${betaShots}`);
+        }
+    });
+
+    test('legacy combat timers follow the active weapon', () => {
+        const manager = createManager();
+        manager.addWeapon('beta');
+        step(manager, 0.3);
+        if (manager.combat.attackCooldown !== manager.activeWeapon.getCooldown() ||
+            manager.combat.attackTimer !== manager.activeWeapon.getTimer()) {
+            throw new Error('Combat timers were overwritten by a secondary weapon');
+        }
+    });
+
+    test('slots are capped and offers exclude equipped or unregistered weapons', () => {
+        const manager = createManager();
+        if (manager.getOfferableWeaponIds().join(',') !== 'beta,gamma,delta') {
+            throw new Error(`Unexpected offers ${manager.getOfferableWeaponIds()}`);
+        }
+        manager.addWeapon('beta');
+        manager.addWeapon('gamma');
+        if (manager.addWeapon('delta') !== null || manager.hasWeapon('delta')) {
+            throw new Error('Weapon added past MAX_SLOTS');
+        }
+        if (manager.getOfferableWeaponIds().length !== 0) {
+            throw new Error('Full slots should offer no new weapons');
+        }
+    });
+
+    test('weapon levels scale damage and fire rate up to MAX_LEVEL', () => {
+        const manager = createManager();
+        manager.addWeapon('beta');
+        manager.applyUpgrade({ type: 'weaponLevel', weaponId: 'beta' });
+        if (manager.getWeaponLevel('beta') !== 2 || manager.getWeaponLevel('alpha') !== 1) {
+            throw new Error('Only the chosen weapon should level up');
+        }
+
+        shots.length = 0;
+        step(manager, 1.02);
+        const betaShots = shots.filter(shot => shot.id === 'beta');
+        // 2 shots/s * 1.25 fire rate
+        if (betaShots.length !== 2 || betaShots.some(shot => shot.damageScale !== 1.5)) {
+            throw new Error(`Unexpected leveled shots ${JSON.stringify(betaShots)}`);
+        }
+        if (shots.some(shot => shot.id === 'alpha' && shot.damageScale !== 1) || manager.combat.weaponDamageMultiplier !== 1) {
+            throw new Error('Level bonus leaked to other weapons');
+        }
+
+        manager.levelUpWeapon('beta');
+        if (manager.levelUpWeapon('beta') || manager.getWeaponLevel('beta') !== 3) {
+            throw new Error('Level should stop at MAX_LEVEL');
+        }
+    });
+
+    test('weaponUnlock upgrades equip a new slot', () => {
+        const manager = createManager();
+        manager.applyUpgrade({ type: 'weaponUnlock', weaponId: 'gamma' });
+        if (manager.getEquippedWeaponIds().join(',') !== 'alpha,gamma') {
+            throw new Error(`Unexpected slots ${manager.getEquippedWeaponIds()}`);
+        }
+    });
+
+    test('level-up cards offer new weapons and weapon levels', () => {
+        const manager = createManager();
+        manager.addWeapon('beta');
+        manager.levelUpWeapon('beta');
+        manager.levelUpWeapon('beta');
+
+        const upgradeSystem = new UpgradeSystem();
+        const offers = upgradeSystem.getWeaponOffers(manager, window.WEAPON_DEFINITIONS);
+        const ids = offers.map(offer => offer.id).join(',');
+        if (ids !== 'weapon_unlock_gamma,weapon_unlock_delta,weapon_level_alpha') {
+            throw new Error(`Unexpected offers ${ids}`);
+        }
+        const level = offers.find(offer => offer.type === 'weaponLevel');
+        if (level.name !== 'Alpha Gun Lv 2' || level.weaponId !== 'alpha' || !level.stackable) {
+            throw new Error(`Unexpected level card ${JSON.stringify(level)}`);
+        }
+    });
+
+    test('weapon-tagged upgrades match any equipped weapon', () => {
+        const manager = createManager();
+        const upgradeSystem = new UpgradeSystem();
+        upgradeSystem.availableUpgrades = [
+            { id: 'choke', type: 'weaponModifier', weaponTags: ['shotgun'], rarity: 'common' }
+        ];
+        window.gameManager = { game: { player: { combat: { weaponManager: manager } } } };
+
+        const before = upgradeSystem.getRandomUpgrades(10).map(upgrade => upgrade.id);
+        manager.addWeapon('beta');
+        const after = upgradeSystem.getRandomUpgrades(10).map(upgrade => upgrade.id);
+        delete window.gameManager;
+
+        if (before.includes('choke') || !after.includes('choke')) {
+            throw new Error(`Tagged upgrade offered before=${before.includes('choke')} after=${after.includes('choke')}`);
+        }
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}
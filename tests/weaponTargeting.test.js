@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+/**
+ * Weapon Targeting Tests
+ *
+ * Verifies the targeting strategies declared per weapon (nearest, highest/
+ * lowest HP, elite-first, densest cluster, forward cone), that weapons aim
+ * through them, and the manual aim mode: InputManager aims from the mouse or
+ * right stick, the toggle persists through SettingsPanel, manual aim
+ * overrides the strategy and replays record and reproduce the aim.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockLogger, createMockLocalStorage, createStorageManagerStub } = require('./testUtils.js');
+
+function load(relativePath) {
+    const sourcePath = path.join(__dirname, '..', relativePath);
+    vm.runInThisContext(fs.readFileSync(sourcePath, 'utf8'), { filename: path.basename(relativePath) });
+}
+
+function runTests() {
+    console.log('[T] Running Weapon Targeting Tests...\n');
+
+    const results = { passed: 0, failed: 0, errors: [] };
+
+    const test = (name, fn) => {
+        try {
+            fn();
+            console.log(`+ ${name}`);
+            results.passed++;
+        } catch (error) {
+            console.error(`! ${name}:`, error.message);
+            results.failed++;
+            results.errors.push({ test: name, error: error.message });
+        }
+    };
+
+    const canvas = { getBoundingClientRect: () => ({ left: 100, top: 50, width: 800, height: 600 }) };
+    const pad = { index: 0, connected: true, axes: [0, 0, 0, 0], buttons: [] };
+    global.window = {
+        Game: {},
+        logger: createMockLogger(),
+        addEventListener: () => {},
+        removeEventListener: () => {},
+        GAME_CONSTANTS: {
+            WEAPONS: { MAX_SLOTS: 4, MAX_LEVEL: 5 },
+            TARGETING: { CLUSTER_RADIUS: 120, MAX_CLUSTER_CANDIDATES: 60, FORWARD_CONE_DEGREES: 70, AIM_STICK_DEADZONE: 0.3 }
+        },
+        StorageManager: createStorageManagerStub(createMockLocalStorage())
+    };
+    global.document = {
+        addEventListener: () => {},
+        removeEventListener: () => {},
+        getElementById: id => (id === 'game-canvas' ? canvas : null),
+        hidden: false
+    };
+    global.navigator = { getGamepads: () => [pad] };
+
+    load('src/config/weapons.config.js');
+    load('src/weapons/WeaponBase.js');
+    load('src/weapons/WeaponTargeting.js');
+    load('src/weapons/WeaponManager.js');
+    load('src/weapons/types/PlasmaCutter.js');
+    load('src/systems/ReplaySystem.js');
+    load('src/systems/InputManager.js');
+    load('src/ui/mainMenu/shared/PanelBase.js');
+    load('src/ui/mainMenu/SettingsPanel.js');
+    const { WeaponTargeting, ReplaySystem, InputManager, SettingsPanel } = window.Game;
+    const PlasmaCutterWeapon = vm.runInThisContext('PlasmaCutterWeapon');
+
+    const createGame = (enemies, aim = null) => ({
+        getAimInput: () => aim,
+        getEnemiesWithinRadius: (x, y, radius) => enemies.filter(enemy =>
+            (enemy.x - x) ** 2 + (enemy.y - y) ** 2 <= radius * radius),
+        findClosestEnemy(x, y, { maxRadius }) {
+            return this.getEnemiesWithinRadius(x, y, maxRadius)
+                .sort((a, b) => Math.hypot(a.x - x, a.y - y) - Math.hypot(b.x - x, b.y - y))[0] || null;
+        }
+    });
+    const createPlayer = (velocity = { x: 0, y: 0 }) => ({
+        x: 0, y: 0, combat: { attackRange: 500 }, movement: { velocity, dodgeDirection: { x: 0, y: 0 } }
+    });
+    const enemy = (name, x, y, extra = {}) => ({ name, x, y, health: 100, isDead: false, ...extra });
+
+    const find = (strategy, enemies, player = createPlayer()) =>
+        WeaponTargeting.findTarget(strategy, player, createGame(enemies))?.name || null;
+
+    test('strategies pick nearest, highest and lowest health and elites first', () => {
+        const enemies = [
+            enemy('near', 50, 0, { health: 40 }),
+            enemy('tank', 200, 0, { health: 900 }),
+            enemy('weak', -150, 0, { health: 5 }),
+            enemy('elite', 0, 300, { isElite: true }),
+            enemy('far', 900, 0, { health: 5000 })
+        ];
+        const picks = ['nearest', 'highest_hp', 'lowest_hp', 'elite_first'].map(name => find(name, enemies));
+        if (picks.join() !== 'near,tank,weak,elite') throw new Error(`Unexpected picks ${picks}`);
+        if (find('elite_first', enemies.filter(e => e.name !== 'elite')) !== 'near') {
+            throw new Error('Elite-first should fall back to the nearest enemy');
+        }
+        if (find('nearest', [enemies[4]]) !== null) throw new Error('Enemies out of range should be ignored');
+        if (find('no_such_strategy', enemies) !== 'near' || find('omni', enemies) !== 'near') {
+            throw new Error('Unknown strategies and aliases should resolve to a real strategy');
+        }
+    });
+
+    test('densest cluster targets the middle of the biggest pack', () => {
+        const enemies = [
+            enemy('loner', 30, 0),
+            enemy('pack-a', 250, 200),
+            enemy('pack-mid', 340, 220),
+            enemy('pack-b', 430, 240),
+            enemy('pair-a', -300, 0),
+            enemy('pair-b', -340, 0)
+        ];
+        if (find('densest_cluster', enemies) !== 'pack-mid') {
+            throw new Error(`Expected the pack centre, got ${find('densest_cluster', enemies)}`);
+        }
+    });
+
+    test('forward cone prefers enemies ahead of the movement direction', () => {
+        const enemies = [enemy('behind', -60, 0), enemy('ahead', 200, 30), enemy('side', 0, 150)];
+        if (find('forward_cone', enemies, createPlayer({ x: 120, y: 0 })) !== 'ahead') {
+            throw new Error('Moving right should target the enemy ahead');
+        }
+        if (find('forward_cone', enemies, createPlayer({ x: 0, y: -100 })) !== 'behind') {
+            throw new Error('With nothing ahead the nearest enemy should be used');
+        }
+        if (find('forward_cone', enemies) !== 'behind') {
+            throw new Error('Standing still should target the nearest enemy');
+        }
+    });
+
+    test('every weapon declares a registered strategy', () => {
+        const known = WeaponTargeting.getStrategyNames();
+        Object.values(window.WEAPON_DEFINITIONS).forEach(def => {
+            const resolved = WeaponTargeting.ALIASES[def.targeting] || def.targeting;
+            if (!known.includes(resolved)) throw new Error(`${def.id} uses unknown targeting "${def.targeting}"`);
+        });
+    });
+
+    test('weapons fire at their strategy target unless manual aim overrides it', () => {
+        const shots = [];
+        const player = createPlayer();
+        const combat = { attackRange: 500, attackSpeed: 1, attackDamage: 20, fireProjectile: (game, angle) => shots.push(angle) };
+        player.combat = combat;
+        const weapon = new PlasmaCutterWeapon({ player, combat, definition: window.WEAPON_DEFINITIONS.plasma_cutter, manager: null });
+        const enemies = [enemy('near', 50, 0), enemy('tank', 0, 200, { health: 800 })];
+
+        if (!weapon.fire(createGame(enemies)) || Math.abs(shots[0] - Math.PI / 2) > 1e-9 || weapon.currentTarget?.name !== 'tank') {
+            throw new Error(`Plasma Cutter should shoot the highest health enemy, angle ${shots[0]}`);
+        }
+        if (!weapon.fire(createGame(enemies, Math.PI)) || shots[1] !== Math.PI || weapon.currentTarget !== null) {
+            throw new Error('Manual aim should override the strategy');
+        }
+        if (weapon.fire(createGame([])) || shots.length !== 2) {
+            throw new Error('Weapons should hold fire with no target and no manual aim');
+        }
+    });
+
+    test('manual aim follows the mouse and the right stick', () => {
+        const input = new InputManager();
+        input.handleMouseMove({ clientX: 500, clientY: 550 });
+        if (input.getAimAngle() !== null) throw new Error('Aim should be null while manual aim is off');
+
+        input.setManualAim(true);
+        if (input.getAimAngle() !== null) throw new Error('Aim should wait for the player to aim');
+        input.handleMouseMove({ clientX: 500, clientY: 550 });
+        if (Math.abs(input.getAimAngle() - Math.PI / 2) > 1e-9) {
+            throw new Error(`Mouse below the canvas centre should aim down, got ${input.getAimAngle()}`);
+        }
+
+        pad.axes = [0, 0, 0.1, -0.1];
+        input.updateGamepad();
+        if (Math.abs(input.getAimAngle() - Math.PI / 2) > 1e-9) throw new Error('Stick inside the deadzone should not aim');
+        pad.axes = [0, 0, -0.9, 0];
+        input.updateGamepad();
+        pad.axes = [0, 0, 0, 0];
+        input.updateGamepad();
+        if (input.getAimAngle() !== Math.PI) throw new Error('The last right stick direction should be kept');
+
+        if (window.StorageManager.getItem(InputManager.MANUAL_AIM_STORAGE_KEY) !== 'true' || !new InputManager().isManualAimEnabled()) {
+            throw new Error('The manual aim toggle should persist');
+        }
+        input.setManualAim(false);
+    });
+
+    test('settings panel toggles manual aim', () => {
+        const input = new InputManager();
+        window.inputManager = input;
+        const checkbox = { checked: true };
+        const panel = new SettingsPanel({ logger: createMockLogger(), dom: { controls: { manualAimCheckbox: checkbox } } });
+
+        panel.applySettings();
+        if (!input.isManualAimEnabled()) throw new Error('Checking the box should enable manual aim');
+
+        checkbox.checked = false;
+        panel.loadSettings();
+        if (!checkbox.checked) throw new Error('Loading settings should reflect the stored toggle');
+
+        checkbox.checked = false;
+        panel.applySettings();
+        if (input.isManualAimEnabled() || window.StorageManager.getItem('manualAim') !== 'false') {
+            throw new Error('Unchecking the box should disable manual aim');
+        }
+        delete window.inputManager;
+    });
+
+    test('replays record aim changes and play them back', () => {
+        const replay = new ReplaySystem();
+        const liveAims = [null, 1.234, 1.2341, 1.5, 1.5, null, 0.5];
+        replay.beginRun({ seed: 'aim' });
+        const recorded = liveAims.map(aim => {
+            replay.beginStep({ x: 0, y: 0 });
+            return replay.stepAim(aim);
+        });
+        replay.finishRun();
+
+        if (recorded.join() !== ',1.23,1.23,1.5,1.5,,0.5') throw new Error(`Unexpected live aims ${recorded}`);
+        const aimEvents = replay.lastReplay.events.filter(event => event[1] === 'aim');
+        if (aimEvents.length !== 4) throw new Error(`Only aim changes should be recorded, got ${aimEvents.length}`);
+
+        replay.queuePlayback(ReplaySystem.parse(replay.serialize()));
+        replay.beginRun({ seed: 'aim' });
+        const played = liveAims.map(() => {
+            replay.beginStep({ x: 0, y: 0 });
+            return replay.stepAim(2.5);
+        });
+        replay.finishRun();
+        if (played.join() !== recorded.join()) throw new Error(`Playback aims ${played} differ from ${recorded}`);
+    });
+
+    // ===== RESULTS =====
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`[S] Test Results:`);
+    console.log(`   + Passed: ${results.passed}`);
+    console.log(`   ! Failed: ${results.failed}`);
+
+    if (results.failed > 0) {
+        console.log('\n! Failed Tests:');
+        results.errors.forEach(({ test, error }) => {
+            console.log(`   • ${test}: ${error}`);
+        });
+        console.log('='.repeat(50) + '\n');
+    } else {
+        console.log('\n+ All tests passed!');
+        console.log('='.repeat(50) + '\n');
+    }
+
+    return results;
+}
+
+try {
+    const results = runTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('! Test suite crashed:', error);
+    process.exit(1);
+}